@@ -1,4 +1,5 @@
-const { sql } = require('@vercel/postgres');
+const botUpdates = require('../../whale-verify/bot-updates');
+const webhook = require('../../whale-verify/webhook');
 
 module.exports = async (req, res) => {
   // CORS
@@ -15,54 +16,32 @@ module.exports = async (req, res) => {
   }
 
   try {
+    // Only Telegram knows the secret token set with setWebhook
+    if (!webhook.isValidSecretToken(req.headers['x-telegram-bot-api-secret-token'])) {
+      console.warn('⚠️ Webhook call with missing or invalid secret token rejected');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
     const update = req.body;
     console.log('📨 Webhook received:', JSON.stringify(update, null, 2));
 
-    // Check for new chat member
-    if (update.chat_member) {
-      const { chat, new_chat_member, old_chat_member } = update.chat_member;
-      const user = new_chat_member.user;
-      
-      // User joined the group
-      if ((old_chat_member.status === 'left' || old_chat_member.status === 'kicked') && 
-          (new_chat_member.status === 'member' || new_chat_member.status === 'administrator')) {
-        
-        console.log(`🐋 New member: @${user.username || user.first_name} (ID: ${user.id})`);
-        
-        // Find recent verification (within last 15 minutes) without telegram_user_id
-        const fifteenMinutesAgo = new Date(Date.now() - (15 * 60 * 1000));
-        
-        const result = await sql`
-          SELECT * FROM verifications 
-          WHERE telegram_user_id IS NULL 
-          AND created_at > ${fifteenMinutesAgo}
-          ORDER BY created_at DESC
-          LIMIT 1
-        `;
-        
-        if (result.rows.length === 1) {
-          const verification = result.rows[0];
-          
-          // Update with Telegram info
-          await sql`
-            UPDATE verifications 
-            SET telegram_user_id = ${user.id.toString()},
-                telegram_username = ${user.username || ''},
-                telegram_first_name = ${user.first_name || ''},
-                joined_at = NOW()
-            WHERE wallet_address = ${verification.wallet_address}
-          `;
-          
-          console.log(`✅ Linked @${user.username || user.first_name} → ${verification.wallet_address.substring(0, 8)}...`);
-          
-          return res.status(200).json({ 
-            ok: true, 
-            message: 'Member linked successfully' 
-          });
-        } else {
-          console.log(`⚠️ No pending verification found (found ${result.rows.length})`);
-        }
-      }
+    // Joins, join requests, and private-chat codes and commands
+    const result = await botUpdates.handleUpdate(update);
+
+    if (result.status === 'linked') {
+      return res.status(200).json({ 
+        ok: true, 
+        message: 'Member linked successfully' 
+      });
+    }
+    if (result.status === 'flagged') {
+      return res.status(200).json({
+        ok: true,
+        message: `Join flagged for admin review (${result.reason})`
+      });
+    }
+    if (result.status !== 'ignored') {
+      return res.status(200).json({ ok: true, status: result.status });
     }
     
     return res.status(200).json({ ok: true });
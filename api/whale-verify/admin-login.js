@@ -0,0 +1,45 @@
+const adminAuth = require('../../whale-verify/admin-auth');
+const siws = require('../../whale-verify/siws');
+
+// Admin wallet login: an ADMIN_WALLETS wallet signs the message from
+// /api/whale-verify/nonce?wallet=<address>&purpose=admin and gets a session
+// token with the wallet's role
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    const { walletAddress, signature, message, nonce } = body || {};
+
+    const { token, expiresAt, role, subject } = await adminAuth.walletLogin({
+      walletAddress,
+      signature,
+      message,
+      nonce,
+      domain: siws.getExpectedDomain()
+    }, adminAuth.getClientIp(req));
+
+    return res.status(200).json({ 
+      success: true, 
+      token,
+      role,
+      wallet: subject,
+      expiresAt: new Date(expiresAt).toISOString(),
+      message: 'Authentication successful'
+    });
+
+  } catch (error) {
+    return adminAuth.sendAuthError(res, error);
+  }
+};
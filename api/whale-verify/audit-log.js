@@ -0,0 +1,37 @@
+const adminAuth = require('../../whale-verify/admin-auth');
+const audit = require('../../whale-verify/audit');
+
+// Audit log of admin and system actions, newest first (owner role)
+// GET ?page=1&limit=50&action=&actor=&wallet=&telegram_user_id=&since=&until=
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const session = await adminAuth.requireSession(req, res, 'owner');
+  if (!session) {
+    return;
+  }
+
+  try {
+    const result = await audit.list(req.query || {});
+    return res.status(result.success ? 200 : 400).json(result);
+
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+};
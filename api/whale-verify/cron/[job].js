@@ -0,0 +1,13 @@
+const scheduler = require('../../../whale-verify/scheduler');
+
+// Run a scheduled job, called by Vercel Cron (crons in vercel.json)
+// GET|POST /api/whale-verify/cron/<job> with Authorization: Bearer CRON_SECRET
+module.exports = async (req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  return scheduler.handleCron(req, res, req.query.job);
+};
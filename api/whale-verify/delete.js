@@ -1,10 +1,13 @@
-const { sql } = require('@vercel/postgres');
+const db = require('../../whale-verify/db');
+const adminAuth = require('../../whale-verify/admin-auth');
+const audit = require('../../whale-verify/audit');
+const inviteLifecycle = require('../../whale-verify/invite-lifecycle');
 
-// Simple admin endpoint to delete wallet verification
+// Admin endpoint to delete wallet verification (owner role)
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.setHeader('Content-Type', 'application/json');
 
   if (req.method === 'OPTIONS') {
@@ -15,30 +18,40 @@ module.exports = async (req, res) => {
     return res.status(405).json({ success: false, error: 'Method not allowed' });
   }
 
+  const session = await adminAuth.requireSession(req, res, 'owner');
+  if (!session) {
+    return;
+  }
+
   try {
     const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-    const { wallet, password } = body;
-
-    // Simple password check
-    if (password !== process.env.ADMIN_PASSWORD) {
-      return res.status(403).json({ success: false, error: 'Invalid password' });
-    }
+    const { wallet } = body || {};
 
     if (!wallet) {
       return res.status(400).json({ success: false, error: 'Wallet address required' });
     }
 
     // Delete from database
-    const result = await sql`
-      DELETE FROM verifications WHERE wallet_address = ${wallet}
-    `;
+    const before = await db.getByWallet(wallet);
+    const deleted = await db.deleteWallet(wallet);
+    // Unused invite links would otherwise still let someone in
+    await inviteLifecycle.revokeLinks(before);
+
+    await audit.record({
+      actor: audit.adminActor(session),
+      action: audit.ACTIONS.WALLET_DELETE,
+      walletAddress: wallet,
+      before: before.map(audit.memberState),
+      after: null,
+      ipAddress: adminAuth.getClientIp(req)
+    });
 
-    console.log(`Deleted wallet: ${wallet}`);
+    console.log(`Deleted wallet: ${wallet} (by ${adminAuth.describeActor(session)})`);
 
     return res.status(200).json({ 
       success: true, 
       message: `Wallet ${wallet} removed from database`,
-      deleted: result.rowCount
+      deleted
     });
 
   } catch (error) {
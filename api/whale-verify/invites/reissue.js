@@ -0,0 +1,46 @@
+const adminAuth = require('../../../whale-verify/admin-auth');
+const audit = require('../../../whale-verify/audit');
+const inviteLifecycle = require('../../../whale-verify/invite-lifecycle');
+
+const BASE58_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// Replace a member's unused invite links with fresh ones (operator role)
+// POST { wallet, tier? }
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const session = await adminAuth.requireSession(req, res, 'operator');
+  if (!session) {
+    return;
+  }
+
+  try {
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    const { wallet, tier } = body || {};
+
+    if (!wallet || !BASE58_ADDRESS.test(wallet)) {
+      return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+    }
+
+    const invites = await inviteLifecycle.reissue(wallet, tier, {
+      actor: audit.adminActor(session),
+      ipAddress: adminAuth.getClientIp(req)
+    });
+
+    return res.status(200).json({ success: true, invites });
+
+  } catch (error) {
+    return inviteLifecycle.sendInviteError(res, error);
+  }
+};
@@ -0,0 +1,39 @@
+const adminAuth = require('../../whale-verify/admin-auth');
+const scheduler = require('../../whale-verify/scheduler');
+
+// Scheduled jobs with their interval and last run (admin, viewer role)
+// GET
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const session = await adminAuth.requireSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  try {
+    return res.status(200).json({
+      success: true,
+      jobs: await scheduler.listJobs()
+    });
+
+  } catch (error) {
+    console.error('Jobs error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+};
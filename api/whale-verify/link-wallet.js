@@ -0,0 +1,37 @@
+const adminAuth = require('../../whale-verify/admin-auth');
+const siws = require('../../whale-verify/siws');
+const memberWallets = require('../../whale-verify/member-wallets');
+
+// Add a wallet to a verified member: the member's primary wallet and the new
+// wallet each sign a link message naming the other, the new wallet's balance
+// then counts towards the member's tiers
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    const { member, wallet } = body || {};
+
+    const result = await memberWallets.linkWithSignatures({
+      member,
+      wallet,
+      domain: siws.getExpectedDomain(),
+      ipAddress: adminAuth.getClientIp(req)
+    });
+    return res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    return memberWallets.sendLinkError(res, error);
+  }
+};
@@ -0,0 +1,35 @@
+const adminAuth = require('../../whale-verify/admin-auth');
+
+// Admin logout: revokes the session token sent in the Authorization header
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const session = await adminAuth.requireSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  try {
+    await adminAuth.logout(session);
+    return res.status(200).json({ success: true, message: 'Logged out' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,35 @@
+const adminAuth = require('../../whale-verify/admin-auth');
+const memberList = require('../../whale-verify/member-list');
+
+// Download the filtered member list as CSV or JSON (admin, viewer role)
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const session = await adminAuth.requireSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  try {
+    // Streams the rows in batches (query parameters in whale-verify/member-list.js)
+    await memberList.exportMembers(req.query || {}, res);
+  } catch (error) {
+    console.error('Members export error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
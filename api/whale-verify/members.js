@@ -1,10 +1,11 @@
-const { sql } = require('@vercel/postgres');
+const adminAuth = require('../../whale-verify/admin-auth');
+const memberList = require('../../whale-verify/member-list');
 
-// Get all verified members
+// Get a page of verified members (admin, viewer role)
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.setHeader('Content-Type', 'application/json');
 
   if (req.method === 'OPTIONS') {
@@ -15,49 +16,15 @@ module.exports = async (req, res) => {
     return res.status(405).json({ success: false, error: 'Method not allowed' });
   }
 
-  try {
-    // Get all verifications
-    const result = await sql`
-      SELECT 
-        wallet_address,
-        telegram_user_id,
-        telegram_username,
-        telegram_first_name,
-        created_at,
-        joined_at,
-        used,
-        expires_at
-      FROM verifications
-      ORDER BY created_at DESC
-    `;
-
-    // Add status field based on joined_at and used
-    const members = result.rows.map(row => {
-      let status = 'pending';
-      if (row.joined_at) {
-        status = 'joined';
-      } else if (row.used) {
-        status = 'link_used';
-      }
-      
-      return {
-        wallet: row.wallet_address,
-        telegram: {
-          username: row.telegram_username,
-          first_name: row.telegram_first_name,
-          user_id: row.telegram_user_id
-        },
-        status,
-        created_at: row.created_at,
-        joined_at: row.joined_at
-      };
-    });
-
-    return res.status(200).json({ 
-      success: true, 
-      members
-    });
+  const session = await adminAuth.requireSession(req, res);
+  if (!session) {
+    return;
+  }
 
+  try {
+    // Filtered, sorted page of members (query parameters in whale-verify/member-list.js)
+    const result = await memberList.list(req.query || {});
+    return res.status(result.success ? 200 : 400).json(result);
   } catch (error) {
     console.error('Members list error:', error);
     return res.status(500).json({ 
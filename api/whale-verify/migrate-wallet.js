@@ -0,0 +1,50 @@
+const adminAuth = require('../../whale-verify/admin-auth');
+const siws = require('../../whale-verify/siws');
+const walletMigration = require('../../whale-verify/wallet-migration');
+
+// Move a verified member's membership to a new wallet: either both wallets
+// sign (oldWallet + newWallet), or only the new one does and the member
+// confirms the returned code with /migrate <code> in the bot
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    const { oldWallet, newWallet } = body || {};
+    const domain = siws.getExpectedDomain();
+
+    if (oldWallet) {
+      const result = await walletMigration.migrateWithSignatures({
+        oldWallet,
+        newWallet,
+        domain,
+        ipAddress: adminAuth.getClientIp(req)
+      });
+      return res.status(200).json({ success: true, migrated: true, ...result });
+    }
+
+    const pending = await walletMigration.startTelegramMigration({ newWallet, domain });
+    return res.status(200).json({
+      success: true,
+      migrated: false,
+      code: pending.code,
+      botLink: pending.botLink,
+      expiresAt: new Date(pending.expiresAt).toISOString(),
+      message: `Send /migrate ${pending.code} to the bot from your linked Telegram account to confirm`
+    });
+
+  } catch (error) {
+    return walletMigration.sendMigrationError(res, error);
+  }
+};
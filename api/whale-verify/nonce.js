@@ -1,34 +1,8 @@
-const crypto = require('crypto');
-
-// Nonce with embedded timestamp (no database needed)
-// Format: timestamp.randomhex
-// Updated: Configured with Postgres database
-function generateNonce() {
-  const timestamp = Date.now();
-  const random = crypto.randomBytes(32).toString('hex');
-  return `${timestamp}.${random}`;
-}
-
-function verifyNonceTimestamp(nonce) {
-  try {
-    const parts = nonce.split('.');
-    if (parts.length !== 2) {
-      return false;
-    }
-    
-    const timestamp = parseInt(parts[0]);
-    if (isNaN(timestamp)) {
-      return false;
-    }
-    
-    const age = Date.now() - timestamp;
-    const NONCE_EXPIRY = 5 * 60 * 1000; // 5 minutes
-    
-    return age >= 0 && age < NONCE_EXPIRY;
-  } catch (error) {
-    return false;
-  }
-}
+const adminAuth = require('../../whale-verify/admin-auth');
+const siws = require('../../whale-verify/siws');
+const nonceStore = require('../../whale-verify/nonce-store');
+
+const BASE58_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
 
 module.exports = async (req, res) => {
   // Enable CORS
@@ -46,9 +20,42 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const nonce = generateNonce();
-    const message = `Whale Verify: ${nonce}`;
-    return res.status(200).json({ success: true, nonce, message });
+    const { wallet, purpose, counterpart } = req.query || {};
+    if (wallet !== undefined && !BASE58_ADDRESS.test(wallet)) {
+      return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+    }
+
+    // purpose picks the statement: verify (default), admin, migrate or link
+    const statement = siws.getStatement(purpose);
+    if (!statement) {
+      return res.status(400).json({ success: false, error: 'Unknown purpose' });
+    }
+
+    // counterpart names the other wallet of a migration or the primary wallet of a link
+    if (counterpart !== undefined && !BASE58_ADDRESS.test(counterpart)) {
+      return res.status(400).json({ success: false, error: 'Invalid counterpart wallet address' });
+    }
+
+    // No in-memory rate limiter survives between invocations, count this IP's nonces instead
+    const ipAddress = adminAuth.getClientIp(req);
+    const retryAfter = await nonceStore.getRetryAfter(ipAddress);
+    if (retryAfter > 0) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({ success: false, error: 'Too many nonce requests. Please slow down.' });
+    }
+
+    // Sign-In With Solana message bound to our domain (and wallet, when known)
+    const nonce = await nonceStore.issue(ipAddress);
+    const signInInput = siws.createSignInInput({
+      domain: siws.getExpectedDomain(),
+      nonce,
+      address: wallet,
+      statement,
+      resources: counterpart ? [siws.walletResource(counterpart)] : undefined
+    });
+    const message = wallet ? siws.formatSignInMessage(signInInput) : null;
+
+    return res.status(200).json({ success: true, nonce, message, signInInput });
   } catch (error) {
     console.error('Nonce generation error:', error);
     return res.status(500).json({ 
@@ -58,6 +65,3 @@ module.exports = async (req, res) => {
     });
   }
 };
-
-// Export for verify endpoint
-module.exports.verifyNonceTimestamp = verifyNonceTimestamp;
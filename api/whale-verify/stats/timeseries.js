@@ -0,0 +1,37 @@
+const adminAuth = require('../../../whale-verify/admin-auth');
+const analytics = require('../../../whale-verify/analytics');
+
+// Verification analytics per hour, day or week (admin, viewer role)
+// GET ?bucket=day&since=&until=
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const session = await adminAuth.requireSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  try {
+    const result = await analytics.timeseries(req.query || {});
+    return res.status(result.success ? 200 : 400).json(result);
+
+  } catch (error) {
+    console.error('Stats time series error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+};
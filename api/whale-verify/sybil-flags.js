@@ -0,0 +1,60 @@
+const db = require('../../whale-verify/db');
+const adminAuth = require('../../whale-verify/admin-auth');
+const sybilCheck = require('../../whale-verify/sybil-check');
+
+// Verifications whose tokens recently came from another member (admin review)
+// GET ?all=true - list sybil flags (unresolved only by default), viewer
+// POST { id, resolution: 'dismissed' | 'confirmed' } - close a flag, operator
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const session = await adminAuth.requireSession(req, res, req.method === 'GET' ? 'viewer' : 'operator');
+  if (!session) {
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const flags = await db.listSybilFlags({ includeResolved: req.query.all === 'true' });
+
+      return res.status(200).json({
+        success: true,
+        mode: sybilCheck.getMode(),
+        count: flags.length,
+        flags: flags.map(sybilCheck.formatFlag)
+      });
+    }
+
+    if (req.method === 'POST') {
+      const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+      const { id, resolution } = body || {};
+
+      if (!id) {
+        return res.status(400).json({ success: false, error: 'Sybil flag ID required' });
+      }
+
+      const result = await sybilCheck.resolveFlag(Number(id), resolution, {
+        session,
+        ipAddress: adminAuth.getClientIp(req)
+      });
+      return res.status(result.success ? 200 : 400).json(result);
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Sybil flags error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,77 @@
+const db = require('../../whale-verify/db');
+const adminAuth = require('../../whale-verify/admin-auth');
+const tiers = require('../../whale-verify/tiers');
+const memberLinker = require('../../whale-verify/member-linker');
+
+// Joins that could not be matched to a wallet (admin review)
+// GET ?all=true - list flagged joins (unresolved only by default), viewer
+// POST { id, wallet_address? } - link the member to a wallet, or dismiss the flag, operator
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const session = await adminAuth.requireSession(req, res, req.method === 'GET' ? 'viewer' : 'operator');
+  if (!session) {
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const joins = await db.listUnmatchedJoins({ includeResolved: req.query.all === 'true' });
+
+      return res.status(200).json({
+        success: true,
+        count: joins.length,
+        joins: joins.map(join => ({
+          id: join.id,
+          chat_id: join.chat_id,
+          tier: (tiers.getTierByChatId(join.chat_id) || {}).id || null,
+          telegram: {
+            user_id: join.telegram_user_id,
+            username: join.telegram_username ? `@${join.telegram_username}` : null,
+            first_name: join.telegram_first_name
+          },
+          invite_link: join.invite_link,
+          invite_name: join.invite_name,
+          reason: join.reason,
+          created_at: new Date(join.created_at).toISOString(),
+          resolved_at: join.resolved_at ? new Date(join.resolved_at).toISOString() : null,
+          resolution: join.resolution,
+          resolved_by: join.resolved_by || null,
+          wallet: join.wallet_address
+        }))
+      });
+    }
+
+    if (req.method === 'POST') {
+      const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+      const { id, wallet_address } = body || {};
+
+      if (!id) {
+        return res.status(400).json({ success: false, error: 'Flagged join ID required' });
+      }
+
+      const result = await memberLinker.resolveFlaggedJoin(Number(id), wallet_address, {
+        session,
+        ipAddress: adminAuth.getClientIp(req)
+      });
+      return res.status(result.success ? 200 : 400).json(result);
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Unmatched joins error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+};
@@ -1,6 +1,6 @@
-const crypto = require('crypto');
+const adminAuth = require('../../whale-verify/admin-auth');
 
-// Admin password verification endpoint
+// Admin password login (owner role): returns a signed session token
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -17,32 +17,24 @@ module.exports = async (req, res) => {
 
   try {
     const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-    const { password } = body;
+    const { password } = body || {};
 
     if (!password) {
       return res.status(400).json({ success: false, error: 'Password required' });
     }
 
-    // Verify password
-    if (password !== process.env.ADMIN_PASSWORD) {
-      return res.status(403).json({ success: false, error: 'Invalid password' });
-    }
-
-    // Generate simple token (just timestamp + random)
-    const token = crypto.randomBytes(32).toString('hex');
+    const { token, expiresAt, role } = await adminAuth.login(password, adminAuth.getClientIp(req));
 
     return res.status(200).json({ 
       success: true, 
       token,
+      role,
+      wallet: null,
+      expiresAt: new Date(expiresAt).toISOString(),
       message: 'Authentication successful'
     });
 
   } catch (error) {
-    console.error('Admin auth error:', error);
-    return res.status(500).json({ 
-      success: false, 
-      error: 'Internal server error',
-      message: error.message 
-    });
+    return adminAuth.sendAuthError(res, error);
   }
 };
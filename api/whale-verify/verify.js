@@ -1,168 +1,17 @@
-const nacl = require('tweetnacl');
-const bs58 = require('bs58').default || require('bs58');
-const { Connection, PublicKey } = require('@solana/web3.js');
-const { sql } = require('@vercel/postgres');
-
-// Import nonces from nonce endpoint (shared in-memory storage won't work across serverless functions)
-// We'll need to verify nonce differently or use database
-const crypto = require('crypto');
-
-// Environment variables
-const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
-const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
-const TOKEN_MINT = '4FdojUmXeaFMBG6yUaoufAC5Bz7u9AwnSAMizkx5pump';
-const MIN_TOKEN_AMOUNT = 10_000_000;
-const NONCE_EXPIRY = 5 * 60 * 1000;
-
-// Database initialization
-async function initDatabase() {
-  try {
-    await sql`
-      CREATE TABLE IF NOT EXISTS verifications (
-        id SERIAL PRIMARY KEY,
-        wallet_address TEXT UNIQUE NOT NULL,
-        invite_link TEXT,
-        telegram_user_id TEXT,
-        telegram_username TEXT,
-        telegram_first_name TEXT,
-        created_at TIMESTAMP DEFAULT NOW(),
-        expires_at TIMESTAMP,
-        used BOOLEAN DEFAULT FALSE,
-        ip_address TEXT,
-        user_agent TEXT,
-        joined_at TIMESTAMP
-      )
-    `;
-    
-    await sql`CREATE INDEX IF NOT EXISTS idx_wallet ON verifications(wallet_address)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_telegram_user ON verifications(telegram_user_id)`;
-  } catch (error) {
-    console.error('Database initialization error:', error);
-  }
-}
-
-// Verify signature
-const verifySignature = (message, signature, publicKey) => {
-  try {
-    console.log('Verifying signature:', {
-      messageLength: message.length,
-      signatureLength: signature.length,
-      publicKeyLength: publicKey.length
-    });
-    
-    const messageBytes = new TextEncoder().encode(message);
-    const signatureBytes = bs58.decode(signature);
-    const publicKeyBytes = new PublicKey(publicKey).toBytes();
-    
-    const isValid = nacl.sign.detached.verify(messageBytes, signatureBytes, publicKeyBytes);
-    console.log('Signature verification result:', isValid);
-    
-    return isValid;
-  } catch (error) {
-    console.error('Signature verification error:', error);
-    return false;
-  }
-};
-
-// Check token balance
-const checkTokenBalance = async (walletAddress) => {
-  try {
-    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
-    const walletPubkey = new PublicKey(walletAddress);
-    const mintPubkey = new PublicKey(TOKEN_MINT);
-    
-    const tokenAccounts = await connection.getParsedTokenAccountsByOwner(walletPubkey, {
-      mint: mintPubkey
-    });
-
-    if (tokenAccounts.value.length === 0) {
-      return 0;
-    }
-
-    const balance = tokenAccounts.value[0].account.data.parsed.info.tokenAmount.uiAmount;
-    return balance;
-  } catch (error) {
-    console.error('Token balance check error:', error);
-    return 0;
-  }
-};
-
-// Create Telegram invite link
-const createTelegramInviteLink = async () => {
-  try {
-    const response = await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/createChatInviteLink`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: TELEGRAM_CHAT_ID,
-        member_limit: 1,
-        expire_date: Math.floor(Date.now() / 1000) + 600
-      })
-    });
-
-    const data = await response.json();
-    if (!data.ok) {
-      throw new Error(data.description || 'Failed to create invite link');
-    }
-
-    return data.result.invite_link;
-  } catch (error) {
-    console.error('Telegram invite link error:', error);
-    throw error;
-  }
-};
-
-// Check if wallet already verified
-async function hasWalletBeenVerified(walletAddress) {
-  try {
-    const result = await sql`SELECT id FROM verifications WHERE wallet_address = ${walletAddress}`;
-    return result.rows.length > 0;
-  } catch (error) {
-    console.error('Database check error:', error);
-    return false;
-  }
-}
-
-// Verify nonce timestamp (no database needed)
-function verifyNonceTimestamp(nonce) {
-  try {
-    const parts = nonce.split('.');
-    if (parts.length !== 2) {
-      return false;
-    }
-    
-    const timestamp = parseInt(parts[0]);
-    if (isNaN(timestamp)) {
-      return false;
-    }
-    
-    const age = Date.now() - timestamp;
-    const NONCE_EXPIRY = 5 * 60 * 1000; // 5 minutes
-    
-    return age >= 0 && age < NONCE_EXPIRY;
-  } catch (error) {
-    return false;
-  }
-}
-
-// In-memory used nonces tracking (prevents replay attacks within function lifetime)
-const usedNonces = new Set();
-
-// Save verification to database
-async function saveVerification(walletAddress, inviteLink, ipAddress, userAgent) {
-  try {
-    const expiresAt = new Date(Date.now() + 600000);
-    
-    await sql`
-      INSERT INTO verifications (wallet_address, invite_link, expires_at, ip_address, user_agent)
-      VALUES (${walletAddress}, ${inviteLink}, ${expiresAt}, ${ipAddress}, ${userAgent})
-    `;
-  } catch (error) {
-    console.error('Database save error:', error);
-    throw error;
-  }
-}
+const db = require('../../whale-verify/db');
+const solana = require('../../whale-verify/solana');
+const telegram = require('../../whale-verify/telegram');
+const tiers = require('../../whale-verify/tiers');
+const siws = require('../../whale-verify/siws');
+const nonceStore = require('../../whale-verify/nonce-store');
+const joinRequests = require('../../whale-verify/join-requests');
+const audit = require('../../whale-verify/audit');
+const memberWallets = require('../../whale-verify/member-wallets');
+const sybilCheck = require('../../whale-verify/sybil-check');
+const memoProof = require('../../whale-verify/memo-proof');
+const holdingPeriod = require('../../whale-verify/holding-period');
+const analytics = require('../../whale-verify/analytics');
+const inviteLifecycle = require('../../whale-verify/invite-lifecycle');
 
 module.exports = async (req, res) => {
   // Enable CORS
@@ -180,80 +29,280 @@ module.exports = async (req, res) => {
   }
 
   try {
-    await initDatabase();
-
     const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-    const { walletAddress, signature, nonce } = body;
+    const { walletAddress, signature, nonce, proofType = 'message', additionalWallets = [] } = body;
 
     console.log('Received verification request:', {
       wallet: walletAddress,
+      proofType,
       signatureLength: signature?.length,
       nonce: nonce
     });
 
-    if (!walletAddress || !signature || !nonce) {
+    if (!memoProof.PROOF_TYPES.includes(proofType)) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.INVALID_REQUEST);
       return res.status(400).json({ 
         success: false, 
-        error: 'Missing required fields' 
+        error: `proofType must be one of: ${memoProof.PROOF_TYPES.join(', ')}` 
       });
     }
 
-    // Check if wallet already verified
-    const alreadyVerified = await hasWalletBeenVerified(walletAddress);
-    if (alreadyVerified) {
+    // Wallets that can't sign messages (Ledger) sign a memo transaction carrying the message
+    let memo = null;
+    if (proofType === 'transaction' && walletAddress) {
+      memo = memoProof.readMemoProof(body.transaction, walletAddress);
+      if (!memo.valid) {
+        await analytics.recordAttempt(walletAddress, analytics.REASONS.INVALID_REQUEST);
+        return res.status(400).json({ 
+          success: false, 
+          error: memo.error 
+        });
+      }
+    }
+    const message = memo ? memo.message : body.message;
+
+    if (!walletAddress || !message || !nonce || (!memo && !signature)) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.INVALID_REQUEST);
       return res.status(400).json({ 
         success: false, 
-        error: 'This wallet has already been verified' 
+        error: 'Missing required fields' 
       });
     }
 
-    // Verify nonce timestamp
-    if (!verifyNonceTimestamp(nonce)) {
-      console.log('Nonce timestamp verification failed');
+    // Consume nonce (atomic, fails if unknown, expired or already used)
+    if (!(await nonceStore.consume(nonce))) {
+      console.log('Nonce verification failed');
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.INVALID_NONCE);
       return res.status(400).json({ 
         success: false, 
         error: 'Invalid or expired nonce' 
       });
     }
 
-    // Verify signature
-    const message = `Whale Verify: ${nonce}`;
-    console.log('Verifying with message:', message);
-    
-    if (!verifySignature(message, signature, walletAddress)) {
+    // Verify the message is a SIWS verification message bound to our domain, this wallet and nonce
+    const messageCheck = siws.validateSignInMessage(message, {
+      domain: siws.getExpectedDomain(),
+      address: walletAddress,
+      nonce,
+      statement: siws.STATEMENT
+    });
+    if (!messageCheck.valid) {
+      console.log('Sign-in message validation failed:', messageCheck.error);
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.INVALID_MESSAGE);
       return res.status(400).json({ 
         success: false, 
-        error: 'Invalid signature' 
+        error: messageCheck.error 
+      });
+    }
+
+    // Wallets moved to a new wallet can't be verified again, by anyone
+    if (await db.getRetiredWallet(walletAddress)) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.RETIRED_WALLET);
+      return res.status(403).json({ 
+        success: false, 
+        error: 'This wallet was retired after its membership moved to another wallet and can no longer be verified.' 
+      });
+    }
+
+    // Wallets added to a member only count towards that member's balance
+    if (await memberWallets.getLinkedPrimary(walletAddress)) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.LINKED_WALLET);
+      return res.status(409).json({ 
+        success: false, 
+        error: 'This wallet was added to another verified wallet. Verify with that wallet instead.' 
       });
     }
 
-    // Check token balance
-    const balance = await checkTokenBalance(walletAddress);
-    if (balance < MIN_TOKEN_AMOUNT) {
+    // Invites that expired unused don't block a new one
+    await inviteLifecycle.cleanupExpired(walletAddress);
+
+    // Check if wallet already has an invite for every tier; members the sweep removed may verify again
+    const activeTiers = tiers.getTiers();
+    const verifiedChatIds = new Set((await db.getByWallet(walletAddress)).filter(row => !row.removed_at).map(row => row.chat_id));
+    if (activeTiers.length > 0 && activeTiers.every(tier => verifiedChatIds.has(tier.chatId))) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.ALREADY_VERIFIED);
       return res.status(400).json({ 
         success: false, 
-        error: `Insufficient token balance. You have ${balance.toLocaleString()} CORE, but need at least ${MIN_TOKEN_AMOUNT.toLocaleString()} CORE.` 
+        error: 'This wallet has already been verified' 
+      });
+    }
+
+    // Verify signature
+    const signatureValid = memo
+      ? memoProof.verifyMemoProof(memo.transaction)
+      : solana.verifySignature(message, signature, walletAddress);
+    if (!signatureValid) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.INVALID_SIGNATURE);
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid signature' 
+      });
+    }
+
+    // Additional wallets (signed link messages naming this wallet) count towards the balance
+    let addedWallets;
+    try {
+      addedWallets = await memberWallets.verifyAdditionalWallets(additionalWallets, walletAddress, siws.getExpectedDomain());
+    } catch (error) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.WALLET_LINK_FAILED);
+      return memberWallets.sendLinkError(res, error);
+    }
+
+    // Check token balance, combined over every wallet of the member
+    // An RPC outage is a "try again", never a zero balance
+    const connection = solana.connection;
+    const walletAddresses = [...(await memberWallets.getMemberWallets(walletAddress)), ...addedWallets];
+    let whaleStatus;
+    try {
+      whaleStatus = await solana.checkWhaleStatus(walletAddresses);
+    } catch (error) {
+      if (!(error instanceof solana.RpcUnavailableError)) throw error;
+      console.error('Token balance check error:', error.message);
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.RPC_UNAVAILABLE);
+      return res.status(503).json({ 
+        success: false, 
+        error: 'Could not check your token balance right now, please try again',
+        reason: 'rpc_unavailable'
+      });
+    }
+    const { balance, wallets, slot, tokenAccounts, tiers: qualifyingTiers } = whaleStatus;
+    if (!whaleStatus.qualified) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.INSUFFICIENT_BALANCE);
+      return res.status(403).json(solana.insufficientBalanceResponse(whaleStatus));
+    }
+
+    // Optional rule: a tier's threshold must have been held for MIN_HOLDING_DAYS
+    let holding;
+    try {
+      holding = await holdingPeriod.check(connection, {
+        walletAddresses,
+        tokenAccounts,
+        balance,
+        tiers: qualifyingTiers
+      });
+    } catch (error) {
+      console.error('Holding period check error:', error);
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.HOLDING_CHECK_FAILED);
+      return res.status(503).json({ 
+        success: false, 
+        error: 'Could not check your holding history, please try again' 
+      });
+    }
+    if (holding && holding.tiers.length === 0) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.HOLDING_PERIOD);
+      return res.status(403).json({ 
+        ...holdingPeriod.failureResponse(holding, balance, tiers.getMinimumTokens()),
+        wallets
       });
     }
 
-    // Create Telegram invite link
-    const inviteLink = await createTelegramInviteLink();
+    // Only tiers the wallet hasn't received an invite for yet
+    const newTiers = (holding ? holding.tiers : qualifyingTiers).filter(tier => !verifiedChatIds.has(tier.chatId));
+    if (newTiers.length === 0) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.ALREADY_VERIFIED);
+      return res.status(400).json({ 
+        success: false, 
+        error: 'This wallet has already been verified' 
+      });
+    }
 
     // Get IP and User Agent
     const ipAddress = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
     const userAgent = req.headers['user-agent'] || 'unknown';
 
-    // Save to database
-    await saveVerification(walletAddress, inviteLink, ipAddress, userAgent);
+    // Tokens recently received from another member don't qualify twice
+    const sybil = await sybilCheck.check(connection, {
+      walletAddress,
+      walletAddresses,
+      tokenAccounts,
+      balance,
+      slot,
+      newTiers,
+      ipAddress
+    });
+    if (sybil.unavailable) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.SYBIL_CHECK_FAILED);
+      return res.status(503).json({
+        success: false,
+        error: 'Could not check where your tokens came from right now, please try again',
+        reason: 'rpc_unavailable'
+      });
+    }
+    if (sybil.blocked) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.SYBIL_BLOCKED);
+      return res.status(403).json({ 
+        success: false, 
+        error: 'The tokens this wallet qualifies with were recently moved from another verified member\'s wallet. Contact an admin if you think this is a mistake.' 
+      });
+    }
+
+    // Join-request mode: shared links plus a code the user DMs to the bot
+    const joinCode = joinRequests.isRequestMode() ? joinRequests.generateJoinCode() : undefined;
+
+    // Create Telegram invite link (or get the shared join-request link) and save it for each new tier
+    const invites = [];
+    for (const tier of newTiers) {
+      const inviteLink = joinCode
+        ? await joinRequests.getJoinRequestLink(tier.chatId)
+        : await telegram.createInviteLink(walletAddress, tier.chatId);
+      const saveResult = await db.saveVerification({
+        walletAddress,
+        tier: tier.id,
+        chatId: tier.chatId,
+        inviteLink,
+        joinCode,
+        ipAddress,
+        userAgent,
+        balanceSnapshot: balance,
+        snapshotSlot: slot || null
+      });
+      if (!saveResult.success) {
+        console.log(`Failed to save ${tier.name} verification`);
+        continue;
+      }
+      await audit.record({
+        actor: audit.walletActor(walletAddress),
+        action: audit.ACTIONS.VERIFICATION_CREATE,
+        walletAddress,
+        chatId: tier.chatId,
+        after: { tier: tier.id, join_mode: joinCode ? 'request' : 'invite', proof: proofType, balance },
+        ipAddress
+      });
+      invites.push({ tier: tier.id, name: tier.name, inviteLink });
+    }
+
+    if (invites.length === 0) {
+      await analytics.recordAttempt(walletAddress, analytics.REASONS.SAVE_FAILED);
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Failed to save verification' 
+      });
+    }
+
+    await memberWallets.addWallets(walletAddress, addedWallets, {
+      actor: audit.walletActor(walletAddress),
+      ipAddress
+    });
+    await db.updateWalletBalances(wallets);
+    await analytics.recordAttempt(walletAddress);
 
     return res.status(200).json({ 
       success: true, 
-      inviteLink,
-      balance: balance.toLocaleString()
+      // Highest tier first; inviteLink kept for clients expecting a single link
+      inviteLink: invites[invites.length - 1].inviteLink,
+      invites: invites.slice().reverse(),
+      balance: balance.toLocaleString(),
+      wallets,
+      joinMode: joinCode ? 'request' : 'invite',
+      ...(joinCode && {
+        joinCode,
+        botLink: joinRequests.getBotLink(joinCode)
+      })
     });
 
   } catch (error) {
     console.error('Verification error:', error);
+    await analytics.recordAttempt(null, analytics.REASONS.ERROR);
     return res.status(500).json({ 
       success: false, 
       error: 'Internal server error',
@@ -13,16 +13,24 @@ dotenv.config();
 // Whale verification module
 let whaleVerifyRoutes = null;
 let groupMonitor = null;
+let scheduler = null;
 try {
     whaleVerifyRoutes = require("./whale-verify/routes");
     groupMonitor = require("./whale-verify/group-monitor");
+    scheduler = require("./whale-verify/scheduler");
     console.log("✅ Whale verification module loaded");
     
     // Start monitoring group members after 5 seconds
+    // (webhook mode gets updates through /api/webhook/telegram instead of polling)
     setTimeout(() => {
-        if (groupMonitor && process.env.TELEGRAM_BOT_TOKEN) {
+        const updateMode = process.env.TELEGRAM_UPDATE_MODE || 'polling';
+        if (groupMonitor && process.env.TELEGRAM_BOT_TOKEN && updateMode === 'polling') {
             groupMonitor.startMonitoring();
         }
+        // Cleanup, invite revocation, holder sweep and stats digest (Vercel Cron runs them on Vercel)
+        if (scheduler) {
+            scheduler.start();
+        }
     }, 5000);
 } catch (error) {
     console.error("❌ Failed to load whale verification module:", error.message);
@@ -435,6 +443,9 @@ app.use(express.static('.', {
 if (whaleVerifyRoutes) {
     app.use('/api/whale-verify', whaleVerifyRoutes);
     console.log("✅ Whale verification routes registered at /api/whale-verify");
+
+    // Same handler as the Vercel function, for TELEGRAM_UPDATE_MODE=webhook on this server
+    app.post('/api/webhook/telegram', require('./api/webhook/telegram'));
 } else {
     console.error("❌ Whale verification routes NOT registered");
 }
@@ -468,6 +479,9 @@ if (process.env.NODE_ENV !== 'production') {
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
+    if (scheduler) {
+      scheduler.stop();
+    }
     server.close(() => {
       console.log('Server closed');
       process.exit(0);
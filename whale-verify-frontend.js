@@ -10,16 +10,35 @@
     const API_BASE = window.location.origin;
     const VERIFY_ENDPOINT = `${API_BASE}/api/whale-verify/verify`;
     const NONCE_ENDPOINT = `${API_BASE}/api/whale-verify/nonce`;
+    const MIGRATE_ENDPOINT = `${API_BASE}/api/whale-verify/migrate-wallet`;
+
+    // Ledger: sign a memo transaction instead of a message. web3.js is only
+    // loaded when needed; the placeholder blockhash keeps the signed
+    // transaction from ever landing on chain (it is never sent anyway)
+    // The integrity hash pins the exact file of that version (the same bytes
+    // as lib/index.iife.min.js in the npm package), update both together and
+    // keep the web3.js tag in index.html on the same version and hash
+    const WEB3_SCRIPT = 'https://unpkg.com/@solana/web3.js@1.98.4/lib/index.iife.min.js';
+    const WEB3_SCRIPT_INTEGRITY = 'sha384-I45YF+S0YGWIolUyTksLk9TNtTqaDgZg8e6T1OoBoJvvFmphqYNIPZw3Kl0TkZNN';
+    const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+    const MEMO_BLOCKHASH = '11111111111111111111111111111111';
 
     // State
     let currentWallet = null;
     let currentNonce = null;
     let currentMessage = null;
     let isVerifying = false;
+    // Hot + cold wallet: extra wallets sign a link message naming the main
+    // wallet, their balances count towards the main wallet's verification
+    let mainWallet = null;
+    let additionalWallets = [];
 
     // DOM Elements
     const verifyBtn = document.getElementById('whaleVerifyBtn');
     const statusMessage = document.getElementById('whaleStatusMessage');
+    const migrateBtn = document.getElementById('whaleMigrateBtn');
+    const addWalletBtn = document.getElementById('whaleAddWalletBtn');
+    const ledgerBtn = document.getElementById('whaleLedgerBtn');
 
     if (!verifyBtn || !statusMessage) {
         console.error('❌ Whale verify elements not found');
@@ -110,12 +129,14 @@
         }
     }
 
-    // Get nonce from backend
-    async function getNonce() {
+    // Get nonce and Sign-In With Solana message from backend
+    // purpose: 'verify' (default), 'migrate' or 'link'; counterpart: wallet the message names
+    async function getNonce(walletAddress, purpose = 'verify', counterpart = null) {
         console.log('Requesting nonce...');
         
         try {
-            const response = await fetch(NONCE_ENDPOINT);
+            const counterpartParam = counterpart ? `&counterpart=${encodeURIComponent(counterpart)}` : '';
+            const response = await fetch(`${NONCE_ENDPOINT}?wallet=${encodeURIComponent(walletAddress)}&purpose=${purpose}${counterpartParam}`);
             
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
@@ -124,12 +145,12 @@
 
             const data = await response.json();
             
-            if (!data.success || !data.nonce || !data.message) {
+            if (!data.success || !data.nonce || !data.message || !data.signInInput) {
                 throw new Error('Invalid nonce response');
             }
 
             console.log('Nonce received');
-            return { nonce: data.nonce, message: data.message };
+            return { nonce: data.nonce, message: data.message, signInInput: data.signInInput };
 
         } catch (error) {
             console.error('Failed to get nonce:', error);
@@ -167,7 +188,95 @@
             if (error.message && error.message.includes('User rejected')) {
                 throw new Error('Signature rejected by user');
             }
-            throw new Error(`Failed to sign message: ${error.message || 'Unknown error'}`);
+            throw new Error(`Failed to sign message: ${error.message || 'Unknown error'}${ledgerBtn ? '. Using a Ledger? Verify with a transaction instead.' : ''}`);
+        }
+    }
+
+    // Load web3.js on demand (only the Ledger flow needs it)
+    function loadSolanaWeb3() {
+        if (window.solanaWeb3) {
+            return Promise.resolve(window.solanaWeb3);
+        }
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = WEB3_SCRIPT;
+            script.integrity = WEB3_SCRIPT_INTEGRITY;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => resolve(window.solanaWeb3);
+            script.onerror = () => reject(new Error('Failed to load Solana library'));
+            document.head.appendChild(script);
+        });
+    }
+
+    // Sign (without sending) a transaction whose only instruction is a memo
+    // carrying the message, for wallets that can't sign messages
+    // Returns the signed transaction, base64 encoded
+    async function signMemoTransaction(message) {
+        console.log('Requesting memo transaction signature...');
+
+        if (!currentWallet || !currentWallet.provider) {
+            throw new Error('Wallet not connected');
+        }
+
+        const { Transaction, TransactionInstruction, PublicKey } = await loadSolanaWeb3();
+        const owner = new PublicKey(currentWallet.publicKey);
+
+        const transaction = new Transaction({ feePayer: owner, recentBlockhash: MEMO_BLOCKHASH });
+        transaction.add(new TransactionInstruction({
+            programId: new PublicKey(MEMO_PROGRAM_ID),
+            keys: [{ pubkey: owner, isSigner: true, isWritable: false }],
+            data: new TextEncoder().encode(message)
+        }));
+
+        try {
+            const signed = await currentWallet.provider.signTransaction(transaction);
+            const bytes = signed.serialize({ requireAllSignatures: true, verifySignatures: false });
+
+            console.log('Memo transaction signed');
+            return btoa(String.fromCharCode(...bytes));
+
+        } catch (error) {
+            console.error('Transaction signature failed:', error);
+            if (error.message && error.message.includes('User rejected')) {
+                throw new Error('Signature rejected by user');
+            }
+            throw new Error(`Failed to sign transaction: ${error.message || 'Unknown error'}`);
+        }
+    }
+
+    // Sign in with wallet's Sign-In With Solana support (wallet shows domain & statement)
+    // Returns null if the wallet doesn't support signIn, so the caller can fall back
+    async function signIn(signInInput) {
+        const provider = currentWallet && currentWallet.provider;
+
+        if (!provider || typeof provider.signIn !== 'function') {
+            return null;
+        }
+
+        console.log('Requesting Sign-In With Solana...');
+
+        try {
+            const output = await provider.signIn(signInInput);
+            const address = output.address || (output.account && output.account.address);
+            const decoder = new TextDecoder();
+
+            const result = {
+                walletAddress: address ? address.toString() : currentWallet.publicKey,
+                message: decoder.decode(new Uint8Array(output.signedMessage)),
+                signature: base58Encode(new Uint8Array(output.signature))
+            };
+
+            console.log('Signed in');
+            return result;
+
+        } catch (error) {
+            console.error('Sign-in failed:', error);
+            if (error.message && error.message.includes('User rejected')) {
+                throw new Error('Signature rejected by user');
+            }
+            // Wallet advertises signIn but can't complete it, use signMessage instead
+            return null;
         }
     }
 
@@ -198,8 +307,61 @@
         return encoded || '1';
     }
 
+    // Sign a nonce message with the connected wallet (signIn if supported, otherwise signMessage)
+    async function signNonceMessage(nonceData) {
+        const signInResult = await signIn(nonceData.signInInput);
+        if (signInResult) {
+            return { ...signInResult, nonce: nonceData.nonce };
+        }
+        return {
+            walletAddress: currentWallet.publicKey,
+            message: nonceData.message,
+            signature: await signMessage(nonceData.message),
+            nonce: nonceData.nonce
+        };
+    }
+
+    // Add another wallet: first click remembers the main wallet, later clicks
+    // sign with whichever other wallet is connected at the time
+    async function handleAddWallet() {
+        if (isVerifying) {
+            return;
+        }
+
+        isVerifying = true;
+        addWalletBtn.disabled = true;
+
+        try {
+            await connectWallet();
+
+            if (!mainWallet) {
+                mainWallet = currentWallet.publicKey;
+                setStatus(`Main wallet: ${mainWallet.substring(0, 8)}... Now switch to your other wallet in your wallet app and click "Add another wallet" again.`);
+                return;
+            }
+
+            if (currentWallet.publicKey === mainWallet || additionalWallets.some(w => w.walletAddress === currentWallet.publicKey)) {
+                throw new Error('Switch to another wallet in your wallet app first');
+            }
+
+            const nonceData = await getNonce(currentWallet.publicKey, 'link', mainWallet);
+            setStatus('Please sign the message in your wallet');
+            additionalWallets.push(await signNonceMessage(nonceData));
+
+            setStatus(`${additionalWallets.length + 1} wallets added. Add another one, or switch back to ${mainWallet.substring(0, 8)}... and click VERIFY.`);
+
+        } catch (error) {
+            console.error('❌ Add wallet error:', error);
+            setStatus(`ERROR: ${error.message}`);
+        } finally {
+            addWalletBtn.disabled = false;
+            isVerifying = false;
+        }
+    }
+
     // Verify wallet with backend
-    async function verifyWallet(walletAddress, signature, message, nonce) {
+    // proof: { signature, message } or { proofType: 'transaction', transaction }
+    async function verifyWallet(walletAddress, proof, nonce) {
         console.log('Verifying wallet with backend...');
         
         try {
@@ -210,9 +372,9 @@
                 },
                 body: JSON.stringify({
                     walletAddress,
-                    signature,
-                    message,
-                    nonce
+                    ...proof,
+                    nonce,
+                    additionalWallets
                 })
             });
 
@@ -220,10 +382,14 @@
 
             if (!response.ok) {
                 // Check if it's a "not enough tokens" error with details
-                if (data.error === 'Not enough tokens' && data.balance !== undefined && data.required !== undefined) {
+                if (data.reason === 'insufficient_balance' && data.balance !== undefined && data.required !== undefined) {
                     const shortage = data.required - data.balance;
                     throw new Error(`Not enough tokens!\n\nYour balance: ${data.balance.toLocaleString()} CORE\nRequired: ${data.required.toLocaleString()} CORE\nYou need ${shortage.toLocaleString()} more CORE tokens`);
                 }
+                // Balance not held long enough (MIN_HOLDING_DAYS)
+                if (data.reason === 'holding_period' || data.reason === 'holding_history_incomplete') {
+                    throw new Error(data.message);
+                }
                 throw new Error(data.error || data.message || `HTTP ${response.status}`);
             }
 
@@ -241,7 +407,8 @@
     }
 
     // Main verification flow
-    async function handleVerification() {
+    // useTransaction: sign a memo transaction instead of a message (Ledger)
+    async function handleVerification(useTransaction = false) {
         if (isVerifying) {
             console.log('Verification already in progress');
             return;
@@ -255,31 +422,51 @@
             // Step 1: Connect wallet
             await connectWallet();
             setStatus(`Connected: ${currentWallet.publicKey.substring(0, 8)}...`);
+
+            if (mainWallet && currentWallet.publicKey !== mainWallet) {
+                throw new Error(`Switch back to your main wallet ${mainWallet.substring(0, 8)}... to verify`);
+            }
             
             // Step 2: Get nonce
             setButtonState('REQUESTING NONCE...', true);
             setStatus('Requesting verification nonce...');
-            const nonceData = await getNonce();
+            const nonceData = await getNonce(currentWallet.publicKey);
             currentNonce = nonceData.nonce;
             currentMessage = nonceData.message;
 
-            // Step 3: Sign message
-            setButtonState('SIGN MESSAGE', false);
-            setStatus('Please sign the message in your wallet');
+            // Step 3: Sign in (signIn if the wallet supports it, otherwise signMessage,
+            // or a memo transaction for Ledger)
+            setButtonState(useTransaction ? 'SIGN TRANSACTION' : 'SIGN MESSAGE', false);
+            setStatus(useTransaction
+                ? 'Please sign the transaction in your wallet. It is only used as proof and is never sent.'
+                : 'Please sign the message in your wallet');
             
             // Wait a bit for user to see the message
             await new Promise(resolve => setTimeout(resolve, 500));
             
-            const signature = await signMessage(currentMessage);
+            let walletAddress = currentWallet.publicKey;
+            let proof;
+
+            if (useTransaction) {
+                proof = { proofType: 'transaction', transaction: await signMemoTransaction(currentMessage) };
+            } else {
+                const signInResult = await signIn(nonceData.signInInput);
+                if (signInResult) {
+                    walletAddress = signInResult.walletAddress;
+                    currentMessage = signInResult.message;
+                    proof = { signature: signInResult.signature, message: currentMessage };
+                } else {
+                    proof = { signature: await signMessage(currentMessage), message: currentMessage };
+                }
+            }
 
             // Step 4: Verify with backend
             setButtonState('VERIFYING...', true);
             setStatus('Verifying your wallet...');
             
             const result = await verifyWallet(
-                currentWallet.publicKey,
-                signature,
-                currentMessage,
+                walletAddress,
+                proof,
                 currentNonce
             );
 
@@ -287,7 +474,12 @@
             setButtonState('VERIFIED', true);
             setStatus('');
             
-            // Create success message with invite link
+            // One invite per tier the wallet qualifies for (older servers return a single link)
+            const invites = result.invites && result.invites.length > 0
+                ? result.invites
+                : [{ name: 'Whale', inviteLink: result.inviteLink }];
+
+            // Create success message with invite links
             const successDiv = document.createElement('div');
             successDiv.style.cssText = 'display: flex; flex-direction: column; align-items: center; gap: 0.75rem; padding: 1.25rem; background: rgba(0, 255, 255, 0.03); border: 1px solid rgba(102, 204, 255, 0.3); border-radius: 4px; margin-top: 1rem; box-shadow: 0 0 15px rgba(0, 255, 255, 0.1);';
             
@@ -296,17 +488,32 @@
                     Welcome to the Whale Club
                 </div>
                 <div style="font-size: 0.8rem; color: var(--core-text-blue); text-align: center; line-height: 1.4; opacity: 0.9;">
-                    Your balance: ${result.balance.toLocaleString()} CORE
+                    Your balance: ${result.balance.toLocaleString()} CORE${result.wallets && result.wallets.length > 1 ? ` (${result.wallets.length} wallets)` : ''}
+                </div>
+                ${result.joinMode === 'request' ? `
+                <div style="font-size: 0.8rem; color: var(--core-text-blue); text-align: center; line-height: 1.4; opacity: 0.9;">
+                    1. Send this code to our Telegram bot${result.botLink ? ` (<a href="${result.botLink}" target="_blank" style="color: var(--core-cyan);">open bot</a>)` : ''}:
+                </div>
+                <div style="font-family: monospace; font-size: 1.4rem; color: var(--core-cyan); letter-spacing: 0.3em; user-select: all;">
+                    ${result.joinCode}
+                </div>
+                <div style="font-size: 0.8rem; color: var(--core-text-blue); text-align: center; line-height: 1.4; opacity: 0.9;">
+                    2. Request to join, the bot approves you automatically:
                 </div>
-                <a href="${result.inviteLink}" 
+                ` : ''}
+                ${invites.map(invite => `
+                <a href="${invite.inviteLink}" 
                    target="_blank"
                    style="display: inline-block; padding: 0.8rem 2rem; background: var(--core-cyan); color: #000; text-decoration: none; font-weight: 700; border-radius: 2px; font-size: 0.85rem; text-transform: uppercase; letter-spacing: 0.1em; transition: all 0.3s ease; box-shadow: 0 0 20px rgba(0, 255, 255, 0.4);"
                    onmouseover="this.style.transform='scale(1.05)'; this.style.boxShadow='0 0 30px rgba(0, 255, 255, 0.6)';"
                    onmouseout="this.style.transform='scale(1)'; this.style.boxShadow='0 0 20px rgba(0, 255, 255, 0.4)';">
-                    Join Telegram Group
+                    Join ${invite.name} Telegram Group
                 </a>
+                `).join('')}
                 <div style="font-size: 0.7rem; color: rgba(102, 204, 255, 0.5); text-align: center; letter-spacing: 0.03em;">
-                    LINK EXPIRES IN 10 MINUTES · SINGLE USE ONLY
+                    ${result.joinMode === 'request'
+                        ? 'CODE EXPIRES IN 10 MINUTES · ONE TELEGRAM ACCOUNT ONLY'
+                        : `${invites.length > 1 ? 'LINKS EXPIRE' : 'LINK EXPIRES'} IN 10 MINUTES · SINGLE USE ONLY`}
                 </div>
             `;
             
@@ -338,8 +545,87 @@
         }
     }
 
+    // Wallet migration: the new wallet signs here, the member confirms the
+    // returned code in the bot from the Telegram account linked to the old wallet
+    async function handleMigration() {
+        if (isVerifying) {
+            return;
+        }
+
+        isVerifying = true;
+        migrateBtn.disabled = true;
+        setStatus('Connect the NEW wallet you want to move your membership to...');
+
+        try {
+            await connectWallet();
+
+            const nonceData = await getNonce(currentWallet.publicKey, 'migrate');
+            setStatus('Please sign the message in your wallet');
+
+            let walletAddress = currentWallet.publicKey;
+            let message = nonceData.message;
+            let signature;
+
+            const signInResult = await signIn(nonceData.signInInput);
+            if (signInResult) {
+                walletAddress = signInResult.walletAddress;
+                message = signInResult.message;
+                signature = signInResult.signature;
+            } else {
+                signature = await signMessage(message);
+            }
+
+            const response = await fetch(MIGRATE_ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    newWallet: { walletAddress, signature, message, nonce: nonceData.nonce }
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            setStatus('');
+            const codeDiv = document.createElement('div');
+            codeDiv.style.cssText = 'display: flex; flex-direction: column; align-items: center; gap: 0.75rem; padding: 1.25rem; background: rgba(0, 255, 255, 0.03); border: 1px solid rgba(102, 204, 255, 0.3); border-radius: 4px; margin-top: 1rem;';
+            codeDiv.innerHTML = `
+                <div style="font-size: 0.8rem; color: var(--core-text-blue); text-align: center; line-height: 1.4; opacity: 0.9;">
+                    Confirm from the Telegram account linked to your old wallet${data.botLink ? ` (<a href="${data.botLink}" target="_blank" style="color: var(--core-cyan);">open bot</a>)` : ''}:
+                </div>
+                <div style="font-family: monospace; font-size: 1.1rem; color: var(--core-cyan); user-select: all;">
+                    /migrate ${data.code}
+                </div>
+                <div style="font-size: 0.7rem; color: rgba(102, 204, 255, 0.5); text-align: center; letter-spacing: 0.03em;">
+                    CODE EXPIRES IN 10 MINUTES · YOUR OLD WALLET WILL BE RETIRED
+                </div>
+            `;
+            document.getElementById('whaleVerifyContainer').appendChild(codeDiv);
+
+        } catch (error) {
+            console.error('❌ Migration error:', error);
+            setStatus(`ERROR: ${error.message}`);
+            migrateBtn.disabled = false;
+        } finally {
+            isVerifying = false;
+        }
+    }
+
     // Event listeners
-    verifyBtn.addEventListener('click', handleVerification);
+    verifyBtn.addEventListener('click', () => handleVerification());
+    if (ledgerBtn) {
+        ledgerBtn.addEventListener('click', () => handleVerification(true));
+    }
+    if (migrateBtn) {
+        migrateBtn.addEventListener('click', handleMigration);
+    }
+    if (addWalletBtn) {
+        addWalletBtn.addEventListener('click', handleAddWallet);
+    }
 
     // Check if wallet is already connected on page load
     window.addEventListener('load', async () => {
@@ -0,0 +1,388 @@
+// Admin sessions for the members panel
+// Admins log in by signing a Sign-In With Solana message with a wallet listed
+// in ADMIN_WALLETS, or with the shared ADMIN_PASSWORD (optional, always owner).
+// Either way they get a session token signed with ADMIN_SESSION_SECRET
+// (HMAC-SHA256) that expires after ADMIN_SESSION_TTL_MINUTES. Every admin
+// endpoint, in the Express router and the Vercel functions, requires it as
+// "Authorization: Bearer <token>" and a minimum role. Logging out revokes the
+// session in the database, and repeated failed logins from one IP are throttled.
+//
+// ADMIN_WALLETS: comma-separated "<address>:<role>" entries, role one of
+//   viewer   - read members, flagged joins, stats and sweep status
+//   operator - also resolve flagged joins, link members, run sweeps and cleanup
+//   owner    - also delete wallets
+// e.g. ADMIN_WALLETS=7xKX...:owner,9aBc...:viewer (role defaults to viewer)
+const crypto = require('crypto');
+const db = require('./db');
+const solana = require('./solana');
+const siws = require('./siws');
+const nonceStore = require('./nonce-store');
+
+const ROLES = ['viewer', 'operator', 'owner'];
+const PASSWORD_SUBJECT = 'password';
+const DEFAULT_SESSION_TTL_MINUTES = 8 * 60;
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000; // 15 minutes
+
+class AdminAuthError extends Error {
+    /**
+     * @param {number} status - HTTP status to respond with
+     * @param {string} message
+     * @param {object} [details] - Extra fields for the response body
+     */
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'AdminAuthError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function getSessionSecret() {
+    return process.env.ADMIN_SESSION_SECRET || null;
+}
+
+function getSessionTtl() {
+    const minutes = parseInt(process.env.ADMIN_SESSION_TTL_MINUTES, 10);
+    return (minutes > 0 ? minutes : DEFAULT_SESSION_TTL_MINUTES) * 60 * 1000;
+}
+
+/**
+ * Admin wallets and their roles from ADMIN_WALLETS
+ * @returns {Map<string, string>} - Wallet address → role
+ */
+function getAdminWallets() {
+    const wallets = new Map();
+
+    for (const entry of (process.env.ADMIN_WALLETS || '').split(',')) {
+        const [address, role = 'viewer'] = entry.trim().split(':').map(part => part.trim());
+        if (!address) continue;
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role "${role}" for admin wallet ${address} (expected ${ROLES.join(', ')})`);
+        }
+        wallets.set(address, role);
+    }
+
+    return wallets;
+}
+
+/**
+ * Whether a role includes the permissions of another
+ * @param {string} role
+ * @param {string} minRole
+ * @returns {boolean}
+ */
+function hasRole(role, minRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minRole) && ROLES.includes(role);
+}
+
+// Sessions can't be issued or checked without the signing secret
+function assertConfigured() {
+    if (!getSessionSecret()) {
+        console.error('❌ ADMIN_SESSION_SECRET must be set for admin access');
+        throw new AdminAuthError(503, 'Admin access is not configured');
+    }
+}
+
+/**
+ * Compare two secrets in constant time
+ * Digests are compared so neither content nor length leaks through timing
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    const expected = crypto.createHash('sha256').update(String(a)).digest();
+    const received = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(expected, received);
+}
+
+function sign(encodedPayload) {
+    return crypto.createHmac('sha256', getSessionSecret()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Create a signed session token
+ * @param {string} subject - Admin wallet address, or "password"
+ * @param {string} role
+ * @returns {{token: string, session: {sid: string, sub: string, role: string, iat: number, exp: number}}}
+ */
+function createToken(subject, role) {
+    const now = Date.now();
+    const session = {
+        sid: crypto.randomBytes(16).toString('hex'),
+        sub: subject,
+        role,
+        iat: now,
+        exp: now + getSessionTtl()
+    };
+    const encodedPayload = Buffer.from(JSON.stringify(session)).toString('base64url');
+    return { token: `${encodedPayload}.${sign(encodedPayload)}`, session };
+}
+
+/**
+ * Decode a session token, checking signature and expiry (not revocation)
+ * @param {string} token
+ * @returns {object|null} - Session payload, null if invalid or expired
+ */
+function decodeToken(token) {
+    if (typeof token !== 'string' || !getSessionSecret()) {
+        return null;
+    }
+
+    const [encodedPayload, signature, extra] = token.split('.');
+    if (!encodedPayload || !signature || extra !== undefined) {
+        return null;
+    }
+    if (!safeEqual(sign(encodedPayload), signature)) {
+        return null;
+    }
+
+    let session;
+    try {
+        session = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (!session || typeof session.sid !== 'string' || typeof session.sub !== 'string' || !(session.exp > Date.now())) {
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Client IP of a request
+ * Express requests use req.ip (which honours the app's trust proxy setting),
+ * Vercel functions the first X-Forwarded-For hop set by Vercel's edge
+ * @param {object} req
+ * @returns {string}
+ */
+function getClientIp(req) {
+    if (req.ip) {
+        return req.ip;
+    }
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+function getBearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Short description of who is behind a session, for logs
+ * @param {object} session
+ * @returns {string} - e.g. "7xKXtg2C... (owner)" or "password (owner)"
+ */
+function describeActor(session) {
+    const subject = session.sub === PASSWORD_SUBJECT ? session.sub : `${session.sub.substring(0, 8)}...`;
+    return `${subject} (${session.role})`;
+}
+
+async function assertNotThrottled(ipAddress) {
+    const failures = await db.countLoginFailures(ipAddress, LOGIN_FAILURE_WINDOW);
+    if (failures.count >= MAX_LOGIN_FAILURES) {
+        const retryAfter = Math.max(1, Math.ceil((failures.oldest + LOGIN_FAILURE_WINDOW - Date.now()) / 1000));
+        throw new AdminAuthError(429, 'Too many failed login attempts, try again later', { retryAfter });
+    }
+}
+
+async function rejectLogin(ipAddress, status, message) {
+    await db.recordLoginFailure(ipAddress);
+    console.log(`⚠️  Failed admin login from ${ipAddress}: ${message}`);
+    throw new AdminAuthError(status, message);
+}
+
+async function issueSession(subject, role, ipAddress) {
+    await db.clearLoginFailures(ipAddress);
+
+    const { token, session } = createToken(subject, role);
+    console.log(`🔐 Admin ${describeActor(session)} logged in from ${ipAddress}`);
+    return { token, expiresAt: session.exp, role, subject };
+}
+
+/**
+ * Log in with the admin password (owner role)
+ * @param {string} password
+ * @param {string} ipAddress
+ * @returns {Promise<{token: string, expiresAt: number, role: string, subject: string}>}
+ * @throws {AdminAuthError} - 503 not configured, 429 throttled, 401 wrong password
+ */
+async function login(password, ipAddress) {
+    assertConfigured();
+    if (!process.env.ADMIN_PASSWORD) {
+        throw new AdminAuthError(503, 'Password login is disabled, sign in with an admin wallet');
+    }
+
+    await assertNotThrottled(ipAddress);
+
+    if (typeof password !== 'string' || !safeEqual(process.env.ADMIN_PASSWORD, password)) {
+        await rejectLogin(ipAddress, 401, 'Invalid password');
+    }
+
+    return issueSession(PASSWORD_SUBJECT, 'owner', ipAddress);
+}
+
+/**
+ * Log in by signing the admin Sign-In With Solana message with an admin wallet
+ * @param {object} params
+ * @param {string} params.walletAddress
+ * @param {string} params.signature - Base58 signature of message
+ * @param {string} params.message - Signed SIWS message (from /nonce?purpose=admin)
+ * @param {string} params.nonce
+ * @param {string} params.domain - Expected SIWS domain
+ * @param {string} ipAddress
+ * @returns {Promise<{token: string, expiresAt: number, role: string, subject: string}>}
+ * @throws {AdminAuthError} - 503 not configured, 429 throttled, 400 bad message, 401 bad signature, 403 not an admin
+ */
+async function walletLogin({ walletAddress, signature, message, nonce, domain }, ipAddress) {
+    assertConfigured();
+    await assertNotThrottled(ipAddress);
+
+    if (!walletAddress || !signature || !message || !nonce) {
+        throw new AdminAuthError(400, 'Missing required fields');
+    }
+
+    if (!(await nonceStore.consume(nonce))) {
+        throw new AdminAuthError(400, 'Invalid or expired nonce. Please request a new one.');
+    }
+
+    const messageCheck = siws.validateSignInMessage(message, {
+        domain,
+        address: walletAddress,
+        nonce,
+        statement: siws.ADMIN_STATEMENT
+    });
+    if (!messageCheck.valid) {
+        await rejectLogin(ipAddress, 400, messageCheck.error);
+    }
+
+    if (!solana.verifySignature(message, signature, walletAddress)) {
+        await rejectLogin(ipAddress, 401, 'Invalid signature');
+    }
+
+    const role = getAdminWallets().get(walletAddress);
+    if (!role) {
+        await rejectLogin(ipAddress, 403, 'This wallet is not an admin');
+    }
+
+    return issueSession(walletAddress, role, ipAddress);
+}
+
+/**
+ * Session of a request, from its Authorization header
+ * Wallet sessions take the wallet's current role from ADMIN_WALLETS, so
+ * removing a wallet from the list ends its sessions
+ * @param {object} req
+ * @returns {Promise<object|null>} - Session payload, null if missing, invalid, expired or revoked
+ */
+async function authenticate(req) {
+    const session = decodeToken(getBearerToken(req));
+    if (!session) {
+        return null;
+    }
+
+    if (session.sub === PASSWORD_SUBJECT) {
+        if (!process.env.ADMIN_PASSWORD) {
+            return null;
+        }
+    } else {
+        const role = getAdminWallets().get(session.sub);
+        if (!role) {
+            return null;
+        }
+        session.role = role;
+    }
+
+    if (await db.isSessionRevoked(session.sid)) {
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Revoke a session (logout)
+ * @param {object} session - Session payload from authenticate()
+ */
+async function logout(session) {
+    await db.revokeSession(session.sid, session.exp);
+    console.log(`🔒 Admin ${describeActor(session)} logged out`);
+}
+
+/**
+ * Send the response for a failed login or authentication
+ * @param {object} res
+ * @param {Error} error
+ */
+function sendAuthError(res, error) {
+    if (error instanceof AdminAuthError) {
+        if (error.details.retryAfter) {
+            res.setHeader('Retry-After', String(error.details.retryAfter));
+        }
+        return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+
+    console.error('❌ Admin auth error:', error);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+}
+
+/**
+ * Authenticate a Vercel function request, responding 401/403 when it fails
+ * @param {object} req
+ * @param {object} res
+ * @param {string} [minRole='viewer'] - Lowest role allowed
+ * @returns {Promise<object|null>} - Session, or null once the error response has been sent
+ */
+async function requireSession(req, res, minRole = 'viewer') {
+    try {
+        assertConfigured();
+        const session = await authenticate(req);
+        if (!session) {
+            throw new AdminAuthError(401, 'Unauthorized');
+        }
+        if (!hasRole(session.role, minRole)) {
+            throw new AdminAuthError(403, `This action requires the ${minRole} role`);
+        }
+        return session;
+    } catch (error) {
+        sendAuthError(res, error);
+        return null;
+    }
+}
+
+/**
+ * Express middleware for admin routes, sets req.adminSession
+ * @param {string} [minRole='viewer'] - Lowest role allowed
+ * @returns {Function}
+ */
+function requireAdmin(minRole = 'viewer') {
+    return async (req, res, next) => {
+        const session = await requireSession(req, res, minRole);
+        if (session) {
+            req.adminSession = session;
+            next();
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    AdminAuthError,
+    getAdminWallets,
+    hasRole,
+    safeEqual,
+    getClientIp,
+    describeActor,
+    login,
+    walletLogin,
+    authenticate,
+    logout,
+    sendAuthError,
+    requireSession,
+    requireAdmin
+};
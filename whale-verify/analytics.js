@@ -0,0 +1,204 @@
+// Verification analytics for the admin charts
+// Every /verify attempt is recorded as verified, rejected (the request or the
+// wallet didn't qualify) or failed (our side: RPC outage, database error),
+// with the reason. Invites are counted in the bucket they were issued in, so
+// the conversion rate of a day is the share of that day's invites that were
+// joined; invites deleted by the cleanup after expiring unused are kept in
+// expired_invites and still count.
+//
+// Query parameters of the time series:
+//   bucket       - hour, day (default) or week (weeks start on Monday, all buckets in UTC)
+//   since, until - range (ISO dates, until exclusive), default the last 48 hours / 30 days / 26 weeks
+const db = require('./db');
+
+const BASE58_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+const OUTCOMES = {
+    VERIFIED: 'verified',
+    REJECTED: 'rejected',
+    FAILED: 'failed'
+};
+
+const REASONS = {
+    INVALID_REQUEST: 'invalid_request',
+    INVALID_NONCE: 'invalid_nonce',
+    INVALID_MESSAGE: 'invalid_message',
+    RETIRED_WALLET: 'retired_wallet',
+    LINKED_WALLET: 'linked_wallet',
+    ALREADY_VERIFIED: 'already_verified',
+    INVALID_SIGNATURE: 'invalid_signature',
+    WALLET_LINK_FAILED: 'wallet_link_failed',
+    INSUFFICIENT_BALANCE: 'insufficient_balance',
+    HOLDING_PERIOD: 'holding_period',
+    SYBIL_BLOCKED: 'sybil_blocked',
+    RPC_UNAVAILABLE: 'rpc_unavailable',
+    HOLDING_CHECK_FAILED: 'holding_check_failed',
+    SYBIL_CHECK_FAILED: 'sybil_check_failed',
+    SAVE_FAILED: 'save_failed',
+    ERROR: 'error'
+};
+
+// Reasons that are our fault rather than the wallet's
+const FAILURE_REASONS = new Set([
+    REASONS.RPC_UNAVAILABLE,
+    REASONS.HOLDING_CHECK_FAILED,
+    REASONS.SYBIL_CHECK_FAILED,
+    REASONS.SAVE_FAILED,
+    REASONS.ERROR
+]);
+
+const BUCKETS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+};
+const DEFAULT_BUCKET_COUNT = { hour: 48, day: 30, week: 26 };
+const MAX_BUCKETS = 400;
+// 1970-01-05 was a Monday
+const WEEK_ORIGIN = Date.UTC(1970, 0, 5);
+
+/**
+ * Record the outcome of a verification attempt
+ * Never throws: like the audit log, analytics must not block a verification
+ * @param {string|null} walletAddress - As sent by the client, stored only if it looks like a wallet address
+ * @param {string|null} [reason] - One of REASONS, null for a verified wallet
+ */
+async function recordAttempt(walletAddress, reason = null) {
+    let outcome = OUTCOMES.VERIFIED;
+    if (reason) {
+        outcome = FAILURE_REASONS.has(reason) ? OUTCOMES.FAILED : OUTCOMES.REJECTED;
+    }
+
+    try {
+        await db.recordVerificationAttempt({
+            walletAddress: typeof walletAddress === 'string' && BASE58_ADDRESS.test(walletAddress) ? walletAddress : null,
+            outcome,
+            reason
+        });
+    } catch (error) {
+        console.error(`❌ Failed to record verification attempt (${reason || outcome}):`, error.message);
+    }
+}
+
+function parseDate(value, name) {
+    if (!value) return { value: null };
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? { error: `Invalid ${name} date` } : { value: time };
+}
+
+// Start of the bucket a time falls in
+function bucketStart(time, bucketSize) {
+    const origin = bucketSize === BUCKETS.week ? WEEK_ORIGIN : 0;
+    return time - ((((time - origin) % bucketSize) + bucketSize) % bucketSize);
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function emptyPoint() {
+    return { attempts: 0, verified: 0, rejected: 0, failed: 0, reasons: {}, invites: 0, joined: 0, expired: 0 };
+}
+
+function addPoint(target, point) {
+    for (const key of ['attempts', 'verified', 'rejected', 'failed', 'invites', 'joined', 'expired']) {
+        target[key] += point[key];
+    }
+    for (const [reason, count] of Object.entries(point.reasons)) {
+        target.reasons[reason] = (target.reasons[reason] || 0) + count;
+    }
+}
+
+// Share of the invites that were joined, and the median seconds from verification to join
+function withRates(point, joinDelays) {
+    const medianDelay = median(joinDelays);
+    return {
+        ...point,
+        conversion_rate: point.invites > 0 ? Math.round((point.joined / point.invites) * 10000) / 10000 : null,
+        median_join_seconds: medianDelay === null ? null : Math.round(medianDelay)
+    };
+}
+
+/**
+ * Bucketed verification analytics for the admin endpoint
+ * @param {object} query - Request query (see top of file)
+ * @returns {Promise<object>} - Response body, { success: false, error } for invalid parameters
+ */
+async function timeseries(query = {}) {
+    const bucket = query.bucket || 'day';
+    const bucketSize = BUCKETS[bucket];
+    if (!bucketSize) {
+        return { success: false, error: `bucket must be one of: ${Object.keys(BUCKETS).join(', ')}` };
+    }
+
+    const since = parseDate(query.since, 'since');
+    const until = parseDate(query.until, 'until');
+    if (since.error || until.error) {
+        return { success: false, error: since.error || until.error };
+    }
+
+    // Whole buckets, the last one holding the end of the range
+    const end = bucketStart((until.value || Date.now()) - 1, bucketSize) + bucketSize;
+    const start = bucketStart(since.value || end - DEFAULT_BUCKET_COUNT[bucket] * bucketSize, bucketSize);
+    if (start >= end) {
+        return { success: false, error: 'since must be before until' };
+    }
+    const bucketCount = (end - start) / bucketSize;
+    if (bucketCount > MAX_BUCKETS) {
+        return { success: false, error: `Range too long, at most ${MAX_BUCKETS} ${bucket} buckets` };
+    }
+
+    const [attempts, invites, joins] = await Promise.all([
+        db.countVerificationAttempts(start, end, bucketSize),
+        db.countInvites(start, end, bucketSize),
+        db.listJoinDelays(start, end)
+    ]);
+
+    const points = Array.from({ length: bucketCount }, emptyPoint);
+    const joinDelays = points.map(() => []);
+
+    for (const { bucket: index, outcome, reason, count } of attempts) {
+        const point = points[index];
+        if (!point) continue;
+        point.attempts += count;
+        point[outcome] = (point[outcome] || 0) + count;
+        if (reason) {
+            point.reasons[reason] = (point.reasons[reason] || 0) + count;
+        }
+    }
+
+    for (const { bucket: index, issued, joined, expired } of invites) {
+        if (!points[index]) continue;
+        Object.assign(points[index], { invites: issued, joined, expired });
+    }
+
+    for (const { created_at: createdAt, joined_at: joinedAt } of joins) {
+        const delays = joinDelays[Math.floor((createdAt - start) / bucketSize)];
+        if (delays) delays.push((joinedAt - createdAt) / 1000);
+    }
+
+    const totals = emptyPoint();
+    points.forEach(point => addPoint(totals, point));
+
+    return {
+        success: true,
+        bucket,
+        since: new Date(start).toISOString(),
+        until: new Date(end).toISOString(),
+        totals: withRates(totals, joinDelays.flat()),
+        series: points.map((point, i) => ({
+            start: new Date(start + i * bucketSize).toISOString(),
+            ...withRates(point, joinDelays[i])
+        }))
+    };
+}
+
+module.exports = {
+    OUTCOMES,
+    REASONS,
+    recordAttempt,
+    timeseries
+};
@@ -0,0 +1,143 @@
+// Audit log of admin and system actions on verifications
+// Every mutating operation appends an entry with who did it (actor), what
+// (action), the wallet / Telegram user / chat it touched, before and after
+// values and the caller's IP. Entries are never updated or deleted.
+//
+// Actors:
+//   admin:<wallet>|admin:password - admin panel session
+//   wallet:<address>              - wallet verifying itself
+//   telegram:<user id>            - member using the bot
+//   system:bot, system:sweep      - bot updates and holder sweeps
+//   system:scheduler              - other scheduled jobs
+const db = require('./db');
+
+const ACTIONS = {
+    VERIFICATION_CREATE: 'verification.create',
+    MEMBER_LINK: 'member.link',
+    MEMBER_REMOVE: 'member.remove',
+    WALLET_DELETE: 'wallet.delete',
+    WALLET_UNLINK: 'wallet.unlink',
+    WALLET_MIGRATE: 'wallet.migrate',
+    WALLET_LINK: 'wallet.link',
+    INVITES_CLEANUP: 'invites.cleanup',
+    JOIN_FLAG: 'join.flag',
+    JOIN_RESOLVE: 'join.resolve',
+    JOIN_CODE_CLAIM: 'join_code.claim',
+    SYBIL_FLAG: 'sybil.flag',
+    SYBIL_RESOLVE: 'sybil.resolve',
+    INVITE_REVOKE: 'invite.revoke',
+    INVITE_REISSUE: 'invite.reissue'
+};
+
+const SYSTEM_BOT = 'system:bot';
+const SYSTEM_SWEEP = 'system:sweep';
+const SYSTEM_SCHEDULER = 'system:scheduler';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function adminActor(session) {
+    return `admin:${session.sub}`;
+}
+
+function walletActor(walletAddress) {
+    return `wallet:${walletAddress}`;
+}
+
+function telegramActor(telegramUserId) {
+    return `telegram:${telegramUserId}`;
+}
+
+/**
+ * Telegram fields of a verification row, for before/after values
+ * @param {object} row - Verification row
+ * @returns {object}
+ */
+function memberState(row) {
+    return {
+        tier: row.tier,
+        chat_id: row.chat_id,
+        telegram_user_id: row.telegram_user_id || null,
+        telegram_username: row.telegram_username || null,
+        joined_at: row.joined_at ? new Date(row.joined_at).toISOString() : null,
+        removed_at: row.removed_at ? new Date(row.removed_at).toISOString() : null
+    };
+}
+
+/**
+ * Append an audit log entry
+ * Never throws: a failed audit write is logged but doesn't undo or block the
+ * action, which has already happened
+ * @param {object} entry - See db.appendAuditLog
+ */
+async function record(entry) {
+    try {
+        await db.appendAuditLog(entry);
+    } catch (error) {
+        console.error(`❌ Failed to write audit log entry ${entry.action} by ${entry.actor}:`, error.message);
+    }
+}
+
+function parseDate(value, name) {
+    if (!value) return { value: null };
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? { error: `Invalid ${name} date` } : { value: time };
+}
+
+/**
+ * Page of audit log entries for the admin endpoint
+ * @param {object} query - page, limit, action, actor, wallet, telegram_user_id, since, until (ISO dates)
+ * @returns {Promise<object>} - Response body, { success: false, error } for invalid parameters
+ */
+async function list(query = {}) {
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+    const since = parseDate(query.since, 'since');
+    const until = parseDate(query.until, 'until');
+    if (since.error || until.error) {
+        return { success: false, error: since.error || until.error };
+    }
+
+    const { total, entries } = await db.listAuditLog({
+        action: query.action,
+        actor: query.actor,
+        walletAddress: query.wallet,
+        telegramUserId: query.telegram_user_id,
+        since: since.value,
+        until: until.value
+    }, { limit, offset: (page - 1) * limit });
+
+    return {
+        success: true,
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        entries: entries.map(entry => ({
+            id: entry.id,
+            created_at: new Date(entry.created_at).toISOString(),
+            actor: entry.actor,
+            action: entry.action,
+            wallet: entry.wallet_address,
+            telegram_user_id: entry.telegram_user_id,
+            chat_id: entry.chat_id,
+            before: entry.before,
+            after: entry.after,
+            ip_address: entry.ip_address
+        }))
+    };
+}
+
+module.exports = {
+    ACTIONS,
+    SYSTEM_BOT,
+    SYSTEM_SWEEP,
+    SYSTEM_SCHEDULER,
+    adminActor,
+    walletActor,
+    telegramActor,
+    memberState,
+    record,
+    list
+};
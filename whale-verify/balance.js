@@ -0,0 +1,130 @@
+// Token balance resolver shared by the Express and Vercel verify paths
+// Sums every token account the wallet owns for the mint, under either
+// SPL Token or Token-2022, using the decimals stored on the mint itself
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
+
+const TOKEN_PROGRAMS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+// Mint info never changes for our purposes, cache it per mint
+const mintCache = new Map();
+
+/**
+ * Get decimals and owning token program of a mint
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string} mintAddress - Mint public key (base58)
+ * @returns {Promise<{decimals: number, programId: PublicKey}>}
+ */
+async function getMintInfo(connection, mintAddress) {
+    if (mintCache.has(mintAddress)) {
+        return mintCache.get(mintAddress);
+    }
+
+    const accountInfo = await connection.getParsedAccountInfo(new PublicKey(mintAddress));
+    const account = accountInfo.value;
+
+    if (!account) {
+        throw new Error(`Mint account ${mintAddress} not found`);
+    }
+
+    const programId = TOKEN_PROGRAMS.find(program => program.equals(account.owner));
+    if (!programId || !account.data || !account.data.parsed || account.data.parsed.type !== 'mint') {
+        throw new Error(`Account ${mintAddress} is not a token mint`);
+    }
+
+    const mintInfo = {
+        decimals: account.data.parsed.info.decimals,
+        programId
+    };
+    mintCache.set(mintAddress, mintInfo);
+    return mintInfo;
+}
+
+/**
+ * Resolve total token balance of a wallet for a mint across all its token accounts
+ * @param {Connection} connection - Solana RPC connection
+ * @param {string} walletAddress - Wallet public key (base58)
+ * @param {string} mintAddress - Mint public key (base58)
+ * @returns {Promise<{balance: number, amount: bigint, decimals: number, slot: number, accounts: Array}>} - slot the balance was read at
+ */
+async function resolveTokenBalance(connection, walletAddress, mintAddress) {
+    const owner = new PublicKey(walletAddress);
+    const mint = new PublicKey(mintAddress);
+
+    const { decimals } = await getMintInfo(connection, mintAddress);
+
+    // A mint lives under exactly one token program, but query both so accounts
+    // are found regardless of which program the mint was created with
+    const responses = await Promise.all(TOKEN_PROGRAMS.map(programId =>
+        connection.getParsedTokenAccountsByOwner(owner, { programId })
+    ));
+
+    const accounts = [];
+    let amount = 0n;
+
+    responses.forEach((response, index) => {
+        for (const { pubkey, account } of response.value) {
+            const info = account.data.parsed.info;
+            if (info.mint !== mint.toBase58()) continue;
+
+            const accountAmount = BigInt(info.tokenAmount.amount);
+            amount += accountAmount;
+            accounts.push({
+                address: pubkey.toBase58(),
+                program: TOKEN_PROGRAMS[index].toBase58(),
+                amount: accountAmount
+            });
+        }
+    });
+
+    return {
+        balance: toUiAmount(amount, decimals),
+        amount,
+        decimals,
+        slot: Math.max(...responses.map(response => response.context.slot)),
+        accounts
+    };
+}
+
+/**
+ * Convert raw token amount to UI amount
+ * @param {bigint} amount - Amount in smallest units
+ * @param {number} decimals - Mint decimals
+ * @returns {number}
+ */
+function toUiAmount(amount, decimals) {
+    const divisor = 10n ** BigInt(decimals);
+    return Number(amount / divisor) + Number(amount % divisor) / Number(divisor);
+}
+
+/**
+ * Change of a mint's balance per owner in a parsed transaction
+ * @param {object} transaction - From connection.getParsedTransaction(s)
+ * @param {string} mintAddress - Mint public key (base58)
+ * @returns {Map<string, {amount: bigint, decimals: number}>} - Keyed by owner wallet, amount in smallest units
+ */
+function getTokenDeltas(transaction, mintAddress) {
+    const deltas = new Map();
+    const meta = transaction && transaction.meta;
+    if (!meta) return deltas;
+
+    const add = (balances, sign) => {
+        for (const entry of balances || []) {
+            if (entry.mint !== mintAddress || !entry.owner) continue;
+            const current = deltas.get(entry.owner) || { amount: 0n, decimals: entry.uiTokenAmount.decimals };
+            current.amount += sign * BigInt(entry.uiTokenAmount.amount);
+            deltas.set(entry.owner, current);
+        }
+    };
+    add(meta.postTokenBalances, 1n);
+    add(meta.preTokenBalances, -1n);
+
+    return deltas;
+}
+
+module.exports = {
+    resolveTokenBalance,
+    getTokenDeltas,
+    getMintInfo,
+    toUiAmount
+};
@@ -0,0 +1,324 @@
+// Private-chat commands for members
+//   /start, /help - what the bot does and which commands exist
+//   /status       - linked wallets, current balance and tier standing
+//   /mywallet     - linked wallet addresses
+//   /unlink       - release the wallet (asks for confirmation first)
+//   /verify       - link to the verification page
+//   /migrate CODE - confirm moving the membership to a new wallet (also /start migrate_CODE)
+const audit = require('./audit');
+const db = require('./db');
+const inviteLifecycle = require('./invite-lifecycle');
+const memberWallets = require('./member-wallets');
+const solana = require('./solana');
+const telegram = require('./telegram');
+const tiers = require('./tiers');
+const walletMigration = require('./wallet-migration');
+
+const DEFAULT_VERIFY_URL = 'https://corecoresolana.vercel.app/#whale';
+
+const UNLINK_CONFIRM = 'unlink:confirm';
+const UNLINK_CANCEL = 'unlink:cancel';
+const MIGRATE_CONFIRM = 'migrate:confirm:';
+const MIGRATE_CANCEL = 'migrate:cancel:';
+const MIGRATE_START_PREFIX = 'migrate_';
+
+const HELP_TEXT = [
+    '🐋 CORE Whale Club bot',
+    '',
+    '/status - your linked wallets, balance and tiers',
+    '/mywallet - show your linked wallets',
+    '/unlink - release your wallet',
+    '/verify - verify a wallet to join',
+    '/migrate CODE - move your membership to a new wallet'
+].join('\n');
+
+/**
+ * Verification page URL (WHALE_VERIFY_URL, or the SIWS domain)
+ * @returns {string}
+ */
+function getVerifyUrl() {
+    if (process.env.WHALE_VERIFY_URL) {
+        return process.env.WHALE_VERIFY_URL;
+    }
+    return process.env.SIWS_DOMAIN ? `https://${process.env.SIWS_DOMAIN}/#whale` : DEFAULT_VERIFY_URL;
+}
+
+function shortWallet(walletAddress) {
+    return `${walletAddress.substring(0, 4)}...${walletAddress.substring(walletAddress.length - 4)}`;
+}
+
+// Reply when the user has no wallet linked
+async function replyNotLinked(chatId) {
+    return telegram.sendMessage(chatId,
+        'No wallet is linked to your Telegram account yet. Use /verify to verify one.');
+}
+
+async function start(message, args) {
+    // Deep link from the migration page: /start migrate_CODE
+    if (args.startsWith(MIGRATE_START_PREFIX)) {
+        return migrate(message, args.substring(MIGRATE_START_PREFIX.length));
+    }
+    return telegram.sendMessage(message.chat.id, HELP_TEXT);
+}
+
+async function myWallet(message) {
+    const verification = await db.getWalletByTelegramId(message.from.id);
+    if (!verification) {
+        return replyNotLinked(message.chat.id);
+    }
+
+    const wallets = await memberWallets.getMemberWallets(verification.wallet_address);
+    if (wallets.length === 1) {
+        return telegram.sendMessage(message.chat.id, `👛 Your linked wallet:\n${wallets[0]}`);
+    }
+
+    return telegram.sendMessage(message.chat.id,
+        `👛 Your linked wallets:\n${wallets.map((wallet, index) => `${wallet}${index === 0 ? ' (primary)' : ''}`).join('\n')}`);
+}
+
+async function status(message) {
+    const verification = await db.getWalletByTelegramId(message.from.id);
+    if (!verification) {
+        return replyNotLinked(message.chat.id);
+    }
+
+    const walletAddress = verification.wallet_address;
+    const rows = await db.getByWallet(walletAddress);
+    const wallets = await memberWallets.getMemberWallets(walletAddress);
+
+    // Tiers go by the combined balance of all linked wallets
+    let whaleStatus;
+    try {
+        whaleStatus = await solana.checkWhaleStatus(wallets);
+    } catch (error) {
+        return telegram.sendMessage(message.chat.id,
+            `👛 Wallet: ${shortWallet(walletAddress)}\n\n⚠️ Could not fetch your balance right now, please try again in a minute.`);
+    }
+    await db.updateWalletBalances(whaleStatus.wallets);
+    const { balance } = whaleStatus;
+
+    const lines = wallets.length === 1
+        ? [`👛 Wallet: ${shortWallet(walletAddress)}`]
+        : ['👛 Wallets:', ...whaleStatus.wallets.map(wallet => `   ${shortWallet(wallet.walletAddress)}: ${wallet.balance.toLocaleString()} CORE`)];
+    lines.push(`💰 Balance: ${balance.toLocaleString()} CORE`, '');
+
+    for (const tier of tiers.getTiers()) {
+        const row = rows.find(r => r.chat_id === tier.chatId);
+        const qualifies = balance >= tier.minTokens;
+        let membership = 'not joined';
+        if (row && row.removed_at) {
+            membership = 'removed';
+        } else if (row && row.telegram_user_id) {
+            membership = 'member';
+        }
+
+        lines.push(`${qualifies ? '✅' : '❌'} ${tier.name} (${tier.minTokens.toLocaleString()} CORE) - ${membership}`);
+    }
+
+    const minimum = tiers.getMinimumTokens();
+    if (balance < minimum) {
+        lines.push('', `You need at least ${minimum.toLocaleString()} CORE to stay in the club.`);
+    }
+
+    return telegram.sendMessage(message.chat.id, lines.join('\n'));
+}
+
+async function verify(message) {
+    return telegram.sendMessage(message.chat.id, 'Verify your wallet on the CORE website to get your invite:', {
+        reply_markup: {
+            inline_keyboard: [[{ text: '🔐 Verify wallet', url: getVerifyUrl() }]]
+        }
+    });
+}
+
+async function unlink(message) {
+    const verification = await db.getWalletByTelegramId(message.from.id);
+    if (!verification) {
+        return replyNotLinked(message.chat.id);
+    }
+
+    return telegram.sendMessage(message.chat.id,
+        `Unlink wallet ${shortWallet(verification.wallet_address)}?\n\n` +
+        'You will be removed from the Whale Club chats, and the wallet can be verified again afterwards.', {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: 'Yes, unlink', callback_data: UNLINK_CONFIRM },
+                    { text: 'Cancel', callback_data: UNLINK_CANCEL }
+                ]]
+            }
+        });
+}
+
+async function migrate(message, args) {
+    const code = args.trim().toUpperCase();
+    if (!code) {
+        return telegram.sendMessage(message.chat.id,
+            'To move your membership to a new wallet, sign with the new wallet on the verification page, ' +
+            'then send the code you get here: /migrate CODE');
+    }
+
+    const verification = await db.getWalletByTelegramId(message.from.id);
+    if (!verification) {
+        return replyNotLinked(message.chat.id);
+    }
+
+    const migration = await walletMigration.getPendingMigration(code);
+    if (!migration) {
+        return telegram.sendMessage(message.chat.id,
+            '⚠️ This migration code is invalid or expired. Sign with your new wallet again to get a new one.');
+    }
+
+    return telegram.sendMessage(message.chat.id,
+        `Move your Whale Club membership from ${shortWallet(verification.wallet_address)} to ${shortWallet(migration.new_wallet)}?\n\n` +
+        'You stay in your chats. The old wallet is retired and can\'t be verified again.', {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: 'Yes, move it', callback_data: MIGRATE_CONFIRM + code },
+                    { text: 'Cancel', callback_data: MIGRATE_CANCEL + code }
+                ]]
+            }
+        });
+}
+
+/**
+ * Release the wallet linked to a Telegram user
+ * Removes the user from every tier chat they joined with it, so the holder
+ * sweep can't be dodged by unlinking, then deletes the wallet's verifications
+ * @param {string|number} telegramUserId
+ * @returns {Promise<string|null>} - Released wallet, null if none was linked
+ */
+async function releaseWallet(telegramUserId) {
+    const verification = await db.getWalletByTelegramId(telegramUserId);
+    if (!verification) {
+        return null;
+    }
+
+    const walletAddress = verification.wallet_address;
+    const rows = await db.getByWallet(walletAddress);
+
+    for (const row of rows) {
+        if (row.telegram_user_id === String(telegramUserId) && !row.removed_at) {
+            await telegram.removeChatMember(telegramUserId, row.chat_id);
+        }
+    }
+
+    await db.deleteWallet(walletAddress);
+    await inviteLifecycle.revokeLinks(rows);
+    await audit.record({
+        actor: audit.telegramActor(telegramUserId),
+        action: audit.ACTIONS.WALLET_UNLINK,
+        walletAddress,
+        telegramUserId,
+        before: rows.map(audit.memberState),
+        after: null
+    });
+    console.log(`🔓 Wallet ${walletAddress.substring(0, 8)}... unlinked by Telegram user ${telegramUserId}`);
+
+    return walletAddress;
+}
+
+// Migration confirmation buttons, data is "migrate:confirm:CODE" or "migrate:cancel:CODE"
+async function handleMigrationCallback(callbackQuery) {
+    const { data, message, from } = callbackQuery;
+
+    await telegram.answerCallbackQuery(callbackQuery.id);
+
+    if (data.startsWith(MIGRATE_CANCEL)) {
+        await telegram.editMessageText(message.chat.id, message.message_id, 'Migration cancelled, your wallet stays linked.');
+        return { status: 'migrate_cancelled' };
+    }
+
+    let result;
+    try {
+        result = await walletMigration.confirmTelegramMigration(data.substring(MIGRATE_CONFIRM.length), from.id);
+    } catch (error) {
+        if (!(error instanceof walletMigration.WalletMigrationError)) {
+            console.error(`❌ Failed to migrate wallet of Telegram user ${from.id}:`, error.message);
+        }
+        const reason = error instanceof walletMigration.WalletMigrationError
+            ? (error.details.message || error.message)
+            : 'Could not move your membership right now, please try again later.';
+        await telegram.editMessageText(message.chat.id, message.message_id, `⚠️ ${reason}`);
+        return { status: 'migrate_failed' };
+    }
+
+    await telegram.editMessageText(message.chat.id, message.message_id,
+        `🔁 Membership moved to ${shortWallet(result.newWallet)}. ` +
+        `Wallet ${shortWallet(result.oldWallet)} is retired.`);
+    return { status: 'migrated' };
+}
+
+/**
+ * Handle an inline button press (unlink and migration confirmations)
+ * @param {object} callbackQuery - Telegram CallbackQuery
+ * @returns {Promise<{status: string}>}
+ */
+async function handleCallbackQuery(callbackQuery) {
+    const { data, message, from } = callbackQuery;
+
+    if (typeof data === 'string' && (data.startsWith(MIGRATE_CONFIRM) || data.startsWith(MIGRATE_CANCEL))) {
+        return handleMigrationCallback(callbackQuery);
+    }
+
+    if (data !== UNLINK_CONFIRM && data !== UNLINK_CANCEL) {
+        return { status: 'ignored' };
+    }
+
+    await telegram.answerCallbackQuery(callbackQuery.id);
+
+    if (data === UNLINK_CANCEL) {
+        await telegram.editMessageText(message.chat.id, message.message_id, 'Unlink cancelled, your wallet stays linked.');
+        return { status: 'unlink_cancelled' };
+    }
+
+    let walletAddress;
+    try {
+        walletAddress = await releaseWallet(from.id);
+    } catch (error) {
+        console.error(`❌ Failed to unlink wallet of Telegram user ${from.id}:`, error.message);
+        await telegram.editMessageText(message.chat.id, message.message_id,
+            '⚠️ Could not unlink your wallet right now, please try again later.');
+        return { status: 'unlink_failed' };
+    }
+
+    await telegram.editMessageText(message.chat.id, message.message_id, walletAddress
+        ? `🔓 Wallet ${shortWallet(walletAddress)} unlinked. Use /verify to link a wallet again.`
+        : 'No wallet is linked to your Telegram account.');
+
+    return { status: walletAddress ? 'unlinked' : 'ignored' };
+}
+
+const COMMANDS = {
+    start,
+    help: start,
+    status,
+    mywallet: myWallet,
+    unlink,
+    verify,
+    migrate
+};
+
+/**
+ * Handle a command sent in a private chat
+ * @param {object} message - Telegram Message
+ * @returns {Promise<{status: string, command?: string}>}
+ */
+async function handleCommand(message) {
+    // "/status" or "/status@CoreWhaleBot", followed by optional arguments
+    const match = /^\/([a-z]+)(?:@\w+)?(?:\s+(.*))?$/is.exec((message.text || '').trim());
+    const command = match && match[1].toLowerCase();
+
+    if (!command || !COMMANDS[command]) {
+        return { status: 'ignored' };
+    }
+
+    await COMMANDS[command](message, (match[2] || '').trim());
+    return { status: 'command', command };
+}
+
+module.exports = {
+    getVerifyUrl,
+    releaseWallet,
+    handleCommand,
+    handleCallbackQuery
+};
@@ -0,0 +1,42 @@
+// Dispatch Telegram updates to their handlers
+// Used by both the polling group monitor and the Vercel webhook, so the bot
+// behaves the same whichever way it receives updates: member joins, join
+// requests, join codes and commands in private chats, and inline buttons.
+const memberLinker = require('./member-linker');
+const joinRequests = require('./join-requests');
+const botCommands = require('./bot-commands');
+
+// Update types the bot needs (getUpdates / setWebhook allowed_updates)
+const ALLOWED_UPDATES = ['chat_member', 'chat_join_request', 'message', 'callback_query'];
+
+/**
+ * Handle one Telegram update
+ * @param {object} update - Telegram Update
+ * @returns {Promise<{status: string}>} - Handler result ('ignored' if nothing handled it)
+ */
+async function handleUpdate(update) {
+    if (update.chat_member) {
+        return memberLinker.handleChatMemberUpdate(update.chat_member);
+    }
+
+    if (update.chat_join_request) {
+        return joinRequests.handleJoinRequest(update.chat_join_request);
+    }
+
+    if (update.message && update.message.chat.type === 'private') {
+        // Join codes first, "/start CODE" is how the bot deep link delivers them
+        const result = await joinRequests.handlePrivateMessage(update.message);
+        return result.status === 'ignored' ? botCommands.handleCommand(update.message) : result;
+    }
+
+    if (update.callback_query) {
+        return botCommands.handleCallbackQuery(update.callback_query);
+    }
+
+    return { status: 'ignored' };
+}
+
+module.exports = {
+    ALLOWED_UPDATES,
+    handleUpdate
+};
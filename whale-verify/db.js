@@ -1,129 +1,142 @@
-// Database module for Whale Verification
-const Database = require('better-sqlite3');
-const path = require('path');
-
-const dbPath = path.join(__dirname, 'whale-verify.db');
-const db = new Database(dbPath);
-
-// Initialize database schema
-function initializeDatabase() {
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS verifications (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            wallet_address TEXT UNIQUE NOT NULL,
-            invite_link TEXT NOT NULL,
-            created_at INTEGER NOT NULL,
-            expires_at INTEGER NOT NULL,
-            used BOOLEAN DEFAULT 0,
-            ip_address TEXT,
-            user_agent TEXT,
-            telegram_user_id TEXT,
-            telegram_username TEXT,
-            telegram_first_name TEXT,
-            joined_at INTEGER
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_wallet ON verifications(wallet_address);
-        CREATE INDEX IF NOT EXISTS idx_expires ON verifications(expires_at);
-        CREATE INDEX IF NOT EXISTS idx_telegram_user ON verifications(telegram_user_id);
-    `);
-    
-    console.log('✅ Database initialized successfully');
-}
-
-// Check if wallet has already received an invite
-function hasWalletBeenVerified(walletAddress) {
-    const stmt = db.prepare('SELECT id FROM verifications WHERE wallet_address = ?');
-    const result = stmt.get(walletAddress);
-    return result !== undefined;
-}
-
-// Save verification record
-function saveVerification(walletAddress, inviteLink, ipAddress, userAgent) {
-    const now = Date.now();
-    const expiresAt = now + (10 * 60 * 1000); // 10 minutes
+// Verification repository for Whale Verification
+// Every caller (Express routes, Vercel functions, group monitor, sweeps) goes
+// through these functions. The backing store is picked by WHALE_STORAGE
+// ("sqlite" or "postgres"); without it Postgres is used when POSTGRES_URL is
+// set (Vercel) and the local SQLite file otherwise.
+//
+// All functions are async. Timestamps in returned rows are epoch milliseconds.
 
-    const stmt = db.prepare(`
-        INSERT INTO verifications (wallet_address, invite_link, created_at, expires_at, ip_address, user_agent)
-        VALUES (?, ?, ?, ?, ?, ?)
-    `);
+const INVITE_EXPIRY = 10 * 60 * 1000; // 10 minutes
 
-    try {
-        const result = stmt.run(walletAddress, inviteLink, now, expiresAt, ipAddress, userAgent);
-        return {
-            success: true,
-            id: result.lastInsertRowid
-        };
-    } catch (error) {
-        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-            return {
-                success: false,
-                error: 'WALLET_ALREADY_VERIFIED'
-            };
-        }
-        throw error;
+let adapter = null;
+
+/**
+ * Get configured storage driver name
+ * @returns {'sqlite'|'postgres'}
+ */
+function getDriver() {
+    const driver = process.env.WHALE_STORAGE || (process.env.POSTGRES_URL ? 'postgres' : 'sqlite');
+    if (driver !== 'sqlite' && driver !== 'postgres') {
+        throw new Error(`Unknown WHALE_STORAGE "${driver}" (expected "sqlite" or "postgres")`);
     }
+    return driver;
 }
 
-// Get verification by wallet
-function getVerificationByWallet(walletAddress) {
-    const stmt = db.prepare('SELECT * FROM verifications WHERE wallet_address = ?');
-    return stmt.get(walletAddress);
+// Adapter is created on first use so Vercel functions never load better-sqlite3.
+// The schema must already be migrated (whale-verify/migrate.js)
+function getAdapter() {
+    if (!adapter) {
+        const driver = getDriver();
+        adapter = driver === 'postgres'
+            ? require('./storage/postgres').createPostgresStorage()
+            : require('./storage/sqlite').createSqliteStorage();
+        console.log(`🗄️  Whale verification storage: ${driver}`);
+    }
+    return adapter;
 }
 
-// Mark invite as used
-function markInviteUsed(walletAddress) {
-    const stmt = db.prepare('UPDATE verifications SET used = 1 WHERE wallet_address = ?');
-    return stmt.run(walletAddress);
+// Check if wallet has already received an invite (for a specific chat, or any chat)
+// Invites that expired unused don't count, the wallet may verify again
+async function hasWalletBeenVerified(walletAddress, chatId) {
+    return getAdapter().hasWalletBeenVerified(walletAddress, chatId, Date.now());
 }
 
-// Clean up expired invites (call periodically)
-function cleanupExpiredInvites() {
+/**
+ * Save verification record for one tier chat
+ * @param {object} verification
+ * @param {string} verification.walletAddress
+ * @param {string} verification.tier - Tier ID
+ * @param {string} verification.chatId - Tier chat ID
+ * @param {string} verification.inviteLink
+ * @param {string} [verification.joinCode] - Code the user DMs the bot (join-request mode)
+ * @param {string} [verification.ipAddress]
+ * @param {string} [verification.userAgent]
+ * @param {number} [verification.balanceSnapshot] - Member balance the invite was issued on
+ * @param {number} [verification.snapshotSlot] - Slot that balance was read at
+ * @returns {Promise<{success: boolean, id?: number, error?: string}>}
+ */
+async function saveVerification({ walletAddress, tier, chatId, inviteLink, joinCode, ipAddress, userAgent, balanceSnapshot, snapshotSlot }) {
     const now = Date.now();
-    const stmt = db.prepare('DELETE FROM verifications WHERE expires_at < ? AND used = 0');
-    const result = stmt.run(now);
-    return result.changes;
-}
-
-// Get statistics
-function getStats() {
-    const totalStmt = db.prepare('SELECT COUNT(*) as count FROM verifications');
-    const usedStmt = db.prepare('SELECT COUNT(*) as count FROM verifications WHERE used = 1');
-    const activeStmt = db.prepare('SELECT COUNT(*) as count FROM verifications WHERE used = 0 AND expires_at > ?');
-    const joinedStmt = db.prepare('SELECT COUNT(*) as count FROM verifications WHERE telegram_user_id IS NOT NULL');
-    
-    const now = Date.now();
-    
-    return {
-        total: totalStmt.get().count,
-        used: usedStmt.get().count,
-        active: activeStmt.get(now).count,
-        joined: joinedStmt.get().count
-    };
+    return getAdapter().saveVerification({
+        walletAddress,
+        tier,
+        chatId,
+        inviteLink,
+        joinCode,
+        createdAt: now,
+        expiresAt: now + INVITE_EXPIRY,
+        ipAddress,
+        userAgent,
+        balanceSnapshot,
+        snapshotSlot
+    });
+}
+
+// Get all tier verifications of a wallet (oldest first)
+async function getByWallet(walletAddress) {
+    return getAdapter().getByWallet(walletAddress);
+}
+
+// Get the verification an invite link was issued for
+async function getByInviteLink(inviteLink) {
+    return getAdapter().getByInviteLink(inviteLink);
+}
+
+// Clean up expired invites nobody joined with (call periodically), of every wallet or one
+async function cleanupExpiredInvites(walletAddress = null) {
+    return getAdapter().cleanupExpiredInvites(Date.now(), walletAddress);
+}
+
+// Invites that cleanupExpiredInvites() would delete
+async function findExpiredInvites(walletAddress = null) {
+    return getAdapter().listExpiredInvites(Date.now(), walletAddress);
+}
+
+// Let a tier invite nobody joined with expire now, as if unused
+async function expireInvite(walletAddress, chatId) {
+    return getAdapter().expireInvite(walletAddress, chatId, Date.now());
 }
 
-// Update Telegram info when user joins
-function updateTelegramInfo(walletAddress, telegramUserId, telegramUsername, telegramFirstName) {
-    const stmt = db.prepare(`
-        UPDATE verifications 
-        SET telegram_user_id = ?, 
-            telegram_username = ?, 
-            telegram_first_name = ?,
-            joined_at = ?
-        WHERE wallet_address = ?
-    `);
-    
+// Give a tier verification nobody joined with a new invite link, valid for another INVITE_EXPIRY
+async function replaceInviteLink(walletAddress, chatId, inviteLink) {
+    return getAdapter().replaceInviteLink(walletAddress, chatId, inviteLink, Date.now() + INVITE_EXPIRY);
+}
+
+// Get statistics, overall and per tier
+async function stats() {
+    const rows = await getAdapter().countByTier(Date.now());
+    const result = { total: 0, used: 0, active: 0, joined: 0, removed: 0, byTier: {} };
+
+    for (const row of rows) {
+        const tierStats = {
+            total: Number(row.total) || 0,
+            used: Number(row.used) || 0,
+            active: Number(row.active) || 0,
+            joined: Number(row.joined) || 0,
+            removed: Number(row.removed) || 0
+        };
+        result.byTier[row.tier || 'unknown'] = tierStats;
+        for (const key of Object.keys(tierStats)) {
+            result[key] += tierStats[key];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Link Telegram user to a wallet (one tier chat, or all of the wallet's rows)
+ * @param {string} walletAddress
+ * @param {object} telegramUser - { userId, username, firstName }
+ * @param {string} [chatId] - Tier chat the user joined
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ */
+async function linkTelegram(walletAddress, telegramUser, chatId) {
     try {
-        const result = stmt.run(
-            telegramUserId, 
-            telegramUsername, 
-            telegramFirstName,
-            Date.now(),
-            walletAddress
-        );
+        const changes = await getAdapter().linkTelegram(walletAddress, telegramUser, chatId, Date.now());
         return {
             success: true,
-            changes: result.changes
+            changes
         };
     } catch (error) {
         return {
@@ -133,42 +146,520 @@ function updateTelegramInfo(walletAddress, telegramUserId, telegramUsername, tel
     }
 }
 
-// Get all verifications with Telegram info
-function getAllVerifications() {
-    const stmt = db.prepare(`
-        SELECT 
-            wallet_address,
-            telegram_user_id,
-            telegram_username,
-            telegram_first_name,
-            created_at,
-            joined_at,
-            used
-        FROM verifications
-        ORDER BY created_at DESC
-    `);
-    return stmt.all();
+// Get all verifications with Telegram info (newest first)
+async function listMembers() {
+    return getAdapter().listMembers();
+}
+
+/**
+ * Page of the member list, for the admin panel and exports
+ * @param {object} filters - search (wallet / username prefix or Telegram ID), statuses, tier, since, until (epoch ms)
+ * @param {object} page
+ * @param {string} page.sort - Sort key (see member-list.SORTS)
+ * @param {'asc'|'desc'} page.order
+ * @param {{value: *, id: number}|null} page.cursor - Sort value and ID of the last row of the previous page
+ * @param {number} page.limit
+ * @returns {Promise<Array<object>>} - Verification rows
+ */
+async function listMembersPage(filters, { sort, order, cursor = null, limit }) {
+    return getAdapter().listMembersPage(filters, { sort, order, cursor, limit });
+}
+
+/**
+ * Number of members matching the filters, per tier and status
+ * @param {object} filters - See listMembersPage
+ * @returns {Promise<Array<{tier: string, status: string, count: number}>>}
+ */
+async function countMembers(filters) {
+    return (await getAdapter().countMembers(filters)).map(row => ({ ...row, count: Number(row.count) }));
 }
 
 // Get wallet by Telegram user ID
-function getWalletByTelegramId(telegramUserId) {
-    const stmt = db.prepare('SELECT * FROM verifications WHERE telegram_user_id = ?');
-    return stmt.get(telegramUserId);
+async function getWalletByTelegramId(telegramUserId) {
+    return getAdapter().getWalletByTelegramId(telegramUserId);
+}
+
+// Verifications for a chat created after `since` (ms) that nobody joined with yet
+async function findPendingVerifications(chatId, since) {
+    return getAdapter().findPendingVerifications(chatId, since);
+}
+
+// Mark a member as removed from a tier chat (e.g. balance dropped below threshold)
+async function markMemberRemoved(walletAddress, chatId, reason) {
+    return getAdapter().markMemberRemoved(walletAddress, chatId, reason, Date.now());
+}
+
+// Delete every verification of a wallet, with the wallets of its member
+async function deleteWallet(walletAddress) {
+    return getAdapter().deleteWallet(walletAddress);
+}
+
+/**
+ * Member wallet row of a wallet
+ * @param {string} walletAddress
+ * @returns {Promise<object|null>} - { wallet_address, primary_wallet, added_at, balance, balance_checked_at }
+ */
+async function getMemberWallet(walletAddress) {
+    return getAdapter().getMemberWallet(walletAddress);
+}
+
+// Every wallet of a member, the primary wallet included (oldest first)
+async function getMemberWallets(primaryWallet) {
+    return getAdapter().getMemberWallets(primaryWallet);
+}
+
+// Every member wallet row, for the members list
+async function listMemberWallets() {
+    return getAdapter().listMemberWallets();
+}
+
+// Wallets of the given members (by primary wallet)
+async function listMemberWalletsOf(primaryWallets) {
+    if (primaryWallets.length === 0) return [];
+    return getAdapter().listMemberWalletsOf(primaryWallets);
+}
+
+/**
+ * Add wallets to a member, wallets already belonging to a member are skipped
+ * @param {string} primaryWallet - Wallet the member's verifications belong to
+ * @param {string[]} walletAddresses - Additional wallets
+ */
+async function addMemberWallets(primaryWallet, walletAddresses) {
+    return getAdapter().addMemberWallets(primaryWallet, walletAddresses, Date.now());
+}
+
+/**
+ * Store the last checked balance of member wallets
+ * @param {Array<{walletAddress: string, balance: number}>} balances
+ */
+async function updateWalletBalances(balances) {
+    if (balances.length === 0) return;
+    return getAdapter().updateWalletBalances(balances, Date.now());
+}
+
+// Record an issued nonce, with the IP it was issued to if known
+async function issueNonce(nonce, expiresAt, ipAddress) {
+    return getAdapter().issueNonce(nonce, Date.now(), expiresAt, ipAddress);
+}
+
+/**
+ * Nonces issued to an IP within a window
+ * @param {string} ipAddress
+ * @param {number} windowMs
+ * @returns {Promise<{count: number, oldest: number|null}>} - oldest is the first nonce in the window (ms)
+ */
+async function countRecentNonces(ipAddress, windowMs) {
+    return getAdapter().countRecentNonces(ipAddress, Date.now() - windowMs);
+}
+
+// Atomically consume a nonce, true only once and only before it expires
+async function consumeNonce(nonce) {
+    return getAdapter().consumeNonce(String(nonce), Date.now());
+}
+
+// Delete expired nonces
+async function cleanupNonces() {
+    return getAdapter().cleanupNonces(Date.now());
+}
+
+// Active (not removed) verification a Telegram user is linked to in a chat
+async function findMemberInChat(telegramUserId, chatId) {
+    return getAdapter().findMemberInChat(telegramUserId, chatId);
+}
+
+/**
+ * Claim a join code for a Telegram user (join-request mode)
+ * A code can only be claimed by one user, before it expires and before anyone joined with it
+ * @param {string} joinCode
+ * @param {string|number} telegramUserId
+ * @returns {Promise<Array<object>>} - Claimed verifications, empty if the code is invalid
+ */
+async function claimJoinCode(joinCode, telegramUserId) {
+    return getAdapter().claimJoinCode(joinCode, telegramUserId, Date.now());
+}
+
+// Unexpired verification for a chat whose join code this Telegram user claimed
+async function findClaimedVerification(chatId, telegramUserId) {
+    return getAdapter().findClaimedVerification(chatId, telegramUserId, Date.now());
 }
 
-// Initialize on module load
-initializeDatabase();
+// Shared join-request link of a chat, null if none was created yet
+async function getJoinLink(chatId) {
+    return getAdapter().getJoinLink(chatId);
+}
+
+// Store a chat's join-request link, returns the link that is actually stored
+async function saveJoinLink(chatId, inviteLink) {
+    return getAdapter().saveJoinLink(chatId, inviteLink, Date.now());
+}
+
+// Revoke an admin session until its token would have expired anyway
+async function revokeSession(sessionId, expiresAt) {
+    const now = Date.now();
+    await getAdapter().cleanupRevokedSessions(now);
+    return getAdapter().revokeSession(sessionId, expiresAt, now);
+}
+
+async function isSessionRevoked(sessionId) {
+    return getAdapter().isSessionRevoked(sessionId);
+}
+
+// Record a failed admin login from an IP
+async function recordLoginFailure(ipAddress) {
+    return getAdapter().recordLoginFailure(ipAddress, Date.now());
+}
+
+/**
+ * Failed admin logins from an IP within a window
+ * @param {string} ipAddress
+ * @param {number} windowMs
+ * @returns {Promise<{count: number, oldest: number|null}>} - oldest is the first failure in the window (ms)
+ */
+async function countLoginFailures(ipAddress, windowMs) {
+    const since = Date.now() - windowMs;
+    await getAdapter().cleanupLoginFailures(since);
+    return getAdapter().countLoginFailures(ipAddress, since);
+}
+
+// Forget failed logins of an IP after a successful login
+async function clearLoginFailures(ipAddress) {
+    return getAdapter().clearLoginFailures(ipAddress);
+}
+
+/**
+ * Retirement record of a wallet that was migrated away from
+ * @param {string} walletAddress
+ * @returns {Promise<object|null>} - { wallet_address, replaced_by, telegram_user_id, retired_at }
+ */
+async function getRetiredWallet(walletAddress) {
+    return getAdapter().getRetiredWallet(walletAddress);
+}
+
+/**
+ * Move every verification of a wallet to a new wallet and retire the old one, atomically
+ * @param {string} oldWallet
+ * @param {string} newWallet - Must have no verifications of its own
+ * @param {string|number} [telegramUserId] - Member the wallets belong to
+ * @returns {Promise<number>} - Number of verifications moved
+ */
+async function migrateWallet(oldWallet, newWallet, telegramUserId) {
+    return getAdapter().migrateWallet(oldWallet, newWallet, telegramUserId, Date.now());
+}
+
+// Record a wallet migration waiting for confirmation from the member's Telegram account
+async function createWalletMigration(code, newWallet, expiresAt) {
+    const now = Date.now();
+    await getAdapter().cleanupWalletMigrations(now);
+    return getAdapter().insertWalletMigration(code, newWallet, now, expiresAt);
+}
+
+async function getWalletMigration(code) {
+    return getAdapter().getWalletMigration(code);
+}
+
+/**
+ * Mark a pending wallet migration confirmed by a Telegram user
+ * @param {string} code
+ * @param {string|number} telegramUserId
+ * @returns {Promise<boolean>} - False if unknown, expired or already completed
+ */
+async function completeWalletMigration(code, telegramUserId) {
+    return (await getAdapter().completeWalletMigration(code, telegramUserId, Date.now())) === 1;
+}
+
+/**
+ * Append an audit log entry
+ * @param {object} entry
+ * @param {string} entry.actor - e.g. "admin:<wallet>", "system:sweep", "telegram:<id>"
+ * @param {string} entry.action - e.g. "wallet.delete"
+ * @param {string} [entry.walletAddress]
+ * @param {string|number} [entry.telegramUserId]
+ * @param {string} [entry.chatId]
+ * @param {*} [entry.before] - State before the action (stored as JSON)
+ * @param {*} [entry.after] - State after the action (stored as JSON)
+ * @param {string} [entry.ipAddress]
+ */
+async function appendAuditLog({ before, after, ...entry }) {
+    return getAdapter().insertAuditLog({
+        ...entry,
+        before: before === undefined ? null : JSON.stringify(before),
+        after: after === undefined ? null : JSON.stringify(after),
+        createdAt: Date.now()
+    });
+}
+
+/**
+ * Page of audit log entries, newest first
+ * @param {object} [filters] - action, actor, walletAddress, telegramUserId, since/until (ms)
+ * @param {object} [page]
+ * @param {number} [page.limit=50]
+ * @param {number} [page.offset=0]
+ * @returns {Promise<{total: number, entries: object[]}>} - before/after parsed back from JSON
+ */
+async function listAuditLog(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const adapter = getAdapter();
+    const [total, rows] = await Promise.all([
+        adapter.countAuditLog(filters),
+        adapter.listAuditLog(filters, limit, offset)
+    ]);
+
+    return {
+        total,
+        entries: rows.map(({ before_value: before, after_value: after, ...row }) => ({
+            ...row,
+            before: before === null ? null : JSON.parse(before),
+            after: after === null ? null : JSON.parse(after)
+        }))
+    };
+}
+
+/**
+ * Record the outcome of a verification attempt
+ * @param {object} attempt
+ * @param {string} [attempt.walletAddress]
+ * @param {'verified'|'rejected'|'failed'} attempt.outcome
+ * @param {string} [attempt.reason] - Why it was rejected or failed
+ */
+async function recordVerificationAttempt({ walletAddress, outcome, reason }) {
+    return getAdapter().insertVerificationAttempt({ createdAt: Date.now(), walletAddress, outcome, reason });
+}
+
+/**
+ * Verification attempts per time bucket, outcome and reason
+ * Bucket n covers [since + n * bucketSize, since + (n + 1) * bucketSize)
+ * @param {number} since - Start (ms)
+ * @param {number} until - End (ms, exclusive)
+ * @param {number} bucketSize - Bucket length (ms)
+ * @returns {Promise<Array<{bucket: number, outcome: string, reason: string|null, count: number}>>}
+ */
+async function countVerificationAttempts(since, until, bucketSize) {
+    const rows = await getAdapter().countVerificationAttempts(since, until, bucketSize);
+    return rows.map(row => ({ ...row, bucket: Number(row.bucket), count: Number(row.count) }));
+}
+
+/**
+ * Invites issued per time bucket, with how many of them were joined and how many expired unused
+ * @param {number} since - Start (ms)
+ * @param {number} until - End (ms, exclusive)
+ * @param {number} bucketSize - Bucket length (ms)
+ * @returns {Promise<Array<{bucket: number, issued: number, joined: number, expired: number}>>}
+ */
+async function countInvites(since, until, bucketSize) {
+    const rows = await getAdapter().countInvites(since, until, bucketSize, Date.now());
+    return rows.map(row => ({
+        bucket: Number(row.bucket),
+        issued: Number(row.issued) || 0,
+        joined: Number(row.joined) || 0,
+        expired: Number(row.expired) || 0
+    }));
+}
+
+// Verification and join times of the invites issued in [since, until) that were joined
+async function listJoinDelays(since, until) {
+    return getAdapter().listJoinDelays(since, until);
+}
+
+/**
+ * Lock a scheduled job for a run
+ * @param {object} lock
+ * @param {string} lock.name - Job name
+ * @param {string} lock.owner - Unique ID of this run, needed to finish it
+ * @param {number} lock.lockedUntil - When the lock lapses if the run never finishes (ms)
+ * @param {number} lock.dueBefore - Skip the run if the last one started after this (ms)
+ * @param {string} lock.triggeredBy - What started the run
+ * @returns {Promise<boolean>} - False if another run holds the lock or the job isn't due
+ */
+async function acquireJobLock({ name, owner, lockedUntil, dueBefore, triggeredBy }) {
+    return getAdapter().acquireJobLock({ name, owner, now: Date.now(), lockedUntil, dueBefore, triggeredBy });
+}
+
+/**
+ * Release a job's lock and record how the run went
+ * @param {object} run
+ * @param {string} run.name
+ * @param {string} run.owner - Same as when locking
+ * @param {number} run.durationMs
+ * @param {'success'|'failed'} run.status
+ * @param {object} [run.result] - Job summary, stored as JSON
+ * @param {string} [run.error]
+ * @returns {Promise<boolean>} - False if the lock lapsed and another run took it over
+ */
+async function finishJobRun({ name, owner, durationMs, status, result = null, error = null }) {
+    const updated = await getAdapter().finishJobRun({
+        name,
+        owner,
+        finishedAt: Date.now(),
+        durationMs,
+        status,
+        result: result === null ? null : JSON.stringify(result),
+        error
+    });
+    return updated === 1;
+}
+
+// Lock and last run of every job that ever ran
+async function listScheduledJobs() {
+    return (await getAdapter().listScheduledJobs()).map(row => ({
+        ...row,
+        result: row.result === null ? null : JSON.parse(row.result)
+    }));
+}
+
+/**
+ * Flag a join that could not be matched to a wallet, for admin review
+ * @param {object} join
+ * @param {string} join.chatId - Tier chat joined
+ * @param {object} join.user - Telegram user who joined
+ * @param {string} [join.inviteLink] - Invite link used, if any
+ * @param {string} [join.inviteName] - Name of that invite link
+ * @param {string} join.reason - Why the join was not matched
+ * @returns {Promise<number>} - Flag ID
+ */
+async function flagUnmatchedJoin({ chatId, user, inviteLink, inviteName, reason }) {
+    return getAdapter().insertUnmatchedJoin({
+        chatId,
+        userId: user.id,
+        username: user.username,
+        firstName: user.first_name,
+        inviteLink,
+        inviteName,
+        reason,
+        createdAt: Date.now()
+    });
+}
+
+// Flagged joins (newest first), only unresolved ones unless includeResolved
+async function listUnmatchedJoins({ includeResolved = false } = {}) {
+    return getAdapter().listUnmatchedJoins(includeResolved);
+}
+
+async function getUnmatchedJoin(id) {
+    return getAdapter().getUnmatchedJoin(id);
+}
+
+/**
+ * Close a flagged join
+ * @param {number} id - Flag ID
+ * @param {'linked'|'dismissed'} resolution
+ * @param {string} [walletAddress] - Wallet the member was linked to
+ * @param {string} [resolvedBy] - Admin who resolved it (wallet address, or "password")
+ * @returns {Promise<boolean>} - False if unknown or already resolved
+ */
+async function resolveUnmatchedJoin(id, resolution, walletAddress, resolvedBy) {
+    return (await getAdapter().resolveUnmatchedJoin(id, resolution, walletAddress, resolvedBy, Date.now())) === 1;
+}
+
+/**
+ * Record a verification whose tokens recently came from another member's wallet
+ * @param {object} flag
+ * @param {string} flag.walletAddress - Wallet being verified
+ * @param {'flagged'|'blocked'} flag.action - Whether invites were still issued
+ * @param {number} flag.balance - Member balance at verification
+ * @param {number} flag.required - Balance needed for the tiers applied for
+ * @param {number} flag.reusedAmount - Part of the balance received from other members
+ * @param {number} [flag.snapshotSlot] - Slot the balance was read at
+ * @param {Array<object>} flag.transfers - Transfers from other members (stored as JSON)
+ * @returns {Promise<number>} - Flag ID
+ */
+async function flagSybil({ transfers, ...flag }) {
+    return getAdapter().insertSybilFlag({
+        ...flag,
+        transfers: JSON.stringify(transfers),
+        createdAt: Date.now()
+    });
+}
+
+// Sybil flag rows with their transfers parsed back from JSON
+function parseSybilFlag(row) {
+    return row && { ...row, transfers: JSON.parse(row.transfers) };
+}
+
+// Sybil flags (newest first), only unresolved ones unless includeResolved
+async function listSybilFlags({ includeResolved = false } = {}) {
+    return (await getAdapter().listSybilFlags(includeResolved)).map(parseSybilFlag);
+}
+
+async function getSybilFlag(id) {
+    return parseSybilFlag(await getAdapter().getSybilFlag(id));
+}
+
+// Every sybil flag raised for a wallet (newest first)
+async function getSybilFlagsByWallet(walletAddress) {
+    return (await getAdapter().getSybilFlagsByWallet(walletAddress)).map(parseSybilFlag);
+}
+
+/**
+ * Close a sybil flag
+ * @param {number} id - Flag ID
+ * @param {'dismissed'|'confirmed'} resolution
+ * @param {string} [resolvedBy] - Admin who resolved it (wallet address, or "password")
+ * @returns {Promise<boolean>} - False if unknown or already resolved
+ */
+async function resolveSybilFlag(id, resolution, resolvedBy) {
+    return (await getAdapter().resolveSybilFlag(id, resolution, resolvedBy, Date.now())) === 1;
+}
 
-// Export functions
 module.exports = {
+    getDriver,
+    getAdapter,
     hasWalletBeenVerified,
     saveVerification,
-    getVerificationByWallet,
-    markInviteUsed,
+    getByWallet,
+    getByInviteLink,
     cleanupExpiredInvites,
-    getStats,
-    updateTelegramInfo,
-    getAllVerifications,
+    findExpiredInvites,
+    expireInvite,
+    replaceInviteLink,
+    stats,
+    linkTelegram,
+    listMembers,
+    listMembersPage,
+    countMembers,
     getWalletByTelegramId,
-    db
+    findPendingVerifications,
+    markMemberRemoved,
+    deleteWallet,
+    getMemberWallet,
+    getMemberWallets,
+    listMemberWallets,
+    listMemberWalletsOf,
+    addMemberWallets,
+    updateWalletBalances,
+    issueNonce,
+    countRecentNonces,
+    consumeNonce,
+    cleanupNonces,
+    findMemberInChat,
+    claimJoinCode,
+    findClaimedVerification,
+    getJoinLink,
+    saveJoinLink,
+    revokeSession,
+    isSessionRevoked,
+    recordLoginFailure,
+    countLoginFailures,
+    clearLoginFailures,
+    getRetiredWallet,
+    migrateWallet,
+    createWalletMigration,
+    getWalletMigration,
+    completeWalletMigration,
+    appendAuditLog,
+    listAuditLog,
+    recordVerificationAttempt,
+    countVerificationAttempts,
+    countInvites,
+    listJoinDelays,
+    acquireJobLock,
+    finishJobRun,
+    listScheduledJobs,
+    flagUnmatchedJoin,
+    listUnmatchedJoins,
+    getUnmatchedJoin,
+    resolveUnmatchedJoin,
+    flagSybil,
+    listSybilFlags,
+    getSybilFlag,
+    getSybilFlagsByWallet,
+    resolveSybilFlag
 };
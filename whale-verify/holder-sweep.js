@@ -0,0 +1,207 @@
+// Periodic holder sweep - re-checks every joined member and removes those
+// whose CORE balance, combined over all of their wallets, dropped below the
+// Whale Club threshold. Scheduled as the holder-sweep job (scheduler.js)
+if (require.main === module) {
+    require('dotenv').config();
+}
+
+const audit = require('./audit');
+const db = require('./db');
+const memberWallets = require('./member-wallets');
+const solana = require('./solana');
+const telegram = require('./telegram');
+const tiers = require('./tiers');
+
+const RPC_DELAY_MS = 250; // Pause between balance checks to stay under RPC rate limits
+
+let isSweeping = false;
+let lastReport = null;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Combined balance of a member's wallets, stored as each wallet's last checked balance
+ * @param {string} primaryWallet
+ * @returns {Promise<{balance: number, wallets: Array<{walletAddress: string, balance: number}>}|{error: string}>}
+ */
+async function fetchMemberBalance(primaryWallet) {
+    const wallets = [];
+    for (const walletAddress of await memberWallets.getMemberWallets(primaryWallet)) {
+        try {
+            wallets.push({ walletAddress, balance: await solana.getTokenBalance(walletAddress) });
+        } catch (error) {
+            // One unknown balance makes the total unknown, never remove anyone because of an RPC failure
+            return { error: `${walletAddress.substring(0, 8)}...: ${error.message}` };
+        } finally {
+            await sleep(RPC_DELAY_MS);
+        }
+    }
+
+    await db.updateWalletBalances(wallets);
+    return {
+        balance: wallets.reduce((total, wallet) => total + wallet.balance, 0),
+        wallets
+    };
+}
+
+/**
+ * Re-check balances of all joined members and remove them from every
+ * tier chat whose threshold they no longer meet
+ * Members are checked in wallet order, so a sweep stopped by its deadline can
+ * be resumed with the report's cursor
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report, don't remove anyone
+ * @param {string} [options.actor='system:sweep'] - Who started the sweep, for the audit log
+ * @param {string} [options.ipAddress] - Caller IP when started by an admin
+ * @param {string} [options.after] - Cursor of an unfinished sweep, only wallets after it are checked
+ * @param {number} [options.deadline] - Stop before the next wallet once this time (ms) has passed,
+ *   at least one wallet is always checked
+ * @returns {Promise<object>} - Sweep summary report; complete is false and cursor set when the deadline stopped it
+ */
+async function runSweep({ dryRun = false, actor = audit.SYSTEM_SWEEP, ipAddress, after = null, deadline = null } = {}) {
+    if (isSweeping) {
+        throw new Error('Holder sweep already running');
+    }
+
+    isSweeping = true;
+    const startedAt = Date.now();
+    const report = {
+        dryRun,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: null,
+        durationMs: 0,
+        tiers: tiers.getTiers().map(({ id, minTokens }) => ({ id, minTokens })),
+        startedAfter: after,
+        complete: true,
+        cursor: null,
+        checked: 0,
+        qualified: 0,
+        removed: [],
+        errors: []
+    };
+
+    console.log(`\n🧹 Starting holder sweep${dryRun ? ' (dry run)' : ''}...`);
+
+    try {
+        const members = (await db.listMembers())
+            .filter(v => v.telegram_user_id && !v.removed_at && (after === null || v.wallet_address > after))
+            .sort((a, b) => (a.wallet_address < b.wallet_address ? -1 : a.wallet_address > b.wallet_address ? 1 : 0));
+
+        // A member can be in several tier chats, fetch their balance once
+        const balances = new Map();
+        let lastWallet = null;
+
+        for (const member of members) {
+            const wallet = member.wallet_address;
+            const tier = tiers.getTierByChatId(member.chat_id);
+
+            if (!tier) {
+                // Chat no longer configured as a tier, nothing to enforce
+                continue;
+            }
+
+            if (!balances.has(wallet)) {
+                if (deadline !== null && lastWallet !== null && Date.now() >= deadline) {
+                    report.complete = false;
+                    report.cursor = lastWallet;
+                    break;
+                }
+                balances.set(wallet, await fetchMemberBalance(wallet));
+                lastWallet = wallet;
+            }
+
+            const memberBalance = balances.get(wallet);
+            if (memberBalance.error) {
+                report.errors.push({ wallet, tier: tier.id, error: memberBalance.error });
+                continue;
+            }
+            const { balance, wallets } = memberBalance;
+
+            report.checked++;
+
+            if (balance >= tier.minTokens) {
+                report.qualified++;
+            } else {
+                const entry = {
+                    wallet,
+                    tier: tier.id,
+                    telegram_user_id: member.telegram_user_id,
+                    telegram_username: member.telegram_username,
+                    balance,
+                    required: tier.minTokens,
+                    // Contribution of each of the member's wallets
+                    wallets
+                };
+
+                if (!dryRun) {
+                    try {
+                        await telegram.removeChatMember(member.telegram_user_id, tier.chatId);
+                        await db.markMemberRemoved(wallet, tier.chatId, `balance_below_threshold:${balance}`);
+                    } catch (error) {
+                        report.errors.push({ wallet, tier: tier.id, error: error.message });
+                        continue;
+                    }
+
+                    await audit.record({
+                        actor,
+                        action: audit.ACTIONS.MEMBER_REMOVE,
+                        walletAddress: wallet,
+                        telegramUserId: member.telegram_user_id,
+                        chatId: tier.chatId,
+                        before: audit.memberState(member),
+                        after: { removal_reason: 'balance_below_threshold', balance, required: tier.minTokens, wallets },
+                        ipAddress
+                    });
+                }
+
+                console.log(`   ${dryRun ? '🔎 Would remove' : '🚪 Removed'} ${wallet.substring(0, 8)}... from ${tier.name} (${balance.toLocaleString()} CORE)`);
+                report.removed.push(entry);
+            }
+        }
+    } finally {
+        isSweeping = false;
+    }
+
+    const finishedAt = Date.now();
+    report.finishedAt = new Date(finishedAt).toISOString();
+    report.durationMs = finishedAt - startedAt;
+    lastReport = report;
+
+    console.log(`✅ Holder sweep ${report.complete ? 'done' : `stopped after ${report.cursor.substring(0, 8)}...`}: ` +
+        `${report.checked} checked, ${report.qualified} qualified, ` +
+        `${report.removed.length} ${dryRun ? 'would be removed' : 'removed'}, ${report.errors.length} errors\n`);
+
+    return report;
+}
+
+/**
+ * Get sweep status and the last report
+ */
+function getStatus() {
+    return {
+        isSweeping,
+        lastReport
+    };
+}
+
+module.exports = {
+    runSweep,
+    getStatus
+};
+
+// CLI: node whale-verify/holder-sweep.js [--dry-run]
+if (require.main === module) {
+    const dryRun = process.argv.includes('--dry-run');
+
+    runSweep({ dryRun })
+        .then(report => {
+            console.log(JSON.stringify(report, null, 2));
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('❌ Holder sweep failed:', error.message);
+            process.exit(1);
+        });
+}
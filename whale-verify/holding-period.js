@@ -0,0 +1,171 @@
+// Minimum holding duration: the tier threshold must have been held
+// continuously for MIN_HOLDING_DAYS, so buying, verifying and dumping within
+// minutes doesn't get an invite. Off unless MIN_HOLDING_DAYS is set.
+//
+// The member's lowest balance over the period is rebuilt from the current
+// balance by walking the transaction history of every counted token account
+// backwards, undoing each transaction's change to the member's wallets
+// (transfers between the member's own wallets cancel out). Results are
+// cached per set of wallets for a few minutes.
+const { PublicKey } = require('@solana/web3.js');
+const tiers = require('./tiers');
+const { getMintInfo, getTokenDeltas, toUiAmount } = require('./balance');
+
+const PAGE_SIZE = 100;
+const MAX_SIGNATURES_PER_ACCOUNT = 1000;
+const TRANSACTION_BATCH_SIZE = 50;
+const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+const cache = new Map();
+
+/**
+ * Required holding period in days, 0 when the rule is off
+ * @returns {number}
+ */
+function getHoldingDays() {
+    const days = Number(process.env.MIN_HOLDING_DAYS);
+    return days > 0 ? days : 0;
+}
+
+// Signatures of a token account's transactions since `since`, newest first
+// complete is false if the history was cut off before reaching `since`
+async function getAccountHistory(connection, tokenAccount, since) {
+    const entries = [];
+    let before;
+
+    while (entries.length < MAX_SIGNATURES_PER_ACCOUNT) {
+        const page = await connection.getSignaturesForAddress(new PublicKey(tokenAccount), { limit: PAGE_SIZE, before });
+
+        for (const entry of page) {
+            // Unknown block times are kept, they can only make the check stricter
+            if (entry.blockTime && entry.blockTime * 1000 < since) {
+                return { entries, complete: true };
+            }
+            if (!entry.err) {
+                entries.push(entry);
+            }
+        }
+
+        if (page.length < PAGE_SIZE) {
+            return { entries, complete: true };
+        }
+        before = page[page.length - 1].signature;
+    }
+
+    return { entries, complete: false };
+}
+
+/**
+ * Lowest combined balance of a member's wallets over the holding period
+ * @param {Connection} connection - Solana RPC connection
+ * @param {object} params
+ * @param {string[]} params.walletAddresses - Every wallet of the member
+ * @param {string[]} params.tokenAccounts - Token accounts counted towards the balance
+ * @param {number} params.balance - Current combined balance
+ * @param {number} params.days - Holding period
+ * @returns {Promise<{minimumBalance: number, complete: boolean}>} - complete is false if the history was too long to read in full
+ */
+async function getMinimumBalance(connection, { walletAddresses, tokenAccounts, balance, days }) {
+    const key = `${days}:${[...walletAddresses].sort().join(',')}`;
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now() && cached.balance === balance) {
+        return cached.result;
+    }
+
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    const signatures = new Map();
+    let complete = true;
+
+    for (const tokenAccount of tokenAccounts) {
+        const history = await getAccountHistory(connection, tokenAccount, since);
+        complete = complete && history.complete;
+        for (const entry of history.entries) {
+            signatures.set(entry.signature, entry.slot);
+        }
+    }
+
+    // Newest first across all accounts
+    const ordered = [...signatures.keys()].sort((a, b) => signatures.get(b) - signatures.get(a));
+
+    // Walking back, `change` is how much the balance grew after that point;
+    // the largest growth gives the lowest balance held over the period
+    let change = 0n;
+    let largestChange = 0n;
+    for (let i = 0; i < ordered.length; i += TRANSACTION_BATCH_SIZE) {
+        const batch = ordered.slice(i, i + TRANSACTION_BATCH_SIZE);
+        const transactions = await connection.getParsedTransactions(batch, { maxSupportedTransactionVersion: 0 });
+
+        for (const transaction of transactions) {
+            const deltas = getTokenDeltas(transaction, tiers.TOKEN_MINT);
+            for (const walletAddress of walletAddresses) {
+                const delta = deltas.get(walletAddress);
+                if (delta) change += delta.amount;
+            }
+            if (change > largestChange) largestChange = change;
+        }
+    }
+
+    const { decimals } = await getMintInfo(connection, tiers.TOKEN_MINT);
+    const result = {
+        minimumBalance: Math.max(0, balance - toUiAmount(largestChange, decimals)),
+        complete
+    };
+
+    for (const [cachedKey, entry] of cache) {
+        if (entry.expiresAt <= Date.now()) cache.delete(cachedKey);
+    }
+    cache.set(key, { result, balance, expiresAt: Date.now() + CACHE_TTL });
+    return result;
+}
+
+/**
+ * Apply the holding period rule to the tiers a member qualifies for
+ * @param {Connection} connection - Solana RPC connection
+ * @param {object} params
+ * @param {string[]} params.walletAddresses - Every wallet of the member
+ * @param {string[]} params.tokenAccounts - Token accounts counted towards the balance
+ * @param {number} params.balance - Current combined balance
+ * @param {Array<object>} params.tiers - Tiers the current balance qualifies for
+ * @returns {Promise<{days: number, minimumBalance: number, complete: boolean, tiers: Array<object>}|null>} - Tiers held long enough, null when the rule is off
+ * @throws {Error} - If the history could not be read
+ */
+async function check(connection, { walletAddresses, tokenAccounts, balance, tiers: qualifyingTiers }) {
+    const days = getHoldingDays();
+    if (days === 0) return null;
+
+    const { minimumBalance, complete } = await getMinimumBalance(connection, { walletAddresses, tokenAccounts, balance, days });
+    const heldTiers = complete ? qualifyingTiers.filter(tier => minimumBalance >= tier.minTokens) : [];
+
+    console.log(`⏳ Holding period (${days} days): lowest balance ${minimumBalance.toLocaleString()} CORE${complete ? '' : ' (history too long to read in full)'}`);
+
+    return { days, minimumBalance, complete, tiers: heldTiers };
+}
+
+/**
+ * Body of the 403 response when no tier was held long enough
+ * @param {object} holding - From check()
+ * @param {number} balance - Current combined balance
+ * @param {number} required - Lowest tier threshold
+ * @returns {object}
+ */
+function failureResponse(holding, balance, required) {
+    return {
+        success: false,
+        error: 'Holding period not met',
+        reason: holding.complete ? 'holding_period' : 'holding_history_incomplete',
+        balance,
+        required,
+        heldBalance: holding.minimumBalance,
+        holdingDays: holding.days,
+        message: holding.complete
+            ? `You need to have held at least ${required.toLocaleString()} CORE for the last ${holding.days} days. Your lowest balance in that time: ${holding.minimumBalance.toLocaleString()} CORE`
+            : `Your wallet history over the last ${holding.days} days is too long to check. Please contact an admin.`
+    };
+}
+
+module.exports = {
+    getHoldingDays,
+    getMinimumBalance,
+    check,
+    failureResponse
+};
@@ -0,0 +1,177 @@
+// Invite link lifecycle
+// A single-use invite link lives in Telegram as well as in its verification
+// row. Whenever the row stops needing it (the invite expired unused, the row
+// was deleted, an admin revoked or reissued it) the link is revoked in
+// Telegram too, so it can't be passed on. A wallet whose invites expired
+// unused can verify again: its expired rows are cleaned up first.
+//
+// Join-request verifications (join-requests.js) share one link per chat,
+// which is never revoked; reissuing one only extends its join code.
+const audit = require('./audit');
+const db = require('./db');
+const telegram = require('./telegram');
+
+class InviteError extends Error {
+    /**
+     * @param {number} status - HTTP status to respond with
+     * @param {string} message
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'InviteError';
+        this.status = status;
+    }
+}
+
+// Link made for this verification only, not the shared join-request link
+function hasOwnLink(row) {
+    return Boolean(row.invite_link) && !row.join_code;
+}
+
+/**
+ * Revoke the own invite links of verifications nobody joined with
+ * A link that can't be revoked is logged and skipped, it expires on its own
+ * @param {Array<object>} rows - Verification rows
+ * @returns {Promise<number>} - Links revoked
+ */
+async function revokeLinks(rows) {
+    let revoked = 0;
+    for (const row of rows) {
+        if (!hasOwnLink(row) || row.telegram_user_id) continue;
+        if (await telegram.revokeInviteLink(row.invite_link, row.chat_id)) {
+            revoked++;
+        }
+    }
+    return revoked;
+}
+
+/**
+ * Revoke and delete invites that expired without anyone joining
+ * @param {string} [walletAddress] - Only this wallet's invites
+ * @returns {Promise<{expired: Array<object>, deleted: number, revoked: number}>}
+ */
+async function cleanupExpired(walletAddress = null) {
+    const expired = await db.findExpiredInvites(walletAddress);
+    if (expired.length === 0) {
+        return { expired, deleted: 0, revoked: 0 };
+    }
+
+    const revoked = await revokeLinks(expired);
+    const deleted = await db.cleanupExpiredInvites(walletAddress);
+    console.log(`🧹 ${deleted} expired invite(s) cleaned up${walletAddress ? ` for ${walletAddress.substring(0, 8)}...` : ''}, ${revoked} link(s) revoked`);
+
+    return { expired, deleted, revoked };
+}
+
+// Verifications of a wallet (one tier, or all) nobody has joined with yet
+async function findUnjoined(walletAddress, tier) {
+    const rows = (await db.getByWallet(walletAddress))
+        .filter(row => !tier || row.tier === tier);
+    if (rows.length === 0) {
+        throw new InviteError(404, tier ? `No ${tier} verification for this wallet` : 'Wallet not found');
+    }
+
+    const unjoined = rows.filter(row => !row.telegram_user_id && !row.removed_at);
+    if (unjoined.length === 0) {
+        throw new InviteError(409, 'The member already joined with this invite');
+    }
+    return unjoined;
+}
+
+/**
+ * Revoke a member's unused invites, the wallet can verify again right away
+ * @param {string} walletAddress
+ * @param {string} [tier] - Only this tier's invite
+ * @param {object} context - Audit log actor and ipAddress
+ * @returns {Promise<Array<object>>} - Revoked verification rows, as they were
+ * @throws {InviteError} - If the wallet has no unused invite
+ */
+async function revoke(walletAddress, tier, { actor, ipAddress }) {
+    const rows = await findUnjoined(walletAddress, tier);
+
+    await revokeLinks(rows);
+    for (const row of rows) {
+        await db.expireInvite(walletAddress, row.chat_id);
+        await audit.record({
+            actor,
+            action: audit.ACTIONS.INVITE_REVOKE,
+            walletAddress,
+            chatId: row.chat_id,
+            before: { tier: row.tier, invite_link: row.invite_link, expires_at: new Date(row.expires_at).toISOString() },
+            after: null,
+            ipAddress
+        });
+    }
+    console.log(`🔒 ${rows.length} invite(s) of ${walletAddress.substring(0, 8)}... revoked`);
+
+    return rows;
+}
+
+/**
+ * Replace a member's unused invites with fresh ones
+ * The new link is saved before the old one is revoked, so a failed Telegram
+ * call leaves the member with a working invite either way
+ * @param {string} walletAddress
+ * @param {string} [tier] - Only this tier's invite
+ * @param {object} context - Audit log actor and ipAddress
+ * @returns {Promise<Array<{tier: string, chat_id: string, invite_link: string, join_code: string|null, previous_link: string}>>}
+ * @throws {InviteError} - If the wallet has no unused invite
+ */
+async function reissue(walletAddress, tier, { actor, ipAddress }) {
+    const rows = await findUnjoined(walletAddress, tier);
+    const reissued = [];
+
+    for (const row of rows) {
+        const inviteLink = hasOwnLink(row)
+            ? await telegram.createInviteLink(walletAddress, row.chat_id)
+            : row.invite_link;
+        await db.replaceInviteLink(walletAddress, row.chat_id, inviteLink);
+        if (hasOwnLink(row)) {
+            await telegram.revokeInviteLink(row.invite_link, row.chat_id);
+        }
+        await audit.record({
+            actor,
+            action: audit.ACTIONS.INVITE_REISSUE,
+            walletAddress,
+            chatId: row.chat_id,
+            before: { tier: row.tier, invite_link: row.invite_link },
+            after: { tier: row.tier, invite_link: inviteLink },
+            ipAddress
+        });
+
+        reissued.push({
+            tier: row.tier,
+            chat_id: row.chat_id,
+            invite_link: inviteLink,
+            join_code: row.join_code || null,
+            previous_link: row.invite_link
+        });
+    }
+    console.log(`🔁 ${reissued.length} invite(s) of ${walletAddress.substring(0, 8)}... reissued`);
+
+    return reissued;
+}
+
+/**
+ * Send an InviteError as a JSON response, anything else as a 500
+ * @param {object} res - HTTP response (Express or Vercel)
+ * @param {Error} error
+ */
+function sendInviteError(res, error) {
+    if (error instanceof InviteError) {
+        console.log(`❌ Invite action rejected: ${error.message}`);
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+
+    console.error('❌ Invite action error:', error);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+}
+
+module.exports = {
+    InviteError,
+    revokeLinks,
+    cleanupExpired,
+    revoke,
+    reissue,
+    sendInviteError
+};
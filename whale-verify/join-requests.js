@@ -0,0 +1,178 @@
+// Join-request mode (TELEGRAM_JOIN_MODE=request)
+// Instead of a single-use invite link per wallet, every tier chat has one shared
+// link that only creates join requests. After verifying, the user DMs the bot a
+// short code, which ties their Telegram account to the wallet. Join requests are
+// approved only for accounts with such a claimed, unexpired verification for
+// that chat and declined otherwise, so a leaked link is useless on its own.
+const crypto = require('crypto');
+const db = require('./db');
+const audit = require('./audit');
+const telegram = require('./telegram');
+const tiers = require('./tiers');
+
+const JOIN_MODES = ['invite', 'request'];
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const CODE_LENGTH = 8;
+const CODE_PATTERN = new RegExp(`^(?:/start\\s+)?([${CODE_ALPHABET}]{${CODE_LENGTH}})$`, 'i');
+
+/**
+ * Configured join mode
+ * @returns {'invite'|'request'}
+ */
+function getJoinMode() {
+    const mode = process.env.TELEGRAM_JOIN_MODE || 'invite';
+    if (!JOIN_MODES.includes(mode)) {
+        throw new Error(`Unknown TELEGRAM_JOIN_MODE "${mode}" (expected "invite" or "request")`);
+    }
+    return mode;
+}
+
+function isRequestMode() {
+    return getJoinMode() === 'request';
+}
+
+/**
+ * Generate a join code
+ * @returns {string} - e.g. "K7PX2MQD"
+ */
+function generateJoinCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+/**
+ * Deep link that opens the bot with the code prefilled, if the bot username is configured
+ * @param {string} joinCode
+ * @returns {string|null}
+ */
+function getBotLink(joinCode) {
+    const username = process.env.TELEGRAM_BOT_USERNAME;
+    return username ? `https://t.me/${username.replace(/^@/, '')}?start=${joinCode}` : null;
+}
+
+/**
+ * Shared join-request link of a tier chat, created on first use
+ * @param {string} chatId - Tier chat ID
+ * @returns {Promise<string>}
+ */
+async function getJoinRequestLink(chatId) {
+    const existing = await db.getJoinLink(chatId);
+    if (existing) {
+        return existing;
+    }
+
+    const inviteLink = await telegram.createJoinRequestLink(chatId);
+    return db.saveJoinLink(chatId, inviteLink);
+}
+
+/**
+ * Handle a private message to the bot, claiming the join code it contains
+ * @param {object} message - Telegram Message
+ * @returns {Promise<{status: 'ignored'|'claimed'|'invalid_code', walletAddress?: string}>}
+ */
+async function handlePrivateMessage(message) {
+    const match = CODE_PATTERN.exec((message.text || '').trim());
+    if (!match) {
+        return { status: 'ignored' };
+    }
+
+    const user = message.from;
+    const claimed = await db.claimJoinCode(match[1].toUpperCase(), user.id);
+
+    if (claimed.length === 0) {
+        await telegram.sendMessage(message.chat.id,
+            '❌ This code is invalid, expired or already used. Please verify your wallet again to get a new one.');
+        return { status: 'invalid_code' };
+    }
+
+    const walletAddress = claimed[0].wallet_address;
+
+    await audit.record({
+        actor: audit.telegramActor(user.id),
+        action: audit.ACTIONS.JOIN_CODE_CLAIM,
+        walletAddress,
+        telegramUserId: user.id,
+        after: { chat_ids: claimed.map(verification => verification.chat_id) }
+    });
+    const tierNames = claimed
+        .map(verification => (tiers.getTierByChatId(verification.chat_id) || { name: verification.tier }).name)
+        .join(', ');
+
+    console.log(`🔑 Join code claimed by @${user.username || user.first_name} (ID: ${user.id}) for ${walletAddress.substring(0, 8)}...`);
+
+    await telegram.sendMessage(message.chat.id,
+        `✅ Wallet ${walletAddress.substring(0, 8)}... confirmed for: ${tierNames}.\n\n` +
+        'Now open the join link from the verification page and send a join request, it will be approved automatically.');
+
+    return { status: 'claimed', walletAddress };
+}
+
+/**
+ * Approve or decline a join request to a tier chat
+ * @param {object} request - Telegram ChatJoinRequest
+ * @returns {Promise<{status: 'ignored'|'approved'|'declined', walletAddress?: string}>}
+ */
+async function handleJoinRequest(request) {
+    const tier = tiers.getTierByChatId(request.chat.id);
+    if (!tier) {
+        return { status: 'ignored' };
+    }
+
+    const user = request.from;
+    const chatId = request.chat.id.toString();
+    const verification = await db.findClaimedVerification(chatId, user.id);
+
+    console.log(`\n🚪 Join request to ${tier.name}: @${user.username || user.first_name} (ID: ${user.id})`);
+
+    if (!verification) {
+        await telegram.declineChatJoinRequest(chatId, user.id);
+        console.log('   ❌ Declined, no claimed verification for this chat');
+
+        // user_chat_id lets the bot message the user for 5 minutes after the request
+        if (request.user_chat_id) {
+            await telegram.sendMessage(request.user_chat_id,
+                `Your request to join ${tier.name} was declined. Verify your wallet first, ` +
+                'then send me the code from the verification page and request to join again.'
+            ).catch(error => console.error('   ⚠️  Could not notify user:', error.message));
+        }
+
+        return { status: 'declined' };
+    }
+
+    await telegram.approveChatJoinRequest(chatId, user.id);
+
+    const result = await db.linkTelegram(verification.wallet_address, {
+        userId: user.id,
+        username: user.username,
+        firstName: user.first_name
+    }, chatId);
+    if (!result.success) {
+        throw new Error(`Failed to link member: ${result.error}`);
+    }
+
+    await audit.record({
+        actor: audit.SYSTEM_BOT,
+        action: audit.ACTIONS.MEMBER_LINK,
+        walletAddress: verification.wallet_address,
+        telegramUserId: user.id,
+        chatId,
+        before: audit.memberState(verification),
+        after: { telegram_user_id: String(user.id), telegram_username: user.username || null, via: 'join_request' }
+    });
+
+    console.log(`   ✅ Approved, linked → ${verification.wallet_address.substring(0, 8)}...`);
+    return { status: 'approved', walletAddress: verification.wallet_address };
+}
+
+module.exports = {
+    getJoinMode,
+    isRequestMode,
+    generateJoinCode,
+    getBotLink,
+    getJoinRequestLink,
+    handlePrivateMessage,
+    handleJoinRequest
+};
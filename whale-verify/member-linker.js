@@ -0,0 +1,194 @@
+// Link Telegram joins to wallets through the invite link they used
+// Every verification gets its own single-use invite link, and Telegram reports
+// which link a member joined with (chat_member.invite_link), so each join maps
+// to exactly one wallet. Joins that can't be matched are flagged for admin review.
+// Shared by the polling group monitor and the Vercel webhook.
+const db = require('./db');
+const tiers = require('./tiers');
+const audit = require('./audit');
+
+const INVITE_NAME_PREFIX = 'Whale ';
+const WALLET_PREFIX_LENGTH = 8;
+
+/**
+ * Name given to a wallet's invite link
+ * @param {string} walletAddress
+ * @returns {string} - e.g. "Whale 7xKXtg2C"
+ */
+function getInviteLinkName(walletAddress) {
+    return `${INVITE_NAME_PREFIX}${walletAddress.substring(0, WALLET_PREFIX_LENGTH)}`;
+}
+
+/**
+ * Check whether a chat_member update is a user joining
+ * @param {object} chatMember - Telegram ChatMemberUpdated
+ * @returns {boolean}
+ */
+function isJoin(chatMember) {
+    const oldStatus = chatMember.old_chat_member.status;
+    const newStatus = chatMember.new_chat_member.status;
+    return (oldStatus === 'left' || oldStatus === 'kicked') &&
+        (newStatus === 'member' || newStatus === 'administrator');
+}
+
+// Find the verification an invite link belongs to
+async function findVerification(inviteLink, chatId) {
+    const verification = await db.getByInviteLink(inviteLink.invite_link);
+    if (verification) {
+        return verification;
+    }
+
+    // Telegram hides part of the URL for links created by someone else;
+    // fall back to the link name, but only if it is unambiguous
+    if (inviteLink.name && inviteLink.name.startsWith(INVITE_NAME_PREFIX)) {
+        const prefix = inviteLink.name.slice(INVITE_NAME_PREFIX.length);
+        const candidates = (await db.findPendingVerifications(chatId, 0))
+            .filter(v => v.wallet_address.startsWith(prefix));
+        if (candidates.length === 1) {
+            return candidates[0];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Handle a chat_member update from polling or the webhook
+ * @param {object} chatMember - Telegram ChatMemberUpdated
+ * @returns {Promise<{status: 'ignored'|'linked'|'flagged', walletAddress?: string, reason?: string}>}
+ */
+async function handleChatMemberUpdate(chatMember) {
+    if (!chatMember || !tiers.getTierByChatId(chatMember.chat.id) || !isJoin(chatMember)) {
+        return { status: 'ignored' };
+    }
+
+    const user = chatMember.new_chat_member.user;
+    const chatId = chatMember.chat.id.toString();
+    const inviteLink = chatMember.invite_link;
+
+    console.log(`\n🐋 New member joined: @${user.username || user.first_name} (ID: ${user.id})`);
+
+    // Already linked, e.g. when an approved join request is followed by the join itself
+    const existing = await db.findMemberInChat(user.id, chatId);
+    if (existing) {
+        console.log(`   ✅ Already linked → ${existing.wallet_address.substring(0, 8)}...`);
+        return { status: 'linked', walletAddress: existing.wallet_address };
+    }
+
+    const flag = async reason => {
+        const id = await db.flagUnmatchedJoin({
+            chatId,
+            user,
+            inviteLink: inviteLink && inviteLink.invite_link,
+            inviteName: inviteLink && inviteLink.name,
+            reason
+        });
+        await audit.record({
+            actor: audit.SYSTEM_BOT,
+            action: audit.ACTIONS.JOIN_FLAG,
+            telegramUserId: user.id,
+            chatId,
+            after: { id, reason, invite_name: inviteLink ? inviteLink.name || null : null }
+        });
+        console.log(`   ⚠️  Join not matched to a wallet (${reason}), flagged for admin review`);
+        return { status: 'flagged', reason };
+    };
+
+    if (!inviteLink) {
+        // Added by an admin or joined some other way
+        return flag('no_invite_link');
+    }
+
+    if (inviteLink.creates_join_request) {
+        // Shared join-request link, members are linked when their request is approved
+        return flag('join_request_not_approved_by_bot');
+    }
+
+    const verification = await findVerification(inviteLink, chatId);
+
+    if (!verification || verification.chat_id !== chatId) {
+        return flag('unknown_invite_link');
+    }
+    if (verification.telegram_user_id && verification.telegram_user_id !== String(user.id)) {
+        return flag('invite_already_linked');
+    }
+
+    const result = await db.linkTelegram(verification.wallet_address, {
+        userId: user.id,
+        username: user.username,
+        firstName: user.first_name
+    }, chatId);
+    if (!result.success) {
+        throw new Error(`Failed to link member: ${result.error}`);
+    }
+
+    await audit.record({
+        actor: audit.SYSTEM_BOT,
+        action: audit.ACTIONS.MEMBER_LINK,
+        walletAddress: verification.wallet_address,
+        telegramUserId: user.id,
+        chatId,
+        before: audit.memberState(verification),
+        after: { telegram_user_id: String(user.id), telegram_username: user.username || null }
+    });
+
+    console.log(`   ✅ Linked @${user.username || user.first_name} → ${verification.wallet_address.substring(0, 8)}...`);
+    return { status: 'linked', walletAddress: verification.wallet_address };
+}
+
+/**
+ * Resolve a flagged join after admin review
+ * @param {number} id - Flag ID
+ * @param {string} [walletAddress] - Wallet to link the member to; dismisses the flag if omitted
+ * @param {object} admin
+ * @param {object} admin.session - Admin session resolving it
+ * @param {string} [admin.ipAddress]
+ * @returns {Promise<{success: boolean, resolution?: string, error?: string}>}
+ */
+async function resolveFlaggedJoin(id, walletAddress, { session, ipAddress }) {
+    const join = await db.getUnmatchedJoin(id);
+    if (!join || join.resolved_at) {
+        return { success: false, error: 'Flagged join not found or already resolved' };
+    }
+
+    if (walletAddress) {
+        const verifications = (await db.getByWallet(walletAddress)).filter(v => v.chat_id === join.chat_id);
+        if (verifications.length === 0) {
+            return { success: false, error: 'Wallet has no verification for this chat' };
+        }
+
+        const result = await db.linkTelegram(walletAddress, {
+            userId: join.telegram_user_id,
+            username: join.telegram_username,
+            firstName: join.telegram_first_name
+        }, join.chat_id);
+        if (!result.success) {
+            return result;
+        }
+    }
+
+    const resolution = walletAddress ? 'linked' : 'dismissed';
+    if (!(await db.resolveUnmatchedJoin(id, resolution, walletAddress, session.sub))) {
+        return { success: false, error: 'Flagged join not found or already resolved' };
+    }
+
+    await audit.record({
+        actor: audit.adminActor(session),
+        action: audit.ACTIONS.JOIN_RESOLVE,
+        walletAddress,
+        telegramUserId: join.telegram_user_id,
+        chatId: join.chat_id,
+        before: { id, reason: join.reason },
+        after: { resolution },
+        ipAddress
+    });
+
+    return { success: true, resolution };
+}
+
+module.exports = {
+    getInviteLinkName,
+    isJoin,
+    handleChatMemberUpdate,
+    resolveFlaggedJoin
+};
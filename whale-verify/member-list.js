@@ -0,0 +1,297 @@
+// Member list for the admin panel: filtered, sorted and paginated in the database
+// Pages are fetched with a keyset cursor (the sort value and ID of the last
+// row), so deep pages cost the same as the first one and rows added while
+// paging don't shift the next page. The export streams the same filtered set
+// as CSV or JSON, a batch at a time, for airdrops and audits.
+//
+// Query parameters (list and export):
+//   q            - wallet prefix (also added wallets), Telegram username prefix or Telegram user ID
+//   status       - comma-separated: pending, link_used, joined, removed
+//   tier         - tier ID
+//   since, until - verification date range (ISO dates, until exclusive)
+//   sort, order  - created_at (default), joined_at, balance, wallet or username; asc or desc (default)
+//   limit        - page size (list only, default 50, max 200)
+//   cursor       - next_cursor of the previous page (list only)
+//   format       - csv (default) or json (export only)
+const db = require('./db');
+const memberWallets = require('./member-wallets');
+
+const STATUSES = ['pending', 'link_used', 'joined', 'removed'];
+const ORDERS = ['asc', 'desc'];
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const EXPORT_BATCH_SIZE = 500;
+
+// Sort key -> value of a row, matching the SQL sort expressions of the storage adapters (NULLs sort lowest)
+const SORTS = {
+    created_at: row => row.created_at,
+    joined_at: row => row.joined_at || 0,
+    balance: row => (row.balance_snapshot === null || row.balance_snapshot === undefined ? -1 : Number(row.balance_snapshot)),
+    wallet: row => row.wallet_address,
+    username: row => (row.telegram_username || '').toLowerCase()
+};
+
+const CSV_COLUMNS = [
+    'wallet', 'wallets', 'tier', 'chat_id', 'status', 'telegram_user_id', 'telegram_username', 'telegram_first_name',
+    'balance_snapshot', 'snapshot_slot', 'created_at', 'joined_at', 'removed_at'
+];
+
+/**
+ * Status of a verification row
+ * @param {object} row
+ * @returns {'pending'|'link_used'|'joined'|'removed'}
+ */
+function getStatus(row) {
+    if (row.removed_at) return 'removed';
+    if (row.telegram_user_id) return 'joined';
+    if (row.used) return 'link_used';
+    return 'pending';
+}
+
+function parseDate(value, name) {
+    if (!value) return { value: null };
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? { error: `Invalid ${name} date` } : { value: time };
+}
+
+// Cursors carry the sort they were made for, so they can't be reused with another one
+function encodeCursor(sort, order, { value, id }) {
+    return Buffer.from(JSON.stringify([sort, order, value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+    try {
+        const [cursorSort, cursorOrder, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (cursorSort !== sort || cursorOrder !== order || !Number.isInteger(id)) {
+            return { error: 'Cursor does not match the sort order, start from the first page' };
+        }
+        return { value: { value, id } };
+    } catch (error) {
+        return { error: 'Invalid cursor' };
+    }
+}
+
+/**
+ * Parse member list query parameters
+ * @param {object} query - Request query (see top of file)
+ * @returns {{filters: object, sort: string, order: string, limit: number, cursor: object|null}|{error: string}}
+ */
+function parseQuery(query = {}) {
+    const search = typeof query.q === 'string' ? query.q.trim().replace(/^@/, '') : '';
+
+    const statuses = query.status ? String(query.status).split(',').map(status => status.trim()).filter(Boolean) : [];
+    const unknownStatus = statuses.find(status => !STATUSES.includes(status));
+    if (unknownStatus) {
+        return { error: `Unknown status "${unknownStatus}" (expected ${STATUSES.join(', ')})` };
+    }
+
+    const since = parseDate(query.since, 'since');
+    const until = parseDate(query.until, 'until');
+    if (since.error || until.error) {
+        return { error: since.error || until.error };
+    }
+
+    const sort = query.sort || 'created_at';
+    if (!SORTS[sort]) {
+        return { error: `Unknown sort "${sort}" (expected ${Object.keys(SORTS).join(', ')})` };
+    }
+    const order = query.order || 'desc';
+    if (!ORDERS.includes(order)) {
+        return { error: 'order must be asc or desc' };
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        const decoded = decodeCursor(String(query.cursor), sort, order);
+        if (decoded.error) return { error: decoded.error };
+        cursor = decoded.value;
+    }
+
+    return {
+        filters: {
+            search: search || null,
+            statuses: statuses.length > 0 ? statuses : null,
+            tier: query.tier || null,
+            since: since.value,
+            until: until.value
+        },
+        sort,
+        order,
+        limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE)),
+        cursor
+    };
+}
+
+/**
+ * Member for the admin endpoints
+ * @param {object} row - Verification row
+ * @param {Map} walletsByMember - From memberWallets.groupByMember()
+ * @returns {object}
+ */
+function formatMember(row, walletsByMember) {
+    return {
+        wallet: row.wallet_address,
+        // Every wallet counting towards the member's balance, with its last checked balance
+        wallets: walletsByMember.get(row.wallet_address) || [],
+        tier: row.tier,
+        chat_id: row.chat_id,
+        telegram: {
+            user_id: row.telegram_user_id,
+            username: row.telegram_username ? `@${row.telegram_username}` : null,
+            first_name: row.telegram_first_name
+        },
+        // Member balance and slot the invite was issued on
+        balance_snapshot: row.balance_snapshot === null || row.balance_snapshot === undefined ? null : Number(row.balance_snapshot),
+        snapshot_slot: row.snapshot_slot || null,
+        created_at: new Date(row.created_at).toISOString(),
+        joined_at: row.joined_at ? new Date(row.joined_at).toISOString() : null,
+        removed_at: row.removed_at ? new Date(row.removed_at).toISOString() : null,
+        status: getStatus(row)
+    };
+}
+
+// One page of rows, formatted, with the position of the next page (null on the last one)
+async function fetchPage({ filters, sort, order, cursor }, limit) {
+    // One row more than needed tells whether there is a next page
+    const rows = await db.listMembersPage(filters, { sort, order, cursor, limit: limit + 1 });
+    const hasMore = rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+
+    const walletsByMember = memberWallets.groupByMember(
+        await db.listMemberWalletsOf(pageRows.map(row => row.wallet_address))
+    );
+
+    const last = pageRows[pageRows.length - 1];
+    return {
+        members: pageRows.map(row => formatMember(row, walletsByMember)),
+        next: hasMore ? { value: SORTS[sort](last), id: last.id } : null
+    };
+}
+
+/**
+ * Page of the member list for the admin endpoint
+ * byTier counts every status (the status filter is left out), so the panel
+ * can show how the rest of the search splits up; total counts this filter
+ * @param {object} query - Request query (see top of file)
+ * @returns {Promise<object>} - Response body, { success: false, error } for invalid parameters
+ */
+async function list(query = {}) {
+    const parsed = parseQuery(query);
+    if (parsed.error) {
+        return { success: false, error: parsed.error };
+    }
+
+    const [page, counts] = await Promise.all([
+        fetchPage(parsed, parsed.limit),
+        db.countMembers({ ...parsed.filters, statuses: null })
+    ]);
+
+    // Counts per tier and status
+    const byTier = {};
+    let total = 0;
+    for (const { tier, status, count } of counts) {
+        const key = tier || 'unknown';
+        byTier[key] = byTier[key] || { total: 0, joined: 0, pending: 0, link_used: 0, removed: 0 };
+        byTier[key].total += count;
+        byTier[key][status] += count;
+        if (!parsed.filters.statuses || parsed.filters.statuses.includes(status)) {
+            total += count;
+        }
+    }
+
+    return {
+        success: true,
+        count: page.members.length,
+        total,
+        byTier,
+        sort: parsed.sort,
+        order: parsed.order,
+        limit: parsed.limit,
+        next_cursor: page.next && encodeCursor(parsed.sort, parsed.order, page.next),
+        members: page.members
+    };
+}
+
+// CSV cell; text starting with = + - @ is prefixed with ' so spreadsheets don't run it as a formula
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(member) {
+    const values = {
+        ...member,
+        // Added wallets only, the primary one is the wallet column
+        wallets: member.wallets.filter(wallet => !wallet.primary).map(wallet => wallet.wallet).join(' '),
+        telegram_user_id: member.telegram.user_id,
+        telegram_username: member.telegram.username,
+        telegram_first_name: member.telegram.first_name
+    };
+    return CSV_COLUMNS.map(column => csvCell(values[column])).join(',');
+}
+
+/**
+ * Stream the filtered member list as CSV or JSON
+ * Works with Express and Vercel responses alike. Rows are read a batch at a
+ * time, so the export never holds the whole table in memory.
+ * @param {object} query - Request query (see top of file)
+ * @param {object} res - HTTP response
+ */
+async function exportMembers(query, res) {
+    const format = query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, error: 'format must be csv or json' });
+    }
+
+    const parsed = parseQuery({ ...query, cursor: undefined });
+    if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    const filename = `whale-members-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200);
+
+    res.write(format === 'csv' ? `${CSV_COLUMNS.join(',')}\n` : '[');
+
+    let cursor = null;
+    let exported = 0;
+    try {
+        do {
+            const page = await fetchPage({ ...parsed, cursor }, EXPORT_BATCH_SIZE);
+            const lines = page.members.map(member => (format === 'csv' ? csvRow(member) : JSON.stringify(member)));
+            if (lines.length > 0) {
+                res.write(format === 'csv'
+                    ? `${lines.join('\n')}\n`
+                    : `${exported === 0 ? '' : ','}\n${lines.join(',\n')}`);
+                exported += lines.length;
+            }
+
+            cursor = page.next;
+        } while (cursor);
+    } catch (error) {
+        // Headers are gone already; cut the connection so a partial file isn't mistaken for a complete one
+        console.error(`❌ Member export failed after ${exported} rows:`, error.message);
+        res.destroy(error);
+        return;
+    }
+
+    res.end(format === 'csv' ? '' : '\n]\n');
+    console.log(`📤 Exported ${exported} members (${format})`);
+}
+
+module.exports = {
+    STATUSES,
+    getStatus,
+    parseQuery,
+    formatMember,
+    list,
+    exportMembers
+};
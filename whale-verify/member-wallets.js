@@ -0,0 +1,225 @@
+// Several wallets per member
+// A member is identified by their primary wallet, the one their verifications
+// (invites, Telegram link) belong to. Additional wallets sign a link message
+// naming the primary wallet (GET /nonce?purpose=link&counterpart=<primary>)
+// and from then on count towards the member's balance, so holdings split over
+// a hot and a cold wallet qualify together.
+const db = require('./db');
+const siws = require('./siws');
+const solana = require('./solana');
+const nonceStore = require('./nonce-store');
+const audit = require('./audit');
+
+const MAX_MEMBER_WALLETS = 5; // Primary wallet included
+
+class WalletLinkError extends Error {
+    /**
+     * @param {number} status - HTTP status to respond with
+     * @param {string} message
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'WalletLinkError';
+        this.status = status;
+    }
+}
+
+/**
+ * Primary wallet of the member a wallet was added to, null for a primary or unknown wallet
+ * @param {string} walletAddress
+ * @returns {Promise<string|null>}
+ */
+async function getLinkedPrimary(walletAddress) {
+    const row = await db.getMemberWallet(walletAddress);
+    return row && row.primary_wallet !== walletAddress ? row.primary_wallet : null;
+}
+
+/**
+ * Every wallet of a member, primary wallet first
+ * @param {string} primaryWallet
+ * @returns {Promise<string[]>}
+ */
+async function getMemberWallets(primaryWallet) {
+    const rows = await db.getMemberWallets(primaryWallet);
+    return [primaryWallet, ...rows.map(row => row.wallet_address).filter(wallet => wallet !== primaryWallet)];
+}
+
+// Check a signed link message naming `counterpart` as a resource
+async function verifyLinkMessage(signed, domain, counterpart) {
+    const { walletAddress, signature, message, nonce } = signed || {};
+
+    if (!walletAddress || !signature || !message || !nonce) {
+        throw new WalletLinkError(400, 'Missing required fields of an additional wallet');
+    }
+
+    if (!(await nonceStore.consume(nonce))) {
+        throw new WalletLinkError(400, 'Invalid or expired nonce. Please request a new one.');
+    }
+
+    const messageCheck = siws.validateSignInMessage(message, {
+        domain,
+        address: walletAddress,
+        nonce,
+        statement: siws.LINK_STATEMENT
+    });
+    if (!messageCheck.valid) {
+        throw new WalletLinkError(400, messageCheck.error);
+    }
+
+    if (!(messageCheck.fields.resources || []).includes(siws.walletResource(counterpart))) {
+        throw new WalletLinkError(400, `Message from ${walletAddress.substring(0, 8)}... does not name wallet ${counterpart.substring(0, 8)}...`);
+    }
+
+    if (!solana.verifySignature(message, signature, walletAddress)) {
+        throw new WalletLinkError(401, 'Invalid signature. Please try again.');
+    }
+}
+
+/**
+ * Check signed link messages of wallets to add to a member
+ * Each wallet must sign a link message naming the primary wallet, and be
+ * free: not retired, not verified on its own and not added to another member
+ * @param {Array<object>} signedWallets - [{ walletAddress, signature, message, nonce }]
+ * @param {string} primaryWallet
+ * @param {string} domain - Expected SIWS domain
+ * @returns {Promise<string[]>} - Wallets to add
+ * @throws {WalletLinkError}
+ */
+async function verifyAdditionalWallets(signedWallets, primaryWallet, domain) {
+    if (!Array.isArray(signedWallets)) {
+        throw new WalletLinkError(400, 'additionalWallets must be an array');
+    }
+
+    const existing = await getMemberWallets(primaryWallet);
+    const added = [];
+
+    for (const signed of signedWallets) {
+        const walletAddress = signed && signed.walletAddress;
+        if (walletAddress === primaryWallet || existing.includes(walletAddress) || added.includes(walletAddress)) {
+            throw new WalletLinkError(400, `Wallet ${String(walletAddress).substring(0, 8)}... is listed twice`);
+        }
+        if (existing.length + added.length >= MAX_MEMBER_WALLETS) {
+            throw new WalletLinkError(400, `A member can have at most ${MAX_MEMBER_WALLETS} wallets`);
+        }
+
+        await verifyLinkMessage(signed, domain, primaryWallet);
+
+        if (await db.getRetiredWallet(walletAddress)) {
+            throw new WalletLinkError(403, `Wallet ${walletAddress.substring(0, 8)}... was retired and can no longer be used`);
+        }
+        if (await db.hasWalletBeenVerified(walletAddress)) {
+            throw new WalletLinkError(409, `Wallet ${walletAddress.substring(0, 8)}... is verified on its own. Unlink it first to add it to another wallet.`);
+        }
+        if (await getLinkedPrimary(walletAddress)) {
+            throw new WalletLinkError(409, `Wallet ${walletAddress.substring(0, 8)}... already belongs to another member`);
+        }
+
+        added.push(walletAddress);
+    }
+
+    return added;
+}
+
+/**
+ * Add checked wallets to a member
+ * @param {string} primaryWallet
+ * @param {string[]} walletAddresses - From verifyAdditionalWallets
+ * @param {object} context
+ * @param {string} context.actor - Audit log actor
+ * @param {string} [context.ipAddress]
+ */
+async function addWallets(primaryWallet, walletAddresses, { actor, ipAddress }) {
+    if (walletAddresses.length === 0) return;
+
+    await db.addMemberWallets(primaryWallet, walletAddresses);
+
+    for (const walletAddress of walletAddresses) {
+        await audit.record({
+            actor,
+            action: audit.ACTIONS.WALLET_LINK,
+            walletAddress,
+            after: { primary_wallet: primaryWallet },
+            ipAddress
+        });
+    }
+
+    console.log(`👛 Added ${walletAddresses.length} wallet(s) to member ${primaryWallet.substring(0, 8)}...`);
+}
+
+/**
+ * Add a wallet to an existing member, both wallets signing a link message naming the other
+ * @param {object} params
+ * @param {object} params.member - Signed message of the member's primary wallet
+ * @param {object} params.wallet - Signed message of the wallet to add
+ * @param {string} params.domain - Expected SIWS domain
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<{primaryWallet: string, wallets: string[]}>}
+ * @throws {WalletLinkError}
+ */
+async function linkWithSignatures({ member, wallet, domain, ipAddress }) {
+    if (!member || !wallet || !member.walletAddress || !wallet.walletAddress) {
+        throw new WalletLinkError(400, 'Signed messages of the member wallet and the wallet to add are required');
+    }
+
+    const primaryWallet = member.walletAddress;
+    if (await getLinkedPrimary(primaryWallet)) {
+        throw new WalletLinkError(400, 'Sign with your primary wallet, the one you verified with');
+    }
+    if (!(await db.hasWalletBeenVerified(primaryWallet))) {
+        throw new WalletLinkError(404, 'This wallet has not been verified yet');
+    }
+
+    await verifyLinkMessage(member, domain, wallet.walletAddress);
+    const added = await verifyAdditionalWallets([wallet], primaryWallet, domain);
+    await addWallets(primaryWallet, added, { actor: audit.walletActor(primaryWallet), ipAddress });
+
+    return { primaryWallet, wallets: await getMemberWallets(primaryWallet) };
+}
+
+/**
+ * Group member wallet rows by member, for the members list
+ * @param {Array<object>} rows - From db.listMemberWallets()
+ * @returns {Map<string, Array<{wallet: string, primary: boolean, balance: number|null, balance_checked_at: string|null}>>} - Keyed by primary wallet
+ */
+function groupByMember(rows) {
+    const members = new Map();
+    for (const row of rows) {
+        if (!members.has(row.primary_wallet)) {
+            members.set(row.primary_wallet, []);
+        }
+        members.get(row.primary_wallet).push({
+            wallet: row.wallet_address,
+            primary: row.wallet_address === row.primary_wallet,
+            balance: row.balance === null || row.balance === undefined ? null : Number(row.balance),
+            balance_checked_at: row.balance_checked_at ? new Date(row.balance_checked_at).toISOString() : null
+        });
+    }
+    return members;
+}
+
+/**
+ * Respond with a WalletLinkError, or 500 for anything else
+ * @param {object} res
+ * @param {Error} error
+ */
+function sendLinkError(res, error) {
+    if (error instanceof WalletLinkError) {
+        console.log(`❌ Wallet link rejected: ${error.message}`);
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+
+    console.error('❌ Wallet link error:', error);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+}
+
+module.exports = {
+    MAX_MEMBER_WALLETS,
+    WalletLinkError,
+    getLinkedPrimary,
+    getMemberWallets,
+    verifyAdditionalWallets,
+    addWallets,
+    linkWithSignatures,
+    groupByMember,
+    sendLinkError
+};
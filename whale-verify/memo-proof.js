@@ -0,0 +1,97 @@
+// Signed memo transaction proof, for wallets that can't sign messages
+// Ledger accounts in Phantom and Solflare can only sign transactions, so
+// instead of signing the sign-in message the wallet signs (without sending)
+// a transaction whose memo carries that same message. The transaction is
+// never broadcast: the frontend uses a placeholder blockhash, so it could not
+// land on chain even if it leaked. Its memo then goes through the usual SIWS
+// checks (domain, wallet, nonce, expiry) like a signed message would.
+const { Transaction, ComputeBudgetProgram } = require('@solana/web3.js');
+
+const PROOF_TYPES = ['message', 'transaction'];
+
+// Memo v2 and the legacy v1 program
+const MEMO_PROGRAM_IDS = [
+    'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+    'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo'
+];
+
+const MAX_TRANSACTION_SIZE = 1232; // Bytes, Solana packet limit
+
+function isMemo(instruction) {
+    return MEMO_PROGRAM_IDS.includes(instruction.programId.toBase58());
+}
+
+/**
+ * Read a signed memo transaction
+ * Only memo instructions (and compute budget ones some wallets add) are
+ * allowed, with a single memo and the wallet as fee payer and only signer
+ * @param {string} serialized - Base64 encoded signed transaction
+ * @param {string} walletAddress - Wallet being verified
+ * @returns {{valid: boolean, error?: string, message?: string, transaction?: Transaction}} - message is the memo text
+ */
+function readMemoProof(serialized, walletAddress) {
+    if (typeof serialized !== 'string' || serialized.length === 0) {
+        return { valid: false, error: 'Missing signed transaction' };
+    }
+
+    const bytes = Buffer.from(serialized, 'base64');
+    if (bytes.length === 0 || bytes.length > MAX_TRANSACTION_SIZE) {
+        return { valid: false, error: 'Invalid transaction' };
+    }
+
+    let transaction;
+    try {
+        transaction = Transaction.from(bytes);
+    } catch (error) {
+        return { valid: false, error: 'Invalid transaction' };
+    }
+
+    if (!transaction.feePayer || transaction.feePayer.toBase58() !== walletAddress) {
+        return { valid: false, error: 'Transaction fee payer must be the wallet being verified' };
+    }
+
+    if (transaction.signatures.length !== 1) {
+        return { valid: false, error: 'Transaction must be signed by the wallet only' };
+    }
+
+    const unexpected = transaction.instructions.filter(instruction =>
+        !isMemo(instruction) && !instruction.programId.equals(ComputeBudgetProgram.programId)
+    );
+    if (unexpected.length > 0) {
+        return { valid: false, error: 'Transaction may only contain a memo' };
+    }
+
+    const memos = transaction.instructions.filter(isMemo);
+    if (memos.length !== 1) {
+        return { valid: false, error: 'Transaction must contain exactly one memo' };
+    }
+
+    return {
+        valid: true,
+        message: memos[0].data.toString('utf8'),
+        transaction
+    };
+}
+
+/**
+ * Check the wallet's signature on a memo transaction from readMemoProof
+ * @param {Transaction} transaction
+ * @returns {boolean}
+ */
+function verifyMemoProof(transaction) {
+    try {
+        const verified = transaction.verifySignatures(true);
+        console.log(`🔐 Memo transaction signature: ${verified ? '✅ VALID' : '❌ INVALID'}`);
+        return verified;
+    } catch (error) {
+        console.error('❌ Error verifying memo transaction:', error.message);
+        return false;
+    }
+}
+
+module.exports = {
+    PROOF_TYPES,
+    MEMO_PROGRAM_IDS,
+    readMemoProof,
+    verifyMemoProof
+};
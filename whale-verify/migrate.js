@@ -0,0 +1,177 @@
+// Schema migrations for the verifications database
+// Numbered files in ./migrations export up(context) and down(context), where
+// context is { dialect, exec, query, hasColumn }. Applied versions are recorded
+// in schema_migrations; each migration runs in its own transaction.
+//
+// Runs once per deploy (npm run vercel-build / prestart), never per request:
+//   node whale-verify/migrate.js up        - apply pending migrations
+//   node whale-verify/migrate.js down [n]  - revert the last n migrations (default 1)
+//   node whale-verify/migrate.js status    - list applied and pending migrations
+if (require.main === module) {
+    require('dotenv').config();
+}
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Load migration files, ordered by version
+ * @returns {Array<{version: number, name: string, up: Function, down: Function}>}
+ */
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => file.match(FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({
+            version: Number(version),
+            name,
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}`);
+        }
+    }
+
+    return migrations;
+}
+
+// Create schema_migrations and return the applied versions
+async function getAppliedVersions(adapter) {
+    return adapter.transaction(async ({ dialect, exec, query }) => {
+        await exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at ${dialect === 'postgres' ? 'TIMESTAMP' : 'INTEGER'} NOT NULL
+            )
+        `);
+        const rows = await query('SELECT version FROM schema_migrations ORDER BY version');
+        return new Set(rows.map(row => Number(row.version)));
+    });
+}
+
+// e.g. "003_tiered_verifications"
+function label({ version, name }) {
+    return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+function placeholders(dialect, count) {
+    return Array.from({ length: count }, (_, i) => (dialect === 'postgres' ? `$${i + 1}` : '?')).join(', ');
+}
+
+/**
+ * Apply all pending migrations
+ * @returns {Promise<string[]>} - Applied migration names
+ */
+async function up() {
+    const adapter = db.getAdapter();
+    const applied = await getAppliedVersions(adapter);
+    const pending = loadMigrations().filter(m => !applied.has(m.version));
+    const names = [];
+
+    for (const migration of pending) {
+        await adapter.transaction(async context => {
+            await migration.up(context);
+            const appliedAt = context.dialect === 'postgres' ? new Date() : Date.now();
+            await context.exec(
+                `INSERT INTO schema_migrations (version, name, applied_at) VALUES (${placeholders(context.dialect, 3)})`,
+                [migration.version, migration.name, appliedAt]
+            );
+        });
+        console.log(`⬆️  Applied ${label(migration)}`);
+        names.push(label(migration));
+    }
+
+    if (names.length === 0) {
+        console.log('✅ Schema is up to date');
+    }
+
+    return names;
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} [steps=1] - Number of migrations to revert
+ * @returns {Promise<string[]>} - Reverted migration names
+ */
+async function down(steps = 1) {
+    const adapter = db.getAdapter();
+    const applied = await getAppliedVersions(adapter);
+    const targets = loadMigrations()
+        .filter(m => applied.has(m.version))
+        .reverse()
+        .slice(0, steps);
+    const names = [];
+
+    for (const migration of targets) {
+        await adapter.transaction(async context => {
+            await migration.down(context);
+            await context.exec(
+                `DELETE FROM schema_migrations WHERE version = ${placeholders(context.dialect, 1)}`,
+                [migration.version]
+            );
+        });
+        console.log(`⬇️  Reverted ${label(migration)}`);
+        names.push(label(migration));
+    }
+
+    return names;
+}
+
+/**
+ * List every migration and whether it has been applied
+ * @returns {Promise<Array<{version: number, name: string, applied: boolean}>>}
+ */
+async function status() {
+    const applied = await getAppliedVersions(db.getAdapter());
+    return loadMigrations().map(({ version, name }) => ({
+        version,
+        name,
+        applied: applied.has(version)
+    }));
+}
+
+module.exports = {
+    loadMigrations,
+    up,
+    down,
+    status
+};
+
+// CLI: node whale-verify/migrate.js <up|down [n]|status>
+if (require.main === module) {
+    const [command = 'up', arg] = process.argv.slice(2);
+
+    const run = async () => {
+        if (command === 'up') {
+            await up();
+        } else if (command === 'down') {
+            const steps = arg === undefined ? 1 : Number(arg);
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error(`Invalid step count "${arg}"`);
+            }
+            await down(steps);
+        } else if (command === 'status') {
+            for (const migration of await status()) {
+                console.log(`${migration.applied ? '✅' : '⏳'} ${label(migration)}`);
+            }
+        } else {
+            throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+        }
+    };
+
+    run()
+        .then(() => db.getAdapter().close())
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('❌ Migration failed:', error.message);
+            process.exit(1);
+        });
+}
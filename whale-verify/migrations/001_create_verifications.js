@@ -0,0 +1,52 @@
+// Original verifications table, one row per wallet
+// IF NOT EXISTS so databases created before migrations existed are adopted as-is
+
+async function up({ dialect, exec }) {
+    if (dialect === 'postgres') {
+        await exec(`
+            CREATE TABLE IF NOT EXISTS verifications (
+                id SERIAL PRIMARY KEY,
+                wallet_address TEXT UNIQUE NOT NULL,
+                invite_link TEXT,
+                telegram_user_id TEXT,
+                telegram_username TEXT,
+                telegram_first_name TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                expires_at TIMESTAMP,
+                used BOOLEAN DEFAULT FALSE,
+                ip_address TEXT,
+                user_agent TEXT,
+                joined_at TIMESTAMP
+            )
+        `);
+        await exec('CREATE INDEX IF NOT EXISTS idx_wallet ON verifications(wallet_address)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_telegram_user ON verifications(telegram_user_id)');
+        return;
+    }
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS verifications (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            wallet_address TEXT UNIQUE NOT NULL,
+            invite_link TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL,
+            used BOOLEAN DEFAULT 0,
+            ip_address TEXT,
+            user_agent TEXT,
+            telegram_user_id TEXT,
+            telegram_username TEXT,
+            telegram_first_name TEXT,
+            joined_at INTEGER
+        )
+    `);
+    await exec('CREATE INDEX IF NOT EXISTS idx_wallet ON verifications(wallet_address)');
+    await exec('CREATE INDEX IF NOT EXISTS idx_expires ON verifications(expires_at)');
+    await exec('CREATE INDEX IF NOT EXISTS idx_telegram_user ON verifications(telegram_user_id)');
+}
+
+async function down({ exec }) {
+    await exec('DROP TABLE IF EXISTS verifications');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// Removal tracking for the holder sweep
+
+const COLUMNS = {
+    removed_at: { sqlite: 'INTEGER', postgres: 'TIMESTAMP' },
+    removal_reason: { sqlite: 'TEXT', postgres: 'TEXT' }
+};
+
+async function up({ dialect, exec, hasColumn }) {
+    for (const [column, types] of Object.entries(COLUMNS)) {
+        if (!(await hasColumn('verifications', column))) {
+            await exec(`ALTER TABLE verifications ADD COLUMN ${column} ${types[dialect]}`);
+        }
+    }
+}
+
+async function down({ exec, hasColumn }) {
+    for (const column of Object.keys(COLUMNS)) {
+        if (await hasColumn('verifications', column)) {
+            await exec(`ALTER TABLE verifications DROP COLUMN ${column}`);
+        }
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,67 @@
+// One row per wallet and tier chat instead of one row per wallet
+// Existing rows belong to the original single Whale chat (TELEGRAM_CHAT_ID)
+
+async function up({ dialect, exec, hasColumn }) {
+    const legacyChatId = process.env.TELEGRAM_CHAT_ID || '';
+
+    if (dialect === 'postgres') {
+        if (!(await hasColumn('verifications', 'tier'))) {
+            await exec('ALTER TABLE verifications ADD COLUMN tier TEXT');
+            await exec('ALTER TABLE verifications ADD COLUMN IF NOT EXISTS chat_id TEXT');
+            await exec(`UPDATE verifications SET tier = 'whale', chat_id = $1`, [legacyChatId]);
+        }
+        await exec('ALTER TABLE verifications DROP CONSTRAINT IF EXISTS verifications_wallet_address_key');
+        await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_chat ON verifications(wallet_address, chat_id)');
+        return;
+    }
+
+    // SQLite can't drop the UNIQUE(wallet_address) constraint, so the table is rebuilt
+    if (!(await hasColumn('verifications', 'tier'))) {
+        await exec(`
+            CREATE TABLE verifications_tiered (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                wallet_address TEXT NOT NULL,
+                tier TEXT,
+                chat_id TEXT,
+                invite_link TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                used BOOLEAN DEFAULT 0,
+                ip_address TEXT,
+                user_agent TEXT,
+                telegram_user_id TEXT,
+                telegram_username TEXT,
+                telegram_first_name TEXT,
+                joined_at INTEGER,
+                removed_at INTEGER,
+                removal_reason TEXT
+            )
+        `);
+        await exec(`
+            INSERT INTO verifications_tiered (
+                id, wallet_address, tier, chat_id, invite_link, created_at, expires_at, used,
+                ip_address, user_agent, telegram_user_id, telegram_username, telegram_first_name,
+                joined_at, removed_at, removal_reason
+            )
+            SELECT
+                id, wallet_address, 'whale', ?, invite_link, created_at, expires_at, used,
+                ip_address, user_agent, telegram_user_id, telegram_username, telegram_first_name,
+                joined_at, removed_at, removal_reason
+            FROM verifications
+        `, [legacyChatId]);
+        await exec('DROP TABLE verifications');
+        await exec('ALTER TABLE verifications_tiered RENAME TO verifications');
+    }
+
+    await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_chat ON verifications(wallet_address, chat_id)');
+    await exec('CREATE INDEX IF NOT EXISTS idx_wallet ON verifications(wallet_address)');
+    await exec('CREATE INDEX IF NOT EXISTS idx_expires ON verifications(expires_at)');
+    await exec('CREATE INDEX IF NOT EXISTS idx_telegram_user ON verifications(telegram_user_id)');
+}
+
+async function down() {
+    // Going back would mean dropping every row but one per wallet
+    throw new Error('003_tiered_verifications is irreversible (wallets may hold several tier rows)');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// Durable single-use nonces shared by Express and the Vercel functions
+
+async function up({ dialect, exec }) {
+    const timestamp = dialect === 'postgres' ? 'TIMESTAMP' : 'INTEGER';
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS nonces (
+            nonce TEXT PRIMARY KEY,
+            created_at ${timestamp} NOT NULL,
+            expires_at ${timestamp} NOT NULL,
+            consumed_at ${timestamp}
+        )
+    `);
+    await exec('CREATE INDEX IF NOT EXISTS idx_nonces_expires ON nonces(expires_at)');
+}
+
+async function down({ exec }) {
+    await exec('DROP TABLE IF EXISTS nonces');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+// Joins that could not be matched to a wallet's invite link, kept for admin review
+
+async function up({ dialect, exec }) {
+    const id = dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const timestamp = dialect === 'postgres' ? 'TIMESTAMP' : 'INTEGER';
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS unmatched_joins (
+            id ${id},
+            chat_id TEXT NOT NULL,
+            telegram_user_id TEXT NOT NULL,
+            telegram_username TEXT,
+            telegram_first_name TEXT,
+            invite_link TEXT,
+            invite_name TEXT,
+            reason TEXT NOT NULL,
+            created_at ${timestamp} NOT NULL,
+            resolved_at ${timestamp},
+            resolution TEXT,
+            wallet_address TEXT
+        )
+    `);
+    await exec('CREATE INDEX IF NOT EXISTS idx_unmatched_joins_resolved ON unmatched_joins(resolved_at)');
+}
+
+async function down({ exec }) {
+    await exec('DROP TABLE IF EXISTS unmatched_joins');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Join-request mode: a short code per verification, the Telegram user who claimed it
+// by DMing the bot, and one shared join-request link per tier chat
+
+async function up({ dialect, exec, hasColumn }) {
+    const timestamp = dialect === 'postgres' ? 'TIMESTAMP' : 'INTEGER';
+
+    for (const column of ['join_code', 'join_code_user_id']) {
+        if (!(await hasColumn('verifications', column))) {
+            await exec(`ALTER TABLE verifications ADD COLUMN ${column} TEXT`);
+        }
+    }
+    await exec('CREATE INDEX IF NOT EXISTS idx_join_code ON verifications(join_code)');
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS chat_join_links (
+            chat_id TEXT PRIMARY KEY,
+            invite_link TEXT NOT NULL,
+            created_at ${timestamp} NOT NULL
+        )
+    `);
+}
+
+async function down({ exec, hasColumn }) {
+    await exec('DROP TABLE IF EXISTS chat_join_links');
+    await exec('DROP INDEX IF EXISTS idx_join_code');
+    for (const column of ['join_code_user_id', 'join_code']) {
+        if (await hasColumn('verifications', column)) {
+            await exec(`ALTER TABLE verifications DROP COLUMN ${column}`);
+        }
+    }
+}
+
+module.exports = { up, down };
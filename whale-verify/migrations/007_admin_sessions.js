@@ -0,0 +1,30 @@
+// Admin sessions: revoked session IDs (logout) and failed logins (throttling)
+
+async function up({ dialect, exec }) {
+    const id = dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const timestamp = dialect === 'postgres' ? 'TIMESTAMP' : 'INTEGER';
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS admin_session_revocations (
+            session_id TEXT PRIMARY KEY,
+            expires_at ${timestamp} NOT NULL,
+            revoked_at ${timestamp} NOT NULL
+        )
+    `);
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS admin_login_failures (
+            id ${id},
+            ip_address TEXT NOT NULL,
+            created_at ${timestamp} NOT NULL
+        )
+    `);
+    await exec('CREATE INDEX IF NOT EXISTS idx_admin_login_failures_ip ON admin_login_failures(ip_address, created_at)');
+}
+
+async function down({ exec }) {
+    await exec('DROP TABLE IF EXISTS admin_login_failures');
+    await exec('DROP TABLE IF EXISTS admin_session_revocations');
+}
+
+module.exports = { up, down };
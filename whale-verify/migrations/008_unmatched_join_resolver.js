@@ -0,0 +1,15 @@
+// Admin who resolved a flagged join (wallet address, or "password")
+
+async function up({ exec, hasColumn }) {
+    if (!(await hasColumn('unmatched_joins', 'resolved_by'))) {
+        await exec('ALTER TABLE unmatched_joins ADD COLUMN resolved_by TEXT');
+    }
+}
+
+async function down({ exec, hasColumn }) {
+    if (await hasColumn('unmatched_joins', 'resolved_by')) {
+        await exec('ALTER TABLE unmatched_joins DROP COLUMN resolved_by');
+    }
+}
+
+module.exports = { up, down };
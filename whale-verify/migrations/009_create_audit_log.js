@@ -0,0 +1,61 @@
+// Append-only audit log of admin and system actions on verifications
+// Triggers reject UPDATE and DELETE so entries can't be rewritten after the fact
+
+async function up({ dialect, exec }) {
+    const id = dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const timestamp = dialect === 'postgres' ? 'TIMESTAMP' : 'INTEGER';
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id ${id},
+            created_at ${timestamp} NOT NULL,
+            actor TEXT NOT NULL,
+            action TEXT NOT NULL,
+            wallet_address TEXT,
+            telegram_user_id TEXT,
+            chat_id TEXT,
+            before_value TEXT,
+            after_value TEXT,
+            ip_address TEXT
+        )
+    `);
+    await exec('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)');
+    await exec('CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action)');
+    await exec('CREATE INDEX IF NOT EXISTS idx_audit_log_wallet ON audit_log(wallet_address)');
+    await exec('CREATE INDEX IF NOT EXISTS idx_audit_log_telegram ON audit_log(telegram_user_id)');
+
+    if (dialect === 'postgres') {
+        await exec(`
+            CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'audit_log is append-only';
+            END;
+            $$ LANGUAGE plpgsql
+        `);
+        await exec('DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log');
+        await exec(`
+            CREATE TRIGGER audit_log_append_only
+            BEFORE UPDATE OR DELETE ON audit_log
+            FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+        `);
+    } else {
+        for (const operation of ['UPDATE', 'DELETE']) {
+            await exec(`
+                CREATE TRIGGER IF NOT EXISTS audit_log_no_${operation.toLowerCase()}
+                BEFORE ${operation} ON audit_log
+                BEGIN
+                    SELECT RAISE(ABORT, 'audit_log is append-only');
+                END
+            `);
+        }
+    }
+}
+
+async function down({ dialect, exec }) {
+    await exec('DROP TABLE IF EXISTS audit_log');
+    if (dialect === 'postgres') {
+        await exec('DROP FUNCTION IF EXISTS audit_log_append_only()');
+    }
+}
+
+module.exports = { up, down };
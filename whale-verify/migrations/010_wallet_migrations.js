@@ -0,0 +1,34 @@
+// Wallet migration: retired wallets (moved to a new wallet, never verifiable
+// again) and pending migrations waiting for a Telegram confirmation
+
+async function up({ dialect, exec }) {
+    const timestamp = dialect === 'postgres' ? 'TIMESTAMP' : 'INTEGER';
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS retired_wallets (
+            wallet_address TEXT PRIMARY KEY,
+            replaced_by TEXT NOT NULL,
+            telegram_user_id TEXT,
+            retired_at ${timestamp} NOT NULL
+        )
+    `);
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS wallet_migrations (
+            code TEXT PRIMARY KEY,
+            new_wallet TEXT NOT NULL,
+            created_at ${timestamp} NOT NULL,
+            expires_at ${timestamp} NOT NULL,
+            telegram_user_id TEXT,
+            completed_at ${timestamp}
+        )
+    `);
+    await exec('CREATE INDEX IF NOT EXISTS idx_wallet_migrations_expires ON wallet_migrations(expires_at)');
+}
+
+async function down({ exec }) {
+    await exec('DROP TABLE IF EXISTS wallet_migrations');
+    await exec('DROP TABLE IF EXISTS retired_wallets');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Wallets of a member: every wallet counting towards a member's balance,
+// keyed to the member's primary wallet (the one its verifications belong to).
+// Existing verified wallets become their own primary wallet.
+
+async function up({ dialect, exec }) {
+    const timestamp = dialect === 'postgres' ? 'TIMESTAMP' : 'INTEGER';
+    const amount = dialect === 'postgres' ? 'DOUBLE PRECISION' : 'REAL';
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS member_wallets (
+            wallet_address TEXT PRIMARY KEY,
+            primary_wallet TEXT NOT NULL,
+            added_at ${timestamp} NOT NULL,
+            balance ${amount},
+            balance_checked_at ${timestamp}
+        )
+    `);
+    await exec('CREATE INDEX IF NOT EXISTS idx_member_wallets_primary ON member_wallets(primary_wallet)');
+
+    await exec(`
+        INSERT INTO member_wallets (wallet_address, primary_wallet, added_at)
+        SELECT wallet_address, wallet_address, MIN(created_at)
+        FROM verifications
+        WHERE wallet_address NOT IN (SELECT wallet_address FROM member_wallets)
+        GROUP BY wallet_address
+    `);
+}
+
+async function down({ exec }) {
+    await exec('DROP TABLE IF EXISTS member_wallets');
+}
+
+module.exports = { up, down };
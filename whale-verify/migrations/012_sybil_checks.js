@@ -0,0 +1,48 @@
+// Balance snapshot of each verification, and flags raised when the tokens a
+// wallet verified with recently came from another member's wallet
+
+const COLUMNS = {
+    balance_snapshot: { sqlite: 'REAL', postgres: 'DOUBLE PRECISION' },
+    snapshot_slot: { sqlite: 'INTEGER', postgres: 'BIGINT' }
+};
+
+async function up({ dialect, exec, hasColumn }) {
+    const id = dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const timestamp = dialect === 'postgres' ? 'TIMESTAMP' : 'INTEGER';
+
+    for (const [column, types] of Object.entries(COLUMNS)) {
+        if (!(await hasColumn('verifications', column))) {
+            await exec(`ALTER TABLE verifications ADD COLUMN ${column} ${types[dialect]}`);
+        }
+    }
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS sybil_flags (
+            id ${id},
+            wallet_address TEXT NOT NULL,
+            action TEXT NOT NULL,
+            balance ${COLUMNS.balance_snapshot[dialect]} NOT NULL,
+            required ${COLUMNS.balance_snapshot[dialect]} NOT NULL,
+            reused_amount ${COLUMNS.balance_snapshot[dialect]} NOT NULL,
+            snapshot_slot ${COLUMNS.snapshot_slot[dialect]},
+            transfers TEXT NOT NULL,
+            created_at ${timestamp} NOT NULL,
+            resolved_at ${timestamp},
+            resolution TEXT,
+            resolved_by TEXT
+        )
+    `);
+    await exec('CREATE INDEX IF NOT EXISTS idx_sybil_flags_resolved ON sybil_flags(resolved_at)');
+    await exec('CREATE INDEX IF NOT EXISTS idx_sybil_flags_wallet ON sybil_flags(wallet_address)');
+}
+
+async function down({ exec, hasColumn }) {
+    await exec('DROP TABLE IF EXISTS sybil_flags');
+    for (const column of Object.keys(COLUMNS)) {
+        if (await hasColumn('verifications', column)) {
+            await exec(`ALTER TABLE verifications DROP COLUMN ${column}`);
+        }
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+// Outcome of every verification attempt, and invites removed by the cleanup
+// after expiring unused, for the verification analytics
+
+async function up({ dialect, exec }) {
+    const id = dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const timestamp = dialect === 'postgres' ? 'TIMESTAMP' : 'INTEGER';
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS verification_attempts (
+            id ${id},
+            created_at ${timestamp} NOT NULL,
+            wallet_address TEXT,
+            outcome TEXT NOT NULL,
+            reason TEXT
+        )
+    `);
+    await exec('CREATE INDEX IF NOT EXISTS idx_verification_attempts_created ON verification_attempts(created_at)');
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS expired_invites (
+            id ${id},
+            wallet_address TEXT NOT NULL,
+            tier TEXT,
+            chat_id TEXT,
+            created_at ${timestamp} NOT NULL,
+            expires_at ${timestamp} NOT NULL
+        )
+    `);
+    await exec('CREATE INDEX IF NOT EXISTS idx_expired_invites_created ON expired_invites(created_at)');
+}
+
+async function down({ exec }) {
+    await exec('DROP TABLE IF EXISTS expired_invites');
+    await exec('DROP TABLE IF EXISTS verification_attempts');
+}
+
+module.exports = { up, down };
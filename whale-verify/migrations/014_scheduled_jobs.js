@@ -0,0 +1,27 @@
+// Scheduled jobs: a row per job holding the lock of the running instance and
+// the status, result and duration of the last run
+
+async function up({ dialect, exec }) {
+    const timestamp = dialect === 'postgres' ? 'TIMESTAMP' : 'INTEGER';
+
+    await exec(`
+        CREATE TABLE IF NOT EXISTS scheduled_jobs (
+            name TEXT PRIMARY KEY,
+            locked_by TEXT,
+            locked_until ${timestamp},
+            started_at ${timestamp},
+            triggered_by TEXT,
+            finished_at ${timestamp},
+            duration_ms INTEGER,
+            status TEXT,
+            result TEXT,
+            error TEXT
+        )
+    `);
+}
+
+async function down({ exec }) {
+    await exec('DROP TABLE IF EXISTS scheduled_jobs');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+// IP address each nonce was issued to, so the Vercel nonce function can limit
+// requests per IP without a long-running process
+
+async function up({ exec, hasColumn }) {
+    if (!(await hasColumn('nonces', 'ip_address'))) {
+        await exec('ALTER TABLE nonces ADD COLUMN ip_address TEXT');
+    }
+    await exec('CREATE INDEX IF NOT EXISTS idx_nonces_ip ON nonces(ip_address, created_at)');
+}
+
+async function down({ exec, hasColumn }) {
+    await exec('DROP INDEX IF EXISTS idx_nonces_ip');
+    if (await hasColumn('nonces', 'ip_address')) {
+        await exec('ALTER TABLE nonces DROP COLUMN ip_address');
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,63 @@
+// Durable single-use nonce store for wallet verification
+// Backed by the verification database, so the Express server and the Vercel
+// functions share the same semantics:
+//   issue(ip)         - create and record a new nonce
+//   consume(nonce)    - atomically mark a nonce used; true only the first time, before expiry
+//   cleanup()         - delete expired nonces (the cleanup job)
+//   getRetryAfter(ip) - seconds an IP must wait before its next nonce, 0 if it may have one
+const crypto = require('crypto');
+const db = require('./db');
+
+const NONCE_EXPIRY = 5 * 60 * 1000; // 5 minutes
+// Same limit as the Express nonceLimiter, counted over the stored nonces
+const MAX_NONCES_PER_IP = 10;
+const NONCE_RATE_WINDOW = 60 * 1000; // 1 minute
+
+/**
+ * Create and record a new nonce
+ * @param {string} [ipAddress] - Requesting IP, counted by getRetryAfter()
+ * @returns {Promise<string>} - Nonce
+ */
+async function issue(ipAddress) {
+    const nonce = crypto.randomBytes(24).toString('hex');
+    await db.issueNonce(nonce, Date.now() + NONCE_EXPIRY, ipAddress);
+    return nonce;
+}
+
+/**
+ * Rate limit for serverless functions, which can't keep a counter in memory
+ * @param {string} ipAddress
+ * @returns {Promise<number>} - Seconds until the IP may get another nonce, 0 if it may now
+ */
+async function getRetryAfter(ipAddress) {
+    const recent = await db.countRecentNonces(ipAddress, NONCE_RATE_WINDOW);
+    if (recent.count < MAX_NONCES_PER_IP) {
+        return 0;
+    }
+    return Math.max(1, Math.ceil((recent.oldest + NONCE_RATE_WINDOW - Date.now()) / 1000));
+}
+
+/**
+ * Consume a nonce
+ * @param {string} nonce
+ * @returns {Promise<boolean>} - False if unknown, expired or already used
+ */
+async function consume(nonce) {
+    return db.consumeNonce(nonce);
+}
+
+/**
+ * Delete expired nonces
+ * @returns {Promise<number>} - Number of deleted nonces
+ */
+async function cleanup() {
+    return db.cleanupNonces();
+}
+
+module.exports = {
+    NONCE_EXPIRY,
+    issue,
+    consume,
+    cleanup,
+    getRetryAfter
+};
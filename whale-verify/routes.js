@@ -4,9 +4,29 @@ const rateLimit = require('express-rate-limit');
 const db = require('./db');
 const solana = require('./solana');
 const telegram = require('./telegram');
+const holderSweep = require('./holder-sweep');
+const tiers = require('./tiers');
+const siws = require('./siws');
+const nonceStore = require('./nonce-store');
+const memberLinker = require('./member-linker');
+const joinRequests = require('./join-requests');
+const adminAuth = require('./admin-auth');
+const audit = require('./audit');
+const walletMigration = require('./wallet-migration');
+const memberWallets = require('./member-wallets');
+const sybilCheck = require('./sybil-check');
+const memoProof = require('./memo-proof');
+const holdingPeriod = require('./holding-period');
+const memberList = require('./member-list');
+const analytics = require('./analytics');
+const inviteLifecycle = require('./invite-lifecycle');
+const scheduler = require('./scheduler');
+const { requireAdmin } = adminAuth;
 
 const router = express.Router();
 
+const BASE58_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
 // Rate limiting
 const verifyLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -16,6 +36,16 @@ const verifyLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Separate from verifyLimiter so admins and members behind the same NAT don't
+// use up each other's attempts; failed logins are also throttled in admin-auth.js
+const adminLoginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // Max 10 login attempts per IP
+    message: { error: 'Too many login attempts. Please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 const nonceLimiter = rateLimit({
     windowMs: 1 * 60 * 1000, // 1 minute
     max: 10, // Max 10 nonces per minute
@@ -24,35 +54,56 @@ const nonceLimiter = rateLimit({
     legacyHeaders: false,
 });
 
-// Store nonces temporarily (in production, use Redis)
-const nonceStore = new Map();
-
-// Clean up old nonces every 5 minutes
-setInterval(() => {
-    const now = Date.now();
-    for (const [nonce, timestamp] of nonceStore.entries()) {
-        if (now - timestamp > 5 * 60 * 1000) { // 5 minutes
-            nonceStore.delete(nonce);
-        }
-    }
-}, 5 * 60 * 1000);
-
 /**
- * GET /api/whale-verify/nonce
- * Generate a nonce for message signing
+ * GET /api/whale-verify/nonce?wallet=<address>&purpose=<verify|admin|migrate|link>&counterpart=<address>
+ * Generate a nonce and Sign-In With Solana message for signing
+ * purpose picks the statement (verification by default, admin panel login,
+ * wallet migration or adding a wallet to a membership); counterpart names the
+ * other wallet of a migration or the member's primary wallet
+ * 
+ * Response contains both the full message (for signMessage) and the
+ * sign-in input (for wallets supporting signIn)
  */
-router.get('/nonce', nonceLimiter, (req, res) => {
+router.get('/nonce', nonceLimiter, async (req, res) => {
     try {
-        const nonce = solana.generateNonce();
-        const message = solana.createSignMessage(nonce);
-        
-        // Store nonce with timestamp
-        nonceStore.set(nonce, Date.now());
+        const { wallet, counterpart } = req.query;
+        const statement = siws.getStatement(req.query.purpose);
+
+        if (wallet !== undefined && !BASE58_ADDRESS.test(wallet)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid wallet address'
+            });
+        }
+
+        if (!statement) {
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown purpose'
+            });
+        }
+
+        if (counterpart !== undefined && !BASE58_ADDRESS.test(counterpart)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid counterpart wallet address'
+            });
+        }
+
+        const nonce = await nonceStore.issue();
+        const signInInput = siws.createSignInInput({
+            domain: siws.getExpectedDomain(),
+            nonce,
+            address: wallet,
+            statement,
+            resources: counterpart ? [siws.walletResource(counterpart)] : undefined
+        });
         
         res.json({
             success: true,
             nonce,
-            message
+            message: wallet ? siws.formatSignInMessage(signInInput) : null,
+            signInInput
         });
     } catch (error) {
         console.error('Error generating nonce:', error);
@@ -66,51 +117,110 @@ router.get('/nonce', nonceLimiter, (req, res) => {
 /**
  * POST /api/whale-verify/verify
  * Verify wallet and create Telegram invite
+ * additionalWallets are added to the member and count towards the balance,
+ * each signs a message from GET /nonce?wallet=<address>&purpose=link&counterpart=<walletAddress>
  * 
  * Request body:
  * {
  *   walletAddress: string,
  *   signature: string,
  *   message: string,
- *   nonce: string
+ *   nonce: string,
+ *   additionalWallets?: [{ walletAddress, signature, message, nonce }]
  * }
  */
 router.post('/verify', verifyLimiter, async (req, res) => {
     try {
-        const { walletAddress, signature, message, nonce } = req.body;
+        const { walletAddress, signature, nonce, proofType = 'message', additionalWallets = [] } = req.body;
+
+        if (!memoProof.PROOF_TYPES.includes(proofType)) {
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.INVALID_REQUEST);
+            return res.status(400).json({
+                success: false,
+                error: `proofType must be one of: ${memoProof.PROOF_TYPES.join(', ')}`
+            });
+        }
+
+        // Wallets that can't sign messages (Ledger) sign a memo transaction carrying the message
+        let memo = null;
+        if (proofType === 'transaction' && walletAddress) {
+            memo = memoProof.readMemoProof(req.body.transaction, walletAddress);
+            if (!memo.valid) {
+                console.log(`❌ Invalid memo transaction: ${memo.error}`);
+                await analytics.recordAttempt(walletAddress, analytics.REASONS.INVALID_REQUEST);
+                return res.status(400).json({
+                    success: false,
+                    error: memo.error
+                });
+            }
+        }
+        const message = memo ? memo.message : req.body.message;
 
         // Validation
-        if (!walletAddress || !signature || !message || !nonce) {
+        if (!walletAddress || !message || !nonce || (!memo && !signature)) {
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.INVALID_REQUEST);
             return res.status(400).json({
                 success: false,
                 error: 'Missing required fields'
             });
         }
 
-        // Check if nonce exists and is valid
-        if (!nonceStore.has(nonce)) {
+        // Consume nonce (atomic, fails if unknown, expired or already used)
+        if (!(await nonceStore.consume(nonce))) {
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.INVALID_NONCE);
             return res.status(400).json({
                 success: false,
                 error: 'Invalid or expired nonce. Please request a new one.'
             });
         }
 
-        // Remove used nonce
-        nonceStore.delete(nonce);
-
-        // Verify message contains the nonce
-        if (!message.includes(nonce)) {
+        // Verify the message is a SIWS verification message bound to our domain, this wallet and nonce
+        const messageCheck = siws.validateSignInMessage(message, {
+            domain: siws.getExpectedDomain(),
+            address: walletAddress,
+            nonce,
+            statement: siws.STATEMENT
+        });
+        if (!messageCheck.valid) {
+            console.log(`❌ Invalid sign-in message: ${messageCheck.error}`);
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.INVALID_MESSAGE);
             return res.status(400).json({
                 success: false,
-                error: 'Message does not contain the provided nonce'
+                error: messageCheck.error
             });
         }
 
         console.log(`\n🔍 Verifying wallet: ${walletAddress}`);
 
-        // Check if wallet already verified
-        if (db.hasWalletBeenVerified(walletAddress)) {
+        // Wallets moved to a new wallet can't be verified again, by anyone
+        if (await db.getRetiredWallet(walletAddress)) {
+            console.log('⚠️ Wallet was retired by a migration');
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.RETIRED_WALLET);
+            return res.status(403).json({
+                success: false,
+                error: 'This wallet was retired after its membership moved to another wallet and can no longer be verified.'
+            });
+        }
+
+        // Wallets added to a member only count towards that member's balance
+        if (await memberWallets.getLinkedPrimary(walletAddress)) {
+            console.log('⚠️ Wallet belongs to another member');
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.LINKED_WALLET);
+            return res.status(409).json({
+                success: false,
+                error: 'This wallet was added to another verified wallet. Verify with that wallet instead.'
+            });
+        }
+
+        // Invites that expired unused don't block a new one
+        await inviteLifecycle.cleanupExpired(walletAddress);
+
+        // Check if wallet already has an invite for every tier; members the sweep removed may verify again
+        const activeTiers = tiers.getTiers();
+        const verifiedChatIds = new Set((await db.getByWallet(walletAddress)).filter(v => !v.removed_at).map(v => v.chat_id));
+        if (activeTiers.length > 0 && activeTiers.every(tier => verifiedChatIds.has(tier.chatId))) {
             console.log('⚠️ Wallet already verified');
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.ALREADY_VERIFIED);
             return res.status(400).json({
                 success: false,
                 error: 'This wallet has already been verified. Each wallet can only receive one invite link.'
@@ -118,9 +228,12 @@ router.post('/verify', verifyLimiter, async (req, res) => {
         }
 
         // Verify signature
-        const signatureValid = solana.verifySignature(message, signature, walletAddress);
+        const signatureValid = memo
+            ? memoProof.verifyMemoProof(memo.transaction)
+            : solana.verifySignature(message, signature, walletAddress);
         if (!signatureValid) {
             console.log('❌ Invalid signature');
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.INVALID_SIGNATURE);
             return res.status(401).json({
                 success: false,
                 error: 'Invalid signature. Please try again.'
@@ -129,52 +242,191 @@ router.post('/verify', verifyLimiter, async (req, res) => {
 
         console.log('✅ Signature verified');
 
-        // Check token balance
-        const whaleStatus = await solana.checkWhaleStatus(walletAddress);
+        let addedWallets;
+        try {
+            addedWallets = await memberWallets.verifyAdditionalWallets(additionalWallets, walletAddress, siws.getExpectedDomain());
+        } catch (error) {
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.WALLET_LINK_FAILED);
+            return memberWallets.sendLinkError(res, error);
+        }
+
+        // Check token balance, combined over every wallet of the member
+        const walletAddresses = [...(await memberWallets.getMemberWallets(walletAddress)), ...addedWallets];
+        // An RPC outage is a "try again", never a zero balance
+        let whaleStatus;
+        try {
+            whaleStatus = await solana.checkWhaleStatus(walletAddresses);
+        } catch (error) {
+            if (!(error instanceof solana.RpcUnavailableError)) throw error;
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.RPC_UNAVAILABLE);
+            return res.status(503).json({
+                success: false,
+                error: 'Could not check your token balance right now, please try again',
+                reason: 'rpc_unavailable'
+            });
+        }
         
         if (!whaleStatus.qualified) {
             console.log(`❌ Insufficient tokens: ${whaleStatus.balance} / ${whaleStatus.required}`);
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.INSUFFICIENT_BALANCE);
+            return res.status(403).json(solana.insufficientBalanceResponse(whaleStatus));
+        }
+
+        // Optional rule: a tier's threshold must have been held for MIN_HOLDING_DAYS
+        let holding;
+        try {
+            holding = await holdingPeriod.check(solana.connection, {
+                walletAddresses,
+                tokenAccounts: whaleStatus.tokenAccounts,
+                balance: whaleStatus.balance,
+                tiers: whaleStatus.tiers
+            });
+        } catch (error) {
+            console.error('❌ Holding period check failed:', error.message);
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.HOLDING_CHECK_FAILED);
+            return res.status(503).json({
+                success: false,
+                error: 'Could not check your holding history, please try again'
+            });
+        }
+
+        if (holding && holding.tiers.length === 0) {
+            console.log(`❌ Holding period not met: ${holding.minimumBalance} / ${whaleStatus.required} over ${holding.days} days`);
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.HOLDING_PERIOD);
             return res.status(403).json({
+                ...holdingPeriod.failureResponse(holding, whaleStatus.balance, whaleStatus.required),
+                wallets: whaleStatus.wallets
+            });
+        }
+
+        // Only tiers the wallet hasn't received an invite for yet
+        const newTiers = (holding ? holding.tiers : whaleStatus.tiers).filter(tier => !verifiedChatIds.has(tier.chatId));
+
+        if (newTiers.length === 0) {
+            console.log('⚠️ Wallet already verified for all qualifying tiers');
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.ALREADY_VERIFIED);
+            return res.status(400).json({
                 success: false,
-                error: 'Not enough tokens',
-                balance: whaleStatus.balance,
-                required: whaleStatus.required,
-                message: `You need at least ${whaleStatus.required.toLocaleString()} CORE tokens to join the Whale Club. Your balance: ${whaleStatus.balance.toLocaleString()} CORE`
+                error: 'This wallet has already been verified. Each wallet can only receive one invite link per tier.'
             });
         }
 
-        console.log('✅ Whale status confirmed');
+        console.log(`✅ Whale status confirmed (${newTiers.map(t => t.name).join(', ')})`);
 
-        // Create Telegram invite link
-        const inviteLink = await telegram.createInviteLink(walletAddress);
-        
-        // Save to database
         const ipAddress = req.ip || req.headers['x-forwarded-for'] || 'unknown';
         const userAgent = req.headers['user-agent'] || 'unknown';
-        
-        const saveResult = db.saveVerification(walletAddress, inviteLink, ipAddress, userAgent);
-        
-        if (!saveResult.success) {
-            console.log('❌ Failed to save verification');
+
+        // Tokens recently received from another member don't qualify twice
+        const sybil = await sybilCheck.check(solana.connection, {
+            walletAddress,
+            walletAddresses,
+            tokenAccounts: whaleStatus.tokenAccounts,
+            balance: whaleStatus.balance,
+            slot: whaleStatus.slot,
+            newTiers,
+            ipAddress
+        });
+        if (sybil.unavailable) {
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.SYBIL_CHECK_FAILED);
+            return res.status(503).json({
+                success: false,
+                error: 'Could not check where your tokens came from right now, please try again',
+                reason: 'rpc_unavailable'
+            });
+        }
+        if (sybil.blocked) {
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.SYBIL_BLOCKED);
+            return res.status(403).json({
+                success: false,
+                error: 'The tokens this wallet qualifies with were recently moved from another verified member\'s wallet. Contact an admin if you think this is a mistake.'
+            });
+        }
+
+        const invites = [];
+
+        // Join-request mode: shared links plus a code the user DMs to the bot
+        const joinCode = joinRequests.isRequestMode() ? joinRequests.generateJoinCode() : undefined;
+
+        for (const tier of newTiers) {
+            // Single-use invite link for the tier chat, or its shared join-request link
+            const inviteLink = joinCode
+                ? await joinRequests.getJoinRequestLink(tier.chatId)
+                : await telegram.createInviteLink(walletAddress, tier.chatId);
+            
+            // Save to database
+            const saveResult = await db.saveVerification({
+                walletAddress,
+                tier: tier.id,
+                chatId: tier.chatId,
+                inviteLink,
+                joinCode,
+                ipAddress,
+                userAgent,
+                balanceSnapshot: whaleStatus.balance,
+                snapshotSlot: whaleStatus.slot
+            });
+            
+            if (!saveResult.success) {
+                console.log(`❌ Failed to save ${tier.name} verification`);
+                continue;
+            }
+
+            await audit.record({
+                actor: audit.walletActor(walletAddress),
+                action: audit.ACTIONS.VERIFICATION_CREATE,
+                walletAddress,
+                chatId: tier.chatId,
+                after: { tier: tier.id, join_mode: joinCode ? 'request' : 'invite', proof: proofType, balance: whaleStatus.balance },
+                ipAddress
+            });
+
+            invites.push({
+                tier: tier.id,
+                name: tier.name,
+                inviteLink
+            });
+        }
+
+        if (invites.length === 0) {
+            await analytics.recordAttempt(walletAddress, analytics.REASONS.SAVE_FAILED);
             return res.status(500).json({
                 success: false,
                 error: 'Failed to save verification'
             });
         }
 
+        await memberWallets.addWallets(walletAddress, addedWallets, {
+            actor: audit.walletActor(walletAddress),
+            ipAddress
+        });
+        await db.updateWalletBalances(whaleStatus.wallets);
+
+        await analytics.recordAttempt(walletAddress);
+
         console.log('✅ Verification saved to database');
-        console.log(`🎉 Whale Club invite created for ${walletAddress}\n`);
+        console.log(`🎉 ${invites.map(i => i.name).join(', ')} invite(s) created for ${walletAddress}\n`);
 
         res.json({
             success: true,
-            inviteLink,
+            // Highest tier first; inviteLink kept for clients expecting a single link
+            inviteLink: invites[invites.length - 1].inviteLink,
+            invites: invites.slice().reverse(),
             balance: whaleStatus.balance,
+            wallets: whaleStatus.wallets,
             expiresIn: 600, // 10 minutes in seconds
-            message: 'Welcome to the Whale Club! Your invite link is valid for 10 minutes and can only be used once.'
+            joinMode: joinCode ? 'request' : 'invite',
+            ...(joinCode && {
+                joinCode,
+                botLink: joinRequests.getBotLink(joinCode)
+            }),
+            message: joinCode
+                ? `Welcome to the Whale Club! Send the code ${joinCode} to our Telegram bot, then request to join within 10 minutes.`
+                : 'Welcome to the Whale Club! Your invite links are valid for 10 minutes and can only be used once.'
         });
 
     } catch (error) {
         console.error('❌ Verification error:', error);
+        await analytics.recordAttempt(req.body && req.body.walletAddress, analytics.REASONS.ERROR);
         res.status(500).json({
             success: false,
             error: 'Verification failed. Please try again.',
@@ -185,14 +437,16 @@ router.post('/verify', verifyLimiter, async (req, res) => {
 
 /**
  * GET /api/whale-verify/stats
- * Get verification statistics (admin only - add authentication in production)
+ * Get verification statistics (admin, viewer)
  */
-router.get('/stats', (req, res) => {
+router.get('/stats', requireAdmin(), async (req, res) => {
     try {
-        const stats = db.getStats();
+        const stats = await db.stats();
         res.json({
             success: true,
-            stats
+            stats,
+            tiers: tiers.getTiers().map(({ id, name, minTokens }) => ({ id, name, minTokens })),
+            rpc: solana.getRpcStatus()
         });
     } catch (error) {
         console.error('Error fetching stats:', error);
@@ -203,16 +457,47 @@ router.get('/stats', (req, res) => {
     }
 });
 
+/**
+ * GET /api/whale-verify/stats/timeseries?bucket=hour|day|week&since=&until=
+ * Verifications, rejections by reason, invite conversion and expiry and
+ * median time to join, per bucket (admin, viewer; see analytics.js)
+ */
+router.get('/stats/timeseries', requireAdmin(), async (req, res) => {
+    try {
+        const result = await analytics.timeseries(req.query);
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        console.error('Error fetching stats time series:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch statistics'
+        });
+    }
+});
+
 /**
  * POST /api/whale-verify/cleanup
- * Cleanup expired invites (call periodically or via cron)
+ * Revoke and cleanup expired invites now (admin, operator; the scheduler runs this as the
+ * invite-revocation and cleanup jobs)
  */
-router.post('/cleanup', (req, res) => {
+router.post('/cleanup', requireAdmin('operator'), async (req, res) => {
     try {
-        const deleted = db.cleanupExpiredInvites();
+        const { expired, deleted, revoked } = await inviteLifecycle.cleanupExpired();
+        const deletedNonces = await nonceStore.cleanup();
+        console.log(`🧹 Cleanup by ${adminAuth.describeActor(req.adminSession)}: ${deleted} invites (${revoked} links revoked), ${deletedNonces} nonces`);
+
+        await audit.record({
+            actor: audit.adminActor(req.adminSession),
+            action: audit.ACTIONS.INVITES_CLEANUP,
+            before: expired.map(v => ({ wallet: v.wallet_address, tier: v.tier, chat_id: v.chat_id })),
+            after: { deleted, revoked, deletedNonces },
+            ipAddress: adminAuth.getClientIp(req)
+        });
         res.json({
             success: true,
-            deleted
+            deleted,
+            revoked,
+            deletedNonces
         });
     } catch (error) {
         console.error('Error cleaning up:', error);
@@ -224,30 +509,85 @@ router.post('/cleanup', (req, res) => {
 });
 
 /**
- * GET /api/whale-verify/members
- * Get all wallet-Telegram pairings (admin endpoint)
+ * POST /api/whale-verify/sweep
+ * Re-check balances of joined members and remove those below the threshold (admin, operator)
+ * 
+ * Request body:
+ * {
+ *   dryRun: boolean (optional) - report without removing anyone
+ * }
  */
-router.get('/members', (req, res) => {
+router.post('/sweep', requireAdmin('operator'), async (req, res) => {
     try {
-        const verifications = db.getAllVerifications();
-        
-        const members = verifications.map(v => ({
-            wallet: v.wallet_address,
-            telegram: {
-                user_id: v.telegram_user_id,
-                username: v.telegram_username ? `@${v.telegram_username}` : null,
-                first_name: v.telegram_first_name
-            },
-            created_at: new Date(v.created_at).toISOString(),
-            joined_at: v.joined_at ? new Date(v.joined_at).toISOString() : null,
-            status: v.telegram_user_id ? 'joined' : (v.used ? 'link_used' : 'pending')
-        }));
-        
+        const dryRun = req.body && (req.body.dryRun === true || req.body.dryRun === 'true');
+        console.log(`🧹 Holder sweep${dryRun ? ' (dry run)' : ''} started by ${adminAuth.describeActor(req.adminSession)}`);
+        const report = await holderSweep.runSweep({
+            dryRun,
+            actor: audit.adminActor(req.adminSession),
+            ipAddress: adminAuth.getClientIp(req)
+        });
         res.json({
             success: true,
-            count: members.length,
-            members
+            report
         });
+    } catch (error) {
+        console.error('Error running holder sweep:', error);
+        res.status(error.message.includes('already running') ? 409 : 500).json({
+            success: false,
+            error: error.message.includes('already running') ? error.message : 'Failed to run holder sweep'
+        });
+    }
+});
+
+/**
+ * GET /api/whale-verify/sweep
+ * Get holder sweep status and the last report (admin, viewer)
+ */
+router.get('/sweep', requireAdmin(), (req, res) => {
+    res.json({
+        success: true,
+        ...holderSweep.getStatus()
+    });
+});
+
+/**
+ * GET /api/whale-verify/jobs
+ * Scheduled jobs with their interval and last run (admin, viewer)
+ */
+router.get('/jobs', requireAdmin(), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            jobs: await scheduler.listJobs()
+        });
+    } catch (error) {
+        console.error('Error listing jobs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list jobs'
+        });
+    }
+});
+
+/**
+ * GET|POST /api/whale-verify/cron/:job
+ * Run a scheduled job now (Authorization: Bearer CRON_SECRET, as sent by Vercel Cron)
+ */
+function runCronJob(req, res) {
+    return scheduler.handleCron(req, res, req.params.job);
+}
+router.get('/cron/:job', runCronJob);
+router.post('/cron/:job', runCronJob);
+
+/**
+ * GET /api/whale-verify/members?q=&status=&tier=&since=&until=&sort=&order=&limit=&cursor=
+ * Page of wallet-Telegram pairings, filtered and sorted (admin, viewer)
+ * Follow next_cursor for the next page (see member-list.js)
+ */
+router.get('/members', requireAdmin(), async (req, res) => {
+    try {
+        const result = await memberList.list(req.query);
+        res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
         console.error('Error fetching members:', error);
         res.status(500).json({
@@ -258,48 +598,400 @@ router.get('/members', (req, res) => {
 });
 
 /**
- * POST /api/whale-verify/verify-admin
- * Verify admin panel password
+ * GET /api/whale-verify/members-export?format=csv|json&q=&status=&tier=&since=&until=&sort=&order=
+ * Download every member matching the filters, streamed (admin, viewer)
  */
-router.post('/verify-admin', (req, res) => {
+router.get('/members-export', requireAdmin(), async (req, res) => {
     try {
-        const { password } = req.body;
-        const adminPassword = process.env.ADMIN_PASSWORD || 'WhaleCore2026';
-        
-        console.log('🔐 Admin login attempt');
-        console.log('   Received password length:', password ? password.length : 0);
-        console.log('   Expected password length:', adminPassword ? adminPassword.length : 0);
-        console.log('   Match:', password === adminPassword);
-        
-        if (password === adminPassword) {
-            // Generate simple token (timestamp + random)
-            const token = Buffer.from(`${Date.now()}-${Math.random()}`).toString('base64');
-            console.log('   ✅ Login successful');
-            res.json({
-                success: true,
-                token: token
+        await memberList.exportMembers(req.query, res);
+    } catch (error) {
+        console.error('Error exporting members:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export members'
+        });
+    }
+});
+
+/**
+ * POST /api/whale-verify/invites/revoke
+ * Revoke a member's unused invite links; the wallet can verify again (admin, operator)
+ *
+ * Request body:
+ * {
+ *   wallet: string,
+ *   tier?: string - only this tier's invite
+ * }
+ */
+router.post('/invites/revoke', requireAdmin('operator'), async (req, res) => {
+    const { wallet, tier } = req.body || {};
+    if (!wallet || !BASE58_ADDRESS.test(wallet)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid wallet address'
+        });
+    }
+
+    try {
+        const revoked = await inviteLifecycle.revoke(wallet, tier, {
+            actor: audit.adminActor(req.adminSession),
+            ipAddress: adminAuth.getClientIp(req)
+        });
+        res.json({
+            success: true,
+            revoked: revoked.map(row => ({ tier: row.tier, chat_id: row.chat_id, invite_link: row.invite_link }))
+        });
+    } catch (error) {
+        inviteLifecycle.sendInviteError(res, error);
+    }
+});
+
+/**
+ * POST /api/whale-verify/invites/reissue
+ * Replace a member's unused invite links with fresh ones (admin, operator)
+ *
+ * Request body:
+ * {
+ *   wallet: string,
+ *   tier?: string - only this tier's invite
+ * }
+ */
+router.post('/invites/reissue', requireAdmin('operator'), async (req, res) => {
+    const { wallet, tier } = req.body || {};
+    if (!wallet || !BASE58_ADDRESS.test(wallet)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid wallet address'
+        });
+    }
+
+    try {
+        const invites = await inviteLifecycle.reissue(wallet, tier, {
+            actor: audit.adminActor(req.adminSession),
+            ipAddress: adminAuth.getClientIp(req)
+        });
+        res.json({
+            success: true,
+            invites
+        });
+    } catch (error) {
+        inviteLifecycle.sendInviteError(res, error);
+    }
+});
+
+/**
+ * GET /api/whale-verify/unmatched-joins?all=true
+ * Joins that could not be matched to a wallet (admin, viewer)
+ */
+router.get('/unmatched-joins', requireAdmin(), async (req, res) => {
+    try {
+        const joins = await db.listUnmatchedJoins({ includeResolved: req.query.all === 'true' });
+
+        res.json({
+            success: true,
+            count: joins.length,
+            joins: joins.map(formatUnmatchedJoin)
+        });
+    } catch (error) {
+        console.error('Error fetching unmatched joins:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch unmatched joins'
+        });
+    }
+});
+
+/**
+ * POST /api/whale-verify/unmatched-joins
+ * Resolve a flagged join: { id, wallet_address } links the member to the
+ * wallet, { id } alone dismisses the flag (admin, operator)
+ */
+router.post('/unmatched-joins', requireAdmin('operator'), async (req, res) => {
+    try {
+        const { id, wallet_address: walletAddress } = req.body || {};
+
+        if (!id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Flagged join ID required'
             });
-        } else {
-            console.log('   ❌ Login failed - password mismatch');
-            res.status(401).json({
+        }
+
+        if (walletAddress && !BASE58_ADDRESS.test(walletAddress)) {
+            return res.status(400).json({
                 success: false,
-                error: 'Invalid password'
+                error: 'Invalid wallet address'
             });
         }
+
+        const result = await memberLinker.resolveFlaggedJoin(Number(id), walletAddress, {
+            session: req.adminSession,
+            ipAddress: adminAuth.getClientIp(req)
+        });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error resolving unmatched join:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resolve unmatched join'
+        });
+    }
+});
+
+/**
+ * GET /api/whale-verify/sybil-flags?all=true
+ * Verifications whose tokens recently came from another member (admin, viewer)
+ */
+router.get('/sybil-flags', requireAdmin(), async (req, res) => {
+    try {
+        const flags = await db.listSybilFlags({ includeResolved: req.query.all === 'true' });
+
+        res.json({
+            success: true,
+            mode: sybilCheck.getMode(),
+            count: flags.length,
+            flags: flags.map(sybilCheck.formatFlag)
+        });
     } catch (error) {
-        console.error('Error verifying admin:', error);
+        console.error('Error fetching sybil flags:', error);
         res.status(500).json({
             success: false,
-            error: 'Server error'
+            error: 'Failed to fetch sybil flags'
+        });
+    }
+});
+
+/**
+ * POST /api/whale-verify/sybil-flags
+ * Resolve a sybil flag: { id, resolution: 'dismissed' | 'confirmed' } (admin, operator)
+ */
+router.post('/sybil-flags', requireAdmin('operator'), async (req, res) => {
+    try {
+        const { id, resolution } = req.body || {};
+
+        if (!id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Sybil flag ID required'
+            });
+        }
+
+        const result = await sybilCheck.resolveFlag(Number(id), resolution, {
+            session: req.adminSession,
+            ipAddress: adminAuth.getClientIp(req)
+        });
+
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        console.error('Error resolving sybil flag:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resolve sybil flag'
+        });
+    }
+});
+
+function formatUnmatchedJoin(join) {
+    return {
+        id: join.id,
+        chat_id: join.chat_id,
+        tier: (tiers.getTierByChatId(join.chat_id) || {}).id || null,
+        telegram: {
+            user_id: join.telegram_user_id,
+            username: join.telegram_username ? `@${join.telegram_username}` : null,
+            first_name: join.telegram_first_name
+        },
+        invite_link: join.invite_link,
+        invite_name: join.invite_name,
+        reason: join.reason,
+        created_at: new Date(join.created_at).toISOString(),
+        resolved_at: join.resolved_at ? new Date(join.resolved_at).toISOString() : null,
+        resolution: join.resolution,
+        resolved_by: join.resolved_by || null,
+        wallet: join.wallet_address
+    };
+}
+
+/**
+ * GET /api/whale-verify/audit-log?page=1&limit=50&action=&actor=&wallet=&telegram_user_id=&since=&until=
+ * Audit log of admin and system actions, newest first (admin, owner)
+ */
+router.get('/audit-log', requireAdmin('owner'), async (req, res) => {
+    try {
+        const result = await audit.list(req.query);
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch audit log'
+        });
+    }
+});
+
+/**
+ * POST /api/whale-verify/verify-admin
+ * Password login (owner): returns a signed session token, sent as
+ * "Authorization: Bearer <token>" to the admin endpoints
+ */
+router.post('/verify-admin', async (req, res) => {
+    try {
+        const { password } = req.body || {};
+
+        if (!password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password required'
+            });
+        }
+
+        const session = await adminAuth.login(password, adminAuth.getClientIp(req));
+        res.json(formatAdminSession(session));
+    } catch (error) {
+        adminAuth.sendAuthError(res, error);
+    }
+});
+
+/**
+ * POST /api/whale-verify/migrate-wallet
+ * Move a verified member's membership to a new wallet
+ * Each wallet signs a message from GET /nonce?wallet=<address>&purpose=migrate&counterpart=<other wallet>.
+ * With both signatures the migration happens right away. With only the new
+ * wallet's signature (no counterpart needed), a code is returned that the
+ * member confirms with /migrate <code> from their linked Telegram account.
+ * 
+ * Request body:
+ * {
+ *   oldWallet?: { walletAddress, signature, message, nonce },
+ *   newWallet: { walletAddress, signature, message, nonce }
+ * }
+ */
+router.post('/migrate-wallet', verifyLimiter, async (req, res) => {
+    try {
+        const { oldWallet, newWallet } = req.body || {};
+        const domain = siws.getExpectedDomain();
+
+        if (oldWallet) {
+            const result = await walletMigration.migrateWithSignatures({
+                oldWallet,
+                newWallet,
+                domain,
+                ipAddress: adminAuth.getClientIp(req)
+            });
+            return res.json({ success: true, migrated: true, ...result });
+        }
+
+        const pending = await walletMigration.startTelegramMigration({ newWallet, domain });
+        res.json({
+            success: true,
+            migrated: false,
+            code: pending.code,
+            botLink: pending.botLink,
+            expiresAt: new Date(pending.expiresAt).toISOString(),
+            message: `Send /migrate ${pending.code} to the bot from your linked Telegram account to confirm`
+        });
+    } catch (error) {
+        walletMigration.sendMigrationError(res, error);
+    }
+});
+
+/**
+ * POST /api/whale-verify/link-wallet
+ * Add a wallet to a verified member, its balance then counts towards the member's tiers
+ * Both wallets sign a message from GET /nonce?wallet=<address>&purpose=link&counterpart=<other wallet>.
+ * Call /verify again afterwards to get invites for tiers the combined balance now reaches.
+ * 
+ * Request body:
+ * {
+ *   member: { walletAddress, signature, message, nonce },  // primary (verified) wallet
+ *   wallet: { walletAddress, signature, message, nonce }   // wallet to add
+ * }
+ */
+router.post('/link-wallet', verifyLimiter, async (req, res) => {
+    try {
+        const { member, wallet } = req.body || {};
+        const result = await memberWallets.linkWithSignatures({
+            member,
+            wallet,
+            domain: siws.getExpectedDomain(),
+            ipAddress: adminAuth.getClientIp(req)
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        memberWallets.sendLinkError(res, error);
+    }
+});
+
+/**
+ * POST /api/whale-verify/admin-login
+ * Wallet login: an ADMIN_WALLETS wallet signs the message from
+ * GET /nonce?wallet=<address>&purpose=admin, returns a session token with the wallet's role
+ * 
+ * Request body:
+ * {
+ *   walletAddress: string,
+ *   signature: string,
+ *   message: string,
+ *   nonce: string
+ * }
+ */
+router.post('/admin-login', adminLoginLimiter, async (req, res) => {
+    try {
+        const { walletAddress, signature, message, nonce } = req.body || {};
+
+        const session = await adminAuth.walletLogin({
+            walletAddress,
+            signature,
+            message,
+            nonce,
+            domain: siws.getExpectedDomain()
+        }, adminAuth.getClientIp(req));
+        res.json(formatAdminSession(session));
+    } catch (error) {
+        adminAuth.sendAuthError(res, error);
+    }
+});
+
+function formatAdminSession({ token, expiresAt, role, subject }) {
+    return {
+        success: true,
+        token,
+        role,
+        wallet: subject === 'password' ? null : subject,
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+}
+
+/**
+ * POST /api/whale-verify/logout
+ * Revoke the admin session of the request
+ */
+router.post('/logout', requireAdmin(), async (req, res) => {
+    try {
+        await adminAuth.logout(req.adminSession);
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log out'
         });
     }
 });
 
 /**
  * POST /api/whale-verify/link-telegram
- * Manually link a wallet to Telegram user (admin endpoint)
+ * Manually link a wallet to Telegram user (admin, operator)
  */
-router.post('/link-telegram', (req, res) => {
+router.post('/link-telegram', requireAdmin('operator'), async (req, res) => {
     try {
         const { wallet_address, telegram_user_id, telegram_username, telegram_first_name } = req.body;
         
@@ -310,14 +1002,24 @@ router.post('/link-telegram', (req, res) => {
             });
         }
         
-        const result = db.updateTelegramInfo(
-            wallet_address,
-            telegram_user_id,
-            telegram_username,
-            telegram_first_name
-        );
+        const before = await db.getByWallet(wallet_address);
+        const result = await db.linkTelegram(wallet_address, {
+            userId: telegram_user_id,
+            username: telegram_username,
+            firstName: telegram_first_name
+        });
         
         if (result.success) {
+            await audit.record({
+                actor: audit.adminActor(req.adminSession),
+                action: audit.ACTIONS.MEMBER_LINK,
+                walletAddress: wallet_address,
+                telegramUserId: telegram_user_id,
+                before: before.map(audit.memberState),
+                after: (await db.getByWallet(wallet_address)).map(audit.memberState),
+                ipAddress: adminAuth.getClientIp(req)
+            });
+            console.log(`🔗 ${wallet_address.substring(0, 8)}... linked to Telegram user ${telegram_user_id} by ${adminAuth.describeActor(req.adminSession)}`);
             res.json({
                 success: true,
                 message: 'Telegram info updated successfully'
@@ -0,0 +1,240 @@
+// Solana RPC pool: several endpoints with failover, retries and rate limits
+// The public mainnet endpoint rate-limits hard, so calls go through a pool of
+// endpoints instead of a single Connection. Each call is tried on the
+// healthiest endpoint first and retried with backoff on the next one if it
+// fails; endpoints failing repeatedly sit out a cool-down. Every endpoint has
+// its own request-per-second budget. When every attempt fails the caller gets
+// an RpcUnavailableError, never a made-up result.
+//
+// SOLANA_RPC_URLS: comma-separated endpoints, in order of preference
+//   (falls back to SOLANA_RPC_URL, then the public mainnet endpoint)
+// SOLANA_COMMITMENT: processed, confirmed (default) or finalized
+// SOLANA_RPC_RATE_LIMIT: requests per second per endpoint (default 10)
+// SOLANA_RPC_RETRIES: attempts per call across endpoints (default 3)
+const { Connection } = require('@solana/web3.js');
+
+const DEFAULT_RPC_URL = 'https://api.mainnet-beta.solana.com';
+const COMMITMENTS = ['processed', 'confirmed', 'finalized'];
+const DEFAULT_RATE_LIMIT = 10;
+const DEFAULT_RETRIES = 3;
+
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 4000;
+const FAILURES_BEFORE_COOLDOWN = 3;
+const COOLDOWN_BASE_MS = 30 * 1000;
+const COOLDOWN_MAX_MS = 5 * 60 * 1000;
+
+// JSON-RPC errors caused by the request itself, the same on every endpoint
+const NON_RETRYABLE_CODES = [-32600, -32601, -32602];
+
+class RpcUnavailableError extends Error {
+    /**
+     * @param {string} method - RPC method that failed
+     * @param {Error} [cause] - Last error seen
+     */
+    constructor(method, cause) {
+        super(`Solana RPC unavailable (${method}), please try again`);
+        this.name = 'RpcUnavailableError';
+        this.method = method;
+        this.cause = cause;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryable(error) {
+    return !(error && NON_RETRYABLE_CODES.includes(error.code));
+}
+
+// Token bucket allowing `perSecond` requests per second, with bursts of the same size
+function createRateLimiter(perSecond) {
+    let tokens = perSecond;
+    let updatedAt = Date.now();
+
+    return async function acquire() {
+        for (;;) {
+            const now = Date.now();
+            tokens = Math.min(perSecond, tokens + (now - updatedAt) / 1000 * perSecond);
+            updatedAt = now;
+
+            if (tokens >= 1) {
+                tokens -= 1;
+                return;
+            }
+            await sleep(Math.ceil((1 - tokens) / perSecond * 1000));
+        }
+    };
+}
+
+/**
+ * Create an RPC pool
+ * @param {object} options
+ * @param {string[]} options.urls - Endpoints, in order of preference
+ * @param {string} [options.commitment='confirmed']
+ * @param {number} [options.rateLimit=10] - Requests per second per endpoint
+ * @param {number} [options.retries=3] - Attempts per call across endpoints
+ * @returns {{connection: object, call: Function, getStatus: Function}} - connection has the Connection methods, routed through the pool
+ */
+function createRpcPool({ urls, commitment = 'confirmed', rateLimit = DEFAULT_RATE_LIMIT, retries = DEFAULT_RETRIES }) {
+    if (!urls || urls.length === 0) {
+        throw new Error('At least one Solana RPC endpoint is required');
+    }
+    if (!COMMITMENTS.includes(commitment)) {
+        throw new Error(`Unknown Solana commitment "${commitment}" (expected ${COMMITMENTS.join(', ')})`);
+    }
+
+    const endpoints = urls.map((url, index) => ({
+        url,
+        // Endpoints often carry an API key in the URL, only the host is logged
+        host: new URL(url).host,
+        index,
+        // web3.js retries 429s on its own for a long time, failing over is faster
+        connection: new Connection(url, { commitment, disableRetryOnRateLimit: true }),
+        acquire: createRateLimiter(rateLimit),
+        requests: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        cooldownUntil: 0,
+        lastError: null,
+        lastErrorAt: null
+    }));
+
+    // Endpoints out of cool-down first, in configured order; a preferred endpoint
+    // gets its turn again as soon as its cool-down ends
+    function rankEndpoints() {
+        const now = Date.now();
+        return endpoints.slice().sort((a, b) =>
+            (a.cooldownUntil > now) - (b.cooldownUntil > now)
+            || a.index - b.index
+        );
+    }
+
+    function recordSuccess(endpoint) {
+        endpoint.consecutiveFailures = 0;
+        endpoint.cooldownUntil = 0;
+    }
+
+    function recordFailure(endpoint, error) {
+        endpoint.failures++;
+        endpoint.consecutiveFailures++;
+        endpoint.lastError = error.message;
+        endpoint.lastErrorAt = Date.now();
+
+        if (endpoint.consecutiveFailures >= FAILURES_BEFORE_COOLDOWN) {
+            const cooldown = Math.min(COOLDOWN_MAX_MS, COOLDOWN_BASE_MS * 2 ** (endpoint.consecutiveFailures - FAILURES_BEFORE_COOLDOWN));
+            endpoint.cooldownUntil = Date.now() + cooldown;
+            console.warn(`⚠️ RPC endpoint ${endpoint.host} failing, cooling down for ${cooldown / 1000}s`);
+        }
+    }
+
+    /**
+     * Call a Connection method, failing over between endpoints
+     * @param {string} method - Connection method name
+     * @param {...*} args
+     * @returns {Promise<*>}
+     * @throws {RpcUnavailableError} - When every attempt failed
+     */
+    async function call(method, ...args) {
+        const tried = new Set();
+        let lastError;
+
+        for (let attempt = 0; attempt < retries; attempt++) {
+            if (attempt > 0) {
+                const backoff = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+                await sleep(backoff / 2 + Math.random() * backoff / 2);
+            }
+
+            // Next endpoint not tried yet for this call, the best one again once all were
+            const ranked = rankEndpoints();
+            const endpoint = ranked.find(candidate => !tried.has(candidate)) || ranked[0];
+            tried.add(endpoint);
+
+            await endpoint.acquire();
+            endpoint.requests++;
+
+            try {
+                const result = await endpoint.connection[method](...args);
+                recordSuccess(endpoint);
+                return result;
+            } catch (error) {
+                if (!isRetryable(error)) {
+                    throw error;
+                }
+                lastError = error;
+                recordFailure(endpoint, error);
+                console.warn(`⚠️ RPC ${method} failed on ${endpoint.host} (attempt ${attempt + 1}/${retries}): ${error.message}`);
+            }
+        }
+
+        throw new RpcUnavailableError(method, lastError);
+    }
+
+    /**
+     * Health of every endpoint, for the admin stats
+     * @returns {Array<object>}
+     */
+    function getStatus() {
+        const now = Date.now();
+        return endpoints.map(endpoint => ({
+            host: endpoint.host,
+            healthy: endpoint.cooldownUntil <= now,
+            requests: endpoint.requests,
+            failures: endpoint.failures,
+            consecutive_failures: endpoint.consecutiveFailures,
+            cooldown_until: endpoint.cooldownUntil > now ? new Date(endpoint.cooldownUntil).toISOString() : null,
+            last_error: endpoint.lastError,
+            last_error_at: endpoint.lastErrorAt ? new Date(endpoint.lastErrorAt).toISOString() : null
+        }));
+    }
+
+    // Not a thenable, so it can be returned from async functions as is
+    const connection = new Proxy({}, {
+        get: (target, method) => (typeof method === 'string' && method !== 'then'
+            ? (...args) => call(method, ...args)
+            : undefined)
+    });
+
+    return { connection, call, getStatus };
+}
+
+/**
+ * Pool settings from the environment
+ * @returns {object} - Options for createRpcPool
+ */
+function getConfig() {
+    const urls = (process.env.SOLANA_RPC_URLS || process.env.SOLANA_RPC_URL || DEFAULT_RPC_URL)
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean);
+
+    return {
+        urls,
+        commitment: process.env.SOLANA_COMMITMENT || 'confirmed',
+        rateLimit: Number(process.env.SOLANA_RPC_RATE_LIMIT) > 0 ? Number(process.env.SOLANA_RPC_RATE_LIMIT) : DEFAULT_RATE_LIMIT,
+        retries: Number(process.env.SOLANA_RPC_RETRIES) > 0 ? Number(process.env.SOLANA_RPC_RETRIES) : DEFAULT_RETRIES
+    };
+}
+
+let pool = null;
+
+/**
+ * Shared pool built from the environment
+ * @returns {object} - See createRpcPool
+ */
+function getPool() {
+    if (!pool) {
+        const config = getConfig();
+        pool = createRpcPool(config);
+        console.log(`🔗 Solana RPC pool: ${config.urls.map(url => new URL(url).host).join(', ')} (${config.commitment})`);
+    }
+    return pool;
+}
+
+module.exports = {
+    RpcUnavailableError,
+    createRpcPool,
+    getConfig,
+    getPool
+};
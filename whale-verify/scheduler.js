@@ -0,0 +1,343 @@
+// Scheduled jobs
+// Under `node server.js` every job runs in-process on its interval (start()).
+// On Vercel the same jobs are run by Vercel Cron (crons in vercel.json) through
+// /api/whale-verify/cron/<job>, protected with CRON_SECRET. A lock row in
+// scheduled_jobs keeps two instances from running a job at once, and keeps the
+// status, result and duration of each job's last run.
+//
+// Jobs (interval in minutes, 0 stops the in-process schedule):
+//   cleanup           - delete expired nonces (CLEANUP_INTERVAL_MINUTES, default 5)
+//   invite-revocation - revoke and delete invites that expired unused (INVITE_REVOCATION_INTERVAL_MINUTES, default 15)
+//   holder-sweep      - re-check members' balances (HOLDER_SWEEP_INTERVAL_MINUTES, default 360,
+//                       HOLDER_SWEEP_DRY_RUN=true only reports). A run stops after
+//                       HOLDER_SWEEP_TIME_BUDGET_SECONDS (default 240, under the cron
+//                       function's maxDuration) and the next run resumes after the last
+//                       wallet it checked
+//   stats-digest      - post the last day's verification stats to STATS_DIGEST_CHAT_ID
+//                       (STATS_DIGEST_INTERVAL_MINUTES, default 1440)
+const crypto = require('crypto');
+const os = require('os');
+const { safeEqual } = require('./admin-auth');
+const analytics = require('./analytics');
+const audit = require('./audit');
+const db = require('./db');
+const holderSweep = require('./holder-sweep');
+const inviteLifecycle = require('./invite-lifecycle');
+const nonceStore = require('./nonce-store');
+const telegram = require('./telegram');
+
+const TRIGGERS = {
+    INTERVAL: 'interval',
+    CRON: 'cron'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_SWEEP_TIME_BUDGET = 240;
+
+// Identifies this process in the lock rows
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const timers = new Map();
+
+class JobError extends Error {
+    /**
+     * @param {number} status - HTTP status to respond with
+     * @param {string} message
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'JobError';
+        this.status = status;
+    }
+}
+
+function hasBotToken() {
+    return Boolean(process.env.TELEGRAM_BOT_TOKEN);
+}
+
+async function cleanup() {
+    return { deletedNonces: await nonceStore.cleanup() };
+}
+
+async function revokeExpiredInvites() {
+    const { expired, deleted, revoked } = await inviteLifecycle.cleanupExpired();
+    if (deleted > 0) {
+        await audit.record({
+            actor: audit.SYSTEM_SCHEDULER,
+            action: audit.ACTIONS.INVITES_CLEANUP,
+            before: expired.map(v => ({ wallet: v.wallet_address, tier: v.tier, chat_id: v.chat_id })),
+            after: { deleted, revoked }
+        });
+    }
+    return { deleted, revoked };
+}
+
+async function sweepHolders() {
+    const budget = Number(process.env.HOLDER_SWEEP_TIME_BUDGET_SECONDS);
+    const seconds = Number.isFinite(budget) && budget > 0 ? budget : DEFAULT_SWEEP_TIME_BUDGET;
+
+    // Resume where the last run ran out of time
+    const previous = (await db.listScheduledJobs()).find(row => row.name === 'holder-sweep');
+    const after = previous && previous.result && previous.result.cursor ? previous.result.cursor : null;
+
+    const report = await holderSweep.runSweep({
+        dryRun: process.env.HOLDER_SWEEP_DRY_RUN === 'true',
+        after,
+        deadline: Date.now() + seconds * 1000
+    });
+    return {
+        dryRun: report.dryRun,
+        startedAfter: report.startedAfter,
+        complete: report.complete,
+        cursor: report.cursor,
+        checked: report.checked,
+        qualified: report.qualified,
+        removed: report.removed.length,
+        errors: report.errors.length
+    };
+}
+
+function formatDigest({ totals }) {
+    const reasons = Object.entries(totals.reasons)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([reason, count]) => `${reason} (${count})`);
+    const conversion = totals.conversion_rate === null ? '-' : `${Math.round(totals.conversion_rate * 100)}%`;
+
+    return [
+        '📊 Whale verification, last 24 hours',
+        `Attempts: ${totals.attempts} (✅ ${totals.verified} verified, ❌ ${totals.rejected} rejected, ⚠️ ${totals.failed} failed)`,
+        `Invites: ${totals.invites}, joined ${totals.joined}, expired ${totals.expired}`,
+        `Conversion: ${conversion}`,
+        ...(reasons.length > 0 ? [`Top rejections: ${reasons.join(', ')}`] : [])
+    ].join('\n');
+}
+
+async function sendStatsDigest() {
+    const stats = await analytics.timeseries({ bucket: 'hour', since: new Date(Date.now() - DAY).toISOString() });
+    const chatId = process.env.STATS_DIGEST_CHAT_ID;
+    await telegram.sendMessage(chatId, formatDigest(stats));
+
+    const { attempts, verified, invites, joined } = stats.totals;
+    return { chatId, attempts, verified, invites, joined };
+}
+
+// lockMinutes: how long a run may take before another instance may assume it died
+const JOBS = {
+    cleanup: {
+        description: 'Delete expired nonces',
+        intervalVariable: 'CLEANUP_INTERVAL_MINUTES',
+        defaultInterval: 5,
+        lockMinutes: 5,
+        isEnabled: () => true,
+        run: cleanup
+    },
+    'invite-revocation': {
+        description: 'Revoke and delete invites that expired unused',
+        intervalVariable: 'INVITE_REVOCATION_INTERVAL_MINUTES',
+        defaultInterval: 15,
+        lockMinutes: 10,
+        isEnabled: hasBotToken,
+        run: revokeExpiredInvites
+    },
+    'holder-sweep': {
+        description: 'Re-check member balances and remove those below their tier',
+        intervalVariable: 'HOLDER_SWEEP_INTERVAL_MINUTES',
+        defaultInterval: 360,
+        lockMinutes: 10,
+        isEnabled: hasBotToken,
+        run: sweepHolders
+    },
+    'stats-digest': {
+        description: 'Post the last day\'s verification stats to Telegram',
+        intervalVariable: 'STATS_DIGEST_INTERVAL_MINUTES',
+        defaultInterval: 1440,
+        lockMinutes: 5,
+        isEnabled: () => hasBotToken() && Boolean(process.env.STATS_DIGEST_CHAT_ID),
+        run: sendStatsDigest
+    }
+};
+
+function getJob(name) {
+    if (!Object.prototype.hasOwnProperty.call(JOBS, name)) {
+        throw new JobError(404, `Unknown job "${name}"`);
+    }
+    return JOBS[name];
+}
+
+// Configured interval of a job in minutes, 0 when switched off
+function getIntervalMinutes(job) {
+    const minutes = Number(process.env[job.intervalVariable] ?? job.defaultInterval);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+}
+
+/**
+ * Run a job unless another instance is running it
+ * A failing job is recorded as failed, it doesn't throw
+ * @param {string} name - One of JOBS
+ * @param {object} [options]
+ * @param {string} [options.trigger='cron'] - One of TRIGGERS; interval runs are
+ *   also skipped when another instance started the job within the last half interval
+ * @returns {Promise<object>} - { job, status: 'success'|'failed'|'skipped'|'disabled', ... }
+ * @throws {JobError} - For an unknown job
+ */
+async function runJob(name, { trigger = TRIGGERS.CRON } = {}) {
+    const job = getJob(name);
+    if (!job.isEnabled()) {
+        return { job: name, status: 'disabled' };
+    }
+
+    const startedAt = Date.now();
+    const intervalMs = getIntervalMinutes(job) * 60 * 1000;
+    const owner = `${INSTANCE_ID}:${crypto.randomBytes(4).toString('hex')}`;
+
+    const acquired = await db.acquireJobLock({
+        name,
+        owner,
+        lockedUntil: startedAt + job.lockMinutes * 60 * 1000,
+        dueBefore: trigger === TRIGGERS.INTERVAL ? startedAt - intervalMs / 2 : startedAt,
+        triggeredBy: trigger
+    });
+    if (!acquired) {
+        return { job: name, status: 'skipped' };
+    }
+
+    let status = 'success';
+    let result = null;
+    let error = null;
+    try {
+        result = await job.run();
+    } catch (e) {
+        status = 'failed';
+        error = e.message;
+        console.error(`❌ Job ${name} failed:`, e.message);
+    }
+
+    const durationMs = Date.now() - startedAt;
+    if (!(await db.finishJobRun({ name, owner, durationMs, status, result, error }))) {
+        console.warn(`⚠️  Job ${name} outlived its ${job.lockMinutes} minute lock`);
+    }
+    console.log(`⏱️  Job ${name} (${trigger}): ${status} in ${durationMs} ms`);
+
+    return { job: name, status, trigger, startedAt: new Date(startedAt).toISOString(), durationMs, result, error };
+}
+
+/**
+ * Every job with its schedule, and its last run as recorded by any instance
+ * @returns {Promise<Array<object>>}
+ */
+async function listJobs() {
+    const rows = new Map((await db.listScheduledJobs()).map(row => [row.name, row]));
+    const now = Date.now();
+
+    return Object.entries(JOBS).map(([name, job]) => {
+        const row = rows.get(name);
+        return {
+            name,
+            description: job.description,
+            enabled: job.isEnabled(),
+            interval_minutes: getIntervalMinutes(job),
+            scheduled_here: timers.has(name),
+            running: Boolean(row && row.locked_until && row.locked_until > now),
+            last_run: row && row.started_at ? {
+                started_at: new Date(row.started_at).toISOString(),
+                triggered_by: row.triggered_by,
+                finished_at: row.finished_at ? new Date(row.finished_at).toISOString() : null,
+                duration_ms: row.duration_ms,
+                status: row.status,
+                result: row.result,
+                error: row.error
+            } : null
+        };
+    });
+}
+
+/**
+ * Schedule every enabled job in this process
+ */
+function start() {
+    for (const [name, job] of Object.entries(JOBS)) {
+        if (timers.has(name)) continue;
+
+        const minutes = getIntervalMinutes(job);
+        if (!job.isEnabled() || minutes === 0) {
+            console.log(`ℹ️  Job ${name} not scheduled (${minutes === 0 ? `${job.intervalVariable}=0` : 'disabled'})`);
+            continue;
+        }
+
+        timers.set(name, setInterval(() => {
+            runJob(name, { trigger: TRIGGERS.INTERVAL }).catch(error => {
+                console.error(`❌ Job ${name} error:`, error.message);
+            });
+        }, minutes * 60 * 1000));
+        console.log(`⏱️  Job ${name} scheduled every ${minutes} minutes`);
+    }
+}
+
+/**
+ * Stop the in-process schedule
+ */
+function stop() {
+    for (const timer of timers.values()) {
+        clearInterval(timer);
+    }
+    timers.clear();
+}
+
+/**
+ * Check the Authorization header of a cron call (Bearer CRON_SECRET, as sent by Vercel Cron)
+ * Always false while no secret is configured
+ * @param {string} [headerValue]
+ * @returns {boolean}
+ */
+function isAuthorizedCron(headerValue) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        console.error('❌ CRON_SECRET is not set, rejecting cron call');
+        return false;
+    }
+    if (typeof headerValue !== 'string') {
+        return false;
+    }
+
+    return safeEqual(`Bearer ${secret}`, headerValue);
+}
+
+/**
+ * Run a job for a cron call and respond, shared by the Express route and the Vercel function
+ * 401 without the cron secret, 409 while another instance runs the job
+ * @param {object} req - Request with the Authorization header
+ * @param {object} res
+ * @param {string} name - Job name from the URL
+ */
+async function handleCron(req, res, name) {
+    if (!isAuthorizedCron(req.headers.authorization)) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    try {
+        const run = await runJob(name, { trigger: TRIGGERS.CRON });
+        if (run.status === 'skipped') {
+            return res.status(409).json({ success: false, error: `Job ${name} is already running`, ...run });
+        }
+        return res.status(run.status === 'failed' ? 500 : 200).json({ success: run.status !== 'failed', ...run });
+    } catch (error) {
+        if (error instanceof JobError) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error(`❌ Cron ${name} error:`, error);
+        return res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+}
+
+module.exports = {
+    JOBS,
+    TRIGGERS,
+    JobError,
+    runJob,
+    listJobs,
+    start,
+    stop,
+    isAuthorizedCron,
+    handleCron
+};
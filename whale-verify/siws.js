@@ -0,0 +1,266 @@
+// Sign-In With Solana (SIWS) messages for whale verification
+// Same text format wallets produce for the Wallet Standard `signIn` feature,
+// so messages signed through `signIn` and `signMessage` validate identically.
+
+const STATEMENT = 'Sign in to the CORE Whale Club to verify ownership of this wallet.';
+const ADMIN_STATEMENT = 'Sign in to the CORE Whale Club admin panel.';
+const MIGRATION_STATEMENT = 'Move my CORE Whale Club membership to a new wallet.';
+const LINK_STATEMENT = 'Add this wallet to my CORE Whale Club membership.';
+
+// Statement for each nonce purpose (GET /nonce?purpose=...)
+const PURPOSE_STATEMENTS = {
+    verify: STATEMENT,
+    admin: ADMIN_STATEMENT,
+    migrate: MIGRATION_STATEMENT,
+    link: LINK_STATEMENT
+};
+const VERSION = '1';
+const CHAIN_ID = 'mainnet';
+const MESSAGE_TTL = 5 * 60 * 1000; // 5 minutes, matches nonce expiry
+const CLOCK_SKEW = 60 * 1000; // Tolerate wallet/server clocks drifting by a minute
+
+const HEADER_SUFFIX = ' wants you to sign in with your Solana account:';
+
+const FIELDS = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime',
+    'Not Before': 'notBefore',
+    'Request ID': 'requestId'
+};
+
+/**
+ * Domain messages must be bound to (SIWS_DOMAIN, e.g. localhost:3000 in development)
+ * Never taken from the Host header: the client controls it, so a phishing
+ * relay could make its own domain the expected one
+ * @returns {string} - Expected domain (host[:port])
+ * @throws {Error} - If SIWS_DOMAIN is not set
+ */
+function getExpectedDomain() {
+    const domain = process.env.SIWS_DOMAIN;
+    if (!domain) {
+        throw new Error('SIWS_DOMAIN is not set, sign-in messages can\'t be issued or checked');
+    }
+    return domain;
+}
+
+/**
+ * Statement for a nonce purpose
+ * @param {string} [purpose='verify'] - verify, admin, migrate or link
+ * @returns {string|null} - null for an unknown purpose
+ */
+function getStatement(purpose = 'verify') {
+    return Object.prototype.hasOwnProperty.call(PURPOSE_STATEMENTS, purpose) ? PURPOSE_STATEMENTS[purpose] : null;
+}
+
+/**
+ * Resource naming another wallet, e.g. the new wallet in a migration message
+ * @param {string} address - Wallet address
+ * @returns {string}
+ */
+function walletResource(address) {
+    return `solana:${address}`;
+}
+
+/**
+ * Build the sign-in input for a wallet
+ * @param {object} params
+ * @param {string} params.domain - Domain requesting the sign-in
+ * @param {string} params.nonce - Server-issued nonce
+ * @param {string} [params.address] - Wallet address (wallet fills it in for signIn if omitted)
+ * @param {string} [params.statement] - Statement shown to the user (see getStatement)
+ * @param {string[]} [params.resources] - Resources the signature covers
+ * @param {number} [params.now] - Issue time in ms
+ * @returns {object} - SIWS input (Wallet Standard SolanaSignInInput shape)
+ */
+function createSignInInput({ domain, nonce, address, statement = STATEMENT, resources, now = Date.now() }) {
+    const input = {
+        domain,
+        statement,
+        uri: `https://${domain}`,
+        version: VERSION,
+        chainId: CHAIN_ID,
+        nonce,
+        issuedAt: new Date(now).toISOString(),
+        expirationTime: new Date(now + MESSAGE_TTL).toISOString()
+    };
+
+    if (address) {
+        input.address = address;
+    }
+    if (resources && resources.length > 0) {
+        input.resources = resources;
+    }
+
+    return input;
+}
+
+/**
+ * Format sign-in input as message text
+ * @param {object} input - SIWS input with address set
+ * @returns {string} - Message to be signed
+ */
+function formatSignInMessage(input) {
+    let message = `${input.domain}${HEADER_SUFFIX}\n${input.address}`;
+
+    if (input.statement) {
+        message += `\n\n${input.statement}`;
+    }
+
+    const fields = [];
+    for (const [label, key] of Object.entries(FIELDS)) {
+        if (input[key]) {
+            fields.push(`${label}: ${input[key]}`);
+        }
+    }
+    if (input.resources && input.resources.length > 0) {
+        fields.push('Resources:');
+        for (const resource of input.resources) {
+            fields.push(`- ${resource}`);
+        }
+    }
+
+    if (fields.length > 0) {
+        message += `\n\n${fields.join('\n')}`;
+    }
+
+    return message;
+}
+
+/**
+ * Parse SIWS message text
+ * @param {string} message - Signed message text
+ * @returns {object|null} - Parsed fields, or null if the message is not SIWS
+ */
+function parseSignInMessage(message) {
+    if (typeof message !== 'string') return null;
+
+    const lines = message.split('\n');
+    if (lines.length < 2 || !lines[0].endsWith(HEADER_SUFFIX)) return null;
+
+    const parsed = {
+        domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+        address: lines[1]
+    };
+
+    let index = 2;
+
+    // Optional statement, surrounded by blank lines
+    if (lines[index] === '' && lines[index + 1] !== undefined && !/^[A-Za-z ]+: /.test(lines[index + 1])) {
+        parsed.statement = lines[index + 1];
+        index += 2;
+    }
+
+    if (lines[index] === '') {
+        index++;
+    }
+
+    for (; index < lines.length; index++) {
+        const line = lines[index];
+
+        if (line === 'Resources:') {
+            parsed.resources = lines.slice(index + 1).map(resource => resource.replace(/^- /, ''));
+            break;
+        }
+
+        const separator = line.indexOf(': ');
+        const key = separator > 0 ? FIELDS[line.slice(0, separator)] : undefined;
+        if (!key || parsed[key] !== undefined) return null;
+        parsed[key] = line.slice(separator + 2);
+    }
+
+    return parsed;
+}
+
+/**
+ * Validate a signed SIWS message against what the server expects
+ * (signature itself is checked separately with solana.verifySignature)
+ * @param {string} message - Signed message text
+ * @param {object} expected
+ * @param {string} expected.domain - Our domain
+ * @param {string} expected.address - Wallet claiming the signature
+ * @param {string} expected.nonce - Nonce issued to this client
+ * @param {string} [expected.statement] - Required statement (not checked if omitted)
+ * @param {number} [expected.now] - Current time in ms
+ * @returns {{valid: boolean, error?: string, fields?: object}}
+ */
+function validateSignInMessage(message, { domain, address, nonce, statement, now = Date.now() }) {
+    const fields = parseSignInMessage(message);
+
+    if (!fields) {
+        return { valid: false, error: 'Message is not a valid Sign-In With Solana message' };
+    }
+    if (fields.domain !== domain) {
+        return { valid: false, error: `Message was issued for a different domain (${fields.domain})` };
+    }
+    if (fields.address !== address) {
+        return { valid: false, error: 'Message address does not match wallet' };
+    }
+    if (fields.nonce !== nonce) {
+        return { valid: false, error: 'Message does not contain the provided nonce' };
+    }
+    if (statement !== undefined && fields.statement !== statement) {
+        return { valid: false, error: 'Message statement does not match' };
+    }
+    if (fields.uri) {
+        let uriHost;
+        try {
+            uriHost = new URL(fields.uri).host;
+        } catch (error) {
+            return { valid: false, error: 'Message URI is invalid' };
+        }
+        if (uriHost !== domain) {
+            return { valid: false, error: 'Message URI does not match domain' };
+        }
+    }
+    if (fields.chainId && fields.chainId !== CHAIN_ID) {
+        return { valid: false, error: `Unsupported chain (${fields.chainId})` };
+    }
+
+    const issuedAt = Date.parse(fields.issuedAt);
+    if (Number.isNaN(issuedAt)) {
+        return { valid: false, error: 'Message is missing a valid issued-at time' };
+    }
+    if (issuedAt > now + CLOCK_SKEW) {
+        return { valid: false, error: 'Message issued-at time is in the future' };
+    }
+    if (now - issuedAt > MESSAGE_TTL + CLOCK_SKEW) {
+        return { valid: false, error: 'Message has expired. Please request a new one.' };
+    }
+
+    if (fields.expirationTime) {
+        const expiresAt = Date.parse(fields.expirationTime);
+        if (Number.isNaN(expiresAt) || expiresAt <= issuedAt) {
+            return { valid: false, error: 'Message expiration time is invalid' };
+        }
+        if (now > expiresAt) {
+            return { valid: false, error: 'Message has expired. Please request a new one.' };
+        }
+    }
+
+    if (fields.notBefore) {
+        const notBefore = Date.parse(fields.notBefore);
+        if (Number.isNaN(notBefore) || notBefore > now + CLOCK_SKEW) {
+            return { valid: false, error: 'Message is not valid yet' };
+        }
+    }
+
+    return { valid: true, fields };
+}
+
+module.exports = {
+    STATEMENT,
+    ADMIN_STATEMENT,
+    MIGRATION_STATEMENT,
+    LINK_STATEMENT,
+    getStatement,
+    walletResource,
+    getExpectedDomain,
+    createSignInInput,
+    formatSignInMessage,
+    parseSignInMessage,
+    validateSignInMessage
+};
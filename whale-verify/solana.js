@@ -1,20 +1,21 @@
 // Solana utilities for whale verification
-const { Connection, PublicKey } = require('@solana/web3.js');
-const { getAccount, getAssociatedTokenAddress } = require('@solana/spl-token');
 const nacl = require('tweetnacl');
 const bs58Module = require('bs58');
 const bs58 = bs58Module.default || bs58Module;
+const { resolveTokenBalance } = require('./balance');
+const tiers = require('./tiers');
+const rpc = require('./rpc');
 
 // Configuration
-const TOKEN_MINT = '4FdojUmXeaFMBG6yUaoufAC5Bz7u9AwnSAMizkx5pump';
-const MIN_TOKENS = 10_000_000; // 10 million tokens
-const TOKEN_DECIMALS = 6; // Standard SPL token decimals
+const TOKEN_MINT = tiers.TOKEN_MINT;
 
-// RPC Connection (use environment variable or default)
-const RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
-const connection = new Connection(RPC_URL, 'confirmed');
+// RPC calls go through the endpoint pool (see rpc.js)
+const pool = rpc.getPool();
+const connection = pool.connection;
 
-console.log(`🔗 Connected to Solana RPC: ${RPC_URL}`);
+// Balances are cached briefly so retries and back-to-back checks don't hit the RPC again
+const BALANCE_CACHE_TTL = Number(process.env.BALANCE_CACHE_TTL_MS) > 0 ? Number(process.env.BALANCE_CACHE_TTL_MS) : 15 * 1000;
+const balanceCache = new Map();
 
 /**
  * Verify message signature from Solana wallet
@@ -53,97 +54,128 @@ function verifySignature(message, signature, publicKey) {
 }
 
 /**
- * Get SPL token balance for a wallet
+ * Get CORE balance for a wallet, summed over all of its token accounts, with
+ * the slot it was read at and the token accounts holding it
  * @param {string} walletAddress - Wallet public key (base58)
- * @returns {Promise<number>} - Token balance (with decimals)
+ * @returns {Promise<{balance: number, slot: number, accounts: Array}>} - See balance.resolveTokenBalance
+ * @throws {rpc.RpcUnavailableError} - If no RPC endpoint could answer
  */
-async function getTokenBalance(walletAddress) {
-    try {
-        const walletPublicKey = new PublicKey(walletAddress);
-        const mintPublicKey = new PublicKey(TOKEN_MINT);
-
-        // Get associated token account address
-        const tokenAccountAddress = await getAssociatedTokenAddress(
-            mintPublicKey,
-            walletPublicKey
-        );
-
-        console.log(`🔍 Checking token account: ${tokenAccountAddress.toString()}`);
-
-        // Get token account info
-        const tokenAccount = await getAccount(connection, tokenAccountAddress);
-        
-        // Convert balance from smallest units
-        const balance = Number(tokenAccount.amount) / Math.pow(10, TOKEN_DECIMALS);
-        
-        console.log(`💰 Token balance: ${balance.toLocaleString()} CORE`);
-        return balance;
+async function getBalanceSnapshot(walletAddress) {
+    const cached = balanceCache.get(walletAddress);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.snapshot;
+    }
 
+    let result;
+    try {
+        result = await resolveTokenBalance(connection, walletAddress, TOKEN_MINT);
     } catch (error) {
-        // If account doesn't exist, balance is 0
-        if (error.message && (error.message.includes('could not find account') || 
-            error.message.includes('Account does not exist'))) {
-            console.log('💰 Token balance: 0 CORE (no token account)');
-            return 0;
-        }
-        
-        // Check for TokenAccountNotFoundError or other common errors
-        if (error.name === 'TokenAccountNotFoundError' || 
-            (error.toString && error.toString().includes('could not find'))) {
-            console.log('💰 Token balance: 0 CORE (no token account)');
-            return 0;
+        console.error('❌ Error fetching token balance:', error.message);
+        if (error instanceof rpc.RpcUnavailableError) {
+            throw error;
         }
-        
-        console.error('❌ Error fetching token balance:', error);
-        console.error('❌ Error type:', error.constructor.name);
-        console.error('❌ Error message:', error.message);
         throw new Error(`Failed to fetch token balance: ${error.message || error.toString()}`);
     }
+
+    if (result.accounts.length === 0) {
+        console.log('💰 Token balance: 0 CORE (no token account)');
+    } else {
+        console.log(`💰 Token balance: ${result.balance.toLocaleString()} CORE (${result.accounts.length} account${result.accounts.length === 1 ? '' : 's'})`);
+    }
+
+    const now = Date.now();
+    for (const [key, entry] of balanceCache) {
+        if (entry.expiresAt <= now) balanceCache.delete(key);
+    }
+    balanceCache.set(walletAddress, { snapshot: result, expiresAt: now + BALANCE_CACHE_TTL });
+
+    return result;
 }
 
 /**
- * Check if wallet meets minimum token requirement
+ * Get CORE balance for a wallet, summed over all of its token accounts
  * @param {string} walletAddress - Wallet public key (base58)
- * @returns {Promise<{qualified: boolean, balance: number, required: number}>}
+ * @returns {Promise<number>} - Token balance (with decimals)
  */
-async function checkWhaleStatus(walletAddress) {
-    const balance = await getTokenBalance(walletAddress);
-    const qualified = balance >= MIN_TOKENS;
+async function getTokenBalance(walletAddress) {
+    return (await getBalanceSnapshot(walletAddress)).balance;
+}
+
+/**
+ * Check which membership tiers a member qualifies for, on the combined
+ * balance of all of their wallets
+ * slot is the latest slot a balance was read at, tokenAccounts every token
+ * account counted (for the sybil check)
+ * @param {string|string[]} walletAddresses - Wallet public key(s) (base58)
+ * @returns {Promise<{qualified: boolean, balance: number, required: number, tiers: Array, wallets: Array<{walletAddress: string, balance: number}>, slot: number, tokenAccounts: string[]}>}
+ */
+async function checkWhaleStatus(walletAddresses) {
+    const addresses = Array.isArray(walletAddresses) ? walletAddresses : [walletAddresses];
+
+    const wallets = [];
+    const tokenAccounts = [];
+    let slot = 0;
+    for (const walletAddress of addresses) {
+        const snapshot = await getBalanceSnapshot(walletAddress);
+        wallets.push({ walletAddress, balance: snapshot.balance });
+        tokenAccounts.push(...snapshot.accounts.map(account => account.address));
+        slot = Math.max(slot, snapshot.slot);
+    }
+
+    const balance = wallets.reduce((total, wallet) => total + wallet.balance, 0);
+    const required = tiers.getMinimumTokens();
+    const qualifyingTiers = tiers.getQualifyingTiers(balance);
+    const qualified = qualifyingTiers.length > 0;
 
     console.log(`🐋 Whale status: ${qualified ? '✅ QUALIFIED' : '❌ NOT QUALIFIED'}`);
-    console.log(`   Balance: ${balance.toLocaleString()} / ${MIN_TOKENS.toLocaleString()} CORE`);
+    console.log(`   Balance: ${balance.toLocaleString()} / ${required.toLocaleString()} CORE${wallets.length > 1 ? ` (${wallets.length} wallets)` : ''}`);
+    if (qualified) {
+        console.log(`   Tiers: ${qualifyingTiers.map(t => t.name).join(', ')}`);
+    }
 
     return {
         qualified,
         balance,
-        required: MIN_TOKENS
+        required,
+        tiers: qualifyingTiers,
+        wallets,
+        slot,
+        tokenAccounts
     };
 }
 
 /**
- * Generate nonce for message signing
- * @returns {string} - Random nonce
+ * Body of the 403 response when the combined balance is below every tier
+ * @param {object} whaleStatus - From checkWhaleStatus()
+ * @returns {object}
  */
-function generateNonce() {
-    return Math.random().toString(36).substring(2, 15) + 
-           Math.random().toString(36).substring(2, 15);
+function insufficientBalanceResponse({ balance, required, wallets }) {
+    return {
+        success: false,
+        error: 'Not enough tokens',
+        reason: 'insufficient_balance',
+        balance,
+        required,
+        wallets,
+        message: `You need at least ${required.toLocaleString()} CORE tokens to join the Whale Club. Your balance: ${balance.toLocaleString()} CORE`
+    };
 }
 
 /**
- * Create message to be signed
- * @param {string} nonce - Random nonce
- * @returns {string} - Message for signing
+ * Health of every RPC endpoint
+ * @returns {Array<object>}
  */
-function createSignMessage(nonce) {
-    return `CORE Whale Verification\n\nBy signing this message, you verify ownership of this wallet.\n\nNonce: ${nonce}\nTimestamp: ${Date.now()}`;
+function getRpcStatus() {
+    return pool.getStatus();
 }
 
 module.exports = {
+    connection,
+    RpcUnavailableError: rpc.RpcUnavailableError,
     verifySignature,
     getTokenBalance,
     checkWhaleStatus,
-    generateNonce,
-    createSignMessage,
-    TOKEN_MINT,
-    MIN_TOKENS
+    insufficientBalanceResponse,
+    getRpcStatus,
+    TOKEN_MINT
 };
@@ -0,0 +1,802 @@
+// Postgres storage adapter (Vercel Postgres)
+// TIMESTAMP columns are converted to epoch milliseconds so rows look the same as SQLite rows
+const TIMESTAMP_COLUMNS = ['created_at', 'expires_at', 'joined_at', 'removed_at', 'resolved_at', 'retired_at', 'completed_at', 'added_at', 'balance_checked_at',
+    'locked_until', 'started_at', 'finished_at'];
+// BIGINT columns come back as strings, slots fit in a JS number
+const BIGINT_COLUMNS = ['snapshot_slot'];
+
+// Audit log filter parameters, null disables a filter
+function auditLogParams({ action, actor, walletAddress, telegramUserId, since, until }) {
+    return {
+        action: action || null,
+        actor: actor || null,
+        wallet: walletAddress || null,
+        telegramUserId: telegramUserId ? String(telegramUserId) : null,
+        since: since ? new Date(since) : null,
+        until: until ? new Date(until) : null
+    };
+}
+
+// Member status, derived the same way as member-list.getStatus()
+const MEMBER_STATUS = `
+    CASE
+        WHEN removed_at IS NOT NULL THEN 'removed'
+        WHEN telegram_user_id IS NOT NULL THEN 'joined'
+        WHEN used THEN 'link_used'
+        ELSE 'pending'
+    END
+`;
+
+// Member list filters on $1-$5 (see memberParams), null disables a filter. The
+// search matches a wallet prefix (case-sensitive, also the member's added
+// wallets), a Telegram username prefix or a Telegram user ID
+const MEMBER_FILTERS = `
+    ($1::text IS NULL
+        OR LEFT(wallet_address, LENGTH($1)) = $1
+        OR LEFT(LOWER(telegram_username), LENGTH($1)) = LOWER($1)
+        OR telegram_user_id = $1
+        OR wallet_address IN (
+            SELECT primary_wallet FROM member_wallets
+            WHERE LEFT(wallet_address, LENGTH($1)) = $1
+        ))
+    AND ($2::text[] IS NULL OR ${MEMBER_STATUS} = ANY($2))
+    AND ($3::text IS NULL OR tier = $3)
+    AND ($4::timestamp IS NULL OR created_at >= $4)
+    AND ($5::timestamp IS NULL OR created_at < $5)
+`;
+
+// Member list sort keys, matching member-list.SORTS (NULLs sort lowest),
+// with the SQL type of their cursor value
+const MEMBER_SORTS = {
+    created_at: { expression: 'created_at', type: 'timestamp' },
+    joined_at: { expression: "COALESCE(joined_at, TIMESTAMP 'epoch')", type: 'timestamp' },
+    balance: { expression: 'COALESCE(balance_snapshot, -1)', type: 'double precision' },
+    wallet: { expression: 'wallet_address', type: 'text' },
+    username: { expression: "COALESCE(LOWER(telegram_username), '')", type: 'text' }
+};
+
+function memberParams({ search, statuses, tier, since, until }) {
+    return [
+        search || null,
+        statuses || null,
+        tier || null,
+        since ? new Date(since) : null,
+        until ? new Date(until) : null
+    ];
+}
+
+/**
+ * Create Postgres adapter
+ * @param {object} [options]
+ * @param {Function} [options.sql] - @vercel/postgres sql tag (defaults to the POSTGRES_URL pool)
+ * @returns {object} - Storage adapter
+ */
+function createPostgresStorage({ sql = require('@vercel/postgres').sql } = {}) {
+    // Normalize a row to the shape shared by all adapters
+    function toRow(row) {
+        if (!row) return null;
+        const normalized = { ...row };
+        if ('used' in normalized) {
+            normalized.used = Boolean(normalized.used);
+        }
+        for (const column of TIMESTAMP_COLUMNS) {
+            if (normalized[column] instanceof Date) {
+                normalized[column] = normalized[column].getTime();
+            }
+        }
+        for (const column of BIGINT_COLUMNS) {
+            if (typeof normalized[column] === 'string') {
+                normalized[column] = Number(normalized[column]);
+            }
+        }
+        return normalized;
+    }
+
+    return {
+        driver: 'postgres',
+
+        /**
+         * Run fn(context) in a transaction on a dedicated client, rolled back if it throws
+         * @param {Function} fn - Receives { dialect, exec, query, hasColumn }
+         */
+        async transaction(fn) {
+            const client = await sql.connect();
+            const context = {
+                dialect: 'postgres',
+                async exec(text, params = []) {
+                    await client.query(text, params);
+                },
+                async query(text, params = []) {
+                    return (await client.query(text, params)).rows;
+                },
+                async hasColumn(table, column) {
+                    const result = await client.query(
+                        'SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2',
+                        [table, column]
+                    );
+                    return result.rows.length > 0;
+                }
+            };
+
+            try {
+                await client.query('BEGIN');
+                const result = await fn(context);
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+        },
+
+        async close() {
+            await sql.end();
+        },
+
+        async hasWalletBeenVerified(walletAddress, chatId, now) {
+            // Expired unused invites don't count as a verification
+            const result = chatId === undefined
+                ? await sql`
+                    SELECT id FROM verifications
+                    WHERE wallet_address = ${walletAddress}
+                        AND NOT (expires_at < ${new Date(now)} AND used = FALSE AND telegram_user_id IS NULL)
+                `
+                : await sql`
+                    SELECT id FROM verifications
+                    WHERE wallet_address = ${walletAddress} AND chat_id = ${String(chatId)}
+                        AND NOT (expires_at < ${new Date(now)} AND used = FALSE AND telegram_user_id IS NULL)
+                `;
+            return result.rows.length > 0;
+        },
+
+        async saveVerification({ walletAddress, tier, chatId, inviteLink, joinCode, createdAt, expiresAt, ipAddress, userAgent, balanceSnapshot, snapshotSlot }) {
+            const client = await sql.connect();
+            try {
+                await client.query('BEGIN');
+                // A removed member's row for the chat is replaced when they verify again
+                await client.query(
+                    'DELETE FROM verifications WHERE wallet_address = $1 AND chat_id = $2 AND removed_at IS NOT NULL',
+                    [walletAddress, String(chatId)]
+                );
+                // A verified wallet is the primary wallet of its member
+                const result = await client.query(`
+                    WITH inserted AS (
+                        INSERT INTO verifications (
+                            wallet_address, tier, chat_id, invite_link, join_code, created_at, expires_at,
+                            ip_address, user_agent, balance_snapshot, snapshot_slot
+                        )
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                        RETURNING id
+                    ), member AS (
+                        INSERT INTO member_wallets (wallet_address, primary_wallet, added_at)
+                        VALUES ($1, $1, $6)
+                        ON CONFLICT (wallet_address) DO NOTHING
+                    )
+                    SELECT id FROM inserted
+                `, [
+                    walletAddress, tier, String(chatId), inviteLink, joinCode || null, new Date(createdAt), new Date(expiresAt),
+                    ipAddress, userAgent, balanceSnapshot === undefined ? null : balanceSnapshot, snapshotSlot === undefined ? null : snapshotSlot
+                ]);
+                await client.query('COMMIT');
+                return {
+                    success: true,
+                    id: result.rows[0].id
+                };
+            } catch (error) {
+                await client.query('ROLLBACK');
+                if (error.code === '23505') {
+                    return {
+                        success: false,
+                        error: 'WALLET_ALREADY_VERIFIED'
+                    };
+                }
+                throw error;
+            } finally {
+                client.release();
+            }
+        },
+
+        async getByWallet(walletAddress) {
+            const result = await sql`SELECT * FROM verifications WHERE wallet_address = ${walletAddress} ORDER BY created_at ASC`;
+            return result.rows.map(toRow);
+        },
+
+        async getByInviteLink(inviteLink) {
+            const result = await sql`SELECT * FROM verifications WHERE invite_link = ${inviteLink}`;
+            return toRow(result.rows[0]);
+        },
+
+        async listExpiredInvites(now, walletAddress = null) {
+            const result = await sql`
+                SELECT * FROM verifications
+                WHERE expires_at < ${new Date(now)} AND used = FALSE AND telegram_user_id IS NULL
+                    AND (${walletAddress}::text IS NULL OR wallet_address = ${walletAddress})
+            `;
+            return result.rows.map(toRow);
+        },
+
+        async cleanupExpiredInvites(now, walletAddress = null) {
+            // Moved to expired_invites in the same statement, so the analytics still count them
+            const result = await sql`
+                WITH deleted AS (
+                    DELETE FROM verifications
+                    WHERE expires_at < ${new Date(now)} AND used = FALSE AND telegram_user_id IS NULL
+                        AND (${walletAddress}::text IS NULL OR wallet_address = ${walletAddress})
+                    RETURNING wallet_address, tier, chat_id, created_at, expires_at
+                )
+                INSERT INTO expired_invites (wallet_address, tier, chat_id, created_at, expires_at)
+                SELECT wallet_address, tier, chat_id, created_at, expires_at FROM deleted
+            `;
+            await sql`DELETE FROM member_wallets WHERE primary_wallet NOT IN (SELECT wallet_address FROM verifications)`;
+            return result.rowCount;
+        },
+
+        async expireInvite(walletAddress, chatId, now) {
+            const result = await sql`
+                UPDATE verifications SET expires_at = LEAST(expires_at, ${new Date(now)}), used = FALSE
+                WHERE wallet_address = ${walletAddress} AND chat_id = ${String(chatId)} AND telegram_user_id IS NULL
+            `;
+            return result.rowCount;
+        },
+
+        async replaceInviteLink(walletAddress, chatId, inviteLink, expiresAt) {
+            const result = await sql`
+                UPDATE verifications SET invite_link = ${inviteLink}, expires_at = ${new Date(expiresAt)}, used = FALSE
+                WHERE wallet_address = ${walletAddress} AND chat_id = ${String(chatId)} AND telegram_user_id IS NULL
+            `;
+            return result.rowCount;
+        },
+
+        async countByTier(now) {
+            const result = await sql`
+                SELECT
+                    tier,
+                    COUNT(*)::int AS total,
+                    COUNT(*) FILTER (WHERE used)::int AS used,
+                    COUNT(*) FILTER (WHERE NOT used AND expires_at > ${new Date(now)})::int AS active,
+                    COUNT(*) FILTER (WHERE telegram_user_id IS NOT NULL AND removed_at IS NULL)::int AS joined,
+                    COUNT(*) FILTER (WHERE removed_at IS NOT NULL)::int AS removed
+                FROM verifications
+                GROUP BY tier
+            `;
+            return result.rows;
+        },
+
+        async linkTelegram(walletAddress, { userId, username, firstName }, chatId, joinedAt) {
+            const result = chatId === undefined
+                ? await sql`
+                    UPDATE verifications
+                    SET telegram_user_id = ${String(userId)},
+                        telegram_username = ${username || null},
+                        telegram_first_name = ${firstName || null},
+                        joined_at = ${new Date(joinedAt)}
+                    WHERE wallet_address = ${walletAddress}
+                `
+                : await sql`
+                    UPDATE verifications
+                    SET telegram_user_id = ${String(userId)},
+                        telegram_username = ${username || null},
+                        telegram_first_name = ${firstName || null},
+                        joined_at = ${new Date(joinedAt)}
+                    WHERE wallet_address = ${walletAddress} AND chat_id = ${String(chatId)}
+                `;
+            return result.rowCount;
+        },
+
+        async listMembers() {
+            const result = await sql`SELECT * FROM verifications ORDER BY created_at DESC`;
+            return result.rows.map(toRow);
+        },
+
+        // Sort keys and filters are fixed strings, values are always parameters
+        async listMembersPage(filters, { sort, order, cursor, limit }) {
+            const { expression, type } = MEMBER_SORTS[sort];
+            const direction = order === 'asc' ? 'ASC' : 'DESC';
+            const comparison = order === 'asc' ? '>' : '<';
+            const cursorValue = cursor ? (type === 'timestamp' ? new Date(cursor.value) : cursor.value) : null;
+
+            const result = await sql.query(`
+                SELECT * FROM verifications
+                WHERE ${MEMBER_FILTERS}
+                AND ($6::integer IS NULL
+                    OR ${expression} ${comparison} $7::${type}
+                    OR (${expression} = $7::${type} AND id ${comparison} $6))
+                ORDER BY ${expression} ${direction}, id ${direction}
+                LIMIT $8
+            `, [...memberParams(filters), cursor ? cursor.id : null, cursorValue, limit]);
+            return result.rows.map(toRow);
+        },
+
+        async countMembers(filters) {
+            const result = await sql.query(`
+                SELECT tier, ${MEMBER_STATUS} AS status, COUNT(*)::int AS count
+                FROM verifications
+                WHERE ${MEMBER_FILTERS}
+                GROUP BY tier, status
+            `, memberParams(filters));
+            return result.rows;
+        },
+
+        async getWalletByTelegramId(telegramUserId) {
+            const result = await sql`
+                SELECT * FROM verifications WHERE telegram_user_id = ${String(telegramUserId)}
+                ORDER BY created_at ASC LIMIT 1
+            `;
+            return toRow(result.rows[0]);
+        },
+
+        async findPendingVerifications(chatId, since) {
+            const result = await sql`
+                SELECT * FROM verifications
+                WHERE telegram_user_id IS NULL
+                AND chat_id = ${String(chatId)}
+                AND created_at > ${new Date(since)}
+                ORDER BY created_at DESC
+            `;
+            return result.rows.map(toRow);
+        },
+
+        async markMemberRemoved(walletAddress, chatId, reason, removedAt) {
+            const result = await sql`
+                UPDATE verifications
+                SET removed_at = ${new Date(removedAt)},
+                    removal_reason = ${reason}
+                WHERE wallet_address = ${walletAddress} AND chat_id = ${String(chatId)}
+            `;
+            return result.rowCount;
+        },
+
+        async deleteWallet(walletAddress) {
+            const result = await sql`
+                WITH wallets AS (
+                    DELETE FROM member_wallets WHERE primary_wallet = ${walletAddress} OR wallet_address = ${walletAddress}
+                )
+                DELETE FROM verifications WHERE wallet_address = ${walletAddress}
+            `;
+            return result.rowCount;
+        },
+
+        async getMemberWallet(walletAddress) {
+            const result = await sql`SELECT * FROM member_wallets WHERE wallet_address = ${walletAddress}`;
+            return toRow(result.rows[0]);
+        },
+
+        async getMemberWallets(primaryWallet) {
+            const result = await sql`SELECT * FROM member_wallets WHERE primary_wallet = ${primaryWallet} ORDER BY added_at ASC`;
+            return result.rows.map(toRow);
+        },
+
+        async listMemberWallets() {
+            const result = await sql`SELECT * FROM member_wallets ORDER BY primary_wallet, added_at ASC`;
+            return result.rows.map(toRow);
+        },
+
+        async listMemberWalletsOf(primaryWallets) {
+            const result = await sql`
+                SELECT * FROM member_wallets
+                WHERE primary_wallet = ANY(${primaryWallets})
+                ORDER BY primary_wallet, added_at ASC
+            `;
+            return result.rows.map(toRow);
+        },
+
+        async addMemberWallets(primaryWallet, walletAddresses, addedAt) {
+            for (const walletAddress of [primaryWallet, ...walletAddresses]) {
+                await sql`
+                    INSERT INTO member_wallets (wallet_address, primary_wallet, added_at)
+                    VALUES (${walletAddress}, ${primaryWallet}, ${new Date(addedAt)})
+                    ON CONFLICT (wallet_address) DO NOTHING
+                `;
+            }
+        },
+
+        async updateWalletBalances(balances, checkedAt) {
+            for (const { walletAddress, balance } of balances) {
+                await sql`
+                    UPDATE member_wallets SET balance = ${balance}, balance_checked_at = ${new Date(checkedAt)}
+                    WHERE wallet_address = ${walletAddress}
+                `;
+            }
+        },
+
+        async issueNonce(nonce, createdAt, expiresAt, ipAddress) {
+            await sql`
+                INSERT INTO nonces (nonce, created_at, expires_at, ip_address)
+                VALUES (${nonce}, ${new Date(createdAt)}, ${new Date(expiresAt)}, ${ipAddress || null})
+            `;
+        },
+
+        async countRecentNonces(ipAddress, since) {
+            const result = await sql`
+                SELECT COUNT(*)::int AS count, MIN(created_at) AS oldest
+                FROM nonces
+                WHERE ip_address = ${ipAddress} AND created_at > ${new Date(since)}
+            `;
+            const row = result.rows[0];
+            return { count: row.count, oldest: row.oldest ? row.oldest.getTime() : null };
+        },
+
+        async consumeNonce(nonce, now) {
+            const result = await sql`
+                UPDATE nonces SET consumed_at = ${new Date(now)}
+                WHERE nonce = ${nonce} AND consumed_at IS NULL AND expires_at > ${new Date(now)}
+                RETURNING nonce
+            `;
+            return result.rowCount === 1;
+        },
+
+        async cleanupNonces(now) {
+            const result = await sql`DELETE FROM nonces WHERE expires_at < ${new Date(now)}`;
+            return result.rowCount;
+        },
+
+        async findMemberInChat(telegramUserId, chatId) {
+            const result = await sql`
+                SELECT * FROM verifications
+                WHERE telegram_user_id = ${String(telegramUserId)} AND chat_id = ${String(chatId)} AND removed_at IS NULL
+                LIMIT 1
+            `;
+            return toRow(result.rows[0]);
+        },
+
+        async claimJoinCode(joinCode, telegramUserId, now) {
+            const userId = String(telegramUserId);
+            const result = await sql`
+                UPDATE verifications SET join_code_user_id = ${userId}
+                WHERE join_code = ${joinCode}
+                AND telegram_user_id IS NULL
+                AND expires_at > ${new Date(now)}
+                AND (join_code_user_id IS NULL OR join_code_user_id = ${userId})
+                RETURNING *
+            `;
+            return result.rows.map(toRow);
+        },
+
+        async findClaimedVerification(chatId, telegramUserId, now) {
+            const result = await sql`
+                SELECT * FROM verifications
+                WHERE chat_id = ${String(chatId)} AND join_code_user_id = ${String(telegramUserId)}
+                AND telegram_user_id IS NULL
+                AND expires_at > ${new Date(now)}
+                ORDER BY created_at DESC
+                LIMIT 1
+            `;
+            return toRow(result.rows[0]);
+        },
+
+        async getJoinLink(chatId) {
+            const result = await sql`SELECT invite_link FROM chat_join_links WHERE chat_id = ${String(chatId)}`;
+            return result.rows.length > 0 ? result.rows[0].invite_link : null;
+        },
+
+        // First link saved for a chat wins, so concurrent creators agree on one link
+        async saveJoinLink(chatId, inviteLink, createdAt) {
+            await sql`
+                INSERT INTO chat_join_links (chat_id, invite_link, created_at)
+                VALUES (${String(chatId)}, ${inviteLink}, ${new Date(createdAt)})
+                ON CONFLICT (chat_id) DO NOTHING
+            `;
+            const result = await sql`SELECT invite_link FROM chat_join_links WHERE chat_id = ${String(chatId)}`;
+            return result.rows[0].invite_link;
+        },
+
+        async revokeSession(sessionId, expiresAt, revokedAt) {
+            await sql`
+                INSERT INTO admin_session_revocations (session_id, expires_at, revoked_at)
+                VALUES (${sessionId}, ${new Date(expiresAt)}, ${new Date(revokedAt)})
+                ON CONFLICT (session_id) DO NOTHING
+            `;
+        },
+
+        async isSessionRevoked(sessionId) {
+            const result = await sql`SELECT 1 FROM admin_session_revocations WHERE session_id = ${sessionId}`;
+            return result.rows.length > 0;
+        },
+
+        async cleanupRevokedSessions(now) {
+            const result = await sql`DELETE FROM admin_session_revocations WHERE expires_at < ${new Date(now)}`;
+            return result.rowCount;
+        },
+
+        async recordLoginFailure(ipAddress, createdAt) {
+            await sql`INSERT INTO admin_login_failures (ip_address, created_at) VALUES (${ipAddress}, ${new Date(createdAt)})`;
+        },
+
+        async countLoginFailures(ipAddress, since) {
+            const result = await sql`
+                SELECT COUNT(*)::int AS count, MIN(created_at) AS oldest
+                FROM admin_login_failures
+                WHERE ip_address = ${ipAddress} AND created_at > ${new Date(since)}
+            `;
+            const row = result.rows[0];
+            return { count: row.count, oldest: row.oldest ? row.oldest.getTime() : null };
+        },
+
+        async clearLoginFailures(ipAddress) {
+            await sql`DELETE FROM admin_login_failures WHERE ip_address = ${ipAddress}`;
+        },
+
+        async cleanupLoginFailures(before) {
+            const result = await sql`DELETE FROM admin_login_failures WHERE created_at < ${new Date(before)}`;
+            return result.rowCount;
+        },
+
+        async insertUnmatchedJoin({ chatId, userId, username, firstName, inviteLink, inviteName, reason, createdAt }) {
+            const result = await sql`
+                INSERT INTO unmatched_joins (
+                    chat_id, telegram_user_id, telegram_username, telegram_first_name,
+                    invite_link, invite_name, reason, created_at
+                )
+                VALUES (
+                    ${String(chatId)}, ${String(userId)}, ${username || null}, ${firstName || null},
+                    ${inviteLink || null}, ${inviteName || null}, ${reason}, ${new Date(createdAt)}
+                )
+                RETURNING id
+            `;
+            return result.rows[0].id;
+        },
+
+        async listUnmatchedJoins(includeResolved) {
+            const result = includeResolved
+                ? await sql`SELECT * FROM unmatched_joins ORDER BY created_at DESC`
+                : await sql`SELECT * FROM unmatched_joins WHERE resolved_at IS NULL ORDER BY created_at DESC`;
+            return result.rows.map(toRow);
+        },
+
+        async getUnmatchedJoin(id) {
+            const result = await sql`SELECT * FROM unmatched_joins WHERE id = ${id}`;
+            return toRow(result.rows[0]);
+        },
+
+        async resolveUnmatchedJoin(id, resolution, walletAddress, resolvedBy, resolvedAt) {
+            const result = await sql`
+                UPDATE unmatched_joins
+                SET resolved_at = ${new Date(resolvedAt)},
+                    resolution = ${resolution},
+                    wallet_address = ${walletAddress || null},
+                    resolved_by = ${resolvedBy || null}
+                WHERE id = ${id} AND resolved_at IS NULL
+            `;
+            return result.rowCount;
+        },
+
+        async insertSybilFlag({ walletAddress, action, balance, required, reusedAmount, snapshotSlot, transfers, createdAt }) {
+            const result = await sql`
+                INSERT INTO sybil_flags (
+                    wallet_address, action, balance, required, reused_amount,
+                    snapshot_slot, transfers, created_at
+                )
+                VALUES (
+                    ${walletAddress}, ${action}, ${balance}, ${required}, ${reusedAmount},
+                    ${snapshotSlot === undefined ? null : snapshotSlot}, ${transfers}, ${new Date(createdAt)}
+                )
+                RETURNING id
+            `;
+            return result.rows[0].id;
+        },
+
+        async listSybilFlags(includeResolved) {
+            const result = includeResolved
+                ? await sql`SELECT * FROM sybil_flags ORDER BY created_at DESC`
+                : await sql`SELECT * FROM sybil_flags WHERE resolved_at IS NULL ORDER BY created_at DESC`;
+            return result.rows.map(toRow);
+        },
+
+        async getSybilFlag(id) {
+            const result = await sql`SELECT * FROM sybil_flags WHERE id = ${id}`;
+            return toRow(result.rows[0]);
+        },
+
+        async getSybilFlagsByWallet(walletAddress) {
+            const result = await sql`SELECT * FROM sybil_flags WHERE wallet_address = ${walletAddress} ORDER BY created_at DESC`;
+            return result.rows.map(toRow);
+        },
+
+        async resolveSybilFlag(id, resolution, resolvedBy, resolvedAt) {
+            const result = await sql`
+                UPDATE sybil_flags
+                SET resolved_at = ${new Date(resolvedAt)},
+                    resolution = ${resolution},
+                    resolved_by = ${resolvedBy || null}
+                WHERE id = ${id} AND resolved_at IS NULL
+            `;
+            return result.rowCount;
+        },
+
+        async getRetiredWallet(walletAddress) {
+            const result = await sql`SELECT * FROM retired_wallets WHERE wallet_address = ${walletAddress}`;
+            return toRow(result.rows[0]);
+        },
+
+        async migrateWallet(oldWallet, newWallet, telegramUserId, retiredAt) {
+            const client = await sql.connect();
+            try {
+                await client.query('BEGIN');
+                const moved = await client.query(
+                    'UPDATE verifications SET wallet_address = $1 WHERE wallet_address = $2',
+                    [newWallet, oldWallet]
+                );
+                await client.query('UPDATE member_wallets SET primary_wallet = $1 WHERE primary_wallet = $2', [newWallet, oldWallet]);
+                await client.query('UPDATE member_wallets SET wallet_address = $1 WHERE wallet_address = $2', [newWallet, oldWallet]);
+                await client.query(
+                    'INSERT INTO retired_wallets (wallet_address, replaced_by, telegram_user_id, retired_at) VALUES ($1, $2, $3, $4)',
+                    [oldWallet, newWallet, telegramUserId ? String(telegramUserId) : null, new Date(retiredAt)]
+                );
+                await client.query('COMMIT');
+                return moved.rowCount;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+        },
+
+        async insertWalletMigration(code, newWallet, createdAt, expiresAt) {
+            await sql`
+                INSERT INTO wallet_migrations (code, new_wallet, created_at, expires_at)
+                VALUES (${code}, ${newWallet}, ${new Date(createdAt)}, ${new Date(expiresAt)})
+            `;
+        },
+
+        async getWalletMigration(code) {
+            const result = await sql`SELECT * FROM wallet_migrations WHERE code = ${code}`;
+            return toRow(result.rows[0]);
+        },
+
+        async completeWalletMigration(code, telegramUserId, now) {
+            const result = await sql`
+                UPDATE wallet_migrations SET completed_at = ${new Date(now)}, telegram_user_id = ${String(telegramUserId)}
+                WHERE code = ${code} AND completed_at IS NULL AND expires_at > ${new Date(now)}
+            `;
+            return result.rowCount;
+        },
+
+        async cleanupWalletMigrations(now) {
+            const result = await sql`
+                DELETE FROM wallet_migrations WHERE expires_at < ${new Date(now)} AND completed_at IS NULL
+            `;
+            return result.rowCount;
+        },
+
+        async insertAuditLog({ createdAt, actor, action, walletAddress, telegramUserId, chatId, before, after, ipAddress }) {
+            await sql`
+                INSERT INTO audit_log (
+                    created_at, actor, action, wallet_address, telegram_user_id,
+                    chat_id, before_value, after_value, ip_address
+                )
+                VALUES (
+                    ${new Date(createdAt)}, ${actor}, ${action}, ${walletAddress || null},
+                    ${telegramUserId === undefined || telegramUserId === null ? null : String(telegramUserId)},
+                    ${chatId === undefined || chatId === null ? null : String(chatId)},
+                    ${before}, ${after}, ${ipAddress || null}
+                )
+            `;
+        },
+
+        async listAuditLog(filters, limit, offset) {
+            const f = auditLogParams(filters);
+            const result = await sql`
+                SELECT * FROM audit_log
+                WHERE (${f.action}::text IS NULL OR action = ${f.action})
+                    AND (${f.actor}::text IS NULL OR actor = ${f.actor})
+                    AND (${f.wallet}::text IS NULL OR wallet_address = ${f.wallet})
+                    AND (${f.telegramUserId}::text IS NULL OR telegram_user_id = ${f.telegramUserId})
+                    AND (${f.since}::timestamp IS NULL OR created_at >= ${f.since})
+                    AND (${f.until}::timestamp IS NULL OR created_at < ${f.until})
+                ORDER BY created_at DESC, id DESC
+                LIMIT ${limit} OFFSET ${offset}
+            `;
+            return result.rows.map(toRow);
+        },
+
+        async countAuditLog(filters) {
+            const f = auditLogParams(filters);
+            const result = await sql`
+                SELECT COUNT(*)::int AS count FROM audit_log
+                WHERE (${f.action}::text IS NULL OR action = ${f.action})
+                    AND (${f.actor}::text IS NULL OR actor = ${f.actor})
+                    AND (${f.wallet}::text IS NULL OR wallet_address = ${f.wallet})
+                    AND (${f.telegramUserId}::text IS NULL OR telegram_user_id = ${f.telegramUserId})
+                    AND (${f.since}::timestamp IS NULL OR created_at >= ${f.since})
+                    AND (${f.until}::timestamp IS NULL OR created_at < ${f.until})
+            `;
+            return result.rows[0].count;
+        },
+
+        async insertVerificationAttempt({ createdAt, walletAddress, outcome, reason }) {
+            await sql`
+                INSERT INTO verification_attempts (created_at, wallet_address, outcome, reason)
+                VALUES (${new Date(createdAt)}, ${walletAddress || null}, ${outcome}, ${reason || null})
+            `;
+        },
+
+        // Buckets are counted from the interval since the start, so they don't depend on the session time zone
+        async countVerificationAttempts(since, until, bucketSize) {
+            const result = await sql`
+                SELECT
+                    FLOOR(EXTRACT(EPOCH FROM (created_at - ${new Date(since)}::timestamp)) * 1000 / ${bucketSize})::int AS bucket,
+                    outcome,
+                    reason,
+                    COUNT(*)::int AS count
+                FROM verification_attempts
+                WHERE created_at >= ${new Date(since)} AND created_at < ${new Date(until)}
+                GROUP BY 1, outcome, reason
+            `;
+            return result.rows;
+        },
+
+        async countInvites(since, until, bucketSize, now) {
+            const result = await sql`
+                SELECT
+                    FLOOR(EXTRACT(EPOCH FROM (created_at - ${new Date(since)}::timestamp)) * 1000 / ${bucketSize})::int AS bucket,
+                    COUNT(*)::int AS issued,
+                    SUM(joined)::int AS joined,
+                    SUM(expired)::int AS expired
+                FROM (
+                    SELECT created_at,
+                        CASE WHEN telegram_user_id IS NOT NULL THEN 1 ELSE 0 END AS joined,
+                        CASE WHEN used = FALSE AND telegram_user_id IS NULL AND expires_at < ${new Date(now)} THEN 1 ELSE 0 END AS expired
+                    FROM verifications
+                    WHERE created_at >= ${new Date(since)} AND created_at < ${new Date(until)}
+                    UNION ALL
+                    SELECT created_at, 0, 1 FROM expired_invites
+                    WHERE created_at >= ${new Date(since)} AND created_at < ${new Date(until)}
+                ) AS invites
+                GROUP BY 1
+            `;
+            return result.rows;
+        },
+
+        async listJoinDelays(since, until) {
+            const result = await sql`
+                SELECT created_at, joined_at FROM verifications
+                WHERE created_at >= ${new Date(since)} AND created_at < ${new Date(until)} AND joined_at IS NOT NULL
+            `;
+            return result.rows.map(toRow);
+        },
+
+        // Taken only while the previous lock has expired and the last run started at or before dueBefore
+        async acquireJobLock({ name, owner, now, lockedUntil, dueBefore, triggeredBy }) {
+            const result = await sql`
+                INSERT INTO scheduled_jobs (name, locked_by, locked_until, started_at, triggered_by)
+                VALUES (${name}, ${owner}, ${new Date(lockedUntil)}, ${new Date(now)}, ${triggeredBy})
+                ON CONFLICT (name) DO UPDATE SET
+                    locked_by = EXCLUDED.locked_by,
+                    locked_until = EXCLUDED.locked_until,
+                    started_at = EXCLUDED.started_at,
+                    triggered_by = EXCLUDED.triggered_by
+                WHERE (scheduled_jobs.locked_until IS NULL OR scheduled_jobs.locked_until < ${new Date(now)})
+                    AND (scheduled_jobs.started_at IS NULL OR scheduled_jobs.started_at <= ${new Date(dueBefore)})
+                RETURNING name
+            `;
+            return result.rows.length === 1;
+        },
+
+        async finishJobRun({ name, owner, finishedAt, durationMs, status, result, error }) {
+            const updated = await sql`
+                UPDATE scheduled_jobs
+                SET locked_by = NULL,
+                    locked_until = NULL,
+                    finished_at = ${new Date(finishedAt)},
+                    duration_ms = ${durationMs},
+                    status = ${status},
+                    result = ${result},
+                    error = ${error}
+                WHERE name = ${name} AND locked_by = ${owner}
+            `;
+            return updated.rowCount;
+        },
+
+        async listScheduledJobs() {
+            const result = await sql`SELECT * FROM scheduled_jobs ORDER BY name`;
+            return result.rows.map(toRow);
+        }
+    };
+}
+
+module.exports = {
+    createPostgresStorage
+};
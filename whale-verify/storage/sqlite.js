@@ -0,0 +1,757 @@
+// SQLite storage adapter (local development / single Express server)
+// Timestamps are stored as epoch milliseconds
+const Database = require('better-sqlite3');
+const path = require('path');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'whale-verify.db');
+
+// Audit log filters, each one ignored when its parameter is null
+const AUDIT_LOG_FILTERS = `
+    (@action IS NULL OR action = @action)
+    AND (@actor IS NULL OR actor = @actor)
+    AND (@wallet IS NULL OR wallet_address = @wallet)
+    AND (@telegramUserId IS NULL OR telegram_user_id = @telegramUserId)
+    AND (@since IS NULL OR created_at >= @since)
+    AND (@until IS NULL OR created_at < @until)
+`;
+
+function auditLogParams({ action, actor, walletAddress, telegramUserId, since, until }) {
+    return {
+        action: action || null,
+        actor: actor || null,
+        wallet: walletAddress || null,
+        telegramUserId: telegramUserId ? String(telegramUserId) : null,
+        since: since || null,
+        until: until || null
+    };
+}
+
+// Invites that expired without anyone joining, of every wallet or only @wallet
+const EXPIRED_INVITES = 'expires_at < @now AND used = 0 AND telegram_user_id IS NULL AND (@wallet IS NULL OR wallet_address = @wallet)';
+// Expired unused invites don't count as a verification (the ? is the current time)
+const NOT_EXPIRED_UNUSED = 'NOT (expires_at < ? AND used = 0 AND telegram_user_id IS NULL)';
+
+// Member status, derived the same way as member-list.getStatus()
+const MEMBER_STATUS = `
+    CASE
+        WHEN removed_at IS NOT NULL THEN 'removed'
+        WHEN telegram_user_id IS NOT NULL THEN 'joined'
+        WHEN used THEN 'link_used'
+        ELSE 'pending'
+    END
+`;
+
+// Member list filters, each one ignored when its parameter is null. The search
+// matches a wallet prefix (case-sensitive, also the member's added wallets),
+// a Telegram username prefix or a Telegram user ID
+const MEMBER_FILTERS = `
+    (@search IS NULL
+        OR substr(wallet_address, 1, length(@search)) = @search
+        OR substr(LOWER(telegram_username), 1, length(@search)) = LOWER(@search)
+        OR telegram_user_id = @search
+        OR wallet_address IN (
+            SELECT primary_wallet FROM member_wallets
+            WHERE substr(wallet_address, 1, length(@search)) = @search
+        ))
+    AND (@statuses IS NULL OR ${MEMBER_STATUS} IN (SELECT value FROM json_each(@statuses)))
+    AND (@tier IS NULL OR tier = @tier)
+    AND (@since IS NULL OR created_at >= @since)
+    AND (@until IS NULL OR created_at < @until)
+`;
+
+// Member list sort keys, matching member-list.SORTS (NULLs sort lowest)
+const MEMBER_SORTS = {
+    created_at: 'created_at',
+    joined_at: 'COALESCE(joined_at, 0)',
+    balance: 'COALESCE(balance_snapshot, -1)',
+    wallet: 'wallet_address',
+    username: "COALESCE(LOWER(telegram_username), '')"
+};
+
+function memberParams({ search, statuses, tier, since, until }) {
+    return {
+        search: search || null,
+        statuses: statuses ? JSON.stringify(statuses) : null,
+        tier: tier || null,
+        since: since || null,
+        until: until || null
+    };
+}
+
+// Page of the member list after the cursor (@cursorValue, @cursorId), if any
+function memberPageSql(sort, order) {
+    const expression = MEMBER_SORTS[sort];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const comparison = order === 'asc' ? '>' : '<';
+    return `
+        SELECT * FROM verifications
+        WHERE ${MEMBER_FILTERS}
+        AND (@cursorId IS NULL
+            OR ${expression} ${comparison} @cursorValue
+            OR (${expression} = @cursorValue AND id ${comparison} @cursorId))
+        ORDER BY ${expression} ${direction}, id ${direction}
+        LIMIT @limit
+    `;
+}
+
+const SQL = {
+    hasWallet: `SELECT id FROM verifications WHERE wallet_address = ? AND ${NOT_EXPIRED_UNUSED}`,
+    hasWalletForChat: `SELECT id FROM verifications WHERE wallet_address = ? AND chat_id = ? AND ${NOT_EXPIRED_UNUSED}`,
+    insert: `
+        INSERT INTO verifications (
+            wallet_address, tier, chat_id, invite_link, join_code, created_at, expires_at,
+            ip_address, user_agent, balance_snapshot, snapshot_slot
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    // A removed member's row for the chat, replaced when they verify again
+    deleteRemovedForChat: 'DELETE FROM verifications WHERE wallet_address = ? AND chat_id = ? AND removed_at IS NOT NULL',
+    byWallet: 'SELECT * FROM verifications WHERE wallet_address = ? ORDER BY created_at ASC',
+    byInviteLink: 'SELECT * FROM verifications WHERE invite_link = ?',
+    expiredInvites: `SELECT * FROM verifications WHERE ${EXPIRED_INVITES}`,
+    cleanupInvites: `DELETE FROM verifications WHERE ${EXPIRED_INVITES}`,
+    archiveExpiredInvites: `
+        INSERT INTO expired_invites (wallet_address, tier, chat_id, created_at, expires_at)
+        SELECT wallet_address, tier, chat_id, created_at, expires_at FROM verifications
+        WHERE ${EXPIRED_INVITES}
+    `,
+    expireInvite: `
+        UPDATE verifications SET expires_at = MIN(expires_at, @now), used = 0
+        WHERE wallet_address = @wallet AND chat_id = @chatId AND telegram_user_id IS NULL
+    `,
+    replaceInviteLink: `
+        UPDATE verifications SET invite_link = @inviteLink, expires_at = @expiresAt, used = 0
+        WHERE wallet_address = @wallet AND chat_id = @chatId AND telegram_user_id IS NULL
+    `,
+    countByTier: `
+        SELECT
+            tier,
+            COUNT(*) as total,
+            SUM(CASE WHEN used = 1 THEN 1 ELSE 0 END) as used,
+            SUM(CASE WHEN used = 0 AND expires_at > ? THEN 1 ELSE 0 END) as active,
+            SUM(CASE WHEN telegram_user_id IS NOT NULL AND removed_at IS NULL THEN 1 ELSE 0 END) as joined,
+            SUM(CASE WHEN removed_at IS NOT NULL THEN 1 ELSE 0 END) as removed
+        FROM verifications
+        GROUP BY tier
+    `,
+    linkTelegram: `
+        UPDATE verifications
+        SET telegram_user_id = ?,
+            telegram_username = ?,
+            telegram_first_name = ?,
+            joined_at = ?
+        WHERE wallet_address = ?
+    `,
+    linkTelegramForChat: `
+        UPDATE verifications
+        SET telegram_user_id = ?,
+            telegram_username = ?,
+            telegram_first_name = ?,
+            joined_at = ?
+        WHERE wallet_address = ? AND chat_id = ?
+    `,
+    listMembers: 'SELECT * FROM verifications ORDER BY created_at DESC',
+    countMembers: `
+        SELECT tier, ${MEMBER_STATUS} AS status, COUNT(*) AS count
+        FROM verifications
+        WHERE ${MEMBER_FILTERS}
+        GROUP BY tier, status
+    `,
+    byTelegramId: 'SELECT * FROM verifications WHERE telegram_user_id = ? ORDER BY created_at ASC',
+    pendingForChat: `
+        SELECT * FROM verifications
+        WHERE telegram_user_id IS NULL
+        AND chat_id = ?
+        AND created_at > ?
+        ORDER BY created_at DESC
+    `,
+    markRemoved: `
+        UPDATE verifications
+        SET removed_at = ?,
+            removal_reason = ?
+        WHERE wallet_address = ? AND chat_id = ?
+    `,
+    deleteWallet: 'DELETE FROM verifications WHERE wallet_address = ?',
+    memberWallet: 'SELECT * FROM member_wallets WHERE wallet_address = ?',
+    memberWallets: 'SELECT * FROM member_wallets WHERE primary_wallet = ? ORDER BY added_at ASC',
+    allMemberWallets: 'SELECT * FROM member_wallets ORDER BY primary_wallet, added_at ASC',
+    memberWalletsOf: `
+        SELECT * FROM member_wallets
+        WHERE primary_wallet IN (SELECT value FROM json_each(?))
+        ORDER BY primary_wallet, added_at ASC
+    `,
+    insertMemberWallet: 'INSERT OR IGNORE INTO member_wallets (wallet_address, primary_wallet, added_at) VALUES (?, ?, ?)',
+    updateWalletBalance: 'UPDATE member_wallets SET balance = ?, balance_checked_at = ? WHERE wallet_address = ?',
+    deleteMemberWallets: 'DELETE FROM member_wallets WHERE primary_wallet = ? OR wallet_address = ?',
+    moveMemberWallets: 'UPDATE member_wallets SET primary_wallet = ? WHERE primary_wallet = ?',
+    renameMemberWallet: 'UPDATE member_wallets SET wallet_address = ? WHERE wallet_address = ?',
+    cleanupMemberWallets: 'DELETE FROM member_wallets WHERE primary_wallet NOT IN (SELECT wallet_address FROM verifications)',
+    insertNonce: 'INSERT INTO nonces (nonce, created_at, expires_at, ip_address) VALUES (?, ?, ?, ?)',
+    countRecentNonces: 'SELECT COUNT(*) AS count, MIN(created_at) AS oldest FROM nonces WHERE ip_address = ? AND created_at > ?',
+    consumeNonce: `
+        UPDATE nonces SET consumed_at = ?
+        WHERE nonce = ? AND consumed_at IS NULL AND expires_at > ?
+    `,
+    cleanupNonces: 'DELETE FROM nonces WHERE expires_at < ?',
+    insertUnmatchedJoin: `
+        INSERT INTO unmatched_joins (
+            chat_id, telegram_user_id, telegram_username, telegram_first_name,
+            invite_link, invite_name, reason, created_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    listUnmatchedJoins: 'SELECT * FROM unmatched_joins WHERE resolved_at IS NULL ORDER BY created_at DESC',
+    listAllUnmatchedJoins: 'SELECT * FROM unmatched_joins ORDER BY created_at DESC',
+    unmatchedJoinById: 'SELECT * FROM unmatched_joins WHERE id = ?',
+    memberInChat: `
+        SELECT * FROM verifications
+        WHERE telegram_user_id = ? AND chat_id = ? AND removed_at IS NULL
+        LIMIT 1
+    `,
+    claimJoinCode: `
+        UPDATE verifications SET join_code_user_id = ?
+        WHERE join_code = ?
+        AND telegram_user_id IS NULL
+        AND expires_at > ?
+        AND (join_code_user_id IS NULL OR join_code_user_id = ?)
+    `,
+    byJoinCodeClaim: 'SELECT * FROM verifications WHERE join_code = ? AND join_code_user_id = ?',
+    claimedForChat: `
+        SELECT * FROM verifications
+        WHERE chat_id = ? AND join_code_user_id = ?
+        AND telegram_user_id IS NULL
+        AND expires_at > ?
+        ORDER BY created_at DESC
+        LIMIT 1
+    `,
+    joinLink: 'SELECT invite_link FROM chat_join_links WHERE chat_id = ?',
+    insertJoinLink: 'INSERT OR IGNORE INTO chat_join_links (chat_id, invite_link, created_at) VALUES (?, ?, ?)',
+    revokeSession: 'INSERT OR IGNORE INTO admin_session_revocations (session_id, expires_at, revoked_at) VALUES (?, ?, ?)',
+    sessionRevoked: 'SELECT 1 FROM admin_session_revocations WHERE session_id = ?',
+    cleanupRevokedSessions: 'DELETE FROM admin_session_revocations WHERE expires_at < ?',
+    insertLoginFailure: 'INSERT INTO admin_login_failures (ip_address, created_at) VALUES (?, ?)',
+    countLoginFailures: 'SELECT COUNT(*) AS count, MIN(created_at) AS oldest FROM admin_login_failures WHERE ip_address = ? AND created_at > ?',
+    clearLoginFailures: 'DELETE FROM admin_login_failures WHERE ip_address = ?',
+    cleanupLoginFailures: 'DELETE FROM admin_login_failures WHERE created_at < ?',
+    retiredWallet: 'SELECT * FROM retired_wallets WHERE wallet_address = ?',
+    moveWallet: 'UPDATE verifications SET wallet_address = ? WHERE wallet_address = ?',
+    retireWallet: 'INSERT INTO retired_wallets (wallet_address, replaced_by, telegram_user_id, retired_at) VALUES (?, ?, ?, ?)',
+    insertWalletMigration: 'INSERT INTO wallet_migrations (code, new_wallet, created_at, expires_at) VALUES (?, ?, ?, ?)',
+    walletMigrationByCode: 'SELECT * FROM wallet_migrations WHERE code = ?',
+    completeWalletMigration: `
+        UPDATE wallet_migrations SET completed_at = ?, telegram_user_id = ?
+        WHERE code = ? AND completed_at IS NULL AND expires_at > ?
+    `,
+    cleanupWalletMigrations: 'DELETE FROM wallet_migrations WHERE expires_at < ? AND completed_at IS NULL',
+    insertAuditLog: `
+        INSERT INTO audit_log (
+            created_at, actor, action, wallet_address, telegram_user_id,
+            chat_id, before_value, after_value, ip_address
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    listAuditLog: `
+        SELECT * FROM audit_log
+        WHERE ${AUDIT_LOG_FILTERS}
+        ORDER BY created_at DESC, id DESC
+        LIMIT @limit OFFSET @offset
+    `,
+    countAuditLog: `SELECT COUNT(*) AS count FROM audit_log WHERE ${AUDIT_LOG_FILTERS}`,
+    insertVerificationAttempt: 'INSERT INTO verification_attempts (created_at, wallet_address, outcome, reason) VALUES (?, ?, ?, ?)',
+    countVerificationAttempts: `
+        SELECT CAST((created_at - @since) / @bucketSize AS INTEGER) AS bucket, outcome, reason, COUNT(*) AS count
+        FROM verification_attempts
+        WHERE created_at >= @since AND created_at < @until
+        GROUP BY bucket, outcome, reason
+    `,
+    // Invites by the bucket they were issued in; the cleanup moves expired ones to expired_invites
+    countInvites: `
+        SELECT CAST((created_at - @since) / @bucketSize AS INTEGER) AS bucket,
+            COUNT(*) AS issued,
+            SUM(joined) AS joined,
+            SUM(expired) AS expired
+        FROM (
+            SELECT created_at,
+                CASE WHEN telegram_user_id IS NOT NULL THEN 1 ELSE 0 END AS joined,
+                CASE WHEN used = 0 AND telegram_user_id IS NULL AND expires_at < @now THEN 1 ELSE 0 END AS expired
+            FROM verifications
+            WHERE created_at >= @since AND created_at < @until
+            UNION ALL
+            SELECT created_at, 0, 1 FROM expired_invites
+            WHERE created_at >= @since AND created_at < @until
+        )
+        GROUP BY bucket
+    `,
+    listJoinDelays: `
+        SELECT created_at, joined_at FROM verifications
+        WHERE created_at >= ? AND created_at < ? AND joined_at IS NOT NULL
+    `,
+    resolveUnmatchedJoin: `
+        UPDATE unmatched_joins
+        SET resolved_at = ?,
+            resolution = ?,
+            wallet_address = ?,
+            resolved_by = ?
+        WHERE id = ? AND resolved_at IS NULL
+    `,
+    insertSybilFlag: `
+        INSERT INTO sybil_flags (
+            wallet_address, action, balance, required, reused_amount,
+            snapshot_slot, transfers, created_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    listSybilFlags: 'SELECT * FROM sybil_flags WHERE resolved_at IS NULL ORDER BY created_at DESC',
+    listAllSybilFlags: 'SELECT * FROM sybil_flags ORDER BY created_at DESC',
+    sybilFlagById: 'SELECT * FROM sybil_flags WHERE id = ?',
+    sybilFlagsByWallet: 'SELECT * FROM sybil_flags WHERE wallet_address = ? ORDER BY created_at DESC',
+    resolveSybilFlag: `
+        UPDATE sybil_flags
+        SET resolved_at = ?,
+            resolution = ?,
+            resolved_by = ?
+        WHERE id = ? AND resolved_at IS NULL
+    `,
+    // Taken only while the previous lock has expired and the last run started at or before @dueBefore
+    acquireJobLock: `
+        INSERT INTO scheduled_jobs (name, locked_by, locked_until, started_at, triggered_by)
+        VALUES (@name, @owner, @lockedUntil, @now, @triggeredBy)
+        ON CONFLICT (name) DO UPDATE SET
+            locked_by = excluded.locked_by,
+            locked_until = excluded.locked_until,
+            started_at = excluded.started_at,
+            triggered_by = excluded.triggered_by
+        WHERE (scheduled_jobs.locked_until IS NULL OR scheduled_jobs.locked_until < @now)
+            AND (scheduled_jobs.started_at IS NULL OR scheduled_jobs.started_at <= @dueBefore)
+    `,
+    finishJobRun: `
+        UPDATE scheduled_jobs
+        SET locked_by = NULL,
+            locked_until = NULL,
+            finished_at = @finishedAt,
+            duration_ms = @durationMs,
+            status = @status,
+            result = @result,
+            error = @error
+        WHERE name = @name AND locked_by = @owner
+    `,
+    listScheduledJobs: 'SELECT * FROM scheduled_jobs ORDER BY name'
+};
+
+// One member list statement per sort key and order
+for (const sort of Object.keys(MEMBER_SORTS)) {
+    for (const order of ['asc', 'desc']) {
+        SQL[`memberPage_${sort}_${order}`] = memberPageSql(sort, order);
+    }
+}
+
+/**
+ * Create SQLite adapter
+ * @param {object} [options]
+ * @param {string} [options.filename] - Database file (WHALE_DB_PATH or whale-verify/whale-verify.db)
+ * @returns {object} - Storage adapter
+ */
+function createSqliteStorage({ filename = process.env.WHALE_DB_PATH || DEFAULT_PATH } = {}) {
+    const db = new Database(filename);
+
+    // Schema comes from migrations (npm run migrate), so statements are prepared on first use
+    const cache = new Map();
+    function statement(key) {
+        if (!cache.has(key)) {
+            cache.set(key, db.prepare(SQL[key]));
+        }
+        return cache.get(key);
+    }
+
+    // Normalize a row to the shape shared by all adapters
+    function toRow(row) {
+        if (!row) return null;
+        return {
+            ...row,
+            used: Boolean(row.used)
+        };
+    }
+
+    // Statement helpers handed to migrations
+    const context = {
+        dialect: 'sqlite',
+        async exec(text, params = []) {
+            if (params.length === 0) {
+                db.exec(text);
+            } else {
+                db.prepare(text).run(...params);
+            }
+        },
+        async query(text, params = []) {
+            return db.prepare(text).all(...params);
+        },
+        async hasColumn(table, column) {
+            return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+        }
+    };
+
+    return {
+        driver: 'sqlite',
+
+        /**
+         * Run fn(context) in a transaction, rolled back if it throws
+         * @param {Function} fn - Receives { dialect, exec, query, hasColumn }
+         */
+        async transaction(fn) {
+            db.exec('BEGIN');
+            try {
+                const result = await fn(context);
+                db.exec('COMMIT');
+                return result;
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            } finally {
+                // Tables may have been rebuilt, re-prepare against the new schema
+                cache.clear();
+            }
+        },
+
+        async close() {
+            db.close();
+        },
+
+        async hasWalletBeenVerified(walletAddress, chatId, now) {
+            const result = chatId === undefined
+                ? statement('hasWallet').get(walletAddress, now)
+                : statement('hasWalletForChat').get(walletAddress, String(chatId), now);
+            return result !== undefined;
+        },
+
+        async saveVerification({ walletAddress, tier, chatId, inviteLink, joinCode, createdAt, expiresAt, ipAddress, userAgent, balanceSnapshot, snapshotSlot }) {
+            try {
+                const result = db.transaction(() => {
+                    statement('deleteRemovedForChat').run(walletAddress, String(chatId));
+                    const inserted = statement('insert').run(
+                        walletAddress, tier, String(chatId), inviteLink, joinCode || null, createdAt, expiresAt, ipAddress, userAgent,
+                        balanceSnapshot === undefined ? null : balanceSnapshot, snapshotSlot === undefined ? null : snapshotSlot
+                    );
+                    // A verified wallet is the primary wallet of its member
+                    statement('insertMemberWallet').run(walletAddress, walletAddress, createdAt);
+                    return inserted;
+                })();
+                return {
+                    success: true,
+                    id: Number(result.lastInsertRowid)
+                };
+            } catch (error) {
+                if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                    return {
+                        success: false,
+                        error: 'WALLET_ALREADY_VERIFIED'
+                    };
+                }
+                throw error;
+            }
+        },
+
+        async getByWallet(walletAddress) {
+            return statement('byWallet').all(walletAddress).map(toRow);
+        },
+
+        async getByInviteLink(inviteLink) {
+            return toRow(statement('byInviteLink').get(inviteLink));
+        },
+
+        async listExpiredInvites(now, walletAddress = null) {
+            return statement('expiredInvites').all({ now, wallet: walletAddress }).map(toRow);
+        },
+
+        async cleanupExpiredInvites(now, walletAddress = null) {
+            const params = { now, wallet: walletAddress };
+            return db.transaction(() => {
+                statement('archiveExpiredInvites').run(params);
+                const deleted = statement('cleanupInvites').run(params).changes;
+                statement('cleanupMemberWallets').run();
+                return deleted;
+            })();
+        },
+
+        async expireInvite(walletAddress, chatId, now) {
+            return statement('expireInvite').run({ wallet: walletAddress, chatId: String(chatId), now }).changes;
+        },
+
+        async replaceInviteLink(walletAddress, chatId, inviteLink, expiresAt) {
+            return statement('replaceInviteLink').run({ wallet: walletAddress, chatId: String(chatId), inviteLink, expiresAt }).changes;
+        },
+
+        async countByTier(now) {
+            return statement('countByTier').all(now);
+        },
+
+        async linkTelegram(walletAddress, { userId, username, firstName }, chatId, joinedAt) {
+            const params = [String(userId), username || null, firstName || null, joinedAt, walletAddress];
+            const result = chatId === undefined
+                ? statement('linkTelegram').run(...params)
+                : statement('linkTelegramForChat').run(...params, String(chatId));
+            return result.changes;
+        },
+
+        async listMembers() {
+            return statement('listMembers').all().map(toRow);
+        },
+
+        async listMembersPage(filters, { sort, order, cursor, limit }) {
+            return statement(`memberPage_${sort}_${order}`).all({
+                ...memberParams(filters),
+                cursorValue: cursor ? cursor.value : null,
+                cursorId: cursor ? cursor.id : null,
+                limit
+            }).map(toRow);
+        },
+
+        async countMembers(filters) {
+            return statement('countMembers').all(memberParams(filters));
+        },
+
+        async getWalletByTelegramId(telegramUserId) {
+            return toRow(statement('byTelegramId').get(String(telegramUserId)));
+        },
+
+        async findPendingVerifications(chatId, since) {
+            return statement('pendingForChat').all(String(chatId), since).map(toRow);
+        },
+
+        async markMemberRemoved(walletAddress, chatId, reason, removedAt) {
+            return statement('markRemoved').run(removedAt, reason, walletAddress, String(chatId)).changes;
+        },
+
+        async deleteWallet(walletAddress) {
+            return db.transaction(() => {
+                statement('deleteMemberWallets').run(walletAddress, walletAddress);
+                return statement('deleteWallet').run(walletAddress).changes;
+            })();
+        },
+
+        async getMemberWallet(walletAddress) {
+            return statement('memberWallet').get(walletAddress) || null;
+        },
+
+        async getMemberWallets(primaryWallet) {
+            return statement('memberWallets').all(primaryWallet);
+        },
+
+        async listMemberWallets() {
+            return statement('allMemberWallets').all();
+        },
+
+        async listMemberWalletsOf(primaryWallets) {
+            return statement('memberWalletsOf').all(JSON.stringify(primaryWallets));
+        },
+
+        async addMemberWallets(primaryWallet, walletAddresses, addedAt) {
+            db.transaction(() => {
+                statement('insertMemberWallet').run(primaryWallet, primaryWallet, addedAt);
+                for (const walletAddress of walletAddresses) {
+                    statement('insertMemberWallet').run(walletAddress, primaryWallet, addedAt);
+                }
+            })();
+        },
+
+        async updateWalletBalances(balances, checkedAt) {
+            db.transaction(() => {
+                for (const { walletAddress, balance } of balances) {
+                    statement('updateWalletBalance').run(balance, checkedAt, walletAddress);
+                }
+            })();
+        },
+
+        async issueNonce(nonce, createdAt, expiresAt, ipAddress) {
+            statement('insertNonce').run(nonce, createdAt, expiresAt, ipAddress || null);
+        },
+
+        async countRecentNonces(ipAddress, since) {
+            const row = statement('countRecentNonces').get(ipAddress, since);
+            return { count: row.count, oldest: row.oldest };
+        },
+
+        async consumeNonce(nonce, now) {
+            return statement('consumeNonce').run(now, nonce, now).changes === 1;
+        },
+
+        async cleanupNonces(now) {
+            return statement('cleanupNonces').run(now).changes;
+        },
+
+        async findMemberInChat(telegramUserId, chatId) {
+            return toRow(statement('memberInChat').get(String(telegramUserId), String(chatId)));
+        },
+
+        async claimJoinCode(joinCode, telegramUserId, now) {
+            statement('claimJoinCode').run(String(telegramUserId), joinCode, now, String(telegramUserId));
+            return statement('byJoinCodeClaim').all(joinCode, String(telegramUserId)).map(toRow);
+        },
+
+        async findClaimedVerification(chatId, telegramUserId, now) {
+            return toRow(statement('claimedForChat').get(String(chatId), String(telegramUserId), now));
+        },
+
+        async getJoinLink(chatId) {
+            const row = statement('joinLink').get(String(chatId));
+            return row ? row.invite_link : null;
+        },
+
+        // First link saved for a chat wins, so concurrent creators agree on one link
+        async saveJoinLink(chatId, inviteLink, createdAt) {
+            statement('insertJoinLink').run(String(chatId), inviteLink, createdAt);
+            return statement('joinLink').get(String(chatId)).invite_link;
+        },
+
+        async revokeSession(sessionId, expiresAt, revokedAt) {
+            statement('revokeSession').run(sessionId, expiresAt, revokedAt);
+        },
+
+        async isSessionRevoked(sessionId) {
+            return statement('sessionRevoked').get(sessionId) !== undefined;
+        },
+
+        async cleanupRevokedSessions(now) {
+            return statement('cleanupRevokedSessions').run(now).changes;
+        },
+
+        async recordLoginFailure(ipAddress, createdAt) {
+            statement('insertLoginFailure').run(ipAddress, createdAt);
+        },
+
+        async countLoginFailures(ipAddress, since) {
+            const row = statement('countLoginFailures').get(ipAddress, since);
+            return { count: row.count, oldest: row.oldest };
+        },
+
+        async clearLoginFailures(ipAddress) {
+            statement('clearLoginFailures').run(ipAddress);
+        },
+
+        async cleanupLoginFailures(before) {
+            return statement('cleanupLoginFailures').run(before).changes;
+        },
+
+        async insertUnmatchedJoin({ chatId, userId, username, firstName, inviteLink, inviteName, reason, createdAt }) {
+            const result = statement('insertUnmatchedJoin').run(
+                String(chatId), String(userId), username || null, firstName || null,
+                inviteLink || null, inviteName || null, reason, createdAt
+            );
+            return Number(result.lastInsertRowid);
+        },
+
+        async listUnmatchedJoins(includeResolved) {
+            return statement(includeResolved ? 'listAllUnmatchedJoins' : 'listUnmatchedJoins').all();
+        },
+
+        async getUnmatchedJoin(id) {
+            return statement('unmatchedJoinById').get(id) || null;
+        },
+
+        async resolveUnmatchedJoin(id, resolution, walletAddress, resolvedBy, resolvedAt) {
+            return statement('resolveUnmatchedJoin').run(resolvedAt, resolution, walletAddress || null, resolvedBy || null, id).changes;
+        },
+
+        async insertSybilFlag({ walletAddress, action, balance, required, reusedAmount, snapshotSlot, transfers, createdAt }) {
+            const result = statement('insertSybilFlag').run(
+                walletAddress, action, balance, required, reusedAmount,
+                snapshotSlot === undefined ? null : snapshotSlot, transfers, createdAt
+            );
+            return Number(result.lastInsertRowid);
+        },
+
+        async listSybilFlags(includeResolved) {
+            return statement(includeResolved ? 'listAllSybilFlags' : 'listSybilFlags').all();
+        },
+
+        async getSybilFlag(id) {
+            return statement('sybilFlagById').get(id) || null;
+        },
+
+        async getSybilFlagsByWallet(walletAddress) {
+            return statement('sybilFlagsByWallet').all(walletAddress);
+        },
+
+        async resolveSybilFlag(id, resolution, resolvedBy, resolvedAt) {
+            return statement('resolveSybilFlag').run(resolvedAt, resolution, resolvedBy || null, id).changes;
+        },
+
+        async getRetiredWallet(walletAddress) {
+            return statement('retiredWallet').get(walletAddress) || null;
+        },
+
+        async migrateWallet(oldWallet, newWallet, telegramUserId, retiredAt) {
+            return db.transaction(() => {
+                const moved = statement('moveWallet').run(newWallet, oldWallet).changes;
+                statement('moveMemberWallets').run(newWallet, oldWallet);
+                statement('renameMemberWallet').run(newWallet, oldWallet);
+                statement('retireWallet').run(oldWallet, newWallet, telegramUserId ? String(telegramUserId) : null, retiredAt);
+                return moved;
+            })();
+        },
+
+        async insertWalletMigration(code, newWallet, createdAt, expiresAt) {
+            statement('insertWalletMigration').run(code, newWallet, createdAt, expiresAt);
+        },
+
+        async getWalletMigration(code) {
+            return statement('walletMigrationByCode').get(code) || null;
+        },
+
+        async completeWalletMigration(code, telegramUserId, now) {
+            return statement('completeWalletMigration').run(now, String(telegramUserId), code, now).changes;
+        },
+
+        async cleanupWalletMigrations(now) {
+            return statement('cleanupWalletMigrations').run(now).changes;
+        },
+
+        async insertAuditLog({ createdAt, actor, action, walletAddress, telegramUserId, chatId, before, after, ipAddress }) {
+            statement('insertAuditLog').run(
+                createdAt, actor, action, walletAddress || null,
+                telegramUserId === undefined || telegramUserId === null ? null : String(telegramUserId),
+                chatId === undefined || chatId === null ? null : String(chatId),
+                before, after, ipAddress || null
+            );
+        },
+
+        async listAuditLog(filters, limit, offset) {
+            return statement('listAuditLog').all({ ...auditLogParams(filters), limit, offset });
+        },
+
+        async countAuditLog(filters) {
+            return statement('countAuditLog').get(auditLogParams(filters)).count;
+        },
+
+        async insertVerificationAttempt({ createdAt, walletAddress, outcome, reason }) {
+            statement('insertVerificationAttempt').run(createdAt, walletAddress || null, outcome, reason || null);
+        },
+
+        async countVerificationAttempts(since, until, bucketSize) {
+            return statement('countVerificationAttempts').all({ since, until, bucketSize });
+        },
+
+        async countInvites(since, until, bucketSize, now) {
+            return statement('countInvites').all({ since, until, bucketSize, now });
+        },
+
+        async listJoinDelays(since, until) {
+            return statement('listJoinDelays').all(since, until);
+        },
+
+        async acquireJobLock({ name, owner, now, lockedUntil, dueBefore, triggeredBy }) {
+            return statement('acquireJobLock').run({ name, owner, now, lockedUntil, dueBefore, triggeredBy }).changes === 1;
+        },
+
+        async finishJobRun({ name, owner, finishedAt, durationMs, status, result, error }) {
+            return statement('finishJobRun').run({ name, owner, finishedAt, durationMs, status, result, error }).changes;
+        },
+
+        async listScheduledJobs() {
+            return statement('listScheduledJobs').all();
+        }
+    };
+}
+
+module.exports = {
+    createSqliteStorage
+};
@@ -0,0 +1,234 @@
+// Anti-sybil check: the same tokens reused to verify several wallets
+// Verify wallet A, send the CORE to wallet B, verify B, and so on: one bag,
+// many invites. Before invites are issued, the recent history of every token
+// account counted towards the balance is read over RPC, and transfers in from
+// wallets of another member who still holds a membership (or an unused
+// invite) are summed. If the balance without those tokens would not cover the
+// tiers applied for, the verification is flagged for admin review, or
+// blocked outright.
+//
+// SYBIL_CHECK_MODE: flag (default, invites still issued), block or off
+// SYBIL_LOOKBACK_HOURS: how far back transfers count (default 72)
+const { PublicKey } = require('@solana/web3.js');
+const db = require('./db');
+const tiers = require('./tiers');
+const audit = require('./audit');
+const { toUiAmount, getTokenDeltas } = require('./balance');
+
+const MODES = ['flag', 'block', 'off'];
+const DEFAULT_LOOKBACK_HOURS = 72;
+const SIGNATURES_PER_ACCOUNT = 25;
+
+function getMode() {
+    const mode = (process.env.SYBIL_CHECK_MODE || 'flag').toLowerCase();
+    return MODES.includes(mode) ? mode : 'flag';
+}
+
+function getLookback() {
+    const hours = Number(process.env.SYBIL_LOOKBACK_HOURS);
+    return (hours > 0 ? hours : DEFAULT_LOOKBACK_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Whether a wallet belongs to a member who still holds a membership or an unused invite
+ * Tokens sent by a member who has since been removed aren't counted twice
+ * @param {string} walletAddress
+ * @returns {Promise<boolean>}
+ */
+async function isActiveMember(walletAddress) {
+    const memberWallet = await db.getMemberWallet(walletAddress);
+    const primaryWallet = memberWallet ? memberWallet.primary_wallet : walletAddress;
+    const now = Date.now();
+
+    return (await db.getByWallet(primaryWallet)).some(row =>
+        !row.removed_at && (row.telegram_user_id || row.expires_at > now)
+    );
+}
+
+/**
+ * Recent CORE transfers into a member's token accounts from other active members
+ * @param {Connection} connection - Solana RPC connection
+ * @param {object} params
+ * @param {string[]} params.walletAddresses - Every wallet of the member being verified
+ * @param {string[]} params.tokenAccounts - Token accounts counted towards the balance
+ * @param {number} params.since - Ignore transfers before this time (epoch ms)
+ * @param {Set<string>} [params.ignoredSignatures] - Transactions already reviewed by an admin
+ * @returns {Promise<Array<{source_wallet: string, amount: number, signature: string, slot: number, block_time: string|null}>>}
+ */
+async function findMemberTransfers(connection, { walletAddresses, tokenAccounts, since, ignoredSignatures = new Set() }) {
+    const signatures = new Set();
+    for (const tokenAccount of tokenAccounts) {
+        const history = await connection.getSignaturesForAddress(new PublicKey(tokenAccount), { limit: SIGNATURES_PER_ACCOUNT });
+        for (const entry of history) {
+            if (entry.err || !entry.blockTime || entry.blockTime * 1000 < since) continue;
+            if (!ignoredSignatures.has(entry.signature)) {
+                signatures.add(entry.signature);
+            }
+        }
+    }
+    if (signatures.size === 0) return [];
+
+    const list = [...signatures];
+    const transactions = await connection.getParsedTransactions(list, { maxSupportedTransactionVersion: 0 });
+
+    const activeMembers = new Map();
+    const transfers = [];
+
+    for (const [index, transaction] of transactions.entries()) {
+        const deltas = getTokenDeltas(transaction, tiers.TOKEN_MINT);
+
+        let received = 0n;
+        for (const walletAddress of walletAddresses) {
+            const delta = deltas.get(walletAddress);
+            if (delta && delta.amount > 0n) received += delta.amount;
+        }
+        if (received === 0n) continue;
+
+        for (const [owner, delta] of deltas) {
+            if (delta.amount >= 0n || walletAddresses.includes(owner)) continue;
+
+            if (!activeMembers.has(owner)) {
+                activeMembers.set(owner, await isActiveMember(owner));
+            }
+            if (!activeMembers.get(owner)) continue;
+
+            const sent = -delta.amount < received ? -delta.amount : received;
+            transfers.push({
+                source_wallet: owner,
+                amount: toUiAmount(sent, delta.decimals),
+                signature: list[index],
+                slot: transaction.slot,
+                block_time: transaction.blockTime ? new Date(transaction.blockTime * 1000).toISOString() : null
+            });
+        }
+    }
+
+    return transfers;
+}
+
+/**
+ * Check a verification for tokens reused from another member, before invites are issued
+ * Records a flag (and an audit entry) for suspicious verifications. RPC
+ * errors let the verification through in flag mode; in block mode the result
+ * is unavailable and the caller asks to try again, so a failing RPC can't
+ * get a wallet past the block.
+ * @param {Connection} connection - Solana RPC connection
+ * @param {object} params
+ * @param {string} params.walletAddress - Wallet being verified
+ * @param {string[]} params.walletAddresses - Every wallet counted towards the balance
+ * @param {string[]} params.tokenAccounts - Token accounts counted towards the balance
+ * @param {number} params.balance - Combined balance
+ * @param {number} [params.slot] - Slot the balance was read at
+ * @param {Array<object>} params.newTiers - Tiers invites are about to be issued for
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<{blocked: boolean, unavailable?: boolean, flag?: object}>}
+ */
+async function check(connection, { walletAddress, walletAddresses, tokenAccounts, balance, slot, newTiers, ipAddress }) {
+    const mode = getMode();
+    if (mode === 'off' || tokenAccounts.length === 0) {
+        return { blocked: false };
+    }
+
+    let transfers;
+    try {
+        // Transfers from a flag an admin dismissed don't count against the wallet again
+        const dismissed = (await db.getSybilFlagsByWallet(walletAddress)).filter(flag => flag.resolution === 'dismissed');
+        transfers = await findMemberTransfers(connection, {
+            walletAddresses,
+            tokenAccounts,
+            since: Date.now() - getLookback(),
+            ignoredSignatures: new Set(dismissed.flatMap(flag => flag.transfers.map(transfer => transfer.signature)))
+        });
+    } catch (error) {
+        if (mode === 'block') {
+            console.error(`❌ Sybil check failed for ${walletAddress.substring(0, 8)}..., asking to try again:`, error.message);
+            return { blocked: false, unavailable: true };
+        }
+        console.error(`❌ Sybil check failed for ${walletAddress.substring(0, 8)}..., letting it through:`, error.message);
+        return { blocked: false };
+    }
+
+    const reusedAmount = transfers.reduce((total, transfer) => total + transfer.amount, 0);
+    const required = Math.min(...newTiers.map(tier => tier.minTokens));
+    if (transfers.length === 0 || balance - reusedAmount >= required) {
+        return { blocked: false };
+    }
+
+    const action = mode === 'block' ? 'blocked' : 'flagged';
+    const flag = { walletAddress, action, balance, required, reusedAmount, snapshotSlot: slot, transfers };
+    const id = await db.flagSybil(flag);
+
+    await audit.record({
+        actor: audit.walletActor(walletAddress),
+        action: audit.ACTIONS.SYBIL_FLAG,
+        walletAddress,
+        after: { id, action, balance, required, reused_amount: reusedAmount, sources: [...new Set(transfers.map(transfer => transfer.source_wallet))] },
+        ipAddress
+    });
+
+    console.log(`🕵️ Sybil check ${action} ${walletAddress.substring(0, 8)}...: ${reusedAmount.toLocaleString()} of ${balance.toLocaleString()} CORE came from other members`);
+
+    return { blocked: action === 'blocked', flag: { id, ...flag } };
+}
+
+/**
+ * Close a sybil flag from the admin panel
+ * A dismissed flag's transfers are ignored when the wallet verifies again
+ * @param {number} id - Flag ID
+ * @param {'dismissed'|'confirmed'} resolution
+ * @param {object} context
+ * @param {object} context.session - Admin session
+ * @param {string} [context.ipAddress]
+ * @returns {Promise<{success: boolean, resolution?: string, error?: string}>}
+ */
+async function resolveFlag(id, resolution, { session, ipAddress }) {
+    if (!['dismissed', 'confirmed'].includes(resolution)) {
+        return { success: false, error: 'Resolution must be dismissed or confirmed' };
+    }
+
+    const flag = await db.getSybilFlag(id);
+    if (!flag || flag.resolved_at || !(await db.resolveSybilFlag(id, resolution, session.sub))) {
+        return { success: false, error: 'Sybil flag not found or already resolved' };
+    }
+
+    await audit.record({
+        actor: audit.adminActor(session),
+        action: audit.ACTIONS.SYBIL_RESOLVE,
+        walletAddress: flag.wallet_address,
+        before: { id, action: flag.action },
+        after: { resolution },
+        ipAddress
+    });
+
+    return { success: true, resolution };
+}
+
+/**
+ * Sybil flag for the admin endpoint
+ * @param {object} flag - From db.listSybilFlags()
+ * @returns {object}
+ */
+function formatFlag(flag) {
+    return {
+        id: flag.id,
+        wallet: flag.wallet_address,
+        action: flag.action,
+        balance: Number(flag.balance),
+        required: Number(flag.required),
+        reused_amount: Number(flag.reused_amount),
+        snapshot_slot: flag.snapshot_slot === null ? null : Number(flag.snapshot_slot),
+        transfers: flag.transfers,
+        created_at: new Date(flag.created_at).toISOString(),
+        resolved_at: flag.resolved_at ? new Date(flag.resolved_at).toISOString() : null,
+        resolution: flag.resolution,
+        resolved_by: flag.resolved_by || null
+    };
+}
+
+module.exports = {
+    getMode,
+    findMemberTransfers,
+    check,
+    resolveFlag,
+    formatFlag
+};
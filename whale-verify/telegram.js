@@ -1,5 +1,9 @@
 // Telegram Bot integration for whale verification
+// TELEGRAM_API_URL points the bot at another Bot API server (a self-hosted
+// telegram-bot-api, or the fake one used by the tests)
+const http = require('http');
 const https = require('https');
+const { getInviteLinkName } = require('./member-linker');
 
 /**
  * Get configuration from environment variables
@@ -8,7 +12,8 @@ const https = require('https');
 function getConfig() {
     return {
         BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
-        CHAT_ID: process.env.TELEGRAM_CHAT_ID
+        CHAT_ID: process.env.TELEGRAM_CHAT_ID,
+        API_URL: (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, '')
     };
 }
 
@@ -19,15 +24,17 @@ function getConfig() {
  * @returns {Promise<object>} - API response
  */
 function telegramRequest(method, data) {
-    const { BOT_TOKEN } = getConfig();
+    const { BOT_TOKEN, API_URL } = getConfig();
+    const url = new URL(`${API_URL}/bot${BOT_TOKEN}/${method}`);
+    const client = url.protocol === 'http:' ? http : https;
     
     return new Promise((resolve, reject) => {
         const postData = JSON.stringify(data);
         
         const options = {
-            hostname: 'api.telegram.org',
-            port: 443,
-            path: `/bot${BOT_TOKEN}/${method}`,
+            hostname: url.hostname,
+            port: url.port || (client === http ? 80 : 443),
+            path: url.pathname,
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -35,7 +42,7 @@ function telegramRequest(method, data) {
             }
         };
 
-        const req = https.request(options, (res) => {
+        const req = client.request(options, (res) => {
             let body = '';
             
             res.on('data', (chunk) => {
@@ -48,7 +55,8 @@ function telegramRequest(method, data) {
                     if (response.ok) {
                         resolve(response.result);
                     } else {
-                        reject(new Error(`Telegram API error: ${response.description}`));
+                        // errorCode lets callers tell e.g. 409 (webhook active) apart
+                        reject(Object.assign(new Error(`Telegram API error: ${response.description}`), { errorCode: response.error_code }));
                     }
                 } catch (error) {
                     reject(new Error(`Failed to parse Telegram response: ${error.message}`));
@@ -68,24 +76,26 @@ function telegramRequest(method, data) {
 /**
  * Create single-use invite link for Telegram group
  * @param {string} walletAddress - Wallet address (for logging)
+ * @param {string|number} [chatId] - Tier chat ID (defaults to TELEGRAM_CHAT_ID)
  * @returns {Promise<string>} - Invite link
  */
-async function createInviteLink(walletAddress) {
+async function createInviteLink(walletAddress, chatId) {
     const { BOT_TOKEN, CHAT_ID } = getConfig();
+    const targetChatId = chatId || CHAT_ID;
     
-    if (!BOT_TOKEN || !CHAT_ID) {
+    if (!BOT_TOKEN || !targetChatId) {
         throw new Error('Telegram bot configuration missing. Set TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID in .env file');
     }
 
     try {
-        console.log(`📨 Creating Telegram invite for wallet: ${walletAddress.substring(0, 8)}...`);
+        console.log(`📨 Creating Telegram invite for wallet: ${walletAddress.substring(0, 8)}... (chat ${targetChatId})`);
 
         const now = Math.floor(Date.now() / 1000);
         const expiresIn = now + (10 * 60); // 10 minutes from now
 
         const result = await telegramRequest('createChatInviteLink', {
-            chat_id: CHAT_ID,
-            name: `Whale ${walletAddress.substring(0, 8)}`,
+            chat_id: targetChatId,
+            name: getInviteLinkName(walletAddress), // Lets joins be matched back to the wallet
             expire_date: expiresIn,
             member_limit: 1, // Single use
             creates_join_request: false
@@ -100,15 +110,148 @@ async function createInviteLink(walletAddress) {
     }
 }
 
+/**
+ * Create a shared invite link that only creates join requests (join-request mode)
+ * @param {string|number} chatId - Tier chat ID
+ * @returns {Promise<string>} - Invite link
+ */
+async function createJoinRequestLink(chatId) {
+    const result = await telegramRequest('createChatInviteLink', {
+        chat_id: chatId,
+        name: 'Whale Club join requests',
+        creates_join_request: true
+    });
+
+    console.log(`✅ Join-request link created for chat ${chatId}: ${result.invite_link}`);
+    return result.invite_link;
+}
+
+/**
+ * Approve a pending join request
+ * @param {string|number} chatId - Tier chat ID
+ * @param {string|number} userId - Telegram user ID
+ * @returns {Promise<boolean>}
+ */
+async function approveChatJoinRequest(chatId, userId) {
+    return telegramRequest('approveChatJoinRequest', {
+        chat_id: chatId,
+        user_id: userId
+    });
+}
+
+/**
+ * Decline a pending join request
+ * @param {string|number} chatId - Tier chat ID
+ * @param {string|number} userId - Telegram user ID
+ * @returns {Promise<boolean>}
+ */
+async function declineChatJoinRequest(chatId, userId) {
+    return telegramRequest('declineChatJoinRequest', {
+        chat_id: chatId,
+        user_id: userId
+    });
+}
+
+/**
+ * Send a text message
+ * @param {string|number} chatId - Chat or user ID
+ * @param {string} text - Message text
+ * @param {object} [options] - Extra sendMessage parameters
+ * @returns {Promise<object>} - Sent message
+ */
+async function sendMessage(chatId, text, options = {}) {
+    return telegramRequest('sendMessage', {
+        chat_id: chatId,
+        text,
+        ...options
+    });
+}
+
+/**
+ * Replace the text (and buttons) of a message the bot sent
+ * @param {string|number} chatId - Chat ID
+ * @param {number} messageId - Message ID
+ * @param {string} text - New text
+ * @param {object} [options] - Extra editMessageText parameters
+ * @returns {Promise<object>} - Edited message
+ */
+async function editMessageText(chatId, messageId, text, options = {}) {
+    return telegramRequest('editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        text,
+        ...options
+    });
+}
+
+/**
+ * Acknowledge an inline button press
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {string} [text] - Optional notification shown to the user
+ * @returns {Promise<boolean>}
+ */
+async function answerCallbackQuery(callbackQueryId, text) {
+    return telegramRequest('answerCallbackQuery', {
+        callback_query_id: callbackQueryId,
+        ...(text && { text })
+    });
+}
+
+/**
+ * Fetch pending updates (polling mode)
+ * @param {number} offset - First update ID to return, earlier ones are confirmed
+ * @param {string[]} allowedUpdates - Update types to receive
+ * @returns {Promise<Array<object>>} - Telegram Updates
+ * @throws {Error} - errorCode 409 while a webhook is set
+ */
+async function getUpdates(offset, allowedUpdates) {
+    return telegramRequest('getUpdates', {
+        offset,
+        timeout: 0,
+        allowed_updates: allowedUpdates
+    });
+}
+
+/**
+ * Point the bot at a webhook URL (Telegram stops serving getUpdates while one is set)
+ * @param {object} params - setWebhook parameters (url, secret_token, allowed_updates, ...)
+ * @returns {Promise<boolean>}
+ */
+async function setWebhook(params) {
+    return telegramRequest('setWebhook', params);
+}
+
+/**
+ * Get current webhook status
+ * @returns {Promise<object>} - Telegram WebhookInfo
+ */
+async function getWebhookInfo() {
+    return telegramRequest('getWebhookInfo', {});
+}
+
+/**
+ * Remove the webhook so updates can be polled with getUpdates again
+ * @param {boolean} [dropPendingUpdates=false] - Discard updates Telegram has queued
+ * @returns {Promise<boolean>}
+ */
+async function deleteWebhook(dropPendingUpdates = false) {
+    return telegramRequest('deleteWebhook', {
+        drop_pending_updates: dropPendingUpdates
+    });
+}
+
 /**
  * Revoke invite link
  * @param {string} inviteLink - Link to revoke
+ * @param {string|number} [chatId] - Chat the link belongs to (defaults to TELEGRAM_CHAT_ID)
  * @returns {Promise<boolean>} - Success status
  */
-async function revokeInviteLink(inviteLink) {
+async function revokeInviteLink(inviteLink, chatId) {
+    const { CHAT_ID } = getConfig();
+
     try {
         await telegramRequest('revokeChatInviteLink', {
-            chat_id: CHAT_ID,
+            chat_id: chatId || CHAT_ID,
             invite_link: inviteLink
         });
         console.log(`🔒 Revoked invite link: ${inviteLink}`);
@@ -158,11 +301,22 @@ async function testTelegramConfig() {
 
 module.exports = {
     createInviteLink,
+    createJoinRequestLink,
+    approveChatJoinRequest,
+    declineChatJoinRequest,
+    sendMessage,
+    editMessageText,
+    answerCallbackQuery,
+    getUpdates,
+    setWebhook,
+    getWebhookInfo,
+    deleteWebhook,
     revokeInviteLink,
     getBotInfo,
     testTelegramConfig,
     getGroupMembers,
-    getChatMember
+    getChatMember,
+    removeChatMember
 };
 
 /**
@@ -193,14 +347,15 @@ async function getGroupMembers() {
 /**
  * Get information about a specific chat member
  * @param {string|number} userId - Telegram user ID
+ * @param {string|number} [chatId] - Tier chat ID (defaults to TELEGRAM_CHAT_ID)
  * @returns {Promise<object>} - Member info
  */
-async function getChatMember(userId) {
+async function getChatMember(userId, chatId) {
     const { CHAT_ID } = getConfig();
     
     try {
         const member = await telegramRequest('getChatMember', {
-            chat_id: CHAT_ID,
+            chat_id: chatId || CHAT_ID,
             user_id: userId
         });
         
@@ -217,6 +372,35 @@ async function getChatMember(userId) {
     }
 }
 
+/**
+ * Remove a member from the group without banning them permanently
+ * (ban followed by unban, so the user can rejoin with a new invite later)
+ * @param {string|number} userId - Telegram user ID
+ * @param {string|number} [chatId] - Tier chat ID (defaults to TELEGRAM_CHAT_ID)
+ * @returns {Promise<boolean>} - Success status
+ */
+async function removeChatMember(userId, chatId) {
+    const { CHAT_ID } = getConfig();
+    const targetChatId = chatId || CHAT_ID;
+    
+    try {
+        await telegramRequest('banChatMember', {
+            chat_id: targetChatId,
+            user_id: userId
+        });
+        await telegramRequest('unbanChatMember', {
+            chat_id: targetChatId,
+            user_id: userId,
+            only_if_banned: true
+        });
+        console.log(`🚪 Removed member ${userId} from chat ${targetChatId}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Failed to remove chat member ${userId}:`, error.message);
+        throw error;
+    }
+}
+
 // Auto-test configuration on module load (with delay to ensure .env is loaded)
 setTimeout(async () => {
     const { BOT_TOKEN, CHAT_ID } = getConfig();
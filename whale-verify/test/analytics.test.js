@@ -0,0 +1,90 @@
+// Verification analytics (whale-verify/analytics.js): attempts recorded by
+// /verify, invites followed to a join or expiry, and the time series
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+let env;
+let db;
+let analytics;
+
+before(async () => {
+    env = await helpers.setup();
+
+    db = require('../db');
+    analytics = require('../analytics');
+});
+
+after(async () => {
+    await env.teardown();
+});
+
+test('counts attempts, conversions, expired invites and time to join', async () => {
+    const joined = helpers.createWallet();
+    const expired = helpers.createWallet();
+    const poor = helpers.createWallet();
+    const forger = helpers.createWallet();
+    env.solana.setBalance(joined.address, 20_000_000);
+    env.solana.setBalance(expired.address, 20_000_000);
+    env.solana.setBalance(poor.address, 1_000);
+    env.solana.setBalance(forger.address, 20_000_000);
+
+    assert.equal((await helpers.verify(joined)).status, 200);
+    assert.equal((await helpers.verify(expired)).status, 200);
+    assert.equal((await helpers.verify(poor)).status, 403);
+    assert.equal((await helpers.verify(forger, helpers.createWallet().sign)).status, 401);
+
+    await helpers.later(2 * 60 * 1000, () => db.linkTelegram(joined.address, { userId: 4001, username: 'whale_4001' }));
+    // The cleanup deletes the expired invite, it still counts as expired
+    assert.equal(await helpers.later(60 * 60 * 1000, () => db.cleanupExpiredInvites()), 1);
+
+    const result = await analytics.timeseries({ bucket: 'hour' });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.series.length, 48);
+
+    const { totals } = result;
+    assert.equal(totals.attempts, 4);
+    assert.equal(totals.verified, 2);
+    assert.equal(totals.rejected, 2);
+    assert.deepEqual(totals.reasons, { insufficient_balance: 1, invalid_signature: 1 });
+    assert.equal(totals.invites, 2);
+    assert.equal(totals.joined, 1);
+    assert.equal(totals.expired, 1);
+    assert.equal(totals.conversion_rate, 0.5);
+    assert.ok(Math.abs(totals.median_join_seconds - 120) <= 1, String(totals.median_join_seconds));
+
+    // Everything happened within the last two hours
+    const busy = result.series.filter(point => point.attempts > 0);
+    assert.ok(busy.length >= 1 && busy.length <= 2);
+    assert.ok(busy.every(point => Date.parse(point.start) > Date.now() - 2 * 60 * 60 * 1000));
+});
+
+test('aligns day buckets to midnight UTC and weeks to Monday', async () => {
+    const days = await analytics.timeseries({ bucket: 'day', since: '2026-03-04T15:00:00Z', until: '2026-03-07T01:00:00Z' });
+    assert.deepEqual(days.series.map(point => point.start), [
+        '2026-03-04T00:00:00.000Z', '2026-03-05T00:00:00.000Z', '2026-03-06T00:00:00.000Z', '2026-03-07T00:00:00.000Z'
+    ]);
+
+    const weeks = await analytics.timeseries({ bucket: 'week', since: '2026-03-04', until: '2026-03-10' });
+    assert.deepEqual(weeks.series.map(point => point.start), ['2026-03-02T00:00:00.000Z', '2026-03-09T00:00:00.000Z']);
+    assert.equal(weeks.series[0].conversion_rate, null);
+});
+
+test('rejects unknown buckets and ranges that are too long', async () => {
+    assert.match((await analytics.timeseries({ bucket: 'minute' })).error, /bucket must be one of/);
+    assert.match((await analytics.timeseries({ bucket: 'hour', since: '2020-01-01' })).error, /Range too long/);
+    assert.match((await analytics.timeseries({ since: '2026-03-05', until: '2026-03-01' })).error, /since must be before until/);
+});
+
+test('stores only wallet addresses that look like one', async () => {
+    const record = mock.method(db, 'recordVerificationAttempt', async () => {});
+    try {
+        const wallet = helpers.createWallet().address;
+        await analytics.recordAttempt(wallet, analytics.REASONS.INVALID_NONCE);
+        await analytics.recordAttempt('x'.repeat(10_000), analytics.REASONS.INVALID_REQUEST);
+        await analytics.recordAttempt({ length: 44 }, analytics.REASONS.INVALID_REQUEST);
+        assert.deepEqual(record.mock.calls.map(call => call.arguments[0].walletAddress), [wallet, null, null]);
+    } finally {
+        record.mock.restore();
+    }
+});
@@ -0,0 +1,215 @@
+// Verification flow through the Vercel functions (api/whale-verify/*.js):
+// nonce -> sign -> verify -> invite -> join delivered to the webhook
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+let env;
+let db;
+let nonceHandler;
+let verifyHandler;
+let webhookHandler;
+
+before(async () => {
+    env = await helpers.setup();
+    // Balances change within a test (sweep, then buy back), always read them from the RPC
+    process.env.BALANCE_CACHE_TTL_MS = '1';
+
+    db = require('../db');
+    nonceHandler = require('../../api/whale-verify/nonce');
+    verifyHandler = require('../../api/whale-verify/verify');
+    webhookHandler = require('../../api/webhook/telegram');
+});
+
+after(async () => {
+    delete process.env.BALANCE_CACHE_TTL_MS;
+    await env.teardown();
+});
+
+async function signIn(wallet, purpose = 'verify') {
+    const { status, body } = await helpers.invoke(nonceHandler, { query: { wallet: wallet.address, purpose } });
+    assert.equal(status, 200);
+
+    return {
+        walletAddress: wallet.address,
+        message: body.message,
+        signature: wallet.sign(body.message),
+        nonce: body.nonce
+    };
+}
+
+function verify(proof) {
+    return helpers.invoke(verifyHandler, { method: 'POST', body: JSON.stringify(proof) });
+}
+
+function deliverUpdate(update, secret = helpers.WEBHOOK_SECRET) {
+    return helpers.invoke(webhookHandler, {
+        method: 'POST',
+        body: update,
+        headers: secret ? { 'x-telegram-bot-api-secret-token': secret } : {}
+    });
+}
+
+test('verifies a holder and links the Telegram account they join with', async () => {
+    const wallet = helpers.createWallet();
+    const user = helpers.createTelegramUser(2001);
+    env.solana.setBalance(wallet.address, 25_000_000);
+
+    const { status, body } = await verify(await signIn(wallet));
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.joinMode, 'invite');
+    assert.deepEqual(body.invites.map(invite => invite.tier), ['whale']);
+
+    const link = env.telegram.getInviteLink(body.inviteLink);
+    assert.equal(link.chat_id, helpers.CHAT_ID);
+    assert.equal(link.member_limit, 1);
+    assert.equal(link.name, `Whale ${wallet.address.substring(0, 8)}`);
+
+    const joined = await deliverUpdate(env.telegram.join(body.inviteLink, user));
+    assert.equal(joined.status, 200);
+    assert.equal(joined.body.message, 'Member linked successfully');
+
+    const [row] = await db.getByWallet(wallet.address);
+    assert.equal(row.telegram_user_id, String(user.id));
+    assert.equal(row.balance_snapshot, 25_000_000);
+});
+
+test('a member the sweep removed verifies again after buying back', async () => {
+    const wallet = helpers.createWallet();
+    const user = helpers.createTelegramUser(2004);
+    env.solana.setBalance(wallet.address, 12_000_000);
+
+    const first = await verify(await signIn(wallet));
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    await deliverUpdate(env.telegram.join(first.body.inviteLink, user));
+
+    env.solana.setBalance(wallet.address, 5_000_000);
+    const report = await require('../holder-sweep').runSweep();
+    assert.deepEqual(report.removed.map(entry => entry.wallet), [wallet.address]);
+
+    env.solana.setBalance(wallet.address, 12_000_000);
+    const again = await verify(await signIn(wallet));
+    assert.equal(again.status, 200, JSON.stringify(again.body));
+    assert.notEqual(again.body.inviteLink, first.body.inviteLink);
+
+    const joined = await deliverUpdate(env.telegram.join(again.body.inviteLink, user));
+    assert.equal(joined.body.message, 'Member linked successfully');
+
+    const rows = await db.getByWallet(wallet.address);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].removed_at, null);
+    assert.equal(rows[0].telegram_user_id, String(user.id));
+});
+
+test('rejects webhook calls without the secret token', async () => {
+    const wallet = helpers.createWallet();
+    env.solana.setBalance(wallet.address, 12_000_000);
+    const { body } = await verify(await signIn(wallet));
+
+    const { status } = await deliverUpdate(env.telegram.join(body.inviteLink, helpers.createTelegramUser(2002)), null);
+    assert.equal(status, 401);
+
+    const [row] = await db.getByWallet(wallet.address);
+    assert.equal(row.telegram_user_id, null);
+});
+
+test('flags a join through a link that belongs to no verification', async () => {
+    const inviteLink = await require('../telegram').createInviteLink(helpers.createWallet().address);
+
+    const { status, body } = await deliverUpdate(env.telegram.join(inviteLink, helpers.createTelegramUser(2003)));
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Join flagged for admin review (unknown_invite_link)');
+});
+
+test('does not accept a sign-in message signed for another purpose', async () => {
+    const wallet = helpers.createWallet();
+    env.solana.setBalance(wallet.address, 15_000_000);
+
+    const { status, body } = await verify(await signIn(wallet, 'migrate'));
+    assert.equal(status, 400);
+    assert.match(body.error, /statement does not match/);
+    assert.deepEqual(await db.getByWallet(wallet.address), []);
+});
+
+test('checks the nonce before looking up the wallet, like the Express route', async () => {
+    const wallet = helpers.createWallet();
+    env.solana.setBalance(wallet.address, 12_000_000);
+    assert.equal((await verify(await signIn(wallet))).status, 200);
+
+    const { status, body } = await verify({ ...(await signIn(wallet)), nonce: 'not-a-nonce' });
+    assert.equal(status, 400);
+    assert.match(body.error, /nonce/);
+
+    const forger = helpers.createWallet();
+    const forged = await verify({ ...(await signIn(forger)), signature: helpers.createWallet().sign('forged') });
+    assert.equal(forged.status, 401);
+});
+
+test('refuses a wallet below the lowest tier', async () => {
+    const wallet = helpers.createWallet();
+    env.solana.setBalance(wallet.address, 9_999_999);
+
+    const { status, body } = await verify(await signIn(wallet));
+    assert.equal(status, 403);
+    assert.equal(body.reason, 'insufficient_balance');
+    assert.equal(body.balance, 9_999_999);
+    assert.equal(body.required, 10_000_000);
+    assert.deepEqual(await db.getByWallet(wallet.address), []);
+});
+
+test('answers 500 without an invite when the verification could not be saved', async () => {
+    const wallet = helpers.createWallet();
+    env.solana.setBalance(wallet.address, 12_000_000);
+    const proof = await signIn(wallet);
+
+    const save = mock.method(db, 'saveVerification', async () => ({ success: false, error: 'WALLET_ALREADY_VERIFIED' }));
+    try {
+        const { status, body } = await verify(proof);
+        assert.equal(status, 500);
+        assert.equal(body.inviteLink, undefined);
+    } finally {
+        save.mock.restore();
+    }
+    assert.deepEqual((await db.listAuditLog({ walletAddress: wallet.address })).entries, []);
+});
+
+test('asks to try again instead of reporting a zero balance when the RPC is down', async () => {
+    const wallet = helpers.createWallet();
+    env.solana.setBalance(wallet.address, 12_000_000);
+    const proof = await signIn(wallet);
+
+    env.solana.setDown(true);
+    try {
+        const { status, body } = await verify(proof);
+        assert.equal(status, 503);
+        assert.equal(body.reason, 'rpc_unavailable');
+    } finally {
+        env.solana.setDown(false);
+    }
+});
+
+test('limits nonces per IP across invocations', async () => {
+    const headers = { 'x-forwarded-for': '203.0.113.7' };
+    for (let i = 0; i < 10; i++) {
+        assert.equal((await helpers.invoke(nonceHandler, { headers })).status, 200);
+    }
+
+    const { status, headers: responseHeaders } = await helpers.invoke(nonceHandler, { headers });
+    assert.equal(status, 429);
+    assert.ok(Number(responseHeaders['retry-after']) > 0);
+    assert.equal((await helpers.invoke(nonceHandler, { headers: { 'x-forwarded-for': '203.0.113.8' } })).status, 200);
+});
+
+test('never takes the sign-in domain from the Host header', async () => {
+    delete process.env.SIWS_DOMAIN;
+    try {
+        const { status, body } = await helpers.invoke(nonceHandler, {
+            query: { wallet: helpers.createWallet().address },
+            headers: { host: 'whale-club.phish' }
+        });
+        assert.equal(status, 500);
+        assert.match(body.message, /SIWS_DOMAIN is not set/);
+    } finally {
+        process.env.SIWS_DOMAIN = helpers.DOMAIN;
+    }
+});
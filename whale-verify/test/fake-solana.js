@@ -0,0 +1,181 @@
+// In-process stand-in for a Solana JSON-RPC endpoint
+// Answers the methods the whale verification makes (through web3.js), from
+// balances set by the test, so the whole flow runs without mainnet:
+//   getAccountInfo         - the token mint (jsonParsed)
+//   getTokenAccountsByOwner - a wallet's token accounts (jsonParsed)
+//   getSignaturesForAddress - token account history (sybil / holding checks)
+//   getSlot
+// Other methods answer "Method not found". setDown(true) makes every request
+// fail with HTTP 503, like an overloaded public endpoint.
+const http = require('http');
+const { Keypair } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+
+const MINT_SPACE = 82;
+const TOKEN_ACCOUNT_SPACE = 165;
+
+/**
+ * Create a fake Solana RPC server
+ * @param {object} options
+ * @param {string} options.mint - Token mint (base58)
+ * @param {number} [options.decimals=6] - Mint decimals
+ * @returns {object} - start(), stop(), setBalance(), setDown() and the recorded calls
+ */
+function createFakeSolana({ mint, decimals = 6 }) {
+    const tokenAccounts = new Map(); // owner -> [{ address, amount }]
+    const calls = [];
+    let slot = 1000;
+    let down = false;
+    let server = null;
+
+    function tokenAccount(owner, { address, amount }) {
+        const uiAmount = Number(amount) / 10 ** decimals;
+        return {
+            pubkey: address,
+            account: {
+                executable: false,
+                lamports: 2039280,
+                owner: TOKEN_PROGRAM_ID.toBase58(),
+                rentEpoch: 0,
+                space: TOKEN_ACCOUNT_SPACE,
+                data: {
+                    program: 'spl-token',
+                    space: TOKEN_ACCOUNT_SPACE,
+                    parsed: {
+                        type: 'account',
+                        info: {
+                            isNative: false,
+                            mint,
+                            owner,
+                            state: 'initialized',
+                            tokenAmount: {
+                                amount: String(amount),
+                                decimals,
+                                uiAmount,
+                                uiAmountString: String(uiAmount)
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    const methods = {
+        getAccountInfo([address]) {
+            if (address !== mint) {
+                return { context: { slot }, value: null };
+            }
+            return {
+                context: { slot },
+                value: {
+                    executable: false,
+                    lamports: 1461600,
+                    owner: TOKEN_PROGRAM_ID.toBase58(),
+                    rentEpoch: 0,
+                    space: MINT_SPACE,
+                    data: {
+                        program: 'spl-token',
+                        space: MINT_SPACE,
+                        parsed: {
+                            type: 'mint',
+                            info: { decimals, isInitialized: true, mintAuthority: null, freezeAuthority: null, supply: '1000000000000000' }
+                        }
+                    }
+                }
+            };
+        },
+
+        getTokenAccountsByOwner([owner, filter]) {
+            // Every fake account lives under the SPL Token program
+            const accounts = filter.programId === TOKEN_PROGRAM_ID.toBase58() ? tokenAccounts.get(owner) || [] : [];
+            return {
+                context: { slot },
+                value: accounts.map(account => tokenAccount(owner, account))
+            };
+        },
+
+        getSignaturesForAddress() {
+            return [];
+        },
+
+        getSlot() {
+            return slot;
+        }
+    };
+
+    function answer(request) {
+        calls.push(request.method);
+        const method = methods[request.method];
+        if (!method) {
+            return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: 'Method not found' } };
+        }
+        return { jsonrpc: '2.0', id: request.id, result: method(request.params || []) };
+    }
+
+    function handle(req, res) {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            if (down) {
+                res.writeHead(503, { 'Content-Type': 'text/plain' });
+                res.end('Service Unavailable');
+                return;
+            }
+
+            let payload;
+            try {
+                const request = JSON.parse(body);
+                payload = Array.isArray(request) ? request.map(answer) : answer(request);
+            } catch (error) {
+                payload = { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } };
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        });
+    }
+
+    return {
+        calls,
+
+        /**
+         * Start listening on a random local port
+         * @returns {Promise<string>} - RPC URL
+         */
+        start() {
+            server = http.createServer(handle);
+            return new Promise(resolve => {
+                server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+            });
+        },
+
+        stop() {
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+
+        /**
+         * Give a wallet a token balance, in a single token account
+         * @param {string} owner - Wallet (base58)
+         * @param {number} balance - UI amount
+         */
+        setBalance(owner, balance) {
+            const existing = tokenAccounts.get(owner);
+            const address = existing ? existing[0].address : Keypair.generate().publicKey.toBase58();
+            tokenAccounts.set(owner, [{ address, amount: BigInt(Math.round(balance * 10 ** decimals)) }]);
+            slot++;
+        },
+
+        /**
+         * Make every request fail (or work again)
+         * @param {boolean} isDown
+         */
+        setDown(isDown) {
+            down = isDown;
+        }
+    };
+}
+
+module.exports = {
+    createFakeSolana
+};
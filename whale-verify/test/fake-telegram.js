@@ -0,0 +1,270 @@
+// In-process stand-in for the Telegram Bot API
+// Serves /bot<token>/<method> like api.telegram.org (JSON or query string
+// parameters, { ok, result } responses) and keeps the state the whale bot
+// touches: invite links, chat members, sent messages, the webhook and the
+// update queue read by getUpdates. join() plays a user opening an invite link
+// and queues the chat_member update Telegram would send.
+const http = require('http');
+const crypto = require('crypto');
+
+const BOT_USER = { id: 7000000001, is_bot: true, first_name: 'Whale Test Bot', username: 'whale_test_bot' };
+
+class TelegramApiError extends Error {
+    constructor(errorCode, description) {
+        super(description);
+        this.errorCode = errorCode;
+    }
+}
+
+/**
+ * Create a fake Telegram Bot API server
+ * @param {object} options
+ * @param {string} options.token - Bot token requests must use
+ * @returns {object} - start(), stop(), join() and the recorded state
+ */
+function createFakeTelegram({ token }) {
+    const inviteLinks = new Map(); // invite_link -> ChatInviteLink plus chat_id and uses
+    const members = new Map(); // `${chatId}:${userId}` -> { user, status }
+    const messages = [];
+    const calls = [];
+    let updates = [];
+    let nextUpdateId = 1;
+    let nextMessageId = 1;
+    let webhook = null;
+    let server = null;
+
+    const now = () => Math.floor(Date.now() / 1000);
+    const memberKey = (chatId, userId) => `${chatId}:${userId}`;
+
+    function getMember(chatId, userId) {
+        return members.get(memberKey(chatId, userId)) || { user: { id: Number(userId), is_bot: false, first_name: 'User' }, status: 'left' };
+    }
+
+    function queueUpdate(update) {
+        const queued = { update_id: nextUpdateId++, ...update };
+        updates.push(queued);
+        return queued;
+    }
+
+    // Public part of an invite link, as Telegram returns it
+    function publicLink({ chat_id: chatId, uses, ...link }) {
+        return link;
+    }
+
+    const methods = {
+        getMe() {
+            return BOT_USER;
+        },
+
+        createChatInviteLink({ chat_id: chatId, name, expire_date: expireDate, member_limit: memberLimit, creates_join_request: createsJoinRequest }) {
+            if (createsJoinRequest && memberLimit) {
+                throw new TelegramApiError(400, "Bad Request: can't combine member limit with join requests");
+            }
+            const link = {
+                invite_link: `https://t.me/+${crypto.randomBytes(12).toString('base64url')}`,
+                creator: BOT_USER,
+                creates_join_request: Boolean(createsJoinRequest),
+                is_primary: false,
+                is_revoked: false,
+                ...(name && { name }),
+                ...(expireDate && { expire_date: expireDate }),
+                ...(memberLimit && { member_limit: memberLimit }),
+                chat_id: String(chatId),
+                uses: 0
+            };
+            inviteLinks.set(link.invite_link, link);
+            return publicLink(link);
+        },
+
+        revokeChatInviteLink({ chat_id: chatId, invite_link: inviteLink }) {
+            const link = inviteLinks.get(inviteLink);
+            if (!link || link.chat_id !== String(chatId)) {
+                throw new TelegramApiError(400, 'Bad Request: INVITE_HASH_INVALID');
+            }
+            link.is_revoked = true;
+            return publicLink(link);
+        },
+
+        getChatMember({ chat_id: chatId, user_id: userId }) {
+            return getMember(chatId, userId);
+        },
+
+        getChatAdministrators() {
+            return [{ user: BOT_USER, status: 'administrator' }];
+        },
+
+        banChatMember({ chat_id: chatId, user_id: userId }) {
+            members.set(memberKey(chatId, userId), { ...getMember(chatId, userId), status: 'kicked' });
+            return true;
+        },
+
+        unbanChatMember({ chat_id: chatId, user_id: userId, only_if_banned: onlyIfBanned }) {
+            const member = getMember(chatId, userId);
+            if (!onlyIfBanned || member.status === 'kicked') {
+                members.set(memberKey(chatId, userId), { ...member, status: 'left' });
+            }
+            return true;
+        },
+
+        approveChatJoinRequest({ chat_id: chatId, user_id: userId }) {
+            members.set(memberKey(chatId, userId), { ...getMember(chatId, userId), status: 'member' });
+            return true;
+        },
+
+        declineChatJoinRequest() {
+            return true;
+        },
+
+        sendMessage({ chat_id: chatId, text, ...options }) {
+            const message = { message_id: nextMessageId++, date: now(), chat: { id: Number(chatId) }, from: BOT_USER, text, ...options };
+            messages.push(message);
+            return message;
+        },
+
+        editMessageText({ chat_id: chatId, message_id: messageId, text }) {
+            return { message_id: messageId, date: now(), chat: { id: Number(chatId) }, from: BOT_USER, text };
+        },
+
+        answerCallbackQuery() {
+            return true;
+        },
+
+        getUpdates({ offset }) {
+            if (webhook) {
+                throw new TelegramApiError(409, "Conflict: can't use getUpdates method while webhook is active; use deleteWebhook to delete the webhook first");
+            }
+            // Asking from an offset confirms every earlier update
+            if (offset) {
+                updates = updates.filter(update => update.update_id >= Number(offset));
+            }
+            return updates;
+        },
+
+        setWebhook({ url }) {
+            webhook = url || null;
+            return true;
+        },
+
+        deleteWebhook({ drop_pending_updates: dropPendingUpdates }) {
+            webhook = null;
+            if (dropPendingUpdates) updates = [];
+            return true;
+        },
+
+        getWebhookInfo() {
+            return { url: webhook || '', has_custom_certificate: false, pending_update_count: webhook ? updates.length : 0 };
+        }
+    };
+
+    function parseParams(req, body) {
+        const params = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+        if (body) Object.assign(params, JSON.parse(body));
+        return params;
+    }
+
+    function handle(req, res) {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const send = (status, payload) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            };
+
+            const match = new URL(req.url, 'http://localhost').pathname.match(/^\/bot([^/]+)\/(\w+)$/);
+            if (!match || match[1] !== token) {
+                return send(401, { ok: false, error_code: 401, description: 'Unauthorized' });
+            }
+            const method = methods[match[2]];
+            if (!method) {
+                return send(404, { ok: false, error_code: 404, description: 'Not Found: method not found' });
+            }
+
+            try {
+                calls.push({ method: match[2], params: parseParams(req, body) });
+                send(200, { ok: true, result: method(calls[calls.length - 1].params) });
+            } catch (error) {
+                const errorCode = error.errorCode || 400;
+                send(errorCode, { ok: false, error_code: errorCode, description: error.message });
+            }
+        });
+    }
+
+    return {
+        BOT_USER,
+        calls,
+        messages,
+
+        /**
+         * Start listening on a random local port
+         * @returns {Promise<string>} - Bot API base URL (for TELEGRAM_API_URL)
+         */
+        start() {
+            server = http.createServer(handle);
+            return new Promise(resolve => {
+                server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+            });
+        },
+
+        stop() {
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+
+        /**
+         * Invite link created by the bot
+         * @param {string} inviteLink
+         * @returns {object|undefined} - ChatInviteLink plus chat_id and uses
+         */
+        getInviteLink(inviteLink) {
+            return inviteLinks.get(inviteLink);
+        },
+
+        /**
+         * A user joins a chat through an invite link
+         * Queues the chat_member update (for getUpdates) and returns it (for the webhook)
+         * @param {string} inviteLink
+         * @param {object} user - Telegram User
+         * @returns {object} - Telegram Update
+         * @throws {Error} - If the link is unknown, revoked, expired or used up
+         */
+        join(inviteLink, user) {
+            const link = inviteLinks.get(inviteLink);
+            if (!link || link.is_revoked || (link.expire_date && link.expire_date < now()) ||
+                (link.member_limit && link.uses >= link.member_limit)) {
+                throw new Error(`Invite link ${inviteLink} is not usable`);
+            }
+
+            const oldMember = getMember(link.chat_id, user.id);
+            const newMember = { user, status: 'member' };
+            link.uses++;
+            members.set(memberKey(link.chat_id, user.id), newMember);
+
+            return queueUpdate({
+                chat_member: {
+                    chat: { id: Number(link.chat_id), type: 'supergroup', title: 'Whale Club' },
+                    from: user,
+                    date: now(),
+                    old_chat_member: { ...oldMember, user },
+                    new_chat_member: newMember,
+                    invite_link: publicLink(link)
+                }
+            });
+        },
+
+        /**
+         * A user sends the bot a private message
+         * @param {object} user - Telegram User
+         * @param {string} text
+         * @returns {object} - Telegram Update
+         */
+        sendPrivateMessage(user, text) {
+            return queueUpdate({
+                message: { message_id: nextMessageId++, date: now(), from: user, chat: { id: user.id, type: 'private' }, text }
+            });
+        }
+    };
+}
+
+module.exports = {
+    createFakeTelegram
+};
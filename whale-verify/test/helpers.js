@@ -0,0 +1,175 @@
+// Shared setup for the whale verification tests
+// setup() starts the fake Solana RPC and Telegram servers, points the
+// environment at them and at a throwaway SQLite database, and migrates it.
+// It must run before the modules under test are required, some of them read
+// their settings on load.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mock } = require('node:test');
+const nacl = require('tweetnacl');
+const bs58 = require('bs58').default || require('bs58');
+const { createFakeSolana } = require('./fake-solana');
+const { createFakeTelegram } = require('./fake-telegram');
+
+const BOT_TOKEN = '123456:TEST-TOKEN';
+const CHAT_ID = '-1001000000001';
+const DOMAIN = 'whale.test';
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const MINT_DECIMALS = 6;
+
+// Settings that would change the flow under test if set in the shell or .env
+const CLEARED_ENV = [
+    'POSTGRES_URL', 'SOLANA_RPC_URLS', 'WHALE_TIERS', 'TELEGRAM_CHAT_ID_DOLPHIN', 'TELEGRAM_CHAT_ID_KRAKEN',
+    'TELEGRAM_JOIN_MODE', 'SYBIL_CHECK_MODE', 'MIN_HOLDING_DAYS', 'BALANCE_CACHE_TTL_MS'
+];
+
+/**
+ * Start the fakes and prepare the environment and database
+ * @returns {Promise<{solana: object, telegram: object, teardown: Function}>}
+ */
+async function setup() {
+    const { TOKEN_MINT } = require('../tiers');
+    const solana = createFakeSolana({ mint: TOKEN_MINT, decimals: MINT_DECIMALS });
+    const telegram = createFakeTelegram({ token: BOT_TOKEN });
+    const dbPath = path.join(os.tmpdir(), `whale-verify-test-${process.pid}.db`);
+
+    // The modules log every step to stdout, which node --test also uses to
+    // report results; progress logs are dropped, warnings and errors still
+    // show on stderr
+    mock.method(console, 'log', () => {});
+
+    for (const name of CLEARED_ENV) {
+        delete process.env[name];
+    }
+    Object.assign(process.env, {
+        SOLANA_RPC_URL: await solana.start(),
+        SOLANA_RPC_RETRIES: '2',
+        TELEGRAM_API_URL: await telegram.start(),
+        TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+        TELEGRAM_CHAT_ID: CHAT_ID,
+        TELEGRAM_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        SIWS_DOMAIN: DOMAIN,
+        WHALE_STORAGE: 'sqlite',
+        WHALE_DB_PATH: dbPath
+    });
+
+    fs.rmSync(dbPath, { force: true });
+    await require('../migrate').up();
+
+    return {
+        solana,
+        telegram,
+        async teardown() {
+            await require('../db').getAdapter().close();
+            await Promise.all([solana.stop(), telegram.stop()]);
+            fs.rmSync(dbPath, { force: true });
+        }
+    };
+}
+
+/**
+ * New wallet that can sign messages
+ * @returns {{address: string, sign: Function}} - sign(message) returns a base58 signature
+ */
+function createWallet() {
+    const keypair = nacl.sign.keyPair();
+    return {
+        address: bs58.encode(keypair.publicKey),
+        sign: message => bs58.encode(nacl.sign.detached(new TextEncoder().encode(message), keypair.secretKey))
+    };
+}
+
+/**
+ * Telegram user
+ * @param {number} id
+ * @returns {object} - Telegram User
+ */
+function createTelegramUser(id) {
+    return { id, is_bot: false, first_name: `Whale ${id}`, username: `whale_${id}` };
+}
+
+let clientCount = 0;
+
+/**
+ * Call a Vercel function with a minimal req/res pair
+ * Every call comes from its own client IP (x-forwarded-for) unless the headers name one
+ * @param {Function} handler - Exported function from api/
+ * @param {object} request
+ * @param {string} [request.method='GET']
+ * @param {object} [request.query]
+ * @param {object} [request.body]
+ * @param {object} [request.headers]
+ * @returns {Promise<{status: number, body: object, headers: object}>}
+ */
+function invoke(handler, { method = 'GET', query = {}, body, headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            setHeader(name, value) {
+                this.headers[name.toLowerCase()] = value;
+            },
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(payload) {
+                resolve({ status: this.statusCode, body: payload, headers: this.headers });
+                return this;
+            },
+            end() {
+                resolve({ status: this.statusCode, body: null, headers: this.headers });
+                return this;
+            }
+        };
+        clientCount++;
+        const clientIp = `10.0.${Math.floor(clientCount / 256) % 256}.${clientCount % 256}`;
+        const req = { method, query, body, headers: { host: DOMAIN, 'user-agent': 'node-test', 'x-forwarded-for': clientIp, ...headers } };
+
+        Promise.resolve(handler(req, res)).catch(reject);
+    });
+}
+
+/**
+ * Verify a wallet through the Vercel functions: nonce, sign, verify
+ * @param {object} wallet - From createWallet()
+ * @param {Function} [sign=wallet.sign] - Signs the sign-in message, another wallet's to forge it
+ * @returns {Promise<{status: number, body: object, headers: object}>} - Response of /verify
+ */
+async function verify(wallet, sign = wallet.sign) {
+    const { body } = await invoke(require('../../api/whale-verify/nonce'), { query: { wallet: wallet.address } });
+    return invoke(require('../../api/whale-verify/verify'), {
+        method: 'POST',
+        body: { walletAddress: wallet.address, message: body.message, signature: sign(body.message), nonce: body.nonce }
+    });
+}
+
+/**
+ * Run fn with the clock moved forward
+ * @param {number} ms
+ * @param {Function} fn
+ * @returns {Promise<*>} - What fn returns
+ */
+async function later(ms, fn) {
+    const now = Date.now();
+    const clock = mock.method(Date, 'now', () => now + ms);
+    try {
+        return await fn();
+    } finally {
+        clock.mock.restore();
+    }
+}
+
+module.exports = {
+    BOT_TOKEN,
+    CHAT_ID,
+    DOMAIN,
+    WEBHOOK_SECRET,
+    setup,
+    createWallet,
+    createTelegramUser,
+    invoke,
+    verify,
+    later
+};
@@ -0,0 +1,99 @@
+// Invite link lifecycle (whale-verify/invite-lifecycle.js): expired links are
+// revoked and no longer block the wallet, admins revoke and reissue links
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+let env;
+let db;
+let inviteLifecycle;
+
+const ADMIN = { actor: 'admin:test', ipAddress: '127.0.0.1' };
+const INVITE_EXPIRY = 10 * 60 * 1000;
+
+before(async () => {
+    env = await helpers.setup();
+
+    db = require('../db');
+    inviteLifecycle = require('../invite-lifecycle');
+});
+
+after(async () => {
+    await env.teardown();
+});
+
+async function verifiedWallet() {
+    const wallet = helpers.createWallet();
+    env.solana.setBalance(wallet.address, 15_000_000);
+    const { status, body } = await helpers.verify(wallet);
+    assert.equal(status, 200, JSON.stringify(body));
+    return { wallet, inviteLink: body.inviteLink };
+}
+
+test('a wallet whose invite expired unused gets a new one, the old link is revoked', async () => {
+    const { wallet, inviteLink } = await verifiedWallet();
+
+    const { status, body } = await helpers.verify(wallet);
+    assert.equal(status, 400);
+    assert.match(body.error, /already been verified/);
+
+    // Only database calls under the moved clock, it would confuse the RPC rate limiter
+    await helpers.later(INVITE_EXPIRY + 1000, async () => {
+        assert.equal(await db.hasWalletBeenVerified(wallet.address), false);
+        const { expired } = await inviteLifecycle.cleanupExpired(wallet.address);
+        assert.deepEqual(expired.map(row => row.wallet_address), [wallet.address]);
+    });
+    assert.equal(env.telegram.getInviteLink(inviteLink).is_revoked, true);
+
+    const again = await helpers.verify(wallet);
+    assert.equal(again.status, 200, JSON.stringify(again.body));
+    assert.notEqual(again.body.inviteLink, inviteLink);
+    const [row] = await db.getByWallet(wallet.address);
+    assert.equal(row.invite_link, again.body.inviteLink);
+});
+
+test('the cleanup revokes the links it deletes', async () => {
+    const { wallet, inviteLink } = await verifiedWallet();
+
+    const result = await helpers.later(INVITE_EXPIRY + 1000, () => inviteLifecycle.cleanupExpired());
+    assert.ok(result.expired.some(row => row.wallet_address === wallet.address));
+    assert.equal(result.deleted, result.expired.length);
+    assert.equal(env.telegram.getInviteLink(inviteLink).is_revoked, true);
+    assert.deepEqual(await db.getByWallet(wallet.address), []);
+});
+
+test('admins reissue a member\'s invite, only the new link works', async () => {
+    const { wallet, inviteLink } = await verifiedWallet();
+
+    const [invite] = await inviteLifecycle.reissue(wallet.address, 'whale', ADMIN);
+    assert.equal(invite.previous_link, inviteLink);
+    assert.notEqual(invite.invite_link, inviteLink);
+    assert.equal(env.telegram.getInviteLink(inviteLink).is_revoked, true);
+    assert.throws(() => env.telegram.join(inviteLink, helpers.createTelegramUser(5001)), /not usable/);
+
+    const [row] = await db.getByWallet(wallet.address);
+    assert.equal(row.invite_link, invite.invite_link);
+    env.telegram.join(invite.invite_link, helpers.createTelegramUser(5001));
+
+    const [entry] = (await db.listAuditLog({ action: 'invite.reissue', walletAddress: wallet.address })).entries;
+    assert.equal(entry.actor, ADMIN.actor);
+});
+
+test('admins revoke a member\'s invite, the wallet can verify again', async () => {
+    const { wallet, inviteLink } = await verifiedWallet();
+
+    const revoked = await inviteLifecycle.revoke(wallet.address, undefined, ADMIN);
+    assert.equal(revoked.length, 1);
+    assert.equal(env.telegram.getInviteLink(inviteLink).is_revoked, true);
+    assert.equal(await db.hasWalletBeenVerified(wallet.address), false);
+
+    assert.equal((await helpers.verify(wallet)).status, 200);
+});
+
+test('joined members have no invite to revoke or reissue', async () => {
+    const { wallet } = await verifiedWallet();
+    await db.linkTelegram(wallet.address, { userId: 5002, username: 'whale_5002' });
+
+    await assert.rejects(inviteLifecycle.revoke(wallet.address, undefined, ADMIN), { status: 409 });
+    await assert.rejects(inviteLifecycle.reissue(wallet.address, 'kraken', ADMIN), { status: 404 });
+});
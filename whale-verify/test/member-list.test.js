@@ -0,0 +1,124 @@
+// Admin member list (whale-verify/member-list.js): keyset pages, search,
+// filters and the streamed export
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+let env;
+let db;
+let memberList;
+const wallets = [];
+
+before(async () => {
+    env = await helpers.setup();
+
+    db = require('../db');
+    memberList = require('../member-list');
+
+    // Seven members, balances 10M..70M; the first four joined, the last of those left again
+    for (let i = 0; i < 7; i++) {
+        const wallet = helpers.createWallet().address;
+        wallets.push(wallet);
+        await db.saveVerification({
+            walletAddress: wallet,
+            tier: 'whale',
+            chatId: helpers.CHAT_ID,
+            inviteLink: `https://t.me/+member${i}`,
+            balanceSnapshot: (i + 1) * 10_000_000,
+            snapshotSlot: 1000 + i
+        });
+        if (i < 4) {
+            await db.linkTelegram(wallet, helpers.createTelegramUser(3000 + i), helpers.CHAT_ID);
+        }
+    }
+    await db.markMemberRemoved(wallets[3], helpers.CHAT_ID, 'balance_below_threshold');
+});
+
+after(async () => {
+    await env.teardown();
+});
+
+// Collects what exportMembers writes
+function createResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: '',
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+        write(chunk) {
+            this.body += chunk;
+        },
+        end(chunk = '') {
+            this.body += chunk;
+        }
+    };
+}
+
+test('pages through every member with the cursor, without repeats', async () => {
+    const seen = [];
+    let cursor;
+    do {
+        const page = await memberList.list({ sort: 'balance', order: 'asc', limit: '3', cursor });
+        assert.equal(page.success, true, page.error);
+        assert.equal(page.total, 7);
+        seen.push(...page.members.map(member => member.wallet));
+        cursor = page.next_cursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, wallets);
+});
+
+test('searches by wallet prefix and Telegram username', async () => {
+    const byWallet = await memberList.list({ q: wallets[5].substring(0, 6) });
+    assert.deepEqual(byWallet.members.map(member => member.wallet), [wallets[5]]);
+
+    const byUsername = await memberList.list({ q: '@WHALE_3001' });
+    assert.deepEqual(byUsername.members.map(member => member.wallet), [wallets[1]]);
+    assert.equal(byUsername.members[0].telegram.username, '@whale_3001');
+});
+
+test('filters by status and counts every status of the search', async () => {
+    const page = await memberList.list({ status: 'joined,removed', sort: 'balance', order: 'desc' });
+    assert.deepEqual(page.members.map(member => member.status), ['removed', 'joined', 'joined', 'joined']);
+    assert.equal(page.total, 4);
+    assert.deepEqual(page.byTier.whale, { total: 7, joined: 3, pending: 3, link_used: 0, removed: 1 });
+});
+
+test('rejects unknown filters and a cursor from another sort', async () => {
+    assert.match((await memberList.list({ status: 'banned' })).error, /Unknown status/);
+    assert.match((await memberList.list({ since: 'yesterday' })).error, /Invalid since date/);
+
+    const { next_cursor: cursor } = await memberList.list({ sort: 'wallet', limit: '2' });
+    assert.match((await memberList.list({ sort: 'balance', cursor })).error, /does not match/);
+});
+
+test('exports the filtered members as CSV', async () => {
+    const res = createResponse();
+    await memberList.exportMembers({ status: 'pending', sort: 'balance', order: 'asc' }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['content-disposition'], /^attachment; filename="whale-members-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+    const [header, ...rows] = res.body.trim().split('\n');
+    assert.equal(header.split(',')[0], 'wallet');
+    assert.deepEqual(rows.map(row => row.split(',')[0]), wallets.slice(4));
+});
+
+test('exports the filtered members as JSON', async () => {
+    const res = createResponse();
+    await memberList.exportMembers({ format: 'json', q: 'whale_300' }, res);
+
+    const members = JSON.parse(res.body);
+    assert.equal(members.length, 4);
+    assert.ok(members.every(member => member.telegram.user_id));
+});
@@ -0,0 +1,125 @@
+// Verification flow through the Express router (whale-verify/routes.js):
+// nonce -> sign -> verify -> invite -> join picked up by the polling monitor
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const helpers = require('./helpers');
+
+let env;
+let server;
+let baseUrl;
+let db;
+let groupMonitor;
+
+before(async () => {
+    env = await helpers.setup();
+
+    const express = require('express');
+    const app = express();
+    app.use(express.json());
+    app.use('/api/whale-verify', require('../routes'));
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/whale-verify`;
+
+    db = require('../db');
+    groupMonitor = require('../group-monitor');
+});
+
+after(async () => {
+    server.close();
+    await env.teardown();
+});
+
+async function request(path, options = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+        body: options.body && JSON.stringify(options.body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Nonce and signed sign-in message for a wallet, as the frontend sends them
+async function signIn(wallet) {
+    const { status, body } = await request(`/nonce?wallet=${wallet.address}`);
+    assert.equal(status, 200);
+    assert.match(body.message, new RegExp(`^${helpers.DOMAIN} wants you to sign in`));
+
+    return {
+        walletAddress: wallet.address,
+        message: body.message,
+        signature: wallet.sign(body.message),
+        nonce: body.nonce
+    };
+}
+
+function countCalls(method) {
+    return env.telegram.calls.filter(call => call.method === method).length;
+}
+
+test('verifies a holder and links the Telegram account they join with', async () => {
+    const wallet = helpers.createWallet();
+    const user = helpers.createTelegramUser(1001);
+    env.solana.setBalance(wallet.address, 12_000_000);
+
+    const { status, body } = await request('/verify', { method: 'POST', body: await signIn(wallet) });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.success, true);
+    assert.equal(body.invites.length, 1);
+
+    // Single-use link named after the wallet, so the join can be matched back
+    const link = env.telegram.getInviteLink(body.inviteLink);
+    assert.equal(link.chat_id, helpers.CHAT_ID);
+    assert.equal(link.member_limit, 1);
+    assert.equal(link.name, `Whale ${wallet.address.substring(0, 8)}`);
+
+    env.telegram.join(body.inviteLink, user);
+    await groupMonitor.checkNewMembers();
+
+    const [row] = await db.getByWallet(wallet.address);
+    assert.equal(row.telegram_user_id, String(user.id));
+    assert.equal(row.telegram_username, user.username);
+    assert.equal(row.chat_id, helpers.CHAT_ID);
+});
+
+test('does not accept the same signed message twice', async () => {
+    const wallet = helpers.createWallet();
+    env.solana.setBalance(wallet.address, 15_000_000);
+    const proof = await signIn(wallet);
+
+    assert.equal((await request('/verify', { method: 'POST', body: proof })).status, 200);
+
+    const { status, body } = await request('/verify', { method: 'POST', body: proof });
+    assert.equal(status, 400);
+    assert.match(body.error, /nonce/);
+});
+
+test('refuses a wallet below the lowest tier without creating an invite', async () => {
+    const wallet = helpers.createWallet();
+    env.solana.setBalance(wallet.address, 500);
+    const invitesBefore = countCalls('createChatInviteLink');
+
+    const { status, body } = await request('/verify', { method: 'POST', body: await signIn(wallet) });
+    assert.equal(status, 403);
+    assert.equal(body.reason, 'insufficient_balance');
+    assert.equal(body.balance, 500);
+    assert.equal(countCalls('createChatInviteLink'), invitesBefore);
+});
+
+test('asks to try again instead of reporting a zero balance when the RPC is down', async () => {
+    const wallet = helpers.createWallet();
+    env.solana.setBalance(wallet.address, 12_000_000);
+    const proof = await signIn(wallet);
+
+    env.solana.setDown(true);
+    try {
+        const { status, body } = await request('/verify', { method: 'POST', body: proof });
+        assert.equal(status, 503);
+        assert.equal(body.reason, 'rpc_unavailable');
+        assert.equal(body.balance, undefined);
+    } finally {
+        env.solana.setDown(false);
+    }
+    assert.deepEqual(await db.getByWallet(wallet.address), []);
+});
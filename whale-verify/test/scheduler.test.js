@@ -0,0 +1,137 @@
+// Scheduled jobs (whale-verify/scheduler.js): the cron endpoint, locking
+// between instances and the recorded last run
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+let env;
+let db;
+let scheduler;
+let nonceStore;
+let telegram;
+let cronHandler;
+
+const CRON_SECRET = 'test-cron-secret';
+const INVITE_EXPIRY = 10 * 60 * 1000;
+
+before(async () => {
+    env = await helpers.setup();
+    process.env.CRON_SECRET = CRON_SECRET;
+
+    db = require('../db');
+    scheduler = require('../scheduler');
+    nonceStore = require('../nonce-store');
+    telegram = require('../telegram');
+    cronHandler = require('../../api/whale-verify/cron/[job]');
+});
+
+after(async () => {
+    delete process.env.CRON_SECRET;
+    delete process.env.STATS_DIGEST_CHAT_ID;
+    await env.teardown();
+});
+
+function cron(job, secret = CRON_SECRET) {
+    return helpers.invoke(cronHandler, { query: { job }, headers: { authorization: `Bearer ${secret}` } });
+}
+
+async function lastRun(name) {
+    return (await scheduler.listJobs()).find(job => job.name === name).last_run;
+}
+
+test('the cron endpoint needs the cron secret and a known job', async () => {
+    assert.equal((await helpers.invoke(cronHandler, { query: { job: 'cleanup' } })).status, 401);
+    assert.equal((await cron('cleanup', 'wrong-secret')).status, 401);
+
+    const { status, body } = await cron('backup');
+    assert.equal(status, 404);
+    assert.match(body.error, /Unknown job/);
+});
+
+test('runs invite revocation and records the last run', async () => {
+    const wallet = helpers.createWallet().address;
+    const inviteLink = await telegram.createInviteLink(wallet, helpers.CHAT_ID);
+    await db.saveVerification({ walletAddress: wallet, tier: 'whale', chatId: helpers.CHAT_ID, inviteLink });
+
+    const { status, body } = await helpers.later(INVITE_EXPIRY + 1000, () => cron('invite-revocation'));
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(body.result, { deleted: 1, revoked: 1 });
+    assert.equal(env.telegram.getInviteLink(inviteLink).is_revoked, true);
+
+    const run = await lastRun('invite-revocation');
+    assert.equal(run.status, 'success');
+    assert.equal(run.triggered_by, 'cron');
+    assert.deepEqual(run.result, body.result);
+    assert.equal(run.duration_ms, body.durationMs);
+
+    const [entry] = (await db.listAuditLog({ action: 'invites.cleanup' })).entries;
+    assert.equal(entry.actor, 'system:scheduler');
+});
+
+test('a job runs on one instance at a time, interval runs wait for their turn', async () => {
+    const runs = await Promise.all([scheduler.runJob('cleanup'), scheduler.runJob('cleanup')]);
+    assert.deepEqual(runs.map(run => run.status).sort(), ['skipped', 'success']);
+
+    // Another instance ran it just now
+    assert.equal((await scheduler.runJob('cleanup', { trigger: 'interval' })).status, 'skipped');
+    assert.equal((await scheduler.runJob('cleanup')).status, 'success');
+});
+
+test('a failed run is recorded and releases the lock', async () => {
+    const cleanup = mock.method(nonceStore, 'cleanup', async () => {
+        throw new Error('database is locked');
+    });
+    try {
+        const { status, body } = await cron('cleanup');
+        assert.equal(status, 500);
+        assert.equal(body.error, 'database is locked');
+    } finally {
+        cleanup.mock.restore();
+    }
+
+    const run = await lastRun('cleanup');
+    assert.equal(run.status, 'failed');
+    assert.equal(run.error, 'database is locked');
+    assert.equal((await cron('cleanup')).status, 200);
+});
+
+test('the stats digest is posted to the configured chat only', async () => {
+    assert.equal((await scheduler.runJob('stats-digest')).status, 'disabled');
+
+    process.env.STATS_DIGEST_CHAT_ID = '-1009000000001';
+    const run = await scheduler.runJob('stats-digest');
+    assert.equal(run.status, 'success', run.error);
+
+    const message = env.telegram.messages.at(-1);
+    assert.equal(message.chat.id, -1009000000001);
+    assert.match(message.text, /last 24 hours/);
+    assert.match(message.text, /Invites: 1, joined 0, expired 1/);
+});
+
+test('the holder sweep stops at its time budget and the next run resumes after the last wallet', async () => {
+    const wallets = [helpers.createWallet(), helpers.createWallet()].map(wallet => wallet.address).sort();
+    for (const [i, wallet] of wallets.entries()) {
+        env.solana.setBalance(wallet, 12_000_000);
+        await db.saveVerification({ walletAddress: wallet, tier: 'whale', chatId: helpers.CHAT_ID, inviteLink: `https://t.me/+sweep${i}` });
+        await db.linkTelegram(wallet, { userId: 6001 + i, username: `whale_${6001 + i}` });
+    }
+
+    process.env.HOLDER_SWEEP_TIME_BUDGET_SECONDS = '0.001';
+    try {
+        const first = await scheduler.runJob('holder-sweep');
+        assert.equal(first.status, 'success', first.error);
+        assert.deepEqual({ complete: first.result.complete, cursor: first.result.cursor, checked: first.result.checked },
+            { complete: false, cursor: wallets[0], checked: 1 });
+
+        const second = await scheduler.runJob('holder-sweep');
+        assert.equal(second.result.startedAfter, wallets[0]);
+        assert.deepEqual({ complete: second.result.complete, cursor: second.result.cursor, checked: second.result.checked },
+            { complete: true, cursor: null, checked: 1 });
+
+        // A finished sweep starts over from the first wallet
+        const third = await scheduler.runJob('holder-sweep');
+        assert.equal(third.result.startedAfter, null);
+    } finally {
+        delete process.env.HOLDER_SWEEP_TIME_BUDGET_SECONDS;
+    }
+});
@@ -0,0 +1,46 @@
+// Anti-sybil check (whale-verify/sybil-check.js): what an RPC failure does in
+// each SYBIL_CHECK_MODE
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+let env;
+let sybilCheck;
+
+// Connection whose token account history can't be read
+const failingConnection = {
+    async getSignaturesForAddress() {
+        throw new Error('Request timed out');
+    }
+};
+
+before(async () => {
+    env = await helpers.setup();
+    sybilCheck = require('../sybil-check');
+});
+
+after(async () => {
+    delete process.env.SYBIL_CHECK_MODE;
+    await env.teardown();
+});
+
+function check() {
+    const walletAddress = helpers.createWallet().address;
+    return sybilCheck.check(failingConnection, {
+        walletAddress,
+        walletAddresses: [walletAddress],
+        tokenAccounts: [helpers.createWallet().address],
+        balance: 20_000_000,
+        newTiers: [{ id: 'whale', minTokens: 10_000_000 }]
+    });
+}
+
+test('lets the verification through when the RPC fails in flag mode', async () => {
+    process.env.SYBIL_CHECK_MODE = 'flag';
+    assert.deepEqual(await check(), { blocked: false });
+});
+
+test('reports the check as unavailable when the RPC fails in block mode', async () => {
+    process.env.SYBIL_CHECK_MODE = 'block';
+    assert.deepEqual(await check(), { blocked: false, unavailable: true });
+});
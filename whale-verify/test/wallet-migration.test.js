@@ -0,0 +1,43 @@
+// Wallet migration (whale-verify/wallet-migration.js): a migration confirmed
+// from Telegram only uses up its code once the membership moved
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+let env;
+let db;
+let walletMigration;
+
+before(async () => {
+    env = await helpers.setup();
+
+    db = require('../db');
+    walletMigration = require('../wallet-migration');
+});
+
+after(async () => {
+    await env.teardown();
+});
+
+test('a failed balance check leaves the migration code usable', async () => {
+    const oldWallet = helpers.createWallet().address;
+    const newWallet = helpers.createWallet().address;
+    const user = { userId: 6001, username: 'whale_6001' };
+    await db.saveVerification({ walletAddress: oldWallet, tier: 'whale', chatId: helpers.CHAT_ID, inviteLink: 'https://t.me/+migrate' });
+    await db.linkTelegram(oldWallet, user, helpers.CHAT_ID);
+    await db.createWalletMigration('MIGRATE1', newWallet, Date.now() + walletMigration.MIGRATION_CODE_EXPIRY);
+    env.solana.setBalance(newWallet, 12_000_000);
+
+    env.solana.setDown(true);
+    try {
+        await assert.rejects(walletMigration.confirmTelegramMigration('MIGRATE1', user.userId), { status: 503 });
+    } finally {
+        env.solana.setDown(false);
+    }
+    assert.ok(await walletMigration.getPendingMigration('MIGRATE1'));
+
+    const result = await walletMigration.confirmTelegramMigration('MIGRATE1', user.userId);
+    assert.equal(result.newWallet, newWallet);
+    assert.equal(await walletMigration.getPendingMigration('MIGRATE1'), null);
+    assert.equal((await db.getByWallet(newWallet))[0].telegram_user_id, String(user.userId));
+});
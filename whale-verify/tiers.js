@@ -0,0 +1,91 @@
+// Membership tiers: CORE balance thresholds mapped to Telegram chats
+//
+// Defaults can be overridden with WHALE_TIERS, a JSON array like:
+// [{"id":"dolphin","name":"Dolphin","minTokens":1000000,"chatId":"-100..."}, ...]
+// A tier without a chat ID is not active.
+
+const TOKEN_MINT = process.env.CORE_TOKEN_MINT || '4FdojUmXeaFMBG6yUaoufAC5Bz7u9AwnSAMizkx5pump';
+
+const DEFAULT_TIERS = [
+    { id: 'dolphin', name: 'Dolphin', minTokens: 1_000_000, chatEnv: 'TELEGRAM_CHAT_ID_DOLPHIN' },
+    { id: 'whale', name: 'Whale', minTokens: 10_000_000, chatEnv: 'TELEGRAM_CHAT_ID' },
+    { id: 'kraken', name: 'Kraken', minTokens: 100_000_000, chatEnv: 'TELEGRAM_CHAT_ID_KRAKEN' }
+];
+
+/**
+ * Get active tiers, sorted by threshold (lowest first)
+ * Read on every call so values loaded from .env later are picked up
+ * @returns {Array<{id: string, name: string, minTokens: number, chatId: string}>}
+ */
+function getTiers() {
+    let tiers;
+
+    if (process.env.WHALE_TIERS) {
+        try {
+            tiers = JSON.parse(process.env.WHALE_TIERS).map(tier => ({
+                id: String(tier.id),
+                name: tier.name || String(tier.id),
+                minTokens: Number(tier.minTokens),
+                chatId: tier.chatId ? String(tier.chatId) : null
+            }));
+        } catch (error) {
+            throw new Error(`Invalid WHALE_TIERS configuration: ${error.message}`);
+        }
+    } else {
+        tiers = DEFAULT_TIERS.map(tier => ({
+            id: tier.id,
+            name: tier.name,
+            minTokens: tier.minTokens,
+            chatId: process.env[tier.chatEnv] || null
+        }));
+    }
+
+    return tiers
+        .filter(tier => tier.chatId && Number.isFinite(tier.minTokens))
+        .sort((a, b) => a.minTokens - b.minTokens);
+}
+
+/**
+ * Get tiers a balance qualifies for
+ * @param {number} balance - Token balance
+ * @returns {Array} - Qualifying tiers, lowest first
+ */
+function getQualifyingTiers(balance) {
+    return getTiers().filter(tier => balance >= tier.minTokens);
+}
+
+/**
+ * Lowest threshold needed to join any tier
+ * @returns {number}
+ */
+function getMinimumTokens() {
+    const tiers = getTiers();
+    return tiers.length > 0 ? tiers[0].minTokens : DEFAULT_TIERS[1].minTokens;
+}
+
+/**
+ * Find tier by ID
+ * @param {string} tierId
+ * @returns {object|undefined}
+ */
+function getTierById(tierId) {
+    return getTiers().find(tier => tier.id === tierId);
+}
+
+/**
+ * Find tier by Telegram chat ID
+ * @param {string|number} chatId
+ * @returns {object|undefined}
+ */
+function getTierByChatId(chatId) {
+    return getTiers().find(tier => tier.chatId === String(chatId));
+}
+
+module.exports = {
+    TOKEN_MINT,
+    getTiers,
+    getQualifyingTiers,
+    getMinimumTokens,
+    getTierById,
+    getTierByChatId
+};
@@ -0,0 +1,264 @@
+// Wallet migration: move a member's verifications to a new wallet
+// Two ways to prove the member controls both sides:
+//   - both wallets sign the migration message, each naming the other wallet
+//     as a resource (GET /nonce?purpose=migrate&counterpart=<other wallet>)
+//   - the new wallet signs it, and the member confirms with /migrate <code>
+//     from the Telegram account linked to the old wallet
+// The member's balance with the new wallet in place of the old one is
+// re-checked against every tier they're in, the Telegram link and any other
+// linked wallets move over as is (no new invite), and the old wallet is
+// retired so nobody can verify with it again.
+const db = require('./db');
+const solana = require('./solana');
+const tiers = require('./tiers');
+const siws = require('./siws');
+const nonceStore = require('./nonce-store');
+const audit = require('./audit');
+const joinRequests = require('./join-requests');
+const memberWallets = require('./member-wallets');
+
+const MIGRATION_CODE_EXPIRY = 10 * 60 * 1000; // 10 minutes
+
+class WalletMigrationError extends Error {
+    /**
+     * @param {number} status - HTTP status to respond with
+     * @param {string} message
+     * @param {object} [details] - Extra fields for the response body
+     */
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'WalletMigrationError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Check a signed migration message
+ * @param {object} signed - { walletAddress, signature, message, nonce }
+ * @param {string} domain - Expected SIWS domain
+ * @param {string} [counterpart] - Wallet the message must name as a resource
+ * @throws {WalletMigrationError}
+ */
+async function verifySignedMessage(signed, domain, counterpart) {
+    const { walletAddress, signature, message, nonce } = signed || {};
+
+    if (!walletAddress || !signature || !message || !nonce) {
+        throw new WalletMigrationError(400, 'Missing required fields');
+    }
+
+    if (!(await nonceStore.consume(nonce))) {
+        throw new WalletMigrationError(400, 'Invalid or expired nonce. Please request a new one.');
+    }
+
+    const messageCheck = siws.validateSignInMessage(message, {
+        domain,
+        address: walletAddress,
+        nonce,
+        statement: siws.MIGRATION_STATEMENT
+    });
+    if (!messageCheck.valid) {
+        throw new WalletMigrationError(400, messageCheck.error);
+    }
+
+    if (counterpart && !(messageCheck.fields.resources || []).includes(siws.walletResource(counterpart))) {
+        throw new WalletMigrationError(400, `Message from ${walletAddress.substring(0, 8)}... does not name the other wallet`);
+    }
+
+    if (!solana.verifySignature(message, signature, walletAddress)) {
+        throw new WalletMigrationError(401, 'Invalid signature. Please try again.');
+    }
+}
+
+// The new wallet must be unused: never verified, never linked to a member and never retired
+async function assertWalletAvailable(walletAddress) {
+    if (await db.getRetiredWallet(walletAddress)) {
+        throw new WalletMigrationError(409, 'This wallet was migrated away from and can no longer be used');
+    }
+    if (await db.hasWalletBeenVerified(walletAddress) || await db.getMemberWallet(walletAddress)) {
+        throw new WalletMigrationError(409, 'This wallet is already verified. Unlink it first to move your membership to it.');
+    }
+}
+
+/**
+ * Move the membership of oldWallet to newWallet
+ * @param {string} oldWallet
+ * @param {string} newWallet
+ * @param {object} context
+ * @param {string} context.actor - Audit log actor
+ * @param {string} [context.ipAddress]
+ * @param {Function} [context.claim] - Uses up a single-use confirmation once every
+ *   check has passed, resolves false if it was already used
+ * @returns {Promise<{oldWallet: string, newWallet: string, balance: number, tiers: string[], telegramUserId: string}>}
+ * @throws {WalletMigrationError}
+ */
+async function transferMembership(oldWallet, newWallet, { actor, ipAddress, claim }) {
+    if (oldWallet === newWallet) {
+        throw new WalletMigrationError(400, 'The new wallet must be different from the old one');
+    }
+
+    const rows = await db.getByWallet(oldWallet);
+    const memberships = rows.filter(row => row.telegram_user_id && !row.removed_at);
+    if (memberships.length === 0) {
+        throw new WalletMigrationError(404, 'The old wallet has no active Whale Club membership');
+    }
+
+    await assertWalletAvailable(newWallet);
+
+    // The member's other linked wallets keep counting towards the balance
+    const otherWallets = (await memberWallets.getMemberWallets(oldWallet)).filter(wallet => wallet !== oldWallet);
+
+    let whaleStatus;
+    try {
+        whaleStatus = await solana.checkWhaleStatus([newWallet, ...otherWallets]);
+    } catch (error) {
+        throw new WalletMigrationError(503, 'Could not check the new wallet balance, please try again');
+    }
+    const { balance } = whaleStatus;
+
+    // Every tier the member is in must still be covered by the new wallet
+    const heldTiers = memberships.map(row => tiers.getTierById(row.tier)).filter(Boolean);
+    const required = Math.max(0, ...heldTiers.map(tier => tier.minTokens));
+    if (balance < required) {
+        throw new WalletMigrationError(403, 'Not enough tokens', {
+            balance,
+            required,
+            message: `You need at least ${required.toLocaleString()} CORE to keep your memberships. Balance with the new wallet: ${balance.toLocaleString()} CORE`
+        });
+    }
+
+    // A failed check (RPC outage, low balance) leaves a migration code usable for another try
+    if (claim && !(await claim())) {
+        throw new WalletMigrationError(404, 'This migration code is invalid, expired or already used');
+    }
+
+    const telegramUserId = memberships[0].telegram_user_id;
+    const moved = await db.migrateWallet(oldWallet, newWallet, telegramUserId);
+    await db.updateWalletBalances(whaleStatus.wallets);
+
+    await audit.record({
+        actor,
+        action: audit.ACTIONS.WALLET_MIGRATE,
+        walletAddress: newWallet,
+        telegramUserId,
+        before: { wallet: oldWallet, memberships: rows.map(audit.memberState) },
+        after: { wallet: newWallet, moved, balance },
+        ipAddress
+    });
+
+    console.log(`🔁 Membership of Telegram user ${telegramUserId} moved ${oldWallet.substring(0, 8)}... → ${newWallet.substring(0, 8)}... (${moved} verifications)`);
+
+    return {
+        oldWallet,
+        newWallet,
+        balance,
+        tiers: heldTiers.map(tier => tier.id),
+        telegramUserId
+    };
+}
+
+/**
+ * Migrate with signatures from both wallets
+ * @param {object} params
+ * @param {object} params.oldWallet - Signed message of the old wallet, naming the new one
+ * @param {object} params.newWallet - Signed message of the new wallet, naming the old one
+ * @param {string} params.domain - Expected SIWS domain
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<object>} - See transferMembership
+ * @throws {WalletMigrationError}
+ */
+async function migrateWithSignatures({ oldWallet, newWallet, domain, ipAddress }) {
+    if (!oldWallet || !newWallet) {
+        throw new WalletMigrationError(400, 'Signed messages of both wallets are required');
+    }
+
+    await verifySignedMessage(oldWallet, domain, newWallet.walletAddress);
+    await verifySignedMessage(newWallet, domain, oldWallet.walletAddress);
+
+    return transferMembership(oldWallet.walletAddress, newWallet.walletAddress, {
+        actor: audit.walletActor(oldWallet.walletAddress),
+        ipAddress
+    });
+}
+
+/**
+ * Start a migration the member confirms from Telegram
+ * @param {object} params
+ * @param {object} params.newWallet - Signed message of the new wallet
+ * @param {string} params.domain - Expected SIWS domain
+ * @returns {Promise<{code: string, botLink: string|null, expiresAt: number}>}
+ * @throws {WalletMigrationError}
+ */
+async function startTelegramMigration({ newWallet, domain }) {
+    await verifySignedMessage(newWallet, domain);
+    await assertWalletAvailable(newWallet.walletAddress);
+
+    const code = joinRequests.generateJoinCode();
+    const expiresAt = Date.now() + MIGRATION_CODE_EXPIRY;
+    await db.createWalletMigration(code, newWallet.walletAddress, expiresAt);
+
+    console.log(`🔁 Wallet migration to ${newWallet.walletAddress.substring(0, 8)}... started, waiting for Telegram confirmation`);
+    return { code, botLink: joinRequests.getBotLink(`migrate_${code}`), expiresAt };
+}
+
+/**
+ * Pending migration for a code, if it can still be confirmed
+ * @param {string} code
+ * @returns {Promise<object|null>}
+ */
+async function getPendingMigration(code) {
+    const migration = await db.getWalletMigration(code);
+    if (!migration || migration.completed_at || migration.expires_at <= Date.now()) {
+        return null;
+    }
+    return migration;
+}
+
+/**
+ * Confirm a migration from the Telegram account linked to the old wallet
+ * @param {string} code
+ * @param {string|number} telegramUserId
+ * @returns {Promise<object>} - See transferMembership
+ * @throws {WalletMigrationError}
+ */
+async function confirmTelegramMigration(code, telegramUserId) {
+    const verification = await db.getWalletByTelegramId(telegramUserId);
+    if (!verification) {
+        throw new WalletMigrationError(404, 'No wallet is linked to your Telegram account');
+    }
+
+    const migration = await getPendingMigration(code);
+    if (!migration) {
+        throw new WalletMigrationError(404, 'This migration code is invalid, expired or already used');
+    }
+
+    return transferMembership(verification.wallet_address, migration.new_wallet, {
+        actor: audit.telegramActor(telegramUserId),
+        claim: () => db.completeWalletMigration(code, telegramUserId)
+    });
+}
+
+/**
+ * Respond with a WalletMigrationError, or 500 for anything else
+ * @param {object} res
+ * @param {Error} error
+ */
+function sendMigrationError(res, error) {
+    if (error instanceof WalletMigrationError) {
+        console.log(`❌ Wallet migration rejected: ${error.message}`);
+        return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+
+    console.error('❌ Wallet migration error:', error);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+}
+
+module.exports = {
+    MIGRATION_CODE_EXPIRY,
+    WalletMigrationError,
+    sendMigrationError,
+    migrateWithSignatures,
+    startTelegramMigration,
+    getPendingMigration,
+    confirmTelegramMigration
+};
@@ -0,0 +1,175 @@
+// Telegram webhook: secret-token validation and management
+// The bot gets updates either by polling (group-monitor.js) or through the
+// webhook at /api/webhook/telegram, chosen with TELEGRAM_UPDATE_MODE. Telegram
+// sends TELEGRAM_WEBHOOK_SECRET back in the X-Telegram-Bot-Api-Secret-Token
+// header of every webhook call, requests without it are rejected.
+//
+//   node whale-verify/webhook.js set [url]     - register the webhook (webhook mode)
+//   node whale-verify/webhook.js delete        - remove it (polling mode), --drop-pending discards queued updates
+//   node whale-verify/webhook.js info          - show webhook status
+//   node whale-verify/webhook.js mode <webhook|polling> [url] - same as set / delete
+if (require.main === module) {
+    require('dotenv').config();
+}
+
+const { safeEqual } = require('./admin-auth');
+const telegram = require('./telegram');
+const { ALLOWED_UPDATES } = require('./bot-updates');
+
+const UPDATE_MODES = ['polling', 'webhook'];
+const SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/; // Allowed by Telegram
+const WEBHOOK_PATH = '/api/webhook/telegram';
+
+/**
+ * Configured update mode
+ * @returns {'polling'|'webhook'}
+ */
+function getUpdateMode() {
+    const mode = process.env.TELEGRAM_UPDATE_MODE || 'polling';
+    if (!UPDATE_MODES.includes(mode)) {
+        throw new Error(`Unknown TELEGRAM_UPDATE_MODE "${mode}" (expected "polling" or "webhook")`);
+    }
+    return mode;
+}
+
+/**
+ * Configured webhook secret
+ * @returns {string|null}
+ */
+function getWebhookSecret() {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!secret) return null;
+    if (!SECRET_PATTERN.test(secret)) {
+        throw new Error('TELEGRAM_WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ and -');
+    }
+    return secret;
+}
+
+/**
+ * Check the X-Telegram-Bot-Api-Secret-Token header of a webhook call
+ * Always false while no secret is configured
+ * @param {string} [headerValue]
+ * @returns {boolean}
+ */
+function isValidSecretToken(headerValue) {
+    const secret = getWebhookSecret();
+    if (!secret) {
+        console.error('❌ TELEGRAM_WEBHOOK_SECRET is not set, rejecting webhook call');
+        return false;
+    }
+    if (typeof headerValue !== 'string') {
+        return false;
+    }
+
+    return safeEqual(secret, headerValue);
+}
+
+/**
+ * Default webhook URL (TELEGRAM_WEBHOOK_URL, or derived from SIWS_DOMAIN)
+ * @returns {string|null}
+ */
+function getDefaultWebhookUrl() {
+    if (process.env.TELEGRAM_WEBHOOK_URL) {
+        return process.env.TELEGRAM_WEBHOOK_URL;
+    }
+    return process.env.SIWS_DOMAIN ? `https://${process.env.SIWS_DOMAIN}${WEBHOOK_PATH}` : null;
+}
+
+/**
+ * Register the webhook with the secret token and the update types the bot handles
+ * @param {string} [url] - Webhook URL (defaults to getDefaultWebhookUrl())
+ * @returns {Promise<string>} - Registered URL
+ */
+async function setWebhook(url = getDefaultWebhookUrl()) {
+    if (!url) {
+        throw new Error('Webhook URL missing. Pass it as an argument or set TELEGRAM_WEBHOOK_URL');
+    }
+    if (!url.startsWith('https://')) {
+        throw new Error('Telegram only delivers webhooks to https:// URLs');
+    }
+
+    const secret = getWebhookSecret();
+    if (!secret) {
+        throw new Error('Set TELEGRAM_WEBHOOK_SECRET before registering the webhook');
+    }
+
+    await telegram.setWebhook({
+        url,
+        secret_token: secret,
+        allowed_updates: ALLOWED_UPDATES
+    });
+
+    return url;
+}
+
+/**
+ * Remove the webhook (switches the bot back to polling)
+ * @param {object} [options]
+ * @param {boolean} [options.dropPendingUpdates=false]
+ */
+async function deleteWebhook({ dropPendingUpdates = false } = {}) {
+    await telegram.deleteWebhook(dropPendingUpdates);
+}
+
+/**
+ * Webhook status reported by Telegram plus the locally configured mode
+ * @returns {Promise<object>}
+ */
+async function getWebhookInfo() {
+    const info = await telegram.getWebhookInfo();
+    return {
+        configuredMode: getUpdateMode(),
+        activeMode: info.url ? 'webhook' : 'polling',
+        ...info
+    };
+}
+
+module.exports = {
+    WEBHOOK_PATH,
+    getUpdateMode,
+    getWebhookSecret,
+    isValidSecretToken,
+    getDefaultWebhookUrl,
+    setWebhook,
+    deleteWebhook,
+    getWebhookInfo
+};
+
+// CLI: node whale-verify/webhook.js <set [url]|delete [--drop-pending]|info|mode <webhook|polling> [url]>
+if (require.main === module) {
+    const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const dropPendingUpdates = process.argv.includes('--drop-pending');
+    let [command, arg, url] = args;
+
+    if (command === 'mode') {
+        if (!UPDATE_MODES.includes(arg)) {
+            console.error('❌ Usage: node whale-verify/webhook.js mode <webhook|polling> [url]');
+            process.exit(1);
+        }
+        command = arg === 'webhook' ? 'set' : 'delete';
+        arg = url;
+    }
+
+    const run = async () => {
+        if (command === 'set') {
+            const registered = await setWebhook(arg);
+            console.log(`✅ Webhook set to ${registered} (updates: ${ALLOWED_UPDATES.join(', ')})`);
+            console.log('   Set TELEGRAM_UPDATE_MODE=webhook so the server stops polling');
+        } else if (command === 'delete') {
+            await deleteWebhook({ dropPendingUpdates });
+            console.log(`✅ Webhook deleted${dropPendingUpdates ? ' (pending updates dropped)' : ''}`);
+            console.log('   Set TELEGRAM_UPDATE_MODE=polling so the server polls for updates');
+        } else if (command === 'info') {
+            console.log(JSON.stringify(await getWebhookInfo(), null, 2));
+        } else {
+            throw new Error(`Unknown command "${command || ''}" (expected set, delete, info or mode)`);
+        }
+    };
+
+    run()
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('❌ Webhook command failed:', error.message);
+            process.exit(1);
+        });
+}